@@ -0,0 +1,112 @@
+// Checks that a spell's mark on the ground survives the trip through a real
+// multiplayer server. The game's own PlayerSpells, SpellSystem and
+// NetworkManager cast Earth Raise into a room on a local GameServer, in the
+// order the client sends things, and the server must send the edit back.
+//
+//   yarn check:terrain
+
+import { register } from 'node:module';
+import { createServer } from 'node:http';
+import { Server } from 'socket.io';
+import { io } from 'socket.io-client';
+import * as THREE from 'three';
+
+// The client is written for Vite: extensionless imports and JSON modules
+const CLIENT_HOOKS = `
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+export async function resolve(specifier, context, next) {
+  try {
+    return await next(specifier, context);
+  } catch (error) {
+    if (!specifier.startsWith('.') || /\\.\\w+$/.test(specifier)) throw error;
+    return next(specifier + '.js', context);
+  }
+}
+
+export async function load(url, context, next) {
+  if (!url.endsWith('.json')) return next(url, context);
+  const json = readFileSync(fileURLToPath(url), 'utf8');
+  return { format: 'module', source: 'export default ' + json, shortCircuit: true };
+}
+`;
+register(`data:text/javascript,${encodeURIComponent(CLIENT_HOOKS)}`);
+
+const { GameServer } = await import('../server/GameServer.js');
+const { SPAWN_POSITION } = await import('../src/utils/HealthTracker.js');
+const { NetworkManager } = await import('../src/game/systems/NetworkManager.js');
+const { SpellSystem } = await import('../src/game/systems/SpellSystem.js');
+const { PlayerSpells } = await import('../src/game/systems/player/PlayerSpells.js');
+
+const TIMEOUT = 3000; // ms to wait for the server
+
+const log = console.log;
+console.log = () => {}; // The game and the server are chatty
+
+function fail(message) {
+  log(`FAIL ${message}`);
+  process.exit(1);
+}
+
+// Server on a free port
+const httpServer = createServer();
+const gameServer = new GameServer(new Server(httpServer));
+gameServer.start();
+await new Promise(resolve => httpServer.listen(0, resolve));
+const url = `http://localhost:${httpServer.address().port}`;
+
+// Just enough of the game around the systems under test: a flat world and a
+// local player hovering at the spawn point
+const engine = {
+  isMobile: false,
+  scene: new THREE.Scene(),
+  systems: {}
+};
+const localPlayer = {
+  id: null,
+  position: new THREE.Vector3(SPAWN_POSITION.x, SPAWN_POSITION.y, SPAWN_POSITION.z),
+  rotation: new THREE.Euler(),
+  currentSpell: 0,
+  isDowned: false
+};
+const playerSystem = {
+  engine,
+  scene: engine.scene,
+  localPlayer,
+  players: new Map(),
+  mana: { spendMana: () => true }
+};
+
+const network = new NetworkManager(engine);
+network.roomId = 'terrain-check';
+network.socket = io(url, {
+  autoConnect: false,
+  transports: ['websocket'],
+  query: { room: network.roomId }
+});
+network.setupEventListeners();
+
+engine.systems.network = network;
+engine.systems.world = { getTerrainHeight: () => 0, setSeed() {} };
+engine.systems.player = playerSystem;
+engine.systems.spells = new SpellSystem(engine);
+
+const spells = new PlayerSpells(playerSystem);
+localPlayer.currentSpell = engine.systems.spells.definitions.findIndex(definition => definition.id === 'earthRaise');
+if (localPlayer.currentSpell === -1) fail('no earthRaise spell in spells.json');
+
+const joined = new Promise(resolve => network.on('connected', resolve));
+network.connect();
+const { id } = await Promise.race([joined, new Promise(resolve => setTimeout(resolve, TIMEOUT, {}))]);
+if (!id || network.isSimulated) fail('could not join the server');
+localPlayer.id = id;
+
+const edited = new Promise(resolve => network.on('terrain_edit', resolve));
+spells.castSpell();
+const edit = await Promise.race([edited, new Promise(resolve => setTimeout(resolve, TIMEOUT, null))]);
+if (!edit) fail('the server dropped the Earth Raise terrain edit');
+if (edit.playerId !== id) fail(`the edit came back for ${edit.playerId}, not the caster`);
+
+log(`OK Earth Raise changed the ground at (${edit.x}, ${edit.z}), radius ${edit.radius}, height ${edit.height}`);
+process.exit(0);
@@ -0,0 +1,610 @@
+import { generateRandomSeed, normalizeSeed } from '../src/utils/SeededRandom.js';
+import { MANA_RESPAWN_TIME, getManaNodeById } from '../src/utils/ManaLayout.js';
+import { STATE_SCHEMA_VERSION, encodePlayerState, decodePlayerState } from '../src/utils/PlayerStateCodec.js';
+import { MAX_HEALTH, SPAWN_POSITION, HealthTracker, getCrashDamage } from '../src/utils/HealthTracker.js';
+import { WorldClock } from '../src/utils/WorldClock.js';
+import { TerrainEditLayer, createSpellTerrainEdit } from '../src/utils/TerrainEdits.js';
+import { SpellResolver, HISTORY_DURATION } from './SpellResolver.js';
+
+// Player fields clients are allowed to set through player_update.
+// Health is not one of them: the server tracks it (see HealthTracker).
+const PLAYER_STATE_FIELDS = [
+  'x', 'y', 'z',
+  'rotationY',
+  'mana',
+  'velocityX', 'velocityY', 'velocityZ'
+];
+
+// Fields covered by movement validation
+const MOVEMENT_FIELDS = ['x', 'y', 'z', 'velocityX', 'velocityY', 'velocityZ'];
+
+// Movement limits used to validate player_update positions.
+// Carpet top speed is well below MAX_PLAYER_SPEED; the slack absorbs jitter
+// between updates without letting teleports through.
+const MAX_PLAYER_SPEED = 2500; // Units per second
+const MAX_ALTITUDE = 400;
+const MOVE_TOLERANCE = 50;
+
+// How often (ms) in-flight spell projectiles are checked for hits and
+// health regeneration is applied
+const TICK_INTERVAL = 50;
+
+// How close (horizontally) a claim must be to the node it claims
+const MANA_CLAIM_RADIUS = 30;
+
+// How far a claim position may be from the last reported player position
+// (covers the time between state updates at full speed)
+const MANA_CLAIM_MAX_DRIFT = 400;
+
+// Closed rooms whose state (clock, terrain edits) is kept for when they reopen; past this
+// the rooms closed longest ago are forgotten
+const MAX_CLOSED_ROOMS = 100;
+
+/**
+ * Authoritative room/relay server for the NetworkManager protocol
+ *
+ * Events sent to clients:
+ *   game_state   - { selfId, room, seed, serverTime, stateVersion, players, manaCollected, clock,
+ *                   terrainEdits } on join
+ *   player_join  - another player entered the room
+ *   player_leave - another player left the room
+ *   player_update / batch_update - relayed state from other players, stamped with
+ *                  serverTime for snapshot interpolation
+ *   player_state - binary player_update (PlayerStateCodec); clients whose schema
+ *                  matches stateVersion send player_state instead of player_update
+ *   player_action - relayed actions (spells, abilities) from other players
+ *   spell_hit    - { spellId, spellType, casterId, targetId, damage, health, blocked,
+ *                   x, y, z, knockbackX, knockbackY, knockbackZ } a projectile hit a player
+ *   player_health  - { playerId, health } out of combat regeneration
+ *   player_crash   - { playerId, damage, health, surface } a player crashed into the ground
+ *   player_downed  - { playerId, casterId, respawnAt } a player's health reached zero
+ *   player_respawn - { playerId, health, x, y, z, invulnerableUntil } a downed player
+ *                    came back (after asking with a respawn action)
+ *   pong         - { clientTime, serverTime } reply to client_ping
+ *   player_ack   - { seq } the sender's state up to seq was accepted
+ *   player_correction   - { seq, x, y, z, velocityX, velocityY, velocityZ } authoritative
+ *                         state for the sender's command seq after a failed movement check
+ *   mana_collected      - { nodeId, playerId, value, respawnAt } a claim was granted
+ *   mana_claim_rejected - { nodeId, reason, collectedBy, respawnAt } sent to the claimant
+ *   world_clock  - { days, time, timeScale, paused, dayDuration } the room's clock was
+ *                  changed with clock_control (see WorldClock)
+ *   terrain_edit - { playerId, spellType, x, z, radius, height } a spell reshaped the
+ *                  ground (see TerrainEditLayer)
+ */
+export class GameServer {
+  constructor(io, options = {}) {
+    this.io = io;
+    this.rooms = new Map(); // Room id -> { id, seed, players: Map, manaCollected: Map }
+    this.clocks = new Map(); // Room id -> WorldClock of a closed room, so its days carry on when it reopens
+    this.terrain = new Map(); // "room id/seed" -> TerrainEditLayer of a closed room with a requested seed
+    this.defaultRoom = options.defaultRoom || 'lobby';
+    this.maxPlayersPerRoom = options.maxPlayersPerRoom || 16;
+    this.playerCount = 0;
+    this.spells = new SpellResolver(io);
+    this.tickTimer = null;
+  }
+
+  start() {
+    this.io.on('connection', (socket) => this.handleConnection(socket));
+
+    this.tickTimer = setInterval(() => {
+      const now = Date.now();
+      this.rooms.forEach(room => {
+        this.spells.update(room, now);
+        this.updateHealth(room, now);
+      });
+    }, TICK_INTERVAL);
+
+    console.log('Game server ready');
+  }
+
+  getOrCreateRoom(roomId, requestedSeed) {
+    let room = this.rooms.get(roomId);
+
+    if (!room) {
+      // A reopened room picks up its old clock
+      const clock = this.clocks.get(roomId) || new WorldClock();
+      this.clocks.delete(roomId);
+
+      // The first player in a room decides its seed; everyone after shares it
+      const requested = normalizeSeed(requestedSeed);
+      const seed = requested !== null ? requested : generateRandomSeed();
+
+      // Craters and raised ground belong to the world they were made in. Only
+      // a world with a requested seed can be found again once its room closes,
+      // so only its edits are kept (see the disconnect handler).
+      const terrainKey = `${roomId}/${seed}`;
+      const terrain = this.terrain.get(terrainKey) || new TerrainEditLayer();
+      this.terrain.delete(terrainKey);
+
+      room = {
+        id: roomId,
+        seed,
+        seedRequested: requested !== null,
+        players: new Map(),
+        manaCollected: new Map(), // Node id -> { playerId, respawnAt }
+        movement: new Map(), // Player id -> server-only bookkeeping (see handleConnection)
+        projectiles: [], // Spell projectiles in flight (see SpellResolver)
+        clock,
+        terrain
+      };
+      this.rooms.set(roomId, room);
+      console.log(`Room "${roomId}" created with seed ${room.seed}`);
+    }
+
+    return room;
+  }
+
+  handleConnection(socket) {
+    const query = socket.handshake.query || {};
+    const roomId = this.sanitizeRoomId(query.room);
+    const room = this.getOrCreateRoom(roomId, query.seed);
+
+    if (room.players.size >= this.maxPlayersPerRoom) {
+      socket.emit('room_full', { room: roomId });
+      socket.disconnect(true);
+      return;
+    }
+
+    this.playerCount++;
+    const player = {
+      id: socket.id,
+      name: typeof query.name === 'string' && query.name ? query.name.slice(0, 24) : `Player ${this.playerCount}`,
+      x: 0,
+      y: 50,
+      z: 0,
+      rotationY: 0,
+      mana: 100,
+      health: MAX_HEALTH
+    };
+
+    // Movement validation bookkeeping (kept out of the relayed player state)
+    const movement = {
+      lastMoveTime: Date.now(),
+      pendingCorrection: 0, // Seq of the last correction the client hasn't confirmed yet
+      history: [{ time: Date.now(), x: player.x, y: player.y, z: player.z }], // For lag compensation
+      lastCast: {}, // Spell type index -> last cast time
+      lastTerrainEdit: {}, // Spell type index -> cast time of its last terrain edit
+      shieldUntil: 0,
+      health: new HealthTracker(player.health)
+    };
+    room.movement.set(socket.id, movement);
+
+    socket.join(roomId);
+    room.players.set(socket.id, player);
+
+    // Send the joining client its id, the shared seed and everyone already here
+    socket.emit('game_state', {
+      selfId: socket.id,
+      room: roomId,
+      seed: room.seed,
+      serverTime: Date.now(),
+      stateVersion: STATE_SCHEMA_VERSION,
+      players: Array.from(room.players.values()).filter(other => other.id !== socket.id),
+      manaCollected: this.getCollectedMana(room),
+      clock: room.clock.toJSON(),
+      terrainEdits: room.terrain.toJSON()
+    });
+
+    // Announce the new player to the rest of the room
+    socket.to(roomId).emit('player_join', player);
+
+    console.log(`${player.name} (${socket.id}) joined room "${roomId}" (${room.players.size} players)`);
+
+    socket.on('player_update', (data) => {
+      const update = this.applyPlayerUpdate(room, socket, movement, data);
+      if (update) {
+        socket.to(roomId).emit('player_update', update);
+      }
+    });
+
+    socket.on('player_state', (buffer) => {
+      // Unknown schema versions and malformed frames decode to null and are dropped
+      const data = decodePlayerState(buffer);
+      const update = data && this.applyPlayerUpdate(room, socket, movement, data);
+      if (update) {
+        socket.to(roomId).emit('player_state', encodePlayerState(update));
+      }
+    });
+
+    socket.on('batch_update', (messages) => {
+      if (!Array.isArray(messages)) return;
+
+      // Validate each message and relay the accepted ones as a single batch
+      const relayed = [];
+      messages.forEach(message => {
+        if (!message || typeof message !== 'object') return;
+
+        if (message.type === 'player_update') {
+          const update = this.applyPlayerUpdate(room, socket, movement, message.payload);
+          if (update) relayed.push({ type: 'player_update', payload: update });
+        } else if (message.type === 'player_action') {
+          const action = this.handlePlayerAction(room, socket.id, message.payload);
+          if (action) relayed.push({ type: 'player_action', payload: action });
+        }
+      });
+
+      if (relayed.length > 0) {
+        socket.to(roomId).emit('batch_update', relayed);
+      }
+    });
+
+    socket.on('player_action', (data) => {
+      const action = this.handlePlayerAction(room, socket.id, data);
+      if (action) {
+        socket.to(roomId).emit('player_action', action);
+      }
+    });
+
+    socket.on('mana_claim', (data) => {
+      this.handleManaClaim(room, socket, data);
+    });
+
+    // Anyone in the room may set its time of day, pause it or speed it up
+    socket.on('clock_control', (data) => {
+      const now = Date.now();
+      if (room.clock.apply(data, now)) {
+        this.io.to(roomId).emit('world_clock', room.clock.toJSON(now));
+      }
+    });
+
+    socket.on('terrain_edit', (data) => {
+      this.handleTerrainEdit(room, socket.id, data);
+    });
+
+    socket.on('client_ping', (clientTime) => {
+      socket.emit('pong', { clientTime, serverTime: Date.now() });
+    });
+
+    socket.on('disconnect', () => {
+      room.players.delete(socket.id);
+      room.movement.delete(socket.id);
+      socket.to(roomId).emit('player_leave', { id: socket.id });
+
+      console.log(`${player.name} (${socket.id}) left room "${roomId}"`);
+
+      // Rooms only live as long as someone is in them
+      if (room.players.size === 0) {
+        this.rooms.delete(roomId);
+        this.keepClosedRoomState(this.clocks, roomId, room.clock);
+        if (room.seedRequested) {
+          this.keepClosedRoomState(this.terrain, `${roomId}/${room.seed}`, room.terrain);
+        }
+        console.log(`Room "${roomId}" closed`);
+      }
+    });
+  }
+
+  /**
+   * Keep a closed room's state for when it reopens, forgetting the state of
+   * the rooms closed longest ago beyond MAX_CLOSED_ROOMS
+   * @param {Map} store - Closed room state by key, oldest first
+   */
+  keepClosedRoomState(store, key, value) {
+    store.delete(key);
+    store.set(key, value);
+
+    while (store.size > MAX_CLOSED_ROOMS) {
+      store.delete(store.keys().next().value);
+    }
+  }
+
+  /**
+   * Merge a (possibly delta compressed) update into the stored player state.
+   * Movement is checked against the speed limits; the sender gets a player_ack
+   * for accepted updates or a player_correction carrying the clamped state.
+   * @returns {Object|null} The sanitized update to relay, or null if nothing valid
+   */
+  applyPlayerUpdate(room, socket, movement, data) {
+    const playerId = socket.id;
+    const player = room.players.get(playerId);
+    if (!player || !data || typeof data !== 'object') return null;
+
+    const seq = Number.isInteger(data.seq) ? data.seq : null;
+    const correctionSeq = Number.isInteger(data.correctionSeq) ? data.correctionSeq : 0;
+
+    // Until the client has applied our last correction its positions are still
+    // based on the rejected state, so only non-movement fields are taken
+    const awaitingCorrection = movement.pendingCorrection > correctionSeq;
+
+    const previous = { x: player.x, y: player.y, z: player.z };
+
+    // The sender's id always comes from the socket, never from the payload
+    const update = { id: playerId };
+    let hasChanges = false;
+    let hasMovement = false;
+
+    PLAYER_STATE_FIELDS.forEach(field => {
+      const value = data[field];
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+
+      const isMovement = MOVEMENT_FIELDS.includes(field);
+      if (awaitingCorrection && isMovement) return;
+
+      player[field] = value;
+      update[field] = value;
+      hasChanges = true;
+      if (isMovement) hasMovement = true;
+    });
+
+    // Receivers buffer remote movement by the time the server saw it
+    update.serverTime = Date.now();
+
+    const corrected = hasMovement && this.validateMovement(player, previous, movement);
+
+    if (hasMovement) {
+      this.recordPosition(player, movement, update.serverTime);
+    }
+
+    if (seq === null) return hasChanges ? update : null;
+
+    if (corrected) {
+      // Relay the corrected state and tell the sender where it really is
+      MOVEMENT_FIELDS.forEach(field => {
+        if (player[field] !== undefined) update[field] = player[field];
+      });
+
+      movement.pendingCorrection = seq;
+      socket.emit('player_correction', {
+        seq,
+        x: player.x,
+        y: player.y,
+        z: player.z,
+        velocityX: player.velocityX,
+        velocityY: player.velocityY,
+        velocityZ: player.velocityZ
+      });
+    } else if (!awaitingCorrection) {
+      socket.emit('player_ack', { seq });
+    }
+
+    return hasChanges ? update : null;
+  }
+
+  /**
+   * Clamp a moved player back inside what its speed allows since its last move
+   * @returns {boolean} True if the position or velocity had to be corrected
+   */
+  validateMovement(player, previous, movement) {
+    const now = Date.now();
+    const dt = Math.min(Math.max((now - movement.lastMoveTime) / 1000, 0.1), 1);
+    movement.lastMoveTime = now;
+
+    let corrected = false;
+
+    const dx = player.x - previous.x;
+    const dy = player.y - previous.y;
+    const dz = player.z - previous.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const maxDistance = MAX_PLAYER_SPEED * dt + MOVE_TOLERANCE;
+
+    if (distance > maxDistance) {
+      // Pull the player back along its path to the furthest legal point
+      const scale = maxDistance / distance;
+      player.x = previous.x + dx * scale;
+      player.y = previous.y + dy * scale;
+      player.z = previous.z + dz * scale;
+      corrected = true;
+    }
+
+    if (player.y > MAX_ALTITUDE) {
+      player.y = MAX_ALTITUDE;
+      corrected = true;
+    }
+
+    const vx = player.velocityX || 0;
+    const vy = player.velocityY || 0;
+    const vz = player.velocityZ || 0;
+    const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
+    if (speed > MAX_PLAYER_SPEED) {
+      const scale = MAX_PLAYER_SPEED / speed;
+      player.velocityX = vx * scale;
+      player.velocityY = vy * scale;
+      player.velocityZ = vz * scale;
+      corrected = true;
+    }
+
+    return corrected;
+  }
+
+  /**
+   * Resolve a mana node claim. The first valid claim wins; the node then stays
+   * collected for everyone until its respawn time.
+   */
+  handleManaClaim(room, socket, data) {
+    if (!data || typeof data !== 'object') return;
+
+    const nodeId = data.nodeId;
+    const reject = (reason, extra = {}) => {
+      socket.emit('mana_claim_rejected', { nodeId, reason, ...extra });
+    };
+
+    // The node must be part of this room's seeded layout
+    const node = getManaNodeById(room.seed, nodeId);
+    if (!node) {
+      reject('unknown_node');
+      return;
+    }
+
+    const now = Date.now();
+    const collected = room.manaCollected.get(nodeId);
+    if (collected && collected.respawnAt > now) {
+      reject('already_collected', {
+        collectedBy: collected.playerId,
+        respawnAt: collected.respawnAt
+      });
+      return;
+    }
+
+    // The claim has to be made next to the node, by a player who is plausibly there
+    const player = room.players.get(socket.id);
+    const x = Number(data.x);
+    const z = Number(data.z);
+    if (!player || !Number.isFinite(x) || !Number.isFinite(z) ||
+        Math.hypot(node.x - x, node.z - z) > MANA_CLAIM_RADIUS ||
+        Math.hypot(player.x - x, player.z - z) > MANA_CLAIM_MAX_DRIFT) {
+      reject('out_of_range');
+      return;
+    }
+
+    const respawnAt = now + MANA_RESPAWN_TIME * 1000;
+    room.manaCollected.set(nodeId, { playerId: socket.id, respawnAt });
+
+    this.io.to(room.id).emit('mana_collected', {
+      nodeId,
+      playerId: socket.id,
+      value: node.value,
+      respawnAt
+    });
+  }
+
+  /**
+   * Apply a spell's mark on the ground and share it with the room. The
+   * stroke's size comes from the spell definition, not the client.
+   */
+  handleTerrainEdit(room, playerId, data) {
+    const request = this.spells.handleTerrainEdit(room, playerId, data);
+    if (!request) return;
+
+    const definition = this.spells.definitions[request.spellType];
+    const edit = room.terrain.add(createSpellTerrainEdit(definition, request.x, request.z));
+    if (edit) {
+      this.io.to(room.id).emit('terrain_edit', { playerId, spellType: request.spellType, ...edit });
+    }
+  }
+
+  getCollectedMana(room) {
+    const now = Date.now();
+    const collected = [];
+
+    // Drop expired entries while building the list
+    for (const [nodeId, entry] of room.manaCollected) {
+      if (entry.respawnAt <= now) {
+        room.manaCollected.delete(nodeId);
+      } else {
+        collected.push({ nodeId, playerId: entry.playerId, respawnAt: entry.respawnAt });
+      }
+    }
+
+    return collected;
+  }
+
+  /**
+   * Remember where a player was, so spell hits can be checked against the
+   * positions other clients were seeing
+   */
+  recordPosition(player, movement, time) {
+    movement.history.push({ time, x: player.x, y: player.y, z: player.z });
+
+    while (movement.history.length > 1 && movement.history[0].time < time - HISTORY_DURATION) {
+      movement.history.shift();
+    }
+  }
+
+  handlePlayerAction(room, playerId, data) {
+    if (data && data.action === 'cast_spell') {
+      return this.spells.handleCast(room, playerId, data);
+    }
+
+    if (data && data.action === 'respawn') {
+      this.respawnPlayer(room, playerId);
+      return null;
+    }
+
+    if (data && data.action === 'crash') {
+      this.handleCrash(room, playerId, data);
+      return null;
+    }
+
+    return this.createPlayerAction(playerId, data);
+  }
+
+  /**
+   * Apply out of combat regeneration and tell the room about changed health
+   */
+  updateHealth(room, now) {
+    room.movement.forEach((movement, playerId) => {
+      if (!movement.health.regenerate(now)) return;
+
+      const player = room.players.get(playerId);
+      if (!player) return;
+
+      player.health = movement.health.health;
+      this.io.to(room.id).emit('player_health', { playerId, health: player.health });
+    });
+  }
+
+  /**
+   * Apply crash damage reported by a client. Terrain isn't simulated here, so
+   * the report is trusted, but the speed can't exceed what movement allows.
+   */
+  handleCrash(room, playerId, data) {
+    const player = room.players.get(playerId);
+    const movement = room.movement.get(playerId);
+    const speed = Number(data.speed);
+    if (!player || !movement || !Number.isFinite(speed)) return;
+
+    const surface = data.surface === 'water' ? 'water' : 'land';
+    const now = Date.now();
+    const damage = movement.health.takeDamage(
+      getCrashDamage(Math.min(speed, MAX_PLAYER_SPEED), surface),
+      now
+    );
+    if (damage === 0) return;
+
+    player.health = movement.health.health;
+    this.io.to(room.id).emit('player_crash', { playerId, damage, health: player.health, surface });
+
+    if (movement.health.downed) {
+      this.io.to(room.id).emit('player_downed', {
+        playerId,
+        casterId: null,
+        respawnAt: movement.health.respawnAt
+      });
+    }
+  }
+
+  /**
+   * Bring a downed player back at the spawn point once its respawn delay is over.
+   * Early requests are ignored; the client asks again.
+   */
+  respawnPlayer(room, playerId) {
+    const player = room.players.get(playerId);
+    const movement = room.movement.get(playerId);
+    const now = Date.now();
+    if (!player || !movement || !movement.health.canRespawn(now)) return;
+
+    movement.health.respawn(now);
+    player.health = movement.health.health;
+    Object.assign(player, SPAWN_POSITION, { velocityX: 0, velocityY: 0, velocityZ: 0 });
+
+    // The teleport must not be treated as a speed violation, and any
+    // correction from before the respawn no longer applies
+    movement.lastMoveTime = now;
+    movement.pendingCorrection = 0;
+    movement.history = [];
+    this.recordPosition(player, movement, now);
+
+    this.io.to(room.id).emit('player_respawn', {
+      playerId,
+      health: player.health,
+      x: player.x,
+      y: player.y,
+      z: player.z,
+      invulnerableUntil: movement.health.invulnerableUntil
+    });
+  }
+
+  createPlayerAction(playerId, data) {
+    if (!data || typeof data !== 'object' || typeof data.action !== 'string') return null;
+
+    return { ...data, playerId };
+  }
+
+  sanitizeRoomId(room) {
+    if (typeof room !== 'string') return this.defaultRoom;
+
+    const cleaned = room.trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 32);
+    return cleaned || this.defaultRoom;
+  }
+}
@@ -0,0 +1,327 @@
+import { readFileSync } from 'fs';
+
+// The same definitions the client's SpellSystem plays
+const SPELL_DEFINITIONS = JSON.parse(
+  readFileSync(new URL('../src/game/data/spells.json', import.meta.url), 'utf8')
+);
+
+// How far back (ms) a cast may be dated to make up for the caster's latency
+const MAX_REWIND = 500;
+
+// How far a cast origin may be from the caster's last reported position
+const MAX_CAST_DRIFT = 100;
+
+// Longest step (ms) used when sweeping a projectile along its path
+const MAX_STEP = 20;
+
+// How much position history (ms) is kept per player for lag compensation
+export const HISTORY_DURATION = 1000;
+
+/**
+ * Server-side spell hit resolution
+ *
+ * Every cast_spell action is resolved from the shared spell definitions.
+ * Downed players can neither cast nor be hit.
+ * Projectiles are replayed over time; beams and areas are resolved at the cast
+ * time; self buffs (shield) are remembered so they can block hits.
+ *
+ * Targets are checked where the caster saw them: the client reports the time
+ * its remote carpets were drawn at (viewTime), and target positions are looked
+ * up in each player's recent position history at that offset. Hits are
+ * broadcast to the room as spell_hit.
+ *
+ * Terrain is not simulated on the server, so a projectile is only stopped by
+ * players or its lifetime, and the marks spells leave on the ground are
+ * placed by the caster's client (see handleTerrainEdit).
+ */
+export class SpellResolver {
+  constructor(io) {
+    this.io = io;
+    this.definitions = SPELL_DEFINITIONS;
+  }
+
+  /**
+   * Validate a cast and resolve or start tracking it
+   * @returns {Object|null} Sanitized action to relay to the room, or null to drop it
+   */
+  handleCast(room, playerId, data) {
+    const typeIndex = data.spellType;
+    const definition = this.definitions[typeIndex];
+    const player = room.players.get(playerId);
+    const movement = room.movement.get(playerId);
+    if (!definition || !player || !movement || movement.health.downed) return null;
+
+    const now = Date.now();
+
+    // Mana is spent on the client; a caster whose last reported mana can't
+    // cover the cost is not allowed the spell
+    if (Number.isFinite(player.mana) && player.mana < (definition.manaCost || 0)) return null;
+
+    // Allow some slack for timer differences between client and server
+    const lastCast = movement.lastCast[typeIndex] || 0;
+    if (now - lastCast < definition.cooldown * 1000 * 0.8) return null;
+    movement.lastCast[typeIndex] = now;
+
+    const castTime = this.clampTime(data.castTime, now - MAX_REWIND, now);
+
+    if (definition.behavior === 'self_buff') {
+      if (definition.buff === 'shield') {
+        movement.shieldUntil = castTime + definition.duration * 1000;
+      }
+      return { action: 'cast_spell', playerId, spellType: typeIndex, castTime };
+    }
+
+    let origin = { x: Number(data.x), y: Number(data.y), z: Number(data.z) };
+    if (!Number.isFinite(origin.x) || !Number.isFinite(origin.y) || !Number.isFinite(origin.z) ||
+        Math.hypot(origin.x - player.x, origin.y - player.y, origin.z - player.z) > MAX_CAST_DRIFT) {
+      origin = { x: player.x, y: player.y, z: player.z };
+    }
+
+    const dirX = Number(data.dirX);
+    const dirY = Number(data.dirY);
+    const dirZ = Number(data.dirZ);
+    const length = Math.hypot(dirX, dirY, dirZ);
+    if (!Number.isFinite(length) || length === 0) return null;
+
+    const viewTime = this.clampTime(data.viewTime, castTime - MAX_REWIND, castTime);
+
+    const spell = {
+      spellId: typeof data.spellId === 'string' ? data.spellId.slice(0, 64) : `${playerId}_${now}`,
+      typeIndex,
+      definition,
+      ownerId: playerId,
+      origin,
+      direction: { x: dirX / length, y: dirY / length, z: dirZ / length },
+      castTime,
+      viewOffset: castTime - viewTime,
+      checkedUntil: castTime
+    };
+
+    if (definition.behavior === 'projectile') {
+      room.projectiles.push(spell);
+    } else if (definition.behavior === 'beam') {
+      this.resolveBeam(room, spell);
+    } else if (definition.behavior === 'area') {
+      this.resolveArea(room, spell);
+    } else if (definition.behavior !== 'terraform') {
+      // Unknown behaviors are dropped. Terraform hits nobody and is only
+      // relayed; the ground changes through the caster's terrain_edit.
+      return null;
+    }
+
+    return {
+      action: 'cast_spell',
+      playerId,
+      spellId: spell.spellId,
+      spellType: typeIndex,
+      x: origin.x,
+      y: origin.y,
+      z: origin.z,
+      dirX: spell.direction.x,
+      dirY: spell.direction.y,
+      dirZ: spell.direction.z,
+      castTime
+    };
+  }
+
+  /**
+   * Validate the mark a spell leaves on the ground. The caster's client says
+   * where its spell landed; it must have cast that spell recently, within
+   * reach of where it is, and each cast leaves one mark.
+   * @returns {Object|null} { spellType, x, z } to build the edit from, or null to drop it
+   */
+  handleTerrainEdit(room, playerId, data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const typeIndex = data.spellType;
+    const definition = this.definitions[typeIndex];
+    const player = room.players.get(playerId);
+    const movement = room.movement.get(playerId);
+    if (!definition || !definition.terrainEdit || !player || !movement) return null;
+
+    // A projectile may land up to its lifetime after the cast
+    const lastCast = movement.lastCast[typeIndex];
+    if (!lastCast || Date.now() - lastCast > (definition.life || 0) * 1000 + MAX_REWIND) return null;
+    if (movement.lastTerrainEdit[typeIndex] === lastCast) return null;
+
+    const x = Number(data.x);
+    const z = Number(data.z);
+    const reach = (definition.range || definition.speed * definition.life || 0) + MAX_CAST_DRIFT;
+    if (!Number.isFinite(x) || !Number.isFinite(z) || Math.hypot(x - player.x, z - player.z) > reach) {
+      return null;
+    }
+
+    movement.lastTerrainEdit[typeIndex] = lastCast;
+    return { spellType: typeIndex, x, z };
+  }
+
+  /**
+   * Advance every projectile in a room up to now and resolve hits
+   */
+  update(room, now = Date.now()) {
+    room.projectiles = room.projectiles.filter(projectile => !this.sweepProjectile(room, projectile, now));
+  }
+
+  /**
+   * Check a projectile's path from where it was last checked up to now
+   * @returns {boolean} True once the projectile hit something or expired
+   */
+  sweepProjectile(room, projectile, now) {
+    const { definition, origin, direction, castTime } = projectile;
+    const gravity = definition.gravity || 0;
+    const expiresAt = castTime + definition.life * 1000;
+    const endTime = Math.min(now, expiresAt);
+    const step = Math.min(MAX_STEP, (definition.hitRadius / definition.speed) * 1000);
+
+    const position = { x: 0, y: 0, z: 0 };
+    const target = { x: 0, y: 0, z: 0 };
+
+    for (let time = projectile.checkedUntil; time <= endTime; time += step) {
+      const t = (time - castTime) / 1000;
+      position.x = origin.x + direction.x * definition.speed * t;
+      position.y = origin.y + direction.y * definition.speed * t + 0.5 * gravity * t * t;
+      position.z = origin.z + direction.z * definition.speed * t;
+
+      for (const [playerId, movement] of room.movement) {
+        if (playerId === projectile.ownerId || movement.health.downed) continue;
+
+        // Where the caster saw this player when the projectile was here
+        if (!this.getPositionAt(movement.history, time - projectile.viewOffset, target)) continue;
+
+        if (this.distance(target, position) < definition.hitRadius) {
+          const velocity = {
+            x: direction.x * definition.speed,
+            y: direction.y * definition.speed + gravity * t,
+            z: direction.z * definition.speed
+          };
+          this.applyHit(room, projectile, playerId, movement, position, velocity, time);
+          return true;
+        }
+      }
+    }
+
+    projectile.checkedUntil = endTime;
+    return endTime >= expiresAt;
+  }
+
+  // Instant ray: the nearest player within the beam's width is hit
+  resolveBeam(room, spell) {
+    const { definition, origin, direction, castTime } = spell;
+    const target = { x: 0, y: 0, z: 0 };
+    let closest = null;
+
+    for (const [playerId, movement] of room.movement) {
+      if (playerId === spell.ownerId || movement.health.downed) continue;
+      if (!this.getPositionAt(movement.history, castTime - spell.viewOffset, target)) continue;
+
+      const along = (target.x - origin.x) * direction.x +
+        (target.y - origin.y) * direction.y +
+        (target.z - origin.z) * direction.z;
+      if (along < 0 || along > definition.range) continue;
+
+      const point = {
+        x: origin.x + direction.x * along,
+        y: origin.y + direction.y * along,
+        z: origin.z + direction.z * along
+      };
+
+      if (this.distance(point, target) < definition.width && (!closest || along < closest.along)) {
+        closest = { playerId, movement, along, position: { ...target } };
+      }
+    }
+
+    if (closest) {
+      this.applyHit(room, spell, closest.playerId, closest.movement, closest.position, direction, castTime);
+    }
+  }
+
+  // Burst around the caster: everyone within the radius is hit and pushed away
+  resolveArea(room, spell) {
+    const { definition, origin, castTime } = spell;
+    const target = { x: 0, y: 0, z: 0 };
+
+    for (const [playerId, movement] of room.movement) {
+      if (playerId === spell.ownerId || movement.health.downed) continue;
+      if (!this.getPositionAt(movement.history, castTime - spell.viewOffset, target)) continue;
+
+      if (this.distance(target, origin) < definition.radius) {
+        const away = { x: target.x - origin.x, y: target.y - origin.y, z: target.z - origin.z };
+        this.applyHit(room, spell, playerId, movement, { ...target }, away, castTime);
+      }
+    }
+  }
+
+  /**
+   * Apply damage and broadcast the hit
+   * @param {Object} push - Direction of the knockback (any length)
+   */
+  applyHit(room, spell, targetId, movement, position, push, time) {
+    const { definition } = spell;
+    const target = room.players.get(targetId);
+    if (!target) return;
+
+    // An active shield absorbs the hit completely. Otherwise the health
+    // tracker decides: recently hit or respawned targets take no damage.
+    const blocked = movement.shieldUntil > time;
+    const damage = blocked ? 0 : movement.health.takeDamage(definition.damage, Date.now());
+    target.health = movement.health.health;
+
+    const pushLength = Math.hypot(push.x, push.y, push.z) || 1;
+    const knockback = blocked ? 0 : definition.knockback / pushLength;
+
+    this.io.to(room.id).emit('spell_hit', {
+      spellId: spell.spellId,
+      spellType: spell.typeIndex,
+      casterId: spell.ownerId,
+      targetId,
+      damage,
+      health: target.health,
+      blocked,
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      knockbackX: push.x * knockback,
+      knockbackY: push.y * knockback,
+      knockbackZ: push.z * knockback
+    });
+
+    if (damage > 0 && movement.health.downed) {
+      this.io.to(room.id).emit('player_downed', {
+        playerId: targetId,
+        casterId: spell.ownerId,
+        respawnAt: movement.health.respawnAt
+      });
+    }
+  }
+
+  /**
+   * Interpolate a player's recorded position at a past time
+   * @param {Array} history - { time, x, y, z } entries, oldest first
+   * @returns {boolean} False if there is no history
+   */
+  getPositionAt(history, time, out) {
+    if (history.length === 0) return false;
+
+    let index = history.findIndex(entry => entry.time >= time);
+    if (index === -1) index = history.length - 1;
+
+    const next = history[index];
+    const previous = history[Math.max(index - 1, 0)];
+    const span = next.time - previous.time;
+    const t = span > 0 ? Math.min(Math.max((time - previous.time) / span, 0), 1) : 1;
+
+    out.x = previous.x + (next.x - previous.x) * t;
+    out.y = previous.y + (next.y - previous.y) * t;
+    out.z = previous.z + (next.z - previous.z) * t;
+    return true;
+  }
+
+  distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+  }
+
+  clampTime(value, min, max) {
+    const time = Number(value);
+    return Number.isFinite(time) ? Math.min(Math.max(time, min), max) : max;
+  }
+}
@@ -0,0 +1,70 @@
+import { createServer } from 'node:http';
+import { existsSync, createReadStream, statSync } from 'node:fs';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Server } from 'socket.io';
+import { GameServer } from './GameServer.js';
+
+const PORT = Number(process.env.PORT) || 3000;
+const DIST_DIR = resolve(fileURLToPath(new URL('../dist', import.meta.url)));
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+// Serve the production build (if present) so `yarn build && yarn server`
+// runs the game and the multiplayer server from a single origin.
+// During development Vite serves the client and this only handles sockets.
+function serveStatic(req, res) {
+  if (!existsSync(DIST_DIR)) {
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Magical Carpet multiplayer server is running');
+    return;
+  }
+
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+
+  let filePath = normalize(join(DIST_DIR, urlPath));
+
+  // Never serve files outside the build directory
+  if (filePath !== DIST_DIR && !filePath.startsWith(DIST_DIR + sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  if (!existsSync(filePath) || statSync(filePath).isDirectory()) {
+    filePath = join(DIST_DIR, 'index.html');
+  }
+
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(filePath)] || 'application/octet-stream' });
+  createReadStream(filePath).pipe(res);
+}
+
+const httpServer = createServer(serveStatic);
+
+const io = new Server(httpServer, {
+  // The Vite dev server runs on a different port
+  cors: { origin: true }
+});
+
+const gameServer = new GameServer(io);
+gameServer.start();
+
+httpServer.listen(PORT, () => {
+  console.log(`Multiplayer server listening on http://localhost:${PORT}`);
+});
@@ -4,12 +4,15 @@ import Stats from "three/examples/jsm/libs/stats.module";
 import { InputManager } from "./InputManager";
 import { AssetManager } from "./AssetManager";
 import { NetworkManager } from "../systems/NetworkManager";
+import { ClockSystem } from "../systems/ClockSystem";
 import { WorldSystem } from "../systems/WorldSystem";
 import { PlayerSystem } from "../systems/PlayerSystem";
+import { SpellSystem } from "../systems/SpellSystem";
 import { UISystem } from "../systems/UISystem";
 // Import new systems
 import { VegetationSystem } from "../systems/VegetationSystem";
 import { AtmosphereSystem } from "../systems/AtmosphereSystem";
+import { WeatherSystem } from "../systems/WeatherSystem";
 import { WaterSystem } from "../systems/WaterSystem";
 import { CarpetTrailSystem } from "../systems/CarpetTrailSystem";
 import { LandmarkSystem } from "../systems/LandmarkSystem";
@@ -17,14 +20,23 @@ import { MinimapSystem } from "../systems/MinimapSystem";
 import { MaterialSystemIntegration } from "../systems/materials/MaterialSystemIntegration";
 import { PhysicsSystem } from "../systems/physics/PhysicsSystem";
 import { MobileUI } from "../ui/MobileUI";
+import { SystemRegistry, resolveSystemVariants } from "./SystemRegistry";
 
 export class Engine {
-  constructor() {
+  /**
+   * @param {Object} config - { systemVariants: system name -> variant name }
+   *   (see SystemRegistry)
+   */
+  constructor(config = {}) {
     this.canvas = document.getElementById("game-canvas");
     this.clock = new THREE.Clock();
     this.delta = 0;
     this.elapsed = 0;
     this.systems = {};
+    this.systemRegistry = new SystemRegistry(resolveSystemVariants(config.systemVariants));
+    this.systemOrder = null; // System names in dependency order, once initialized
+    this.registerCoreSystems();
+    this.registerSystemVariants();
     this.isRunning = false;
     this.detectDeviceCapabilities();
 
@@ -108,16 +120,12 @@ export class Engine {
     // Initialize all core systems
     await this.assets.initialize();
 
-    // Create systems in correct order (dependencies first)
-    this.systems.materials = new MaterialSystemIntegration(this);
-    this.systems.network = new NetworkManager(this);
-    this.systems.physics = new PhysicsSystem(this);
-    this.systems.world = new WorldSystem(this);
-    this.systems.water = new WaterSystem(this);
-    this.systems.vegetation = new VegetationSystem(this);
-    this.systems.atmosphere = new AtmosphereSystem(this);
-    this.systems.player = new PlayerSystem(this);
-    this.systems.ui = new UISystem(this);
+    // Create the systems, each after the systems it depends on
+    const definitions = this.systemRegistry.sort();
+    this.systemOrder = definitions.map(definition => definition.name);
+    for (const definition of definitions) {
+      this.systems[definition.name] = await this.createSystem(definition.name, definition.SystemClass);
+    }
     
     // Initialize mobile UI if on mobile device
     if (this.isMobile) {
@@ -139,33 +147,14 @@ export class Engine {
         });
       }, 500);
     }
-    this.systems.carpetTrail = new CarpetTrailSystem(this);
-    this.systems.landmarks = new LandmarkSystem(this);
-    this.systems.minimap = new MinimapSystem(this);
-
-    // Define initialization order (some systems depend on others)
-    const initOrder = [
-      "materials",
-      "network",
-      "physics", // Physics system should be initialized before world
-      "world", // Base terrain must be initialized first
-      "water", // Water depends on world terrain
-      "vegetation", // Vegetation needs terrain to place trees
-      "atmosphere", // Atmosphere enhances the sky and adds clouds
-      "player", // Player needs terrain for physics
-      "ui", // UI needs player for HUD elements
-      "carpetTrail", // Trail system needs player
-      "landmarks",   // Landmarks need world and player
-      "minimap",    // Minimap needs world and player info
-    ];
 
     // Initialize systems in order
-    for (const systemName of initOrder) {
+    for (const systemName of this.systemOrder) {
       const system = this.systems[systemName];
-      if (system) {
+      if (typeof system.initialize === "function") {
         await system.initialize();
-        console.log(`System initialized: ${systemName}`);
       }
+      console.log(`System initialized: ${systemName}`);
     }
     
     // Initialize mobile UI if available
@@ -177,6 +166,9 @@ export class Engine {
     // Set up event handling
     this.input.initialize();
     
+    // Connect to the multiplayer server now that every system is listening
+    this.systems.network.connect();
+    
     // Configure input system to provide player state to UI
     if (this.input && this.systems.player) {
       // Add a small delay to ensure player system is ready
@@ -216,6 +208,83 @@ export class Engine {
     console.log("Engine initialized successfully");
   }
 
+  /**
+   * Add a system to the game, such as a gameplay module. Call it before
+   * initialize().
+   *
+   * The system is created with `new SystemClass(engine)` and becomes
+   * engine.systems[name]. Its hooks are optional methods, each called in
+   * dependency order:
+   * - initialize(): once at startup, after its dependencies' (may be async)
+   * - update(delta, elapsed): every frame, after its dependencies'
+   * - dispose(): when the engine is disposed, before its dependencies'
+   * @param {Object} definition - { name, SystemClass, dependencies: names
+   *   of the systems it needs }
+   */
+  registerSystem(definition) {
+    if (this.systemOrder) {
+      throw new Error(`The engine is already initialized; register the ${definition.name} system before`);
+    }
+    this.systemRegistry.add(definition);
+  }
+
+  /**
+   * The game's own systems. Where it doesn't matter, they keep this order.
+   */
+  registerCoreSystems() {
+    const systems = [
+      { name: "materials", SystemClass: MaterialSystemIntegration },
+      { name: "network", SystemClass: NetworkManager },
+      // World clock follows the room's clock from the network
+      { name: "clock", SystemClass: ClockSystem, dependencies: ["network"] },
+      { name: "physics", SystemClass: PhysicsSystem },
+      // World listens for the room's seed and terrain edits; physics samples it
+      { name: "world", SystemClass: WorldSystem, dependencies: ["network", "physics"] },
+      { name: "water", SystemClass: WaterSystem, dependencies: ["world", "clock"] },
+      // Vegetation needs terrain to place trees
+      { name: "vegetation", SystemClass: VegetationSystem, dependencies: ["world", "physics"] },
+      // Atmosphere enhances the sky and adds clouds
+      { name: "atmosphere", SystemClass: AtmosphereSystem, dependencies: ["world", "clock"] },
+      // Weather shades the atmosphere's sky and fog
+      { name: "weather", SystemClass: WeatherSystem, dependencies: ["atmosphere", "clock"] },
+      // Player needs terrain for physics
+      { name: "player", SystemClass: PlayerSystem, dependencies: ["network", "physics", "world"] },
+      // Spell effects follow players
+      { name: "spells", SystemClass: SpellSystem, dependencies: ["player"] },
+      { name: "carpetTrail", SystemClass: CarpetTrailSystem, dependencies: ["player"] },
+      { name: "landmarks", SystemClass: LandmarkSystem, dependencies: ["world", "player"] },
+      // UI needs player for HUD elements and shows the frame after the trail and landmarks
+      { name: "ui", SystemClass: UISystem, dependencies: ["player", "spells", "carpetTrail", "landmarks"] },
+      // Minimap comes after the rest of the game to capture all world changes
+      { name: "minimap", SystemClass: MinimapSystem, dependencies: ["world", "player", "landmarks"] }
+    ];
+
+    systems.forEach(definition => this.registerSystem(definition));
+  }
+
+  /**
+   * Alternative system implementations that can be chosen instead of the
+   * defaults, e.g. ?systems=world:fixed (see SystemRegistry)
+   */
+  registerSystemVariants() {
+    // Rewrites of the terrain and clouds, to compare with the current ones
+    this.systemRegistry.registerVariant("world", "fixed", () =>
+      import("../systems/WorldSystem.fixed.js").then(module => module.WorldSystem)
+    );
+    this.systemRegistry.registerVariant("atmosphere", "fixed", () =>
+      import("../systems/AtmosphereSystem.fixed.js").then(module => module.AtmosphereSystem)
+    );
+  }
+
+  /**
+   * Create a system from the variant chosen for it, the default class otherwise
+   * @param {string} name - Key in this.systems
+   * @param {Function} DefaultClass - The system's usual class
+   */
+  createSystem(name, DefaultClass) {
+    return this.systemRegistry.create(name, DefaultClass, this);
+  }
+
   animate() {
     if (!this.isRunning) return;
 
@@ -231,32 +300,11 @@ export class Engine {
     // Update quality settings based on performance
     this.updateQuality(this.delta);
 
-    // Update systems in correct order
-    const updateOrder = [
-      "materials",
-      "network",
-      "physics", // Update physics before world and player
-      "world",
-      "water",
-      "vegetation",
-      "atmosphere",
-      "player",
-      "carpetTrail", // Update trail after player movement
-      "landmarks",   // Update landmarks
-      "ui",
-      "minimap",    // Update minimap last to capture all world changes
-    ];
-
-    // Update systems
-    for (const systemName of updateOrder) {
+    // Update systems, each after the systems it depends on
+    for (const systemName of this.systemOrder) {
       const system = this.systems[systemName];
-      if (system && typeof system.update === "function") {
-        // Special case for physics system that needs the world reference
-        if (systemName === "physics") {
-          system.update(this.delta, this.systems.world, this.elapsed);
-        } else {
-          system.update(this.delta, this.elapsed);
-        }
+      if (typeof system.update === "function") {
+        system.update(this.delta, this.elapsed);
       }
     }
     
@@ -277,6 +325,22 @@ export class Engine {
     }
   }
 
+  /**
+   * Stop the game loop and dispose the systems, each before the systems it depends on
+   */
+  dispose() {
+    this.isRunning = false;
+    
+    for (const systemName of [...(this.systemOrder ?? [])].reverse()) {
+      const system = this.systems[systemName];
+      if (typeof system.dispose === "function") {
+        system.dispose();
+      }
+    }
+    
+    this.renderer.dispose();
+  }
+
   detectDeviceCapabilities() {
     // Enhanced device detection
     const userAgent = navigator.userAgent.toLowerCase();
@@ -346,6 +410,11 @@ export class Engine {
       this.input.setBatterySavingMode(enabled);
     }
     
+    // Drop to the lowest weather effects tier
+    if (this.systems.weather) {
+      this.systems.weather.applyQuality();
+    }
+    
     // Apply renderer optimizations for battery saving
     if (enabled) {
       // Reduce shadow quality
@@ -535,6 +604,11 @@ export class Engine {
         (this.isMobile ? 25 : 50);
     }
     
+    // Update weather effects tier
+    if (this.systems.weather) {
+      this.systems.weather.applyQuality();
+    }
+    
     // Update vegetation system view distance
     if (this.systems.vegetation) {
       this.systems.vegetation.vegetationDistance = this.qualityManager.highQualityMode ? 
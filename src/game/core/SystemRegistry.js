@@ -0,0 +1,181 @@
+/**
+ * The systems that make up the game, and alternative implementations of them
+ *
+ * Every system is registered with its name, class and the systems it depends
+ * on; Engine creates, initializes, updates and disposes them in dependency
+ * order (see Engine.registerSystem).
+ *
+ * Other implementations of a system register by system name and variant
+ * name, and are only loaded (as their own bundle chunk) when chosen, so two
+ * versions of a system can be compared in the running game without swapping
+ * files:
+ *
+ *   ?systems=world:fixed,atmosphere:fixed
+ *
+ * or `new Engine({ systemVariants: { world: "fixed" } })`. The URL wins over
+ * the config.
+ */
+
+export const DEFAULT_VARIANT = "default";
+
+/**
+ * Read the chosen variants from Engine config and the ?systems= URL parameter
+ * @param {Object} config - System name -> variant name
+ * @returns {Object} System name -> variant name, for the systems not using the default
+ */
+export function resolveSystemVariants(config = {}) {
+  const selected = { ...config };
+  if (typeof window === "undefined") return selected;
+
+  const value = new URLSearchParams(window.location.search).get("systems");
+  if (!value) return selected;
+
+  value.split(",").forEach(pair => {
+    const [name, variant] = pair.split(":");
+    if (name && variant) selected[name] = variant;
+  });
+
+  return selected;
+}
+
+/**
+ * Names of the methods a class defines or inherits, up to Object
+ */
+function getMethodNames(SystemClass) {
+  const names = new Set();
+  for (let proto = SystemClass.prototype; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    Object.getOwnPropertyNames(proto).forEach(name => {
+      if (name !== "constructor" && typeof proto[name] === "function") names.add(name);
+    });
+  }
+  return names;
+}
+
+export class SystemRegistry {
+  /**
+   * @param {Object} selected - System name -> variant name, from resolveSystemVariants
+   */
+  constructor(selected = {}) {
+    this.selected = selected;
+    this.definitions = new Map(); // System name -> { name, SystemClass, dependencies }, in registration order
+    this.loaders = new Map(); // System name -> Map of variant name -> loader
+    this.active = {}; // System name -> variant name actually in use
+  }
+
+  /**
+   * Register a system
+   * @param {Object} definition - { name, SystemClass, dependencies }
+   */
+  add({ name, SystemClass, dependencies = [] }) {
+    if (typeof name !== "string" || name === "") {
+      throw new Error("A system needs a name");
+    }
+    if (typeof SystemClass !== "function") {
+      throw new Error(`The ${name} system needs a class`);
+    }
+    if (this.definitions.has(name)) {
+      throw new Error(`A system named ${name} is already registered`);
+    }
+
+    this.definitions.set(name, { name, SystemClass, dependencies: [...dependencies] });
+  }
+
+  /**
+   * The registered systems, each after the systems it depends on. Systems
+   * that could go in either order keep their registration order.
+   * @returns {Array<Object>} Definitions as given to add
+   */
+  sort() {
+    for (const definition of this.definitions.values()) {
+      const unknown = definition.dependencies.filter(dependency => !this.definitions.has(dependency));
+      if (unknown.length > 0) {
+        throw new Error(`The ${definition.name} system depends on unregistered systems: ${unknown.join(", ")}`);
+      }
+    }
+
+    const sorted = [];
+    const placed = new Set();
+    const remaining = [...this.definitions.values()];
+
+    while (remaining.length > 0) {
+      const index = remaining.findIndex(definition =>
+        definition.dependencies.every(dependency => placed.has(dependency))
+      );
+      if (index === -1) {
+        throw new Error(`Systems depend on each other in a cycle: ${remaining.map(definition => definition.name).join(", ")}`);
+      }
+
+      const [definition] = remaining.splice(index, 1);
+      sorted.push(definition);
+      placed.add(definition.name);
+    }
+
+    return sorted;
+  }
+
+  /**
+   * Register an alternative implementation of a system
+   * @param {string} name - System name, as in engine.systems
+   * @param {string} variant - Variant name used to choose it
+   * @param {Function} load - Resolves to the system class, usually by a dynamic import
+   */
+  registerVariant(name, variant, load) {
+    if (variant === DEFAULT_VARIANT) {
+      throw new Error(`"${DEFAULT_VARIANT}" is the ${name} system Engine imports`);
+    }
+
+    if (!this.loaders.has(name)) this.loaders.set(name, new Map());
+    this.loaders.get(name).set(variant, load);
+  }
+
+  /**
+   * Variants that can be chosen for a system, the default first
+   */
+  getVariants(name) {
+    return [DEFAULT_VARIANT, ...(this.loaders.get(name)?.keys() ?? [])];
+  }
+
+  /**
+   * Create a system from the chosen variant
+   * @param {string} name - System name
+   * @param {Function} DefaultClass - Class used unless another variant is chosen
+   * @param {Engine} engine - Passed to the system's constructor
+   * @returns {Promise<Object>} The system, not yet initialized
+   */
+  async create(name, DefaultClass, engine) {
+    const SystemClass = await this.loadClass(name, DefaultClass);
+    return new SystemClass(engine);
+  }
+
+  async loadClass(name, DefaultClass) {
+    const variant = this.selected[name] ?? DEFAULT_VARIANT;
+    this.active[name] = DEFAULT_VARIANT;
+    if (variant === DEFAULT_VARIANT) return DefaultClass;
+
+    const load = this.loaders.get(name)?.get(variant);
+    if (!load) {
+      console.warn(`Unknown ${name} system variant "${variant}", using the default (have: ${this.getVariants(name).join(", ")})`);
+      return DefaultClass;
+    }
+
+    let SystemClass;
+    try {
+      SystemClass = await load();
+    } catch (error) {
+      console.error(`Could not load the ${variant} ${name} system, using the default:`, error);
+      return DefaultClass;
+    }
+
+    // Variants may lag behind the default; list what they lack so it is
+    // clear which features a comparison leaves out
+    const methods = getMethodNames(SystemClass);
+    const missing = [...getMethodNames(DefaultClass)].filter(method => !methods.has(method));
+    if (missing.length > 0) {
+      console.warn(`The ${variant} ${name} system lacks: ${missing.join(", ")}`);
+    }
+
+    console.log(`Using the ${variant} ${name} system`);
+    this.active[name] = variant;
+    return SystemClass;
+  }
+}
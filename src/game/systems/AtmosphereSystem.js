@@ -1,4 +1,9 @@
 import * as THREE from "three";
+import { CelestialBodies } from "./atmosphere/CelestialBodies";
+
+// Night sky, kept light enough to fly by
+const NIGHT_TOP_COLOR = 0x0b1433;
+const NIGHT_HORIZON_COLOR = 0x1c2a4f;
 
 export class AtmosphereSystem {
   constructor(engine) {
@@ -18,11 +23,26 @@ export class AtmosphereSystem {
     this.birdFlocks = [];
     this.enableBirds = !this.engine.isMobile; // Only enable on non-mobile
     
-    // Day/night cycle
-    this.dayDuration = 600; // 10 minutes per day cycle
-    this.timeOfDay = 0.3;   // Start at morning (0 = midnight, 0.5 = noon, 1 = midnight)
+    // Clouds drift with the wind at their height (see WindField)
+    this.cloudWind = new THREE.Vector3();
+    this._cloudWindSample = new THREE.Vector3();
+    this.cloudShade = 1; // Set from the weather's cloud cover
+    
+    // Day/night cycle, driven by the world clock (ClockSystem)
     this.sunPosition = new THREE.Vector3();
     this.sunLight = null;
+    
+    // Sun disc, moon and stars
+    this.celestial = new CelestialBodies(this);
+    
+    // The moon takes over the sun's directional light at night
+    this.moonLightColor = new THREE.Color(0x9fb4ff);
+    this.moonLightIntensity = 0.35;
+    this.lowSunColor = new THREE.Color(0xffb070);
+    this.lightDistance = 500; // Light sits this far from the player toward the sun or moon
+    this.sunIntensity = 1;
+    this.fillLights = [];
+    this.nightFill = 0.55; // Share of the fill lights left at night
   }
   
   async initialize() {
@@ -31,6 +51,22 @@ export class AtmosphereSystem {
     // Create enhanced sky
     this.createSky();
     
+    // Sun, moon and stars
+    this.celestial.initialize();
+    
+    // Drive WorldSystem's directional light; its target follows the player
+    // so shadows stay around them
+    this.sunLight = this.worldSystem?.sunLight || null;
+    if (this.sunLight) {
+      this.sunIntensity = this.sunLight.intensity;
+      this.scene.add(this.sunLight.target);
+    }
+    
+    // Fill lights dim at night, but not so far that the ground goes black
+    this.fillLights = [this.worldSystem?.ambientLight, this.worldSystem?.hemisphereLight]
+      .filter(Boolean)
+      .map(light => ({ light, intensity: light.intensity }));
+    
     // Create clouds with better appearance
     this.createClouds();
     
@@ -297,27 +333,28 @@ export class AtmosphereSystem {
   
   updateSkyColors() {
     // Update sky colors based on time of day
+    const timeOfDay = this.engine.systems.clock.getTimeOfDay();
     let topColor, bottomColor, fogColor, lightIntensity, lightColor;
     
-    if (this.timeOfDay < 0.25) {
+    if (timeOfDay < 0.25) {
       // Night to sunrise transition
-      const t = this.timeOfDay / 0.25;
-      topColor = new THREE.Color(0x000022).lerp(new THREE.Color(0x0077ff), t);
-      bottomColor = new THREE.Color(0x000022).lerp(new THREE.Color(0xff9933), t);
-      fogColor = new THREE.Color(0x000022).lerp(new THREE.Color(0xff9933), t);
+      const t = timeOfDay / 0.25;
+      topColor = new THREE.Color(NIGHT_TOP_COLOR).lerp(new THREE.Color(0x0077ff), t);
+      bottomColor = new THREE.Color(NIGHT_HORIZON_COLOR).lerp(new THREE.Color(0xff9933), t);
+      fogColor = new THREE.Color(NIGHT_HORIZON_COLOR).lerp(new THREE.Color(0xff9933), t);
       lightIntensity = t;
       lightColor = new THREE.Color(0xffffcc);
-    } else if (this.timeOfDay < 0.5) {
+    } else if (timeOfDay < 0.5) {
       // Sunrise to noon
-      const t = (this.timeOfDay - 0.25) / 0.25;
+      const t = (timeOfDay - 0.25) / 0.25;
       topColor = new THREE.Color(0x0077ff);
       bottomColor = new THREE.Color(0xff9933).lerp(new THREE.Color(0x89CFF0), t);
       fogColor = new THREE.Color(0xff9933).lerp(new THREE.Color(0x89CFF0), t);
       lightIntensity = 1.0;
       lightColor = new THREE.Color(0xffffcc);
-    } else if (this.timeOfDay < 0.75) {
+    } else if (timeOfDay < 0.75) {
       // Noon to sunset
-      const t = (this.timeOfDay - 0.5) / 0.25;
+      const t = (timeOfDay - 0.5) / 0.25;
       topColor = new THREE.Color(0x0077ff);
       bottomColor = new THREE.Color(0x89CFF0).lerp(new THREE.Color(0xff9933), t);
       fogColor = new THREE.Color(0x89CFF0).lerp(new THREE.Color(0xff9933), t);
@@ -325,14 +362,21 @@ export class AtmosphereSystem {
       lightColor = new THREE.Color(0xffffcc);
     } else {
       // Sunset to night
-      const t = (this.timeOfDay - 0.75) / 0.25;
-      topColor = new THREE.Color(0x0077ff).lerp(new THREE.Color(0x000022), t);
-      bottomColor = new THREE.Color(0xff9933).lerp(new THREE.Color(0x000022), t);
-      fogColor = new THREE.Color(0xff9933).lerp(new THREE.Color(0x000022), t);
+      const t = (timeOfDay - 0.75) / 0.25;
+      topColor = new THREE.Color(0x0077ff).lerp(new THREE.Color(NIGHT_TOP_COLOR), t);
+      bottomColor = new THREE.Color(0xff9933).lerp(new THREE.Color(NIGHT_HORIZON_COLOR), t);
+      fogColor = new THREE.Color(0xff9933).lerp(new THREE.Color(NIGHT_HORIZON_COLOR), t);
       lightIntensity = 1.0 - t;
       lightColor = new THREE.Color(0xffffcc);
     }
     
+    // Cloud cover greys the sky out and lightning flashes it white
+    const weather = this.engine.systems.weather;
+    if (weather) {
+      weather.applyToSky(topColor, bottomColor, fogColor);
+      lightIntensity *= weather.getSunlightFactor();
+    }
+    
     // Apply colors
     if (this.sky) {
       // Check if we're using the shader-based sky or basic material sky
@@ -352,21 +396,34 @@ export class AtmosphereSystem {
       this.scene.fog.color = fogColor;
     }
     
-    // Update sun light
+    // Update sun light: the sun by day, the moon by night. Each fades out at
+    // the horizon, so the light can swap bodies without a jump.
+    this.sunPosition.copy(this.celestial.sunDirection).multiplyScalar(this.lightDistance);
+    
     if (this.sunLight) {
-      this.sunLight.intensity = lightIntensity;
-      this.sunLight.color = lightColor;
+      const sunlight = THREE.MathUtils.smoothstep(this.celestial.sunDirection.y, 0, 0.15);
+      const weatherFactor = weather ? weather.getSunlightFactor() : 1;
+      const player = this.engine.systems.player?.localPlayer;
+      const center = player ? player.position : this.sunLight.target.position;
       
-      // Update sun position
-      const sunAngle = this.timeOfDay * Math.PI * 2;
-      this.sunPosition.set(
-        Math.cos(sunAngle) * 500,
-        Math.sin(sunAngle) * 500,
-        0
-      );
+      if (this.celestial.sunDirection.y > 0) {
+        this.sunLight.intensity = lightIntensity * sunlight * this.sunIntensity;
+        this.sunLight.color = lightColor.lerp(this.lowSunColor, 1 - THREE.MathUtils.smoothstep(this.celestial.sunDirection.y, 0, 0.3));
+        this.sunLight.position.copy(center).add(this.sunPosition);
+      } else {
+        const night = THREE.MathUtils.smoothstep(-this.celestial.sunDirection.y, 0, 0.1);
+        this.sunLight.intensity = this.celestial.getMoonlight() * night * this.moonLightIntensity * weatherFactor;
+        this.sunLight.color = this.moonLightColor;
+        this.sunLight.position.copy(center).addScaledVector(this.celestial.moonDirection, this.lightDistance);
+      }
       
-      this.sunLight.position.copy(this.sunPosition);
+      this.sunLight.target.position.copy(center);
     }
+    
+    const fill = this.nightFill + (1 - this.nightFill) * THREE.MathUtils.smoothstep(this.celestial.sunDirection.y, -0.1, 0.2);
+    this.fillLights.forEach(({ light, intensity }) => {
+      light.intensity = intensity * fill;
+    });
   }
   
   // FIXED: Better cloud update logic
@@ -374,10 +431,23 @@ export class AtmosphereSystem {
     const player = this.engine.systems.player?.localPlayer;
     if (!player) return;
     
+    // Wind at cloud height above the player; the layer is close enough to uniform
+    const windField = this.engine.systems.physics?.wind;
+    if (windField) {
+      this._cloudWindSample.set(player.position.x, this.cloudHeight, player.position.z);
+      windField.getWind(this._cloudWindSample, this.cloudWind, false);
+    }
+    
+    // Grey clouds under an overcast sky
+    const weather = this.engine.systems.weather;
+    if (weather && Math.abs(weather.cloudShade - this.cloudShade) > 0.01) {
+      this.setCloudShade(weather.cloudShade);
+    }
+    
     // Move clouds relative to player
     this.clouds.forEach((cloud, index) => {
-      // Move cloud at a slower rate
-      cloud.position.x += cloud.userData.speed * delta * 5;
+      // Drift with the wind, each cloud at its own pace
+      cloud.position.addScaledVector(this.cloudWind, (0.8 + cloud.userData.speed) * delta);
       
       // Rotate cloud slightly - reduced rotation speed
       cloud.rotation.y += cloud.userData.rotationSpeed * delta;
@@ -403,6 +473,15 @@ export class AtmosphereSystem {
     });
   }
   
+  setCloudShade(shade) {
+    this.cloudShade = shade;
+    this.clouds.forEach(cloud => {
+      cloud.children.forEach(particle => {
+        particle.material.color.setScalar(shade);
+      });
+    });
+  }
+  
   updateBirds(delta) {
     if (!this.enableBirds) return;
     
@@ -463,9 +542,9 @@ export class AtmosphereSystem {
   }
   
   update(delta) {
-    // Update time of day
-    this.timeOfDay += delta / this.dayDuration;
-    if (this.timeOfDay >= 1.0) this.timeOfDay -= 1.0;
+    // Move the sun, moon and stars
+    const clock = this.engine.systems.clock;
+    this.celestial.update(clock.getTimeOfDay(), clock.getDay(), this.engine.systems.weather?.current.cloudCover ?? 0);
     
     // Update sky colors (less frequently on mobile)
     if (!this.engine.isMobile || Math.floor(this.engine.elapsed) % 3 === 0) {
@@ -48,6 +48,18 @@ export class CarpetTrailSystem {
     this.steamEmissionRate = this.isMobile ? 2 : 5; // particles per second
     this.timeSinceLastSteam = 0;
     
+    // Impact effects (dust on land, spray on water), drawn with steam particles
+    this.impactParticles = [];
+    this.impactParticleCount = this.isMobile ? 8 : 24; // For the hardest impacts
+    this.impactLifespan = 1.2; // seconds
+    this.impactColors = {
+      land: 0x9b8365,
+      water: 0xd8f0ff
+    };
+    
+    // Particles drift with the wind around the carpet, sampled once per frame
+    this.wind = new THREE.Vector3();
+    
     // Stats for monitoring
     this.stats = {
       poolHits: 0,
@@ -105,6 +117,12 @@ export class CarpetTrailSystem {
     });
     this.steamParticles = [];
     
+    // Impact particles come from the steam pool too
+    this.impactParticles.forEach(particle => {
+      this.returnSteamParticleToPool(particle);
+    });
+    this.impactParticles = [];
+    
     // Update stats
     this.stats.activeParticles = 0;
   }
@@ -176,6 +194,11 @@ export class CarpetTrailSystem {
     
     // Initialize object pools
     this.initializePools();
+    
+    // Dust and spray when the local carpet hits the ground
+    this.engine.systems.player?.on('player_impact', (impact) => {
+      this.createImpactEffect(impact.position, impact.surface, impact.speed);
+    });
   }
   
   /**
@@ -325,9 +348,11 @@ export class CarpetTrailSystem {
     particle.visible = false;
     particle.position.set(0, -1000, 0);
     particle.material.opacity = 0.4;
+    particle.material.color.setHex(0xffffff);
     particle.scale.set(1, 1, 1);
     particle.userData.active = false;
     particle.userData.lifetime = 0;
+    particle.userData.gravity = 0;
     
     // Only maintain a reasonable pool size
     if (this.steamParticlePool.length < this.maxSteamParticles) {
@@ -578,6 +603,50 @@ export class CarpetTrailSystem {
     return particle;
   }
   
+  /**
+   * Burst of dust (land) or spray (water) where the carpet hit the ground
+   * @param {THREE.Vector3} position - Carpet position at the impact
+   * @param {string} surface - 'land' or 'water'
+   * @param {number} speed - Impact speed, scales the size of the burst
+   */
+  createImpactEffect(position, surface, speed) {
+    const strength = Math.min(1, speed / 150);
+    const count = Math.ceil(this.impactParticleCount * (0.3 + 0.7 * strength));
+    const isWater = surface === 'water';
+    const color = isWater ? this.impactColors.water : this.impactColors.land;
+    
+    for (let i = 0; i < count; i++) {
+      const particle = this.getSteamParticleFromPool();
+      particle.material.color.setHex(color);
+      particle.material.opacity = 0.7;
+      particle.lookAt(this.engine.camera.position);
+      particle.rotation.z = Math.random() * Math.PI * 2;
+      
+      // Start under the carpet, where it touched the surface
+      particle.position.copy(position);
+      particle.position.y -= 1;
+      
+      // Dust rolls outwards along the ground; spray is thrown up and falls back
+      const angle = Math.random() * Math.PI * 2;
+      const outward = (2 + Math.random() * 6) * (0.5 + strength);
+      particle.userData.velocity.set(
+        Math.cos(angle) * outward,
+        isWater ? (6 + Math.random() * 10) * (0.5 + strength) : 1 + Math.random() * 3,
+        Math.sin(angle) * outward
+      );
+      particle.userData.gravity = isWater ? 20 : 0;
+      
+      particle.userData.active = true;
+      particle.userData.lifetime = 0;
+      particle.userData.maxLifetime = this.impactLifespan * (0.6 + Math.random() * 0.4);
+      particle.userData.initialScale = isWater
+        ? 0.4 + Math.random() * 0.4
+        : (0.8 + Math.random() * 1.2) * (0.5 + strength);
+      
+      this.impactParticles.push(particle);
+    }
+  }
+  
   /**
    * Main update method
    */
@@ -591,6 +660,11 @@ export class CarpetTrailSystem {
     const velocity = player.velocity.clone();
     const speed = velocity.length();
     
+    const windField = this.engine.systems.physics?.wind;
+    if (windField) {
+      windField.getWind(player.position, this.wind);
+    }
+    
     // Update emission timers
     this.timeSinceLastEmission += delta;
     this.timeSinceLastRibbonUpdate += delta;
@@ -629,6 +703,7 @@ export class CarpetTrailSystem {
     this.updateParticles(delta);
     this.updateMotionLines(delta);
     this.updateSteamParticles(delta);
+    this.updateImpactParticles(delta);
     
     // Make sure ribbon updates to face camera
     if (this.ribbonMesh) {
@@ -647,8 +722,9 @@ export class CarpetTrailSystem {
       
       particle.userData.lifetime += delta;
       
-      // Update position based on velocity
+      // Update position based on velocity, carried by the wind
       particle.position.add(particle.userData.velocity.clone().multiplyScalar(delta * (this.isMobile ? 1.5 : 1.0)));
+      particle.position.addScaledVector(this.wind, delta);
       
       // Fade out particle based on lifetime
       const lifeRatio = particle.userData.lifetime / particle.userData.maxLifetime;
@@ -721,8 +797,9 @@ export class CarpetTrailSystem {
       
       particle.userData.lifetime += delta;
       
-      // Update position based on velocity
+      // Update position based on velocity, carried by the wind
       particle.position.add(particle.userData.velocity.clone().multiplyScalar(delta));
+      particle.position.addScaledVector(this.wind, delta);
       
       // Fade out particle based on lifetime
       const lifeRatio = particle.userData.lifetime / particle.userData.maxLifetime;
@@ -753,4 +830,35 @@ export class CarpetTrailSystem {
       this.returnSteamParticleToPool(particle);
     }
   }
+  
+  /**
+   * Update dust and spray particles and return expired ones to the pool
+   */
+  updateImpactParticles(delta) {
+    for (let i = this.impactParticles.length - 1; i >= 0; i--) {
+      const particle = this.impactParticles[i];
+      const data = particle.userData;
+      
+      data.lifetime += delta;
+      
+      // Spray falls back down; dust drifts to a stop
+      data.velocity.y -= data.gravity * delta;
+      if (data.gravity === 0) {
+        data.velocity.multiplyScalar(Math.max(0, 1 - delta * 1.5));
+      }
+      particle.position.addScaledVector(data.velocity, delta);
+      particle.position.addScaledVector(this.wind, delta);
+      
+      // Fade out and spread
+      const lifeRatio = data.lifetime / data.maxLifetime;
+      particle.material.opacity = 0.7 * (1 - lifeRatio);
+      const scale = data.initialScale * (1 + lifeRatio);
+      particle.scale.set(scale, scale, scale);
+      
+      if (data.lifetime >= data.maxLifetime) {
+        this.impactParticles.splice(i, 1);
+        this.returnSteamParticleToPool(particle);
+      }
+    }
+  }
 }
\ No newline at end of file
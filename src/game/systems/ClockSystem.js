@@ -0,0 +1,191 @@
+import { EventEmitter } from "../../utils/EventEmitter";
+import { WorldClock } from "../../utils/WorldClock.js";
+
+// Times of day announced as events, in order through the day
+export const CLOCK_EVENTS = [
+  { name: "midnight", timeOfDay: 0 },
+  { name: "sunrise", timeOfDay: 0.25 },
+  { name: "noon", timeOfDay: 0.5 },
+  { name: "sunset", timeOfDay: 0.75 }
+];
+
+// A step larger than this (in days) is a jump, not time passing
+const MAX_STEP_DAYS = 0.25;
+
+/**
+ * The world clock: time of day and day count for every system.
+ *
+ * Runs a WorldClock against the server time. In a multiplayer room the
+ * server owns the clock and its state arrives with game_state and
+ * world_clock; controls are sent to the server. Offline it runs locally.
+ *
+ * Events (all with { timeOfDay, day }):
+ *   midnight, sunrise, noon, sunset - the clock passed that time
+ *   clock_changed - the time jumped or the rate changed (set, paused,
+ *                   resumed, scaled, or synced from the server); also
+ *                   carries { timeScale, paused }
+ * onTimeOfDay() subscribes to any other time.
+ */
+export class ClockSystem extends EventEmitter {
+  constructor(engine) {
+    super();
+    this.engine = engine;
+    this.clock = new WorldClock(this.getNow());
+
+    // Cached each frame
+    this.days = this.clock.getDays(this.getNow());
+    this.timeOfDay = this.days - Math.floor(this.days);
+    this.day = Math.floor(this.days);
+
+    this.alarms = []; // { timeOfDay, callback } from onTimeOfDay
+  }
+
+  async initialize() {
+    const network = this.engine.systems.network;
+
+    if (network) {
+      // The room's clock, when joining and whenever someone changes it
+      network.on("game_state", (data) => {
+        if (data.clock) this.applyState(data.clock);
+      });
+
+      network.on("world_clock", (state) => {
+        this.applyState(state);
+      });
+    }
+
+    console.log(`World clock at day ${this.day}, ${this.formatTime()}`);
+  }
+
+  // Time base of the clock: the server's, so clients agree
+  getNow() {
+    const network = this.engine.systems.network;
+    return network ? network.getServerTime() : Date.now();
+  }
+
+  getTimeOfDay() {
+    return this.timeOfDay;
+  }
+
+  getDay() {
+    return this.day;
+  }
+
+  getTimeScale() {
+    return this.clock.timeScale;
+  }
+
+  isPaused() {
+    return this.clock.paused;
+  }
+
+  /**
+   * Sun height as a 0-1 factor: 0 from sunset to sunrise, 1 at noon
+   */
+  getDaylight() {
+    return Math.max(0, Math.sin((this.timeOfDay - 0.25) * Math.PI * 2));
+  }
+
+  isNight() {
+    return this.timeOfDay < 0.25 || this.timeOfDay >= 0.75;
+  }
+
+  /**
+   * Clock time as HH:MM
+   */
+  formatTime() {
+    const minutes = Math.floor(this.timeOfDay * 24 * 60);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  /**
+   * Jump to a time of day (forward, to the next day if it has passed)
+   * @param {number} timeOfDay - 0 = midnight, 0.5 = noon
+   */
+  setTime(timeOfDay) {
+    this.control({ timeOfDay });
+  }
+
+  /**
+   * @param {number} timeScale - In-game time per real time, 1 = a day per DAY_DURATION
+   */
+  setTimeScale(timeScale) {
+    this.control({ timeScale });
+  }
+
+  pause() {
+    this.control({ paused: true });
+  }
+
+  resume() {
+    this.control({ paused: false });
+  }
+
+  /**
+   * Change the clock: through the server in a multiplayer room (everyone's
+   * clock follows its world_clock answer), directly when offline
+   */
+  control(changes) {
+    const network = this.engine.systems.network;
+    if (network && network.sendClockControl(changes)) return;
+
+    if (this.clock.apply(changes, this.getNow())) {
+      this.refresh(true);
+    }
+  }
+
+  applyState(state) {
+    if (this.clock.setState(state)) {
+      this.refresh(true);
+    }
+  }
+
+  /**
+   * Call back every time the clock passes a time of day
+   * @param {number} timeOfDay - 0-1
+   * @param {Function} callback - Receives { timeOfDay, day }
+   * @returns {Function} Unsubscribe
+   */
+  onTimeOfDay(timeOfDay, callback) {
+    const alarm = { timeOfDay, callback };
+    this.alarms.push(alarm);
+    return () => {
+      this.alarms = this.alarms.filter(other => other !== alarm);
+    };
+  }
+
+  /**
+   * Read the clock; announce the times passed since the last read, or a jump
+   * @param {boolean} jumped - The clock was changed rather than running on
+   */
+  refresh(jumped = false) {
+    const previous = this.days;
+    this.days = this.clock.getDays(this.getNow());
+    this.timeOfDay = this.days - Math.floor(this.days);
+    this.day = Math.floor(this.days);
+
+    const step = this.days - previous;
+    const info = { timeOfDay: this.timeOfDay, day: this.day };
+
+    if (jumped || step < 0 || step > MAX_STEP_DAYS) {
+      this.emit("clock_changed", { ...info, timeScale: this.clock.timeScale, paused: this.clock.paused });
+      return;
+    }
+
+    // A time t was passed when the count of days since t went up
+    const passed = (timeOfDay) => Math.floor(this.days - timeOfDay) > Math.floor(previous - timeOfDay);
+
+    CLOCK_EVENTS.forEach(event => {
+      if (passed(event.timeOfDay)) this.emit(event.name, info);
+    });
+
+    this.alarms.forEach(alarm => {
+      if (passed(alarm.timeOfDay)) alarm.callback(info);
+    });
+  }
+
+  update() {
+    this.refresh();
+  }
+}
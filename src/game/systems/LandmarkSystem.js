@@ -1,4 +1,5 @@
 import * as THREE from "three";
+import { createSeededRandom, hashCoords } from "../../utils/SeededRandom.js";
 
 export class LandmarkSystem {
   constructor(engine) {
@@ -17,6 +18,7 @@ export class LandmarkSystem {
         maxSlope: 0.2,        // Must be on relatively flat ground
         frequency: 0.00001,   // Rarity factor
         size: { min: 20, max: 40 },
+        biomes: ["plains", "desert", "savanna", "forest", "tundra"],
         requiresWater: false
       },
       {
@@ -27,6 +29,7 @@ export class LandmarkSystem {
         maxSlope: 0.3,
         frequency: 0.00002,
         size: { min: 10, max: 25 },
+        biomes: ["forest", "plains", "rainforest", "taiga"],
         requiresWater: false
       },
       {
@@ -37,10 +40,20 @@ export class LandmarkSystem {
         maxSlope: 0.6,        // Can be on steeper terrain
         frequency: 0.000015,
         size: { min: 15, max: 35 },
+        biomes: ["mountains", "tundra", "taiga", "snow", "desert"],
         requiresWater: false
       }
     ];
     
+    // Landmark placement is evaluated on a per-type grid of cells derived from
+    // the world seed. Each cell holds at most one landmark near its centre, which
+    // keeps same-type landmarks at least minDistance apart without depending on
+    // the order chunks were explored in.
+    this.checkedCells = new Map(); // Cell key -> { x, z, size }
+    this.cellSpawnScale = 25000; // Converts a type's frequency into a per-cell chance
+    this.candidatesPerCell = 4;
+    this.lastCheckedChunk = null;
+    
     // Materials
     this.materials = {
       stone: new THREE.MeshStandardMaterial({
@@ -70,12 +83,29 @@ export class LandmarkSystem {
         opacity: 0.7
       })
     };
+    
+    // Glowing elements shine brighter after dark
+    this.nightGlow = 1.8;  // Glow multiplier at night
+    this.glowFadeTime = 4; // Seconds to brighten or dim at dusk and dawn
+    this.glowTarget = 1;
+    this.glow = 1;
   }
   
   initialize() {
     console.log("Initializing LandmarkSystem...");
     
-    // Create more materials here if needed
+    // Follow the world clock's nights
+    const clock = this.engine.systems.clock;
+    if (clock) {
+      const updateGlowTarget = () => {
+        this.glowTarget = clock.isNight() ? this.nightGlow : 1;
+      };
+      clock.on("sunset", updateGlowTarget);
+      clock.on("sunrise", updateGlowTarget);
+      clock.on("clock_changed", updateGlowTarget);
+      updateGlowTarget();
+      this.glow = this.glowTarget;
+    }
     
     console.log("LandmarkSystem initialized");
   }
@@ -94,24 +124,18 @@ export class LandmarkSystem {
       return false;
     }
     
+    // Check the biome (WorldSystem.getBiome)
+    if (landmarkType.biomes && !landmarkType.biomes.includes(this.worldSystem.getBiome(x, z, height))) {
+      return false;
+    }
+    
     // Check slope constraints
     const slope = this.worldSystem.calculateSlope(x, z);
     if (slope > landmarkType.maxSlope) {
       return false;
     }
     
-    // Check distance from other landmarks of same type
-    for (const [key, landmark] of this.landmarks.entries()) {
-      if (landmark.type === landmarkType.name) {
-        const dx = landmark.position.x - x;
-        const dz = landmark.position.z - z;
-        const distance = Math.sqrt(dx * dx + dz * dz);
-        
-        if (distance < landmarkType.minDistance) {
-          return false;
-        }
-      }
-    }
+    // Spacing between landmarks of the same type is guaranteed by the placement grid
     
     // Check water requirement
     if (landmarkType.requiresWater) {
@@ -144,9 +168,11 @@ export class LandmarkSystem {
    * @param {number} x - X coordinate
    * @param {number} z - Z coordinate
    * @param {Object} landmarkType - Landmark type configuration
+   * @param {function(): number} random - Random generator used for the landmark's shape
+   * @param {string} landmarkId - Stable ID for the landmark (generated if omitted)
    * @returns {THREE.Group} The landmark mesh group
    */
-  createLandmark(x, z, landmarkType) {
+  createLandmark(x, z, landmarkType, random = Math.random, landmarkId = null) {
     try {
       // Validate coordinates
       if (x === undefined || isNaN(x) || z === undefined || isNaN(z)) {
@@ -175,18 +201,18 @@ export class LandmarkSystem {
       
       // Determine size (with some randomness)
       const sizeRange = landmarkType.size.max - landmarkType.size.min;
-      const size = landmarkType.size.min + Math.random() * sizeRange;
+      const size = landmarkType.size.min + random() * sizeRange;
       
       // Create different landmark types
       switch (landmarkType.name) {
         case "ancient_ruins":
-          this.createAncientRuins(landmarkGroup, size);
+          this.createAncientRuins(landmarkGroup, size, random);
           break;
         case "magical_circle":
-          this.createMagicalCircle(landmarkGroup, size);
+          this.createMagicalCircle(landmarkGroup, size, random);
           break;
         case "crystal_formation":
-          this.createCrystalFormation(landmarkGroup, size);
+          this.createCrystalFormation(landmarkGroup, size, random);
           break;
         default:
           console.warn('Unknown landmark type:', landmarkType.name);
@@ -194,18 +220,25 @@ export class LandmarkSystem {
       }
       
       // Save landmark with unique ID
-      const landmarkId = `${landmarkType.name}_${this.landmarks.size}`;
-      this.landmarks.set(landmarkId, {
-        id: landmarkId,
+      const id = landmarkId || `${landmarkType.name}_${this.landmarks.size}`;
+      const landmark = {
+        id: id,
         type: landmarkType.name,
         position: new THREE.Vector3(x, y, z),
         size: size,
-        mesh: landmarkGroup
-      });
+        mesh: landmarkGroup,
+        colliders: []
+      };
+      this.landmarks.set(id, landmark);
       
       // Add to scene
       this.scene.add(landmarkGroup);
       
+      // Columns, pillars and crystals are solid; flat platforms are left to fly over
+      if (this.engine.systems.physics) {
+        landmark.colliders = this.engine.systems.physics.addMeshColliders(landmarkGroup, landmark);
+      }
+      
       return landmarkGroup;
     } catch (error) {
       console.error('Error creating landmark:', error);
@@ -217,8 +250,9 @@ export class LandmarkSystem {
    * Creates ancient ruins landmark
    * @param {THREE.Group} group - Parent group
    * @param {number} size - Size of the landmark
+   * @param {function(): number} random - Random generator (seeded for the landmark)
    */
-  createAncientRuins(group, size) {
+  createAncientRuins(group, size, random = Math.random) {
     // Create circular arrangement of broken columns
     const columnCount = Math.floor(5 + size / 8);
     const radius = size * 0.5;
@@ -229,8 +263,8 @@ export class LandmarkSystem {
       const z = Math.sin(angle) * radius;
       
       // Random column height (some broken)
-      const height = size * 0.3 * (0.3 + Math.random() * 0.7);
-      const isIntact = Math.random() > 0.6;
+      const height = size * 0.3 * (0.3 + random() * 0.7);
+      const isIntact = random() > 0.6;
       
       // Create column
       const columnGeometry = new THREE.CylinderGeometry(
@@ -246,12 +280,12 @@ export class LandmarkSystem {
       column.receiveShadow = true;
       
       // Add some randomness to rotation
-      column.rotation.y = Math.random() * 0.2;
+      column.rotation.y = random() * 0.2;
       
       // If broken, tilt the column
       if (!isIntact) {
-        const tiltAmount = Math.random() * 0.3;
-        const tiltDirection = Math.random() * Math.PI * 2;
+        const tiltAmount = random() * 0.3;
+        const tiltDirection = random() * Math.PI * 2;
         column.rotation.x = Math.cos(tiltDirection) * tiltAmount;
         column.rotation.z = Math.sin(tiltDirection) * tiltAmount;
       }
@@ -259,19 +293,19 @@ export class LandmarkSystem {
       group.add(column);
       
       // Add broken pieces around some columns
-      if (Math.random() > 0.5) {
-        const pieceCount = Math.floor(Math.random() * 3) + 1;
+      if (random() > 0.5) {
+        const pieceCount = Math.floor(random() * 3) + 1;
         
         for (let j = 0; j < pieceCount; j++) {
-          const pieceSize = size * 0.03 + Math.random() * size * 0.03;
+          const pieceSize = size * 0.03 + random() * size * 0.03;
           const pieceGeometry = new THREE.BoxGeometry(
             pieceSize, pieceSize, pieceSize
           );
           const piece = new THREE.Mesh(pieceGeometry, this.materials.ruinedStone);
           
           // Position relative to column
-          const distance = size * 0.1 * Math.random();
-          const pieceAngle = Math.random() * Math.PI * 2;
+          const distance = size * 0.1 * random();
+          const pieceAngle = random() * Math.PI * 2;
           piece.position.set(
             x + Math.cos(pieceAngle) * distance,
             pieceSize * 0.5, // Half height
@@ -280,9 +314,9 @@ export class LandmarkSystem {
           
           // Random rotation
           piece.rotation.set(
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI
+            random() * Math.PI,
+            random() * Math.PI,
+            random() * Math.PI
           );
           
           piece.castShadow = true;
@@ -325,8 +359,9 @@ export class LandmarkSystem {
    * Creates magical circle landmark
    * @param {THREE.Group} group - Parent group
    * @param {number} size - Size of the landmark
+   * @param {function(): number} random - Random generator (seeded for the landmark)
    */
-  createMagicalCircle(group, size) {
+  createMagicalCircle(group, size, random = Math.random) {
     // Create circular platform
     const platformGeometry = new THREE.CylinderGeometry(
       size * 0.5,
@@ -402,8 +437,9 @@ export class LandmarkSystem {
    * Creates crystal formation landmark
    * @param {THREE.Group} group - Parent group
    * @param {number} size - Size of the landmark
+   * @param {function(): number} random - Random generator (seeded for the landmark)
    */
-  createCrystalFormation(group, size) {
+  createCrystalFormation(group, size, random = Math.random) {
     // Choose main color theme for this formation
     const colors = [
       new THREE.Color(0x8866ff), // Purple
@@ -411,7 +447,7 @@ export class LandmarkSystem {
       new THREE.Color(0xff66aa), // Pink
       new THREE.Color(0x66ffaa)  // Green
     ];
-    const mainColor = colors[Math.floor(Math.random() * colors.length)];
+    const mainColor = colors[Math.floor(random() * colors.length)];
     
     // Create base rock formation
     const baseGeometry = new THREE.DodecahedronGeometry(size * 0.3);
@@ -430,13 +466,13 @@ export class LandmarkSystem {
       const z = basePositions.getZ(i);
       
       const distortAmount = size * 0.05;
-      const noise = Math.random() * distortAmount;
+      const noise = random() * distortAmount;
       
       basePositions.setXYZ(
         i,
-        x + (Math.random() - 0.5) * noise,
-        y + (Math.random() - 0.5) * noise,
-        z + (Math.random() - 0.5) * noise
+        x + (random() - 0.5) * noise,
+        y + (random() - 0.5) * noise,
+        z + (random() - 0.5) * noise
       );
     }
     
@@ -450,8 +486,8 @@ export class LandmarkSystem {
     const crystalCount = Math.floor(size / 4) + 5;
     for (let i = 0; i < crystalCount; i++) {
       // Vary crystal properties
-      const crystalSize = size * (0.05 + Math.random() * 0.1);
-      const crystalType = Math.floor(Math.random() * 3);
+      const crystalSize = size * (0.05 + random() * 0.1);
+      const crystalType = Math.floor(random() * 3);
       
       // Choose geometry based on type
       let crystalGeometry;
@@ -477,9 +513,9 @@ export class LandmarkSystem {
       const crystal = new THREE.Mesh(crystalGeometry, crystalMaterial);
       
       // Position crystal on base rock
-      const angle = Math.random() * Math.PI * 2;
-      const distance = size * 0.3 * Math.random();
-      const height = size * 0.2 + size * 0.1 * Math.random();
+      const angle = random() * Math.PI * 2;
+      const distance = size * 0.3 * random();
+      const height = size * 0.2 + size * 0.1 * random();
       
       crystal.position.set(
         Math.cos(angle) * distance,
@@ -489,21 +525,58 @@ export class LandmarkSystem {
       
       // Random rotation
       crystal.rotation.set(
-        Math.random() * Math.PI,
-        Math.random() * Math.PI,
-        Math.random() * Math.PI
+        random() * Math.PI,
+        random() * Math.PI,
+        random() * Math.PI
       );
       
       crystal.castShadow = true;
       crystal.userData.isGlowing = true;
       crystal.userData.originalIntensity = 0.4;
-      crystal.userData.pulseRate = 0.5 + Math.random();
+      crystal.userData.pulseRate = 0.5 + random();
       group.add(crystal);
     }
   }
   
   /**
-   * Check for potential landmark locations in loaded chunks
+   * Build the landmark (if any) that the world seed places in a grid cell
+   * @param {Object} landmarkType - Landmark type configuration
+   * @param {number} cellX - Cell X index
+   * @param {number} cellZ - Cell Z index
+   */
+  checkLandmarkCell(landmarkType, cellX, cellZ) {
+    const landmarkId = `${landmarkType.name}_${cellX}_${cellZ}`;
+    if (this.landmarks.has(landmarkId)) return;
+    
+    const typeIndex = this.landmarkTypes.indexOf(landmarkType);
+    const random = createSeededRandom(hashCoords(this.worldSystem.seed, cellX, cellZ, 100 + typeIndex));
+    
+    // Decide whether this cell hosts a landmark at all
+    if (random() > landmarkType.frequency * this.cellSpawnScale) return;
+    
+    // Candidates stay in the central half of the cell (cell size is twice minDistance)
+    const cellSize = landmarkType.minDistance * 2;
+    
+    for (let i = 0; i < this.candidatesPerCell; i++) {
+      const worldX = (cellX + 0.25 + random() * 0.5) * cellSize;
+      const worldZ = (cellZ + 0.25 + random() * 0.5) * cellSize;
+      
+      // Check if location is suitable
+      if (this.isPositionSuitableForLandmark(worldX, worldZ, landmarkType)) {
+        // The landmark's shape comes from its own stream so it is rebuilt identically
+        const shapeRandom = createSeededRandom(hashCoords(this.worldSystem.seed, cellX, cellZ, 200 + typeIndex));
+        
+        console.log(`Creating ${landmarkType.name} landmark at ${worldX}, ${worldZ}`);
+        if (this.createLandmark(worldX, worldZ, landmarkType, shapeRandom, landmarkId)) {
+          this.landmarks.get(landmarkId).cellKey = `${landmarkType.name}:${cellX},${cellZ}`;
+        }
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Check for potential landmark locations around the player
    * Should be called periodically during gameplay
    */
   checkForLandmarkLocations() {
@@ -521,49 +594,33 @@ export class LandmarkSystem {
         return; // Skip if worldSystem is not properly initialized
       }
       
-      // Only check occasionally
-      if (Math.random() > 0.01) return; // 1% chance per call
-      
-      // Get player chunk
-      const playerChunkX = Math.floor(player.position.x / this.worldSystem.chunkSize);
-      const playerChunkZ = Math.floor(player.position.z / this.worldSystem.chunkSize);
+      // Only check when the player enters a new chunk
+      const chunkSize = this.worldSystem.chunkSize;
+      const chunkKey = `${Math.floor(player.position.x / chunkSize)},${Math.floor(player.position.z / chunkSize)}`;
+      if (chunkKey === this.lastCheckedChunk) return;
+      this.lastCheckedChunk = chunkKey;
       
       // Check a larger area around player
-      const checkDistance = this.worldSystem.viewDistance + 2;
-      
-      // Try several random locations
-      const attemptCount = 5;
-      
-      for (let i = 0; i < attemptCount; i++) {
-        // Pick random chunk in range
-        const dx = Math.floor(Math.random() * checkDistance * 2) - checkDistance;
-        const dz = Math.floor(Math.random() * checkDistance * 2) - checkDistance;
-        
-        const chunkX = playerChunkX + dx;
-        const chunkZ = playerChunkZ + dz;
-        
-        // Convert to world coordinates
-        const worldX = chunkX * this.worldSystem.chunkSize + Math.random() * this.worldSystem.chunkSize;
-        const worldZ = chunkZ * this.worldSystem.chunkSize + Math.random() * this.worldSystem.chunkSize;
-        
-        // Validate coordinates
-        if (isNaN(worldX) || isNaN(worldZ)) {
-          continue; // Skip this attempt if coordinates are invalid
-        }
+      const checkRadius = chunkSize * (this.worldSystem.viewDistance + 2);
+      
+      for (const landmarkType of this.landmarkTypes) {
+        const cellSize = landmarkType.minDistance * 2;
+        const minCellX = Math.floor((player.position.x - checkRadius) / cellSize);
+        const maxCellX = Math.floor((player.position.x + checkRadius) / cellSize);
+        const minCellZ = Math.floor((player.position.z - checkRadius) / cellSize);
+        const maxCellZ = Math.floor((player.position.z + checkRadius) / cellSize);
         
-        // Use global frequency check
-        if (Math.random() > 0.2) continue; // Only consider 20% of attempts
-        
-        // Try each landmark type
-        for (const landmarkType of this.landmarkTypes) {
-          // Check if this type should spawn based on frequency
-          if (Math.random() > landmarkType.frequency * 1000) continue;
-          
-          // Check if location is suitable
-          if (this.isPositionSuitableForLandmark(worldX, worldZ, landmarkType)) {
-            console.log(`Creating ${landmarkType.name} landmark at ${worldX}, ${worldZ}`);
-            this.createLandmark(worldX, worldZ, landmarkType);
-            return; // Only create one landmark at a time
+        for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+          for (let cellZ = minCellZ; cellZ <= maxCellZ; cellZ++) {
+            const cellKey = `${landmarkType.name}:${cellX},${cellZ}`;
+            if (this.checkedCells.has(cellKey)) continue;
+            
+            this.checkedCells.set(cellKey, {
+              x: (cellX + 0.5) * cellSize,
+              z: (cellZ + 0.5) * cellSize,
+              size: cellSize
+            });
+            this.checkLandmarkCell(landmarkType, cellX, cellZ);
           }
         }
       }
@@ -582,6 +639,9 @@ export class LandmarkSystem {
       // Check for new landmark locations
       this.checkForLandmarkLocations();
       
+      // Ease toward the day or night glow
+      this.glow += (this.glowTarget - this.glow) * Math.min(1, delta / this.glowFadeTime);
+      
       // Apply animations to landmark elements
       for (const [id, landmark] of this.landmarks.entries()) {
         const landmarkMesh = landmark.mesh;
@@ -596,7 +656,7 @@ export class LandmarkSystem {
             const pulseRate = object.userData.pulseRate || 1.0;
             const intensity = object.userData.originalIntensity || 0.5;
             
-            const newIntensity = intensity * (0.7 + Math.sin(elapsed * pulseRate) * 0.3);
+            const newIntensity = intensity * this.glow * (0.7 + Math.sin(elapsed * pulseRate) * 0.3);
             if (object.material && object.material.emissiveIntensity !== undefined) {
               object.material.emissiveIntensity = newIntensity;
             }
@@ -618,8 +678,7 @@ export class LandmarkSystem {
           // Skip landmarks with invalid positions
           if (!landmark.position || isNaN(landmark.position.x) || isNaN(landmark.position.z)) {
             // Clean up invalid landmark
-            if (landmark.mesh) this.scene.remove(landmark.mesh);
-            this.landmarks.delete(id);
+            this.removeLandmark(id);
             continue;
           }
           
@@ -629,8 +688,22 @@ export class LandmarkSystem {
           
           if (distanceSquared > maxDistance * maxDistance) {
             // Remove landmark from scene
-            this.scene.remove(landmark.mesh);
-            this.landmarks.delete(id);
+            this.removeLandmark(id);
+            
+            // Allow its cell to be evaluated again when the player comes back
+            if (landmark.cellKey) this.checkedCells.delete(landmark.cellKey);
+          }
+        }
+        
+        // Forget distant cells so their landmarks are rebuilt when the player returns.
+        // The padding keeps a cell around until its landmark has been removed.
+        for (const [cellKey, cell] of this.checkedCells.entries()) {
+          const dx = cell.x - player.position.x;
+          const dz = cell.z - player.position.z;
+          const cellReach = maxDistance + cell.size * 0.5;
+          
+          if (dx * dx + dz * dz > cellReach * cellReach) {
+            this.checkedCells.delete(cellKey);
           }
         }
       }
@@ -639,6 +712,56 @@ export class LandmarkSystem {
     }
   }
   
+  /**
+   * Find the closest landmark of a type to a position
+   * @param {THREE.Vector3} position - Position to measure from
+   * @param {string} type - Landmark type name, e.g. "magical_circle"
+   * @returns {{landmark: Object, distance: number}|null} Closest landmark, or null if none exist
+   */
+  findNearestLandmark(position, type) {
+    let nearest = null;
+    
+    for (const landmark of this.landmarks.values()) {
+      if (landmark.type !== type) continue;
+      
+      const distance = landmark.position.distanceTo(position);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { landmark, distance };
+      }
+    }
+    
+    return nearest;
+  }
+  
+  /**
+   * Take a landmark out of the scene, collisions and the collection
+   * @param {string} id - Landmark ID
+   */
+  removeLandmark(id) {
+    const landmark = this.landmarks.get(id);
+    if (!landmark) return;
+    
+    if (landmark.mesh) this.scene.remove(landmark.mesh);
+    
+    const physics = this.engine.systems.physics;
+    if (physics && landmark.colliders) {
+      landmark.colliders.forEach(collider => physics.removeCollider(collider));
+    }
+    
+    this.landmarks.delete(id);
+  }
+  
+  /**
+   * Remove all landmarks so they are placed again from the new world seed
+   */
+  handleSeedChange() {
+    for (const id of Array.from(this.landmarks.keys())) {
+      this.removeLandmark(id);
+    }
+    this.checkedCells.clear();
+    this.lastCheckedChunk = null;
+  }
+  
   /**
    * Handle visibility change event
    */
@@ -660,13 +783,8 @@ export class LandmarkSystem {
       if (!position || isNaN(position.x) || isNaN(position.y) || isNaN(position.z)) {
         console.log(`Removing invalid landmark: ${id}`);
         
-        // Remove from scene
-        if (landmark.mesh) {
-          this.scene.remove(landmark.mesh);
-        }
-        
-        // Remove from collection
-        this.landmarks.delete(id);
+        // Remove from scene, collisions and collection
+        this.removeLandmark(id);
       }
     }
   }
@@ -14,11 +14,17 @@ export class MinimapSystem {
     
     // Visual settings
     this.colors = {
-      water: 'rgba(0, 100, 200, 0.8)',
-      mountain: 'rgba(100, 100, 100, 0.8)',
-      forest: 'rgba(0, 100, 0, 0.8)',
+      // Biomes (WorldSystem.getBiome)
+      ocean: 'rgba(0, 100, 200, 0.8)',
+      beach: 'rgba(220, 210, 160, 0.8)',
       desert: 'rgba(200, 180, 120, 0.8)',
+      savanna: 'rgba(170, 170, 80, 0.8)',
+      rainforest: 'rgba(0, 120, 30, 0.8)',
       plains: 'rgba(0, 170, 0, 0.8)',
+      forest: 'rgba(0, 100, 0, 0.8)',
+      taiga: 'rgba(30, 90, 60, 0.8)',
+      tundra: 'rgba(140, 150, 120, 0.8)',
+      mountains: 'rgba(100, 100, 100, 0.8)',
       snow: 'rgba(240, 240, 250, 0.8)',
       landmark: {
         ancient_ruins: 'rgba(200, 180, 100, 0.9)',
@@ -160,56 +166,17 @@ export class MinimapSystem {
         const worldX = player.position.x - (this.range / 2) + (i * sampleStep);
         const worldZ = player.position.z - (this.range / 2) + (j * sampleStep);
         
-        // Get height and determine biome
-        let height, biome;
-        
+        // Biome of the sample
+        let biome;
         try {
-          // Use the terrain height function if available
-          height = worldSystem.getTerrainHeight ? 
-                   worldSystem.getTerrainHeight(worldX, worldZ) : 
-                   0;
-                   
-          // Try to get biome information through various methods
-          if (worldSystem.getBiomeAt) {
-            biome = worldSystem.getBiomeAt(worldX, worldZ);
-          } else {
-            // Estimate biome based on height if no direct method
-            if (height < worldSystem.waterLevel || height < 0) {
-              biome = 'water';
-            } else if (height > 80) {
-              biome = 'mountain';
-            } else if (height > 60) {
-              biome = 'forest';
-            } else {
-              biome = 'plains';
-            }
-          }
+          biome = worldSystem.getBiome(worldX, worldZ);
         } catch (error) {
-          // Default fallback values
-          height = 0;
           biome = 'plains';
         }
         
         // Convert to minimap coordinates
         const mapPos = this.worldToMap(worldX, worldZ);
-        
-        // Determine color based on height and biome
-        let color;
-        if (height < (worldSystem.waterLevel || 0)) {
-          // Water
-          color = this.colors.water;
-        } else if (biome === 'mountain' || height > 80) {
-          color = this.colors.mountain;
-        } else if (biome === 'forest' || height > 60) {
-          color = this.colors.forest;
-        } else if (biome === 'desert') {
-          color = this.colors.desert;
-        } else if (biome === 'snow') {
-          color = this.colors.snow;
-        } else {
-          // Default terrain
-          color = this.colors.plains;
-        }
+        const color = this.colors[biome] || this.colors.plains;
         
         // Draw terrain pixel
         this.context.fillStyle = color;
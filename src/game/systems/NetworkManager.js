@@ -1,5 +1,12 @@
 import { io } from 'socket.io-client';
 import { EventEmitter } from '../../utils/EventEmitter';
+import { normalizeSeed } from '../../utils/SeededRandom.js';
+import { MANA_RESPAWN_TIME } from '../../utils/ManaLayout.js';
+import { HealthTracker, SPAWN_POSITION, getCrashDamage } from '../../utils/HealthTracker.js';
+import { SnapshotBuffer } from './network/SnapshotBuffer.js';
+import { NetworkConditioner, resolveNetworkConditions } from './network/NetworkConditioner.js';
+import { STATE_SCHEMA_VERSION, encodePlayerState, decodePlayerState } from '../../utils/PlayerStateCodec.js';
+import { createSpellTerrainEdit } from '../../utils/TerrainEdits.js';
 import * as THREE from 'three';
 
 export class NetworkManager extends EventEmitter {
@@ -7,36 +14,49 @@ export class NetworkManager extends EventEmitter {
     super();
     this.engine = engine;
     this.socket = null;
+    this.conditioner = null; // Set when ?netsim= simulates a bad network
     this.players = new Map();
     this.localPlayerId = null;
     this.serverTimeDiff = 0;
     this.ping = 0;
     
+    // Connection state
+    this.roomId = null;
+    this.hasConnected = false; // True once a server has accepted us
+    this.isSimulated = false; // True when running the offline simulation
+    this.simulatedHealth = new Map(); // Player id -> HealthTracker, offline simulation only
+    this.binaryEnabled = false; // True when the server speaks our player_state schema
+    this.connectTimeout = 3000; // ms to wait for a server before simulating
+    this.connectTimer = null;
+    this.pingInterval = 2000; // ms between latency measurements
+    this.timeSinceLastPing = 0;
+    
     // Network optimization parameters
     this.updateFrequency = engine.isMobile ? 5 : 10; // Updates per second
     this.updateInterval = 1000 / this.updateFrequency; // ms between updates
     this.timeSinceLastUpdate = 0;
     this.connectionQuality = 'good'; // 'poor', 'good', 'excellent'
+    this.interpolationDelay = 300; // ms, set from networkSettings
     
     // Adaptive network settings based on connection quality
     this.networkSettings = {
       poor: {
         updateFrequency: 3, // 3 updates per second
-        interpolationAlpha: 0.1,
+        interpolationDelay: 450, // ms remote players are drawn in the past
         batchingEnabled: true,
         deltaCompressionEnabled: true,
         compressionThreshold: 0.05, // Only send position if changed more than 5% of this value
       },
       good: {
         updateFrequency: 5, // 5 updates per second
-        interpolationAlpha: 0.15,
+        interpolationDelay: 300,
         batchingEnabled: true,
         deltaCompressionEnabled: true,
         compressionThreshold: 0.03, // Only send position if changed more than 3% of this value
       },
       excellent: {
         updateFrequency: 10, // 10 updates per second (desktop)
-        interpolationAlpha: 0.3,
+        interpolationDelay: 150,
         batchingEnabled: false,
         deltaCompressionEnabled: false,
         compressionThreshold: 0.01, // Only send position if changed more than 1% of this value
@@ -50,37 +70,69 @@ export class NetworkManager extends EventEmitter {
     
     // Delta compression - store last sent values
     this.lastSentData = {};
+    this.lastStateSendTime = 0;
   }
   
   async initialize() {
-    // In a real implementation, this would connect to your actual server
+    // The multiplayer server (server/index.js) runs on port 3000 during development
+    // and serves the production build itself
     const serverUrl = import.meta.env.DEV ? 'http://localhost:3000' : window.location.origin;
     
+    // Room and (optional) seed come from the URL: ?room=friends&seed=1234
+    const params = new URLSearchParams(window.location.search);
+    this.roomId = params.get('room') || 'lobby';
+    const query = { room: this.roomId };
+    const seed = normalizeSeed(params.get('seed'));
+    if (seed !== null) query.seed = seed;
+    
     this.socket = io(serverUrl, {
       autoConnect: false,
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
-      timeout: 10000
+      timeout: 10000,
+      query
     });
     
+    // Optionally route all traffic through the network condition simulator
+    const conditions = resolveNetworkConditions();
+    if (conditions) {
+      this.conditioner = new NetworkConditioner(this.socket, conditions);
+      this.socket = this.conditioner;
+      if (this.engine.debug) {
+        console.log('Simulating network conditions:', conditions);
+      }
+    }
+    
     this.setupEventListeners();
     
     // Configure optimal network settings based on device capabilities
     this.configureNetworkSettings();
+  }
+  
+  /**
+   * Run the offline simulation (local id plus two bots) when no server is reachable
+   * @param {string} reason - Why the server connection was abandoned
+   */
+  startSimulation(reason) {
+    if (this.isSimulated || this.hasConnected) return;
     
-    // For now, we'll simulate connection success locally
-    // In a real implementation, this would be triggered by the server
-    setTimeout(() => {
-      this.localPlayerId = 'player_' + Math.floor(Math.random() * 10000);
-      this.emit('connected', { id: this.localPlayerId });
-      
-      // Simulate other players joining
-      this.handlePlayerJoin({ id: 'player_ai_1', name: 'Magic Bot 1', x: 10, y: 5, z: 20 });
-      this.handlePlayerJoin({ id: 'player_ai_2', name: 'Magic Bot 2', x: -15, y: 7, z: -5 });
-      
-      console.log("Network simulation initialized");
-    }, 500);
+    clearTimeout(this.connectTimer);
+    this.isSimulated = true;
+    
+    // Stop the socket from retrying in the background
+    this.socket.disconnect();
+    
+    console.log(`No multiplayer server available (${reason}), running network simulation`);
+    
+    this.localPlayerId = 'player_' + Math.floor(Math.random() * 10000);
+    this.emit('connected', { id: this.localPlayerId });
+    
+    // Simulate other players joining
+    this.handlePlayerJoin({ id: 'player_ai_1', name: 'Magic Bot 1', x: 10, y: 5, z: 20 });
+    this.handlePlayerJoin({ id: 'player_ai_2', name: 'Magic Bot 2', x: -15, y: 7, z: -5 });
+    
+    console.log("Network simulation initialized");
   }
   
   configureNetworkSettings() {
@@ -107,21 +159,46 @@ export class NetworkManager extends EventEmitter {
     const settings = this.networkSettings[this.connectionQuality];
     this.updateFrequency = settings.updateFrequency;
     this.updateInterval = 1000 / this.updateFrequency;
+    this.interpolationDelay = settings.interpolationDelay;
     
     console.log(`Network configured for ${this.connectionQuality} connection: ${this.updateFrequency} updates/sec`);
   }
   
   setupEventListeners() {
     this.socket.on('connect', () => {
-      console.log('Connected to server');
-      this.emit('connected');
+      // The local player is created once the server's game_state arrives
+      console.log(`Connected to server, joining room "${this.roomId}"`);
+      this.hasConnected = true;
+      clearTimeout(this.connectTimer);
+    });
+    
+    this.socket.on('connect_error', (error) => {
+      // Only fall back before the first successful connection;
+      // afterwards socket.io keeps retrying on its own
+      if (!this.hasConnected) {
+        this.startSimulation(error.message);
+      }
     });
     
     this.socket.on('disconnect', () => {
+      if (this.isSimulated) return;
+      
       console.log('Disconnected from server');
+      
+      // Remote players are re-sent by the server after reconnecting
+      Array.from(this.players.keys()).forEach(id => this.handlePlayerLeave({ id }));
+      this.lastSentData = {};
+      
       this.emit('disconnected');
     });
     
+    this.socket.on('room_full', (data) => {
+      // The server turns us away, so fly solo instead
+      console.warn(`Room "${data.room}" is full`);
+      this.hasConnected = false;
+      this.startSimulation('room full');
+    });
+    
     this.socket.on('player_join', (data) => {
       this.handlePlayerJoin(data);
     });
@@ -134,6 +211,14 @@ export class NetworkManager extends EventEmitter {
       this.handlePlayerUpdate(data);
     });
     
+    // Binary player state (see PlayerStateCodec)
+    this.socket.on('player_state', (buffer) => {
+      const data = decodePlayerState(buffer);
+      if (data) {
+        this.handlePlayerUpdate(data);
+      }
+    });
+    
     this.socket.on('game_state', (data) => {
       this.handleGameState(data);
     });
@@ -145,12 +230,75 @@ export class NetworkManager extends EventEmitter {
           this.handlePlayerUpdate(data.payload);
         } else if (data.type === 'game_state') {
           this.handleGameState(data.payload);
+        } else if (data.type === 'player_action') {
+          this.emit('player_action', data.payload);
         }
       });
     });
     
-    this.socket.on('pong', (latency) => {
+    this.socket.on('player_action', (data) => {
+      this.emit('player_action', data);
+    });
+    
+    // Prediction feedback for the local player
+    this.socket.on('player_ack', (data) => {
+      this.emit('player_ack', data);
+    });
+    
+    this.socket.on('player_correction', (data) => {
+      this.emit('player_correction', data);
+    });
+    
+    // Server-resolved spell hits (target health and knockback)
+    this.socket.on('spell_hit', (data) => {
+      this.emit('spell_hit', data);
+    });
+    
+    // Server-owned health: regeneration, downing and respawning
+    this.socket.on('player_health', (data) => {
+      this.emit('player_health', data);
+    });
+    
+    this.socket.on('player_downed', (data) => {
+      this.emit('player_downed', { ...data, respawnAt: this.toLocalTime(data.respawnAt) });
+    });
+    
+    this.socket.on('player_crash', (data) => {
+      this.emit('player_crash', data);
+    });
+    
+    this.socket.on('player_respawn', (data) => {
+      this.handlePlayerRespawn({ ...data, invulnerableUntil: this.toLocalTime(data.invulnerableUntil) });
+    });
+    
+    this.socket.on('mana_collected', (data) => {
+      this.emit('mana_collected', { ...data, respawnAt: this.toLocalTime(data.respawnAt) });
+    });
+    
+    this.socket.on('mana_claim_rejected', (data) => {
+      const rejection = { ...data };
+      if (data.respawnAt !== undefined) {
+        rejection.respawnAt = this.toLocalTime(data.respawnAt);
+      }
+      this.emit('mana_claim_rejected', rejection);
+    });
+    
+    // The room's world clock changed (see ClockSystem)
+    this.socket.on('world_clock', (data) => {
+      this.emit('world_clock', data);
+    });
+    
+    // Someone's spell reshaped the ground (see WorldSystem.applyTerrainEdit)
+    this.socket.on('terrain_edit', (data) => {
+      this.emit('terrain_edit', data);
+    });
+    
+    this.socket.on('pong', (data) => {
+      // Round trip time, and the server clock offset assuming a symmetric trip
+      const now = Date.now();
+      const latency = now - data.clientTime;
       this.ping = latency;
+      this.serverTimeDiff = data.serverTime + latency / 2 - now;
       this.updateConnectionQuality(latency);
     });
   }
@@ -175,11 +323,14 @@ export class NetworkManager extends EventEmitter {
   }
   
   connect() {
-    // In a real implementation, this would connect to the actual server
-    // this.socket.connect();
+    if (!this.socket) return;
+    
+    // Fall back to the simulation if the server doesn't answer in time
+    this.connectTimer = setTimeout(() => {
+      this.startSimulation('connection timed out');
+    }, this.connectTimeout);
     
-    // For now we'll just simulate connection locally
-    // This was done in initialize for simplicity
+    this.socket.connect();
   }
   
   disconnect() {
@@ -190,16 +341,22 @@ export class NetworkManager extends EventEmitter {
   
   // Player event handlers
   handlePlayerJoin(data) {
-    // Create a new player object with interpolation properties
+    // Create a new player object with a snapshot buffer for interpolation
     const playerData = {
       ...data,
       currentPosition: new THREE.Vector3(data.x || 0, data.y || 0, data.z || 0),
-      targetPosition: new THREE.Vector3(data.x || 0, data.y || 0, data.z || 0),
       currentRotation: data.rotationY || 0,
-      targetRotation: data.rotationY || 0,
+      snapshots: new SnapshotBuffer(),
       lastUpdateTime: performance.now()
     };
     
+    playerData.snapshots.push(this.getServerTime() - this.interpolationDelay, {
+      x: playerData.currentPosition.x,
+      y: playerData.currentPosition.y,
+      z: playerData.currentPosition.z,
+      rotationY: playerData.currentRotation
+    });
+    
     this.players.set(data.id, playerData);
     this.emit('player_join', data);
   }
@@ -213,17 +370,14 @@ export class NetworkManager extends EventEmitter {
     if (this.players.has(data.id)) {
       const player = this.players.get(data.id);
       
-      // For position updates, set target values for interpolation
-      if (data.x !== undefined && data.y !== undefined && data.z !== undefined) {
-        player.targetPosition = new THREE.Vector3(data.x, data.y, data.z);
+      // Buffer movement at the server time it was relayed; interpolatePositions
+      // samples the buffer every frame
+      if (data.x !== undefined || data.y !== undefined || data.z !== undefined || data.rotationY !== undefined) {
+        const time = data.serverTime !== undefined ? data.serverTime : this.getServerTime();
+        player.snapshots.push(time, data);
         player.lastUpdateTime = performance.now();
       }
       
-      // For rotation updates, set target values for interpolation
-      if (data.rotationY !== undefined) {
-        player.targetRotation = data.rotationY;
-      }
-      
       // Update non-interpolated properties immediately
       if (data.mana !== undefined) player.mana = data.mana;
       if (data.health !== undefined) player.health = data.health;
@@ -245,6 +399,37 @@ export class NetworkManager extends EventEmitter {
   }
   
   handleGameState(data) {
+    // The first game_state after (re)connecting identifies us and the room
+    if (data.selfId) {
+      this.localPlayerId = data.selfId;
+      
+      if (data.serverTime !== undefined) {
+        this.serverTimeDiff = data.serverTime - Date.now();
+      }
+      
+      // Only use the binary format if both sides agree on the schema
+      this.binaryEnabled = data.stateVersion === STATE_SCHEMA_VERSION;
+      this.lastSentData = {};
+      
+      // Everyone in a room flies over the same world
+      if (data.seed !== undefined && this.engine.systems.world) {
+        this.engine.systems.world.setSeed(data.seed);
+      }
+      
+      this.emit('connected', { id: this.localPlayerId, room: data.room });
+      
+      if (Array.isArray(data.players)) {
+        data.players.forEach(player => this.handlePlayerJoin(player));
+      }
+      
+      // Mana other players already collected in this room
+      if (Array.isArray(data.manaCollected)) {
+        data.manaCollected.forEach(entry => {
+          this.emit('mana_collected', { ...entry, respawnAt: this.toLocalTime(entry.respawnAt) });
+        });
+      }
+    }
+    
     this.emit('game_state', data);
   }
   
@@ -271,17 +456,18 @@ export class NetworkManager extends EventEmitter {
   sendQueuedMessages() {
     if (this.messageQueue.length === 0) return;
     
-    // In real implementation, this would send to server
-    // this.socket.emit('batch_update', this.messageQueue);
-    
-    // For simulation, process each message locally
-    this.messageQueue.forEach(message => {
-      if (message.type === 'player_update') {
-        this.handlePlayerUpdate(message.payload);
-      } else if (message.type === 'player_action') {
-        this.emit('player_action', message.payload);
-      }
-    });
+    if (this.isSimulated) {
+      // For simulation, process each message locally
+      this.messageQueue.forEach(message => {
+        if (message.type === 'player_update') {
+          this.handlePlayerUpdate(message.payload);
+        } else if (message.type === 'player_action') {
+          this.emit('player_action', message.payload);
+        }
+      });
+    } else if (this.socket.connected) {
+      this.socket.emit('batch_update', this.messageQueue);
+    }
     
     // Clear the queue
     this.messageQueue = [];
@@ -301,55 +487,79 @@ export class NetworkManager extends EventEmitter {
     const compressionThreshold = settings.compressionThreshold;
     const result = {id: data.id};
     
-    // Only include position components that changed significantly
-    if (Math.abs(data.x - last.x) > compressionThreshold) {
-      result.x = data.x;
-    }
-    
-    if (Math.abs(data.y - last.y) > compressionThreshold) {
-      result.y = data.y;
-    }
+    // Compare against the values last *sent*, so slow drift still goes out
+    const include = (field, threshold) => {
+      if (data[field] === undefined) return;
+      if (last[field] === undefined || Math.abs(data[field] - last[field]) > threshold) {
+        result[field] = data[field];
+        last[field] = data[field];
+      }
+    };
     
-    if (Math.abs(data.z - last.z) > compressionThreshold) {
-      result.z = data.z;
-    }
+    // Only include position components that changed significantly
+    include('x', compressionThreshold);
+    include('y', compressionThreshold);
+    include('z', compressionThreshold);
     
     // Only include rotation if it changed significantly
-    if (data.rotationY !== undefined && 
-        Math.abs(data.rotationY - last.rotationY) > 0.02) {
-      result.rotationY = data.rotationY;
-    }
+    include('rotationY', 0.02);
     
-    // Always include health and mana changes
-    if (data.health !== undefined && data.health !== last.health) {
-      result.health = data.health;
-    }
+    // Velocities feed remote interpolation; small changes don't matter
+    include('velocityX', 1);
+    include('velocityY', 1);
+    include('velocityZ', 1);
     
-    if (data.mana !== undefined && data.mana !== last.mana) {
-      result.mana = data.mana;
-    }
-    
-    // Update last sent data
-    this.lastSentData[data.id] = {...data};
+    // Always include health and mana changes
+    include('health', 0);
+    include('mana', 0);
     
     // If nothing changed significantly, send a minimal update
     if (Object.keys(result).length <= 1) {
       return null; // No significant changes
     }
     
+    // Sequence numbers always travel with the state they describe
+    if (data.seq !== undefined) result.seq = data.seq;
+    if (data.correctionSeq !== undefined) result.correctionSeq = data.correctionSeq;
+    
     return result;
   }
   
+  // Send a single message straight to the server (or handle it locally when simulating)
+  sendImmediate(type, data) {
+    if (this.isSimulated) {
+      if (type === 'player_update') {
+        this.handlePlayerUpdate(data);
+      }
+    } else if (this.socket.connected) {
+      this.socket.emit(type, data);
+    }
+  }
+  
   // Send player updates to server
   sendPlayerUpdate(data) {
-    // In a real implementation, this would send to the server
-    // this.socket.emit('player_update', data);
+    // State is sent at the configured update frequency rather than every frame
+    const now = performance.now();
+    if (now - this.lastStateSendTime < this.updateInterval) return;
     
     if (this.localPlayerId) {
+      this.lastStateSendTime = now;
       data.id = this.localPlayerId;
       
       // Apply delta compression if enabled
       const settings = this.networkSettings[this.connectionQuality];
+      
+      // Hot path: quantized binary state, sent on its own (already rate limited)
+      if (this.binaryEnabled && !this.isSimulated) {
+        const payload = settings.deltaCompressionEnabled ? this.applyDeltaCompression(data) : data;
+        if (payload && this.socket.connected) {
+          // The server knows who we are; the id would only cost bytes
+          const { id, ...fields } = payload;
+          this.socket.emit('player_state', encodePlayerState(fields));
+        }
+        return;
+      }
+      
       if (settings.deltaCompressionEnabled) {
         const compressedData = this.applyDeltaCompression(data);
         if (compressedData) {
@@ -358,7 +568,7 @@ export class NetworkManager extends EventEmitter {
             this.queueMessage('player_update', compressedData);
           } else {
             // Otherwise send immediately
-            this.handlePlayerUpdate(compressedData);
+            this.sendImmediate('player_update', compressedData);
           }
         }
       } else {
@@ -366,7 +576,7 @@ export class NetworkManager extends EventEmitter {
         if (settings.batchingEnabled) {
           this.queueMessage('player_update', data);
         } else {
-          this.handlePlayerUpdate(data);
+          this.sendImmediate('player_update', data);
         }
       }
     }
@@ -374,10 +584,7 @@ export class NetworkManager extends EventEmitter {
   
   // Send player actions to server (always high priority)
   sendPlayerAction(action, data) {
-    // In a real implementation, this would send to the server
-    // this.socket.emit('player_action', { action, ...data });
-    
-    // For now, we'll simulate locally
+    // The server stamps the real sender id; playerId is kept for the simulation
     const actionData = { 
       playerId: this.localPlayerId,
       action, 
@@ -388,32 +595,190 @@ export class NetworkManager extends EventEmitter {
     this.queueMessage('player_action', actionData, 'high');
   }
   
-  // Interpolate player movement for smooth transitions
+  /**
+   * Ask to collect a mana node. The server grants each node to one player;
+   * the result arrives as a mana_collected or mana_claim_rejected event.
+   * @param {Object} node - Claimed node { id, position, value }
+   * @param {THREE.Vector3} position - Where the local player made the claim
+   */
+  claimManaNode(node, position) {
+    if (this.isSimulated) {
+      // Nobody to race against in the simulation, so grant it straight away
+      this.emit('mana_collected', {
+        nodeId: node.id,
+        playerId: this.localPlayerId,
+        value: node.value,
+        respawnAt: Date.now() + MANA_RESPAWN_TIME * 1000
+      });
+    } else if (this.socket.connected) {
+      this.socket.emit('mana_claim', {
+        nodeId: node.id,
+        x: position.x,
+        z: position.z
+      });
+    } else {
+      this.emit('mana_claim_rejected', { nodeId: node.id, reason: 'offline' });
+    }
+  }
+  
+  /**
+   * Ask to come back after being downed. The server answers with player_respawn
+   * once the respawn delay is over; until then requests are ignored.
+   */
+  requestRespawn() {
+    if (this.isSimulated) {
+      this.respawnSimulatedPlayer(this.localPlayerId, SPAWN_POSITION);
+    } else if (this.socket.connected) {
+      this.socket.emit('player_action', { action: 'respawn' });
+    }
+  }
+  
+  /**
+   * Report that the local carpet crashed into the ground. The server applies
+   * the damage and answers with player_crash (and player_downed).
+   * @param {number} speed - Impact speed along the surface normal
+   * @param {string} surface - 'land' or 'water'
+   */
+  reportCrash(speed, surface) {
+    if (this.isSimulated) {
+      const health = this.getSimulatedHealth(this.localPlayerId);
+      const damage = health.takeDamage(getCrashDamage(speed, surface), Date.now());
+      
+      this.emit('player_crash', { playerId: this.localPlayerId, damage, health: health.health, surface });
+      this.reportSimulatedDowned(this.localPlayerId, null, damage);
+    } else if (this.socket.connected) {
+      this.socket.emit('player_action', { action: 'crash', speed, surface });
+    }
+  }
+  
+  /**
+   * Ask the server to change the room's world clock; everyone in the room
+   * (us included) gets the new state as a world_clock event
+   * @param {Object} changes - Any of { timeOfDay, timeScale, paused }
+   * @returns {boolean} False when there is no server to ask, so the caller
+   *   should change its own clock
+   */
+  sendClockControl(changes) {
+    if (this.isSimulated || !this.socket || !this.socket.connected) return false;
+    
+    this.socket.emit('clock_control', changes);
+    return true;
+  }
+  
+  /**
+   * Ask for a spell's mark on the ground where it landed. The server checks
+   * it against our recent casts and sends it to the room (us included) as
+   * terrain_edit.
+   * @param {number} spellType - Index of the spell definition
+   * @param {THREE.Vector3} position - Where the spell landed
+   */
+  requestTerrainEdit(spellType, position) {
+    if (this.isSimulated) {
+      const definition = this.engine.systems.spells.getDefinition(spellType);
+      const edit = createSpellTerrainEdit(definition, position.x, position.z);
+      if (edit) {
+        this.emit('terrain_edit', { playerId: this.localPlayerId, spellType, ...edit });
+      }
+    } else if (this.socket.connected) {
+      // The cast this mark belongs to must reach the server first
+      this.sendQueuedMessages();
+      this.socket.emit('terrain_edit', { spellType, x: position.x, z: position.z });
+    }
+  }
+  
+  handlePlayerRespawn(data) {
+    // The carpet teleported; don't interpolate from where it went down
+    const player = this.players.get(data.playerId);
+    if (player && player.snapshots) {
+      player.snapshots.clear();
+    }
+    
+    this.emit('player_respawn', data);
+  }
+  
+  // Health tracker for a player in the offline simulation
+  getSimulatedHealth(playerId) {
+    let health = this.simulatedHealth.get(playerId);
+    if (!health) {
+      health = new HealthTracker();
+      this.simulatedHealth.set(playerId, health);
+    }
+    return health;
+  }
+  
+  /**
+   * Resolve a hit in the offline simulation the way the server would: the
+   * target's health tracker decides the damage, and the result is reported as
+   * spell_hit (and player_downed)
+   * @param {Object} hit - spell_hit data with the spell's full damage
+   */
+  simulateSpellHit(hit) {
+    const health = this.getSimulatedHealth(hit.targetId);
+    const damage = health.takeDamage(hit.damage, Date.now());
+    
+    this.emit('spell_hit', { ...hit, damage, health: health.health });
+    this.reportSimulatedDowned(hit.targetId, hit.casterId, damage);
+  }
+  
+  // Damage that took the last of a player's health downs it
+  reportSimulatedDowned(playerId, sourceId, damage) {
+    const health = this.getSimulatedHealth(playerId);
+    if (damage > 0 && health.downed) {
+      this.emit('player_downed', { playerId, casterId: sourceId, respawnAt: health.respawnAt });
+    }
+  }
+  
+  respawnSimulatedPlayer(playerId, position) {
+    const health = this.getSimulatedHealth(playerId);
+    const now = Date.now();
+    if (!health.canRespawn(now)) return;
+    
+    health.respawn(now);
+    this.handlePlayerRespawn({
+      playerId,
+      health: health.health,
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      invulnerableUntil: health.invulnerableUntil
+    });
+  }
+  
+  // Convert a server timestamp (ms) to the local Date.now() clock
+  toLocalTime(serverTime) {
+    return serverTime - this.serverTimeDiff;
+  }
+  
+  // Current time on the server clock (ms)
+  getServerTime() {
+    return Date.now() + this.serverTimeDiff;
+  }
+  
+  // Sample every remote player's snapshot buffer at the delayed render time
   interpolatePositions(delta) {
-    const now = performance.now();
-    const settings = this.networkSettings[this.connectionQuality];
+    const renderTime = this.getServerTime() - this.interpolationDelay;
+    const sample = { position: new THREE.Vector3(), rotationY: 0 };
     
     this.players.forEach((player, id) => {
-      if (id !== this.localPlayerId && player.targetPosition) {
-        // Calculate interpolation factor based on connection quality
-        const alpha = settings.interpolationAlpha;
-        
-        // Interpolate position
-        player.currentPosition.lerp(player.targetPosition, alpha);
-        
-        // Interpolate rotation (with shortest path)
-        player.currentRotation = THREE.MathUtils.lerp(
-          player.currentRotation,
-          player.targetRotation,
-          alpha
-        );
-        
-        // Update the player's actual data with interpolated values
-        player.x = player.currentPosition.x;
-        player.y = player.currentPosition.y;
-        player.z = player.currentPosition.z;
-        player.rotationY = player.currentRotation;
-      }
+      if (id === this.localPlayerId || !player.snapshots) return;
+      if (!player.snapshots.sample(renderTime, sample)) return;
+      
+      player.currentPosition.copy(sample.position);
+      player.currentRotation = sample.rotationY;
+      
+      // Update the player's actual data with interpolated values
+      player.x = player.currentPosition.x;
+      player.y = player.currentPosition.y;
+      player.z = player.currentPosition.z;
+      player.rotationY = player.currentRotation;
+      
+      this.emit('player_update', {
+        id,
+        x: player.x,
+        y: player.y,
+        z: player.z,
+        rotationY: player.rotationY
+      });
     });
   }
   
@@ -438,6 +803,30 @@ export class NetworkManager extends EventEmitter {
       this.timeSinceLastUpdate = 0;
     }
     
+    // Measure latency and server clock offset periodically
+    if (this.socket?.connected) {
+      this.timeSinceLastPing += deltaMs;
+      if (this.timeSinceLastPing >= this.pingInterval) {
+        this.socket.emit('client_ping', Date.now());
+        this.timeSinceLastPing = 0;
+      }
+    }
+    
+    if (!this.isSimulated) return;
+    
+    // Simulated health: regeneration for everyone, and bots get back up where they fell
+    const now = Date.now();
+    this.simulatedHealth.forEach((health, id) => {
+      if (health.regenerate(now)) {
+        this.emit('player_health', { playerId: id, health: health.health });
+      }
+      
+      const bot = id !== this.localPlayerId && this.players.get(id);
+      if (bot && health.canRespawn(now)) {
+        this.respawnSimulatedPlayer(id, bot);
+      }
+    });
+    
     // Simulate network updates for AI players (reduced frequency on mobile)
     const updateChance = this.engine.isMobile ? 0.02 : 0.05;
     if (Math.random() < updateChance) {
@@ -1,20 +1,28 @@
 import * as THREE from 'three';
+import { EventEmitter } from '../../utils/EventEmitter';
+import { MAX_HEALTH } from '../../utils/HealthTracker.js';
+import { getNeighborSeed } from '../../utils/SeededRandom.js';
 import { PlayerPhysics } from './player/PlayerPhysics';
 import { PlayerSpells } from './player/PlayerSpells';
 import { PlayerInput } from './player/PlayerInput';
 import { PlayerModels } from './player/PlayerModels';
+import { PlayerPrediction } from './player/PlayerPrediction';
+import { PlayerMana } from './player/PlayerMana';
+import { PlayerHealth } from './player/PlayerHealth';
 
-export class PlayerSystem {
+// Emits player_damaged, player_downed and player_respawned (see PlayerHealth)
+export class PlayerSystem extends EventEmitter {
   constructor(engine) {
+    super();
     this.engine = engine;
     this.scene = engine.scene;
     this.players = new Map();
     this.localPlayer = null;
     
-    // World transition flag
+    // Screen transition (fade to black and back) state
     this.isTransitioning = false;
     this.transitionAlpha = 0;
-    this.worldTransitionComplete = null;
+    this.transitionMidpoint = null;
     this.worldSize = 10000; //
     
     // Initialize subsystems
@@ -22,15 +30,28 @@ export class PlayerSystem {
     this.spells = new PlayerSpells(this);
     this.input = new PlayerInput(this);
     this.models = new PlayerModels(this);
+    this.prediction = new PlayerPrediction(this);
+    this.mana = new PlayerMana(this);
+    this.health = new PlayerHealth(this);
   }
   
   async initialize() {
     // Initialize subsystems
     await this.models.initialize();
     await this.spells.initialize();
+    this.health.initialize();
     
     // Listen for network events
     this.engine.systems.network.on('connected', (data) => {
+      if (this.localPlayer) {
+        // Reconnected with a new id: keep the current carpet and just re-key it
+        this.players.delete(this.localPlayer.id);
+        this.localPlayer.id = data.id;
+        this.players.set(data.id, this.localPlayer);
+        this.prediction.reset();
+        return;
+      }
+      
       this.createLocalPlayer(data.id);
     });
     
@@ -46,6 +67,28 @@ export class PlayerSystem {
       this.updateNetworkPlayer(data);
     });
     
+    // Server acknowledgements and corrections for client-side prediction
+    this.engine.systems.network.on('player_ack', (data) => {
+      this.prediction.handleAck(data.seq);
+    });
+    
+    this.engine.systems.network.on('player_correction', (data) => {
+      this.prediction.reconcile(data);
+    });
+    
+    this.engine.systems.network.on('mana_collected', (data) => {
+      this.handleManaCollected(data);
+    });
+    
+    this.engine.systems.network.on('mana_claim_rejected', (data) => {
+      this.handleManaClaimRejected(data);
+    });
+    
+    // Claims in flight when the connection dropped will never be answered
+    this.engine.systems.network.on('disconnected', () => {
+      this.engine.systems.world.releasePendingManaNodes();
+    });
+    
     // Auto-start forward movement on mobile
    
     
@@ -68,9 +111,12 @@ export class PlayerSystem {
       bankAngle: 0,
       throttle: 0, // Throttle control (0 to 1)
 
-      mana: 100,
-      health: 100,
-      maxHealth: 100,
+      mana: 0, // Set up by PlayerMana
+      maxMana: 0,
+      health: MAX_HEALTH,
+      maxHealth: MAX_HEALTH,
+      isDowned: false,
+      invulnerableUntil: 0,
       maxSpeed: 700, // Reduced from 700 for better control
       accelerationValue: 300, // Increased for better response (was 300)
       decelerationValue: 40, // Increased for better response (was 300)
@@ -78,7 +124,6 @@ export class PlayerSystem {
       rotationSpeed: 1, // Reduced from 3 for smoother turning
       spells: [],
       altitude: 150, // Track target altitude (increased from 50)
-      altitudeVelocity: 150, // Increased from 300,
       currentSpell: 0
     };
     
@@ -91,6 +136,8 @@ export class PlayerSystem {
     this.localPlayer = player;
     
     // Setup subsystems for local player
+    this.physics.setupPlayer(player);
+    this.mana.setupPlayer(player);
     this.input.setupInput();
     this.models.createCrosshair();
     this.updateCamera();
@@ -108,16 +155,21 @@ export class PlayerSystem {
     const carpetModel = this.models.createCarpetModel();
     
     // Create player object
+    const health = data.health ?? MAX_HEALTH;
     const player = {
       id: data.id,
+      name: data.name || data.id,
       isLocal: false,
       model: carpetModel,
       position: new THREE.Vector3(data.x || 0, data.y || 20, data.z || 0),
       rotation: new THREE.Euler(0, 0, 0),
       velocity: new THREE.Vector3(0, 0, 0),
       mana: 0,
-      health: 100,
-      maxHealth: 100
+      health,
+      maxHealth: MAX_HEALTH,
+      isDowned: health <= 0,
+      invulnerableUntil: 0,
+      lastUpdateTime: 0
     };
     
     // Add carpet model to scene
@@ -149,6 +201,16 @@ export class PlayerSystem {
       // NetworkManager now handles interpolation for smoother movement
       // Just apply the already interpolated values directly
       if (data.x !== undefined && data.y !== undefined && data.z !== undefined) {
+        // Track velocity from the interpolated motion, for carpet bumps
+        const now = performance.now();
+        const dt = (now - player.lastUpdateTime) / 1000;
+        if (player.lastUpdateTime > 0 && dt > 0 && dt < 0.5) {
+          player.velocity.set(data.x, data.y, data.z).sub(player.position).divideScalar(dt);
+        } else {
+          player.velocity.set(0, 0, 0);
+        }
+        player.lastUpdateTime = now;
+        
         player.position.set(data.x, data.y, data.z);
       }
       
@@ -200,22 +262,23 @@ export class PlayerSystem {
     // Update transition effect
     this.transitionAlpha += delta * 0.5; // Fade speed
     
-    if (this.transitionAlpha >= 2.0) {
-      // Transition is complete
-      this.isTransitioning = false;
-      this.transitionAlpha = 0;
+    // Run the callback once the screen is fully black
+    if (this.transitionAlpha >= 1.0 && this.transitionMidpoint) {
+      const onMidpoint = this.transitionMidpoint;
+      this.transitionMidpoint = null;
       
-      // Execute the world transition callback
-      if (this.worldTransitionComplete) {
-        this.worldTransitionComplete();
-        this.worldTransitionComplete = null;
-      }
-      
-      // Remove transition overlay
-      const overlay = document.getElementById('transition-overlay');
-      if (overlay) {
-        document.body.removeChild(overlay);
+      try {
+        onMidpoint();
+      } catch (error) {
+        // Don't leave the screen black and the player stuck mid-transition
+        console.error('Error during transition:', error);
+        this.endTransition();
+        return;
       }
+    }
+    
+    if (this.transitionAlpha >= 2.0) {
+      this.endTransition();
     } else {
       // Update transition overlay opacity
       const overlay = document.getElementById('transition-overlay');
@@ -230,6 +293,18 @@ export class PlayerSystem {
     }
   }
   
+  endTransition() {
+    this.isTransitioning = false;
+    this.transitionAlpha = 0;
+    this.transitionMidpoint = null;
+    
+    // Remove transition overlay
+    const overlay = document.getElementById('transition-overlay');
+    if (overlay) {
+      document.body.removeChild(overlay);
+    }
+  }
+  
   checkWorldBoundaries() {
     if (!this.localPlayer || this.isTransitioning) return;
     
@@ -239,11 +314,45 @@ export class PlayerSystem {
     
     // Check if player is beyond boundaries
     if (Math.abs(x) > halfSize || Math.abs(z) > halfSize) {
-      this.startWorldTransition();
+      this.startWorldTransition(
+        Math.abs(x) > halfSize ? Math.sign(x) : 0,
+        Math.abs(z) > halfSize ? Math.sign(z) : 0
+      );
     }
   }
   
-  startWorldTransition() {
+  /**
+   * Carry the player over the world's edge
+   * @param {number} dx - Edge crossed on X (-1, 0 or 1)
+   * @param {number} dz - Edge crossed on Z (-1, 0 or 1)
+   */
+  startWorldTransition(dx, dz) {
+    if (this.isTransitioning) return;
+    
+    this.startTransition(() => {
+      const world = this.engine.systems.world;
+      
+      // Offline, the edge leads to the neighbouring world. A room's seed is
+      // shared with everyone in it and the server checks mana claims against
+      // it, so online the player comes back to the middle of the same world.
+      if (this.engine.systems.network?.isSimulated) {
+        world.setSeed(getNeighborSeed(world.seed, dx, dz));
+      }
+      
+      // Move player to center of the world at appropriate height
+      this.localPlayer.position.set(0, 150, 0);
+      this.localPlayer.velocity.set(0, 0, 0);
+      
+      // Mana nodes around the player's new position
+      world.createManaNodes();
+    });
+  }
+  
+  /**
+   * Fade the screen to black and back, used for world changes and respawning
+   * @param {Function} onMidpoint - Called while the screen is fully black
+   */
+  startTransition(onMidpoint) {
     if (this.isTransitioning) return;
     
     // Create overlay for transition effect
@@ -266,19 +375,7 @@ export class PlayerSystem {
     this.transitionAlpha = 0;
     
     // Set callback for when transition reaches midpoint (full black)
-    this.worldTransitionComplete = () => {
-      // Generate a new random seed for the world
-      this.engine.systems.world.seed = Math.random() * 1000;
-      
-      // Regenerate world
-      this.engine.systems.world.createTerrain();
-      this.engine.systems.world.createTerrainCollision();
-      this.engine.systems.world.createManaNodes();
-      
-      // Move player to center of new world at appropriate height
-      this.localPlayer.position.set(0, 150, 0);
-      this.localPlayer.velocity.set(0, 0, 0);
-    };
+    this.transitionMidpoint = onMidpoint;
   }
   
   sendPlayerUpdate() {
@@ -288,11 +385,15 @@ export class PlayerSystem {
     
     // Send additional data for improved network interpolation
     this.engine.systems.network.sendPlayerUpdate({
+      // Latest simulated input command and the last server correction we applied
+      seq: this.prediction.sequence,
+      correctionSeq: this.prediction.lastCorrectionSeq,
       x: position.x,
       y: position.y,
       z: position.z,
       rotationY: rotation.y,
-      mana,
+      // Regeneration is fractional; only whole changes are worth sending
+      mana: Math.floor(mana),
       health,
       // Send velocity for better prediction
       velocityX: velocity.x,
@@ -309,6 +410,7 @@ export class PlayerSystem {
         health: 100,
         maxHealth: 100,
         mana: 0,
+        maxMana: this.mana.maxMana,
         currentSpell: 0,
         speed: 0,
         maxSpeed: 700,
@@ -321,6 +423,7 @@ export class PlayerSystem {
       health: this.localPlayer.health,
       maxHealth: this.localPlayer.maxHealth,
       mana: this.localPlayer.mana || 0,
+      maxMana: this.localPlayer.maxMana,
       currentSpell: this.localPlayer.currentSpell || 0,
       speed: this.localPlayer.velocity ? this.localPlayer.velocity.length() : 0,
       maxSpeed: this.localPlayer.maxSpeed || 700,
@@ -347,7 +450,7 @@ export class PlayerSystem {
     if (!this.localPlayer) return;
     
     // Ensure index is valid
-    if (index >= 0 && index < 3) {
+    if (index >= 0 && index < this.engine.systems.spells.definitions.length) {
       this.localPlayer.currentSpell = index;
       
       // Update UI if needed
@@ -386,14 +489,27 @@ export class PlayerSystem {
     
     // Update subsystems with error handling
     try {
-      // Only call handleInput if the method exists
-      if (this.input && typeof this.input.handleInput === 'function') {
-        this.input.handleInput(delta);
+      // Downed carpets take no input and fall (see PlayerHealth)
+      this.health.update(delta);
+      
+      // Sample input into a command, simulate it, and remember it for reconciliation
+      const command = this.localPlayer.isDowned ? null : this.input.handleInput(delta);
+      if (command) {
+        this.physics.applyCommand(this.localPlayer, command);
+      } else {
+        this.physics.releaseControls();
+      }
+      
+      const impact = this.physics.updatePhysics(delta);
+      if (impact) {
+        this.health.handleImpact(this.localPlayer, impact);
       }
+      this.physics.resolveCarpetCollisions(this.localPlayer);
       
-      if (this.physics && typeof this.physics.updatePhysics === 'function') {
-        this.physics.updatePhysics(delta);
+      if (command) {
+        this.prediction.recordCommand(command, this.localPlayer);
       }
+      this.prediction.update(delta);
       
       if (this.models && typeof this.models.updateModels === 'function') {
         this.models.updateModels();
@@ -402,6 +518,8 @@ export class PlayerSystem {
       if (this.spells && typeof this.spells.updateSpells === 'function') {
         this.spells.updateSpells(delta);
       }
+      
+      this.mana.update(delta);
     } catch (error) {
       console.warn('Error updating player subsystems:', error);
     }
@@ -431,18 +549,46 @@ export class PlayerSystem {
       radius
     );
     
-    // Process collected nodes
+    // Claim touched nodes; the network decides who actually gets them
     collectedNodes.forEach(node => {
-      // Add mana to player
-      this.localPlayer.mana += node.value;
+      this.engine.systems.network.claimManaNode(node, this.localPlayer.position);
+    });
+  }
+  
+  handleManaCollected(data) {
+    const world = this.engine.systems.world;
+    const node = world.manaNodesById.get(data.nodeId);
+    
+    // Hide the node for everyone until it respawns
+    world.markManaNodeCollected(data.nodeId, data.respawnAt);
+    
+    if (!this.localPlayer || data.playerId !== this.localPlayer.id) return;
+    
+    // Add mana to player (anything over capacity is lost)
+    const added = this.mana.addMana(data.value);
+    if (added < data.value && this.engine.systems.ui) {
+      this.engine.systems.ui.showNotification('Mana full', '#00ffff', 1000);
+    }
+    
+    // Create collection effect
+    if (node) {
+      this.models.createManaCollectionEffect(node.position);
+    }
+  }
+  
+  handleManaClaimRejected(data) {
+    const world = this.engine.systems.world;
+    
+    if (data.reason === 'already_collected') {
+      // Someone else got there first
+      world.markManaNodeCollected(data.nodeId, data.respawnAt);
       
-      // Update UI
       if (this.engine.systems.ui) {
-        this.engine.systems.ui.updateManaDisplay(this.localPlayer.mana);
+        this.engine.systems.ui.showNotification('Mana grabbed by another player!', '#66ccff');
       }
-      
-      // Create collection effect
-      this.models.createManaCollectionEffect(node.position);
-    });
+    } else {
+      // Not a race we lost, so make the node collectable again
+      world.releaseManaNode(data.nodeId);
+    }
   }
 }
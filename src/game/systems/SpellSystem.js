@@ -1,428 +1,577 @@
 import * as THREE from 'three';
+import spellDefinitions from '../data/spells.json';
 
-class Spell {
-    constructor(config) {
-        this.type = config.type;
-        this.damage = config.damage || 0;
-        this.speed = config.speed || 20;
-        this.lifetime = config.lifetime || 3;
-        this.radius = config.radius || 0.5;
-        this.manaRequired = config.manaRequired || 10;
-        this.cooldown = config.cooldown || 1;
-        this.lastCastTime = 0;
-        
-        // Physics properties
-        this.position = new THREE.Vector3();
-        this.velocity = new THREE.Vector3();
-        this.acceleration = new THREE.Vector3();
-        this.gravity = config.gravity || 0;
-        
-        // Visual properties
-        this.color = config.color || 0xffffff;
-        this.trailLength = config.trailLength || 10;
-        this.scale = config.scale || 1;
-    }
-
-    canCast(currentTime, playerMana) {
-        return currentTime - this.lastCastTime >= this.cooldown && playerMana >= this.manaRequired;
-    }
-}
-
+/**
+ * Data-driven spell engine
+ *
+ * Every spell is a JSON definition (src/game/data/spells.json) whose "behavior"
+ * picks how it plays out:
+ *   projectile - a bolt that flies with speed/gravity until it hits or its life ends
+ *   beam       - an instant ray of the given range and width
+ *   area       - a burst around the caster with the given radius
+ *   self_buff  - an effect on the caster for a duration (e.g. shield)
+ *   terraform  - reshapes the ground where the caster's aim meets it, within range
+ *
+ * A definition with a "terrainEdit" { radius, height } leaves that mark on the
+ * ground where the spell lands (see WorldSystem.applyTerrainEdit).
+ *
+ * Local casts (PlayerSpells) and casts replicated from other players go through
+ * cast(), so both look the same. Damage is never applied here: the server
+ * resolves hits from the same definitions and broadcasts spell_hit. Only in the
+ * offline simulation are the local player's hits resolved on this client.
+ */
 export class SpellSystem {
     constructor(engine) {
         this.engine = engine;
         this.scene = engine.scene;
-        this.spells = new Map();
-        this.activeSpells = [];
-        this.trails = new Map();
+        this.definitions = spellDefinitions;
+        this.effects = []; // Live visual effects { spellId, update(delta) -> alive, dispose(), expired }
+        
+        // Behavior handlers keyed by a definition's "behavior" field
+        this.behaviors = {
+            projectile: (spell) => this.spawnProjectile(spell),
+            beam: (spell) => this.spawnBeam(spell),
+            area: (spell) => this.spawnArea(spell),
+            self_buff: (spell) => this.applySelfBuff(spell),
+            terraform: (spell) => this.spawnTerraform(spell)
+        };
         
         // Reusable objects
         this._tempVec3 = new THREE.Vector3();
-        
-        // Initialize spell types
-        this.initializeSpellTypes();
-        // Create visual assets
-        this.createSpellVisuals();
+        this._particleGeometry = new THREE.SphereGeometry(0.2, 6, 6);
     }
 
-    initializeSpellTypes() {
-        // Define different spell types
-        this.spellTypes = {
-            fireball: {
-                type: 'fireball',
-                damage: 25,
-                speed: 30,
-                lifetime: 2,
-                radius: 0.5,
-                manaRequired: 15,
-                cooldown: 1,
-                gravity: -5,
-                color: 0xff4400,
-                trailLength: 20,
-                scale: 1
-            },
-            lightning: {
-                type: 'lightning',
-                damage: 40,
-                speed: 50,
-                lifetime: 1,
-                radius: 0.3,
-                manaRequired: 25,
-                cooldown: 2,
-                gravity: 0,
-                color: 0x00ffff,
-                trailLength: 15,
-                scale: 0.8
-            },
-            manaBlast: {
-                type: 'manaBlast',
-                damage: 15,
-                speed: 25,
-                lifetime: 3,
-                radius: 1,
-                manaRequired: 10,
-                cooldown: 0.5,
-                gravity: -3,
-                color: 0x8800ff,
-                trailLength: 25,
-                scale: 1.2
+    async initialize() {
+        const network = this.engine.systems.network;
+        
+        // Replicate spells cast by other players
+        network.on('player_action', (data) => {
+            if (data.action === 'cast_spell' && data.playerId !== network.localPlayerId) {
+                this.handleRemoteCast(data);
             }
-        };
+        });
+        
+        // Hits are decided by the server (or the local simulation)
+        network.on('spell_hit', (data) => {
+            this.handleSpellHit(data);
+        });
+        
+        console.log(`Spell system initialized with ${this.definitions.length} spells`);
     }
 
-    createSpellVisuals() {
-        // Create base geometries for spells
-        this.spellGeometries = {
-            sphere: new THREE.SphereGeometry(1, 16, 16),
-            bolt: new THREE.ConeGeometry(0.3, 2, 8)
-        };
+    getDefinition(index) {
+        return this.definitions[index] || null;
+    }
 
-        // Create materials for spells
-        this.spellMaterials = new Map();
+    /**
+     * Play a spell
+     * @param {Object} spell - { spellId, typeIndex, casterId, origin, direction, elapsed }
+     *   elapsed is how long ago (seconds) the spell was cast, for replicated casts
+     * @returns {boolean} False if the spell type is unknown
+     */
+    cast(spell) {
+        const definition = this.getDefinition(spell.typeIndex);
+        if (!definition) return false;
         
-        // Create trail geometry
-        this.trailGeometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(900); // 100 points * 3 coordinates * 3 vertices
-        this.trailGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const handler = this.behaviors[definition.behavior];
+        if (!handler) {
+            console.warn(`Unknown spell behavior "${definition.behavior}" for ${definition.id}`);
+            return false;
+        }
         
-        // Trail material will be created per spell
+        handler({ ...spell, definition, elapsed: spell.elapsed || 0 });
+        return true;
     }
 
-    createSpell(type, position, direction, caster) {
-        const spellConfig = this.spellTypes[type];
-        if (!spellConfig) return null;
+    handleRemoteCast(data) {
+        const definition = this.getDefinition(data.spellType);
+        if (!definition) return;
+        
+        const caster = this.engine.systems.player.players.get(data.playerId);
+        const origin = Number.isFinite(data.x)
+            ? new THREE.Vector3(data.x, data.y, data.z)
+            : caster?.position.clone() ?? new THREE.Vector3();
+        const direction = Number.isFinite(data.dirX)
+            ? new THREE.Vector3(data.dirX, data.dirY, data.dirZ).normalize()
+            : new THREE.Vector3(0, 0, 1);
+        
+        // Skip ahead by the time the cast spent on the wire
+        const network = this.engine.systems.network;
+        const elapsed = Number.isFinite(data.castTime)
+            ? THREE.MathUtils.clamp((network.getServerTime() - data.castTime) / 1000, 0, definition.life || 0)
+            : 0;
+        
+        this.cast({
+            spellId: data.spellId,
+            typeIndex: data.spellType,
+            casterId: data.playerId,
+            origin,
+            direction,
+            elapsed
+        });
+    }
+
+    // Behaviors
 
-        const spell = new Spell(spellConfig);
-        const spellId = `spell_${Date.now()}_${Math.random()}`;
-        
-        // Set initial position and velocity
-        spell.position.copy(position);
-        spell.velocity.copy(direction).normalize().multiplyScalar(spell.speed);
-        
-        // Create visual representation
-        const geometry = type === 'lightning' ? this.spellGeometries.bolt : this.spellGeometries.sphere;
-        
-        // Create or reuse material
-        let material = this.spellMaterials.get(type);
-        if (!material) {
-            material = new THREE.MeshStandardMaterial({
-                color: spell.color,
-                emissive: spell.color,
-                emissiveIntensity: 0.5,
+    spawnProjectile(spell) {
+        const { definition, origin, direction, elapsed } = spell;
+        
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(definition.size, 8, 8),
+            new THREE.MeshBasicMaterial({
+                color: definition.color,
                 transparent: true,
                 opacity: 0.8
-            });
-            this.spellMaterials.set(type, material);
-        }
+            })
+        );
+        
+        // Start where the projectile is by now, not where it was cast
+        const gravity = definition.gravity || 0;
+        const velocity = direction.clone().multiplyScalar(definition.speed);
+        mesh.position.copy(origin).addScaledVector(velocity, elapsed);
+        mesh.position.y += 0.5 * gravity * elapsed * elapsed;
+        velocity.y += gravity * elapsed;
+        
+        this.scene.add(mesh);
+        this.createMuzzleFlash(origin, definition.color);
+        
+        let life = definition.life - elapsed;
+        
+        this.addEffect({
+            spellId: spell.spellId,
+            isProjectile: true,
+            update: (delta) => {
+                velocity.y += gravity * delta;
+                mesh.position.addScaledVector(velocity, delta);
+                life -= delta;
+                
+                // Check collision with terrain
+                const terrainY = this.engine.systems.world.getTerrainHeight(mesh.position.x, mesh.position.z);
+                if (mesh.position.y < terrainY) {
+                    this.createImpactEffect(mesh.position, definition.color);
+                    this.requestTerrainEdit(spell, mesh.position);
+                    return false;
+                }
+                
+                if (life <= 0) return false;
+                
+                // Check collision with players. The projectile disappears where this
+                // client saw it connect; the real hit arrives as spell_hit.
+                for (const player of this.engine.systems.player.players.values()) {
+                    if (player.id === spell.casterId || player.isDowned) continue;
+                    
+                    if (player.position.distanceTo(mesh.position) < definition.hitRadius) {
+                        if (!this.resolveLocalHit(spell, player, mesh.position, velocity)) {
+                            this.createImpactEffect(mesh.position, definition.color);
+                        }
+                        return false;
+                    }
+                }
+                
+                return true;
+            },
+            dispose: () => {
+                this.scene.remove(mesh);
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            }
+        });
+    }
 
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.scale.setScalar(spell.scale);
-        mesh.position.copy(position);
+    spawnBeam(spell) {
+        const { definition, origin, direction } = spell;
         
-        // Create spell trail
-        const trailMaterial = new THREE.MeshBasicMaterial({
-            color: spell.color,
+        // A thin cylinder from the caster out to the beam's range
+        const geometry = new THREE.CylinderGeometry(0.3, 0.3, definition.range, 6, 1, true);
+        const material = new THREE.MeshBasicMaterial({
+            color: definition.color,
             transparent: true,
-            opacity: 0.4,
+            opacity: 0.9,
             side: THREE.DoubleSide
         });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(origin).addScaledVector(direction, definition.range / 2);
+        mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+        this.scene.add(mesh);
+        
+        this.createMuzzleFlash(origin, definition.color);
+        
+        // Nearest player along the ray, for the offline simulation
+        if (this.isResolvedLocally(spell)) {
+            let closest = null;
+            let closestDistance = Infinity;
+            const point = this._tempVec3;
+            
+            this.engine.systems.player.players.forEach(player => {
+                if (player.id === spell.casterId || player.isDowned) return;
+                
+                const along = point.copy(player.position).sub(origin).dot(direction);
+                if (along < 0 || along > definition.range) return;
+                
+                point.copy(origin).addScaledVector(direction, along);
+                if (point.distanceTo(player.position) < definition.width && along < closestDistance) {
+                    closest = player;
+                    closestDistance = along;
+                }
+            });
+            
+            if (closest) {
+                this.resolveLocalHit(spell, closest, closest.position, direction);
+            }
+        }
+        
+        let remaining = definition.duration;
         
-        const trail = new THREE.Mesh(this.trailGeometry.clone(), trailMaterial);
-        trail.geometry.setDrawRange(0, 0);
-        
-        // Store spell data
-        this.spells.set(spellId, {
-            spell,
-            mesh,
-            trail,
-            caster,
-            startTime: this.engine.elapsed,
-            trailPoints: []
+        this.addEffect({
+            spellId: spell.spellId,
+            update: (delta) => {
+                remaining -= delta;
+                material.opacity = 0.9 * Math.max(0, remaining / definition.duration);
+                return remaining > 0;
+            },
+            dispose: () => {
+                this.scene.remove(mesh);
+                geometry.dispose();
+                material.dispose();
+            }
         });
+    }
+
+    spawnArea(spell) {
+        const { definition, origin } = spell;
         
-        // Add to scene
+        // Expanding, fading sphere around the caster
+        const geometry = new THREE.SphereGeometry(1, 24, 16);
+        const material = new THREE.MeshBasicMaterial({
+            color: definition.color,
+            transparent: true,
+            opacity: 0.5,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(origin);
         this.scene.add(mesh);
-        this.scene.add(trail);
         
-        return spellId;
+        if (this.isResolvedLocally(spell)) {
+            this.engine.systems.player.players.forEach(player => {
+                if (player.id === spell.casterId || player.isDowned) return;
+                
+                if (player.position.distanceTo(origin) < definition.radius) {
+                    const away = player.position.clone().sub(origin).normalize();
+                    this.resolveLocalHit(spell, player, player.position, away);
+                }
+            });
+        }
+        
+        let elapsed = 0;
+        
+        this.addEffect({
+            spellId: spell.spellId,
+            update: (delta) => {
+                elapsed += delta;
+                const t = Math.min(elapsed / definition.duration, 1);
+                mesh.scale.setScalar(Math.max(t * definition.radius, 0.01));
+                material.opacity = 0.5 * (1 - t);
+                return t < 1;
+            },
+            dispose: () => {
+                this.scene.remove(mesh);
+                geometry.dispose();
+                material.dispose();
+            }
+        });
     }
 
-    castSpell(type, caster) {
-        const spellConfig = this.spellTypes[type];
-        if (!spellConfig) return null;
-
-        const currentTime = this.engine.elapsed;
-        const spell = new Spell(spellConfig);
-
-        // Check if spell can be cast
-        if (!spell.canCast(currentTime, caster.mana)) {
-            return null;
+    applySelfBuff(spell) {
+        const { definition } = spell;
+        const caster = this.engine.systems.player.players.get(spell.casterId);
+        if (!caster) return;
+        
+        if (definition.buff === 'shield') {
+            this.createShieldEffect(caster, definition.duration, definition.color);
+        } else {
+            console.warn(`Unknown buff "${definition.buff}" for ${definition.id}`);
         }
-
-        // Deduct mana
-        caster.mana -= spell.manaRequired;
-        spell.lastCastTime = currentTime;
-
-        // Calculate spawn position slightly in front of the caster
-        const spawnPos = this._tempVec3.copy(caster.body.position)
-            .add(new THREE.Vector3(0, 1, 0))  // Slightly above center
-            .add(caster.controller.getForwardVector().multiplyScalar(2));
-
-        // Get direction based on caster's orientation
-        const direction = caster.controller.getForwardVector();
-
-        // Create the spell
-        const spellId = this.createSpell(type, spawnPos, direction, caster);
-
-        // Notify UI system
-        this.engine.systems.ui.onSpellCast(type, caster.mana);
-
-        return spellId;
     }
 
-    update(delta) {
-        const currentTime = this.engine.elapsed;
-        const gravity = new THREE.Vector3(0, -9.81, 0);
+    spawnTerraform(spell) {
+        const { definition, origin, direction } = spell;
+        const target = this.findTerrainTarget(origin, direction, definition.range);
         
-        // Update each active spell
-        for (const [spellId, data] of this.spells.entries()) {
-            const { spell, mesh, trail, startTime, trailPoints } = data;
-            
-            // Check lifetime
-            if (currentTime - startTime > spell.lifetime) {
-                this.removeSpell(spellId);
-                continue;
-            }
-            
-            // Update physics
-            // Apply gravity if specified
-            if (spell.gravity !== 0) {
-                spell.velocity.y += spell.gravity * delta;
-            }
-            
-            // Update position
-            spell.position.addScaledVector(spell.velocity, delta);
-            
-            // Update mesh
-            mesh.position.copy(spell.position);
-            
-            // Rotate mesh to face direction of travel
-            if (spell.type === 'lightning') {
-                mesh.quaternion.setFromUnitVectors(
-                    new THREE.Vector3(0, 1, 0),
-                    spell.velocity.clone().normalize()
-                );
-            }
-            
-            // Update trail
-            trailPoints.unshift(spell.position.clone());
-            if (trailPoints.length > spell.trailLength) {
-                trailPoints.pop();
+        this.createMuzzleFlash(origin, definition.color);
+        this.requestTerrainEdit(spell, target);
+        
+        // A ring of dust spreading over the ground that moves
+        const radius = definition.terrainEdit?.radius ?? 10;
+        const rise = Math.max(0, definition.terrainEdit?.height ?? 0);
+        const geometry = new THREE.RingGeometry(0.8, 1, 32);
+        geometry.rotateX(-Math.PI / 2);
+        const material = new THREE.MeshBasicMaterial({
+            color: definition.color,
+            transparent: true,
+            opacity: 0.7,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(target);
+        this.scene.add(mesh);
+        
+        let elapsed = 0;
+        
+        this.addEffect({
+            spellId: spell.spellId,
+            update: (delta) => {
+                elapsed += delta;
+                const t = Math.min(elapsed / definition.duration, 1);
+                mesh.scale.setScalar(Math.max(t * radius, 0.01));
+                mesh.position.y = target.y + 1 + rise * t;
+                material.opacity = 0.7 * (1 - t);
+                return t < 1;
+            },
+            dispose: () => {
+                this.scene.remove(mesh);
+                geometry.dispose();
+                material.dispose();
             }
-            
-            // Update trail geometry
-            if (trailPoints.length > 1) {
-                const positions = trail.geometry.attributes.position.array;
-                let vertexIndex = 0;
-                
-                for (let i = 0; i < trailPoints.length - 1; i++) {
-                    const current = trailPoints[i];
-                    const next = trailPoints[i + 1];
-                    
-                    // Calculate perpendicular vector for trail width
-                    const forward = next.clone().sub(current).normalize();
-                    const right = new THREE.Vector3().crossVectors(forward, new THREE.Vector3(0, 1, 0))
-                        .normalize().multiplyScalar(0.2 * (1 - i / trailPoints.length));
-                    
-                    // Create two vertices for the trail segment
-                    const v1 = current.clone().add(right);
-                    const v2 = current.clone().sub(right);
-                    
-                    // Add vertices to geometry
-                    positions[vertexIndex++] = v1.x;
-                    positions[vertexIndex++] = v1.y;
-                    positions[vertexIndex++] = v1.z;
-                    
-                    positions[vertexIndex++] = v2.x;
-                    positions[vertexIndex++] = v2.y;
-                    positions[vertexIndex++] = v2.z;
-                    
-                    positions[vertexIndex++] = next.x;
-                    positions[vertexIndex++] = next.y;
-                    positions[vertexIndex++] = next.z;
-                }
-                
-                trail.geometry.attributes.position.needsUpdate = true;
-                trail.geometry.setDrawRange(0, (trailPoints.length - 1) * 3);
+        });
+    }
+
+    /**
+     * Where a ray first meets the ground. A ray that stays above it within
+     * range comes down at the end of its range.
+     * @returns {THREE.Vector3} Point on the ground
+     */
+    findTerrainTarget(origin, direction, range) {
+        const world = this.engine.systems.world;
+        const point = new THREE.Vector3();
+        const step = 5;
+        
+        for (let distance = 0; distance <= range; distance += step) {
+            point.copy(origin).addScaledVector(direction, distance);
+            const ground = world.getTerrainHeight(point.x, point.z);
+            if (point.y <= ground) {
+                point.y = ground;
+                return point;
             }
-            
-            // Check collisions
-            this.checkSpellCollisions(spellId, data);
         }
+        
+        point.y = world.getTerrainHeight(point.x, point.z);
+        return point;
     }
 
-    checkSpellCollisions(spellId, spellData) {
-        const { spell, caster } = spellData;
+    createShieldEffect(player, duration, color) {
+        if (!player.model) return;
         
-        // Check terrain collision
-        const terrainHeight = this.engine.systems.world.getTerrainHeight(
-            spell.position.x,
-            spell.position.z
-        );
-        
-        if (spell.position.y <= terrainHeight) {
-            this.handleSpellCollision(spellId, 'terrain', spell.position.clone());
+        // Recasting refreshes an active shield
+        if (player.shield) {
+            player.shield.duration = duration;
             return;
         }
         
-        // Check player collisions
-        for (const [playerId, player] of this.engine.systems.player.players) {
-            // Don't collide with caster
-            if (player === caster) continue;
+        const shield = new THREE.Mesh(
+            new THREE.SphereGeometry(5, 16, 16),
+            new THREE.MeshBasicMaterial({
+                color,
+                transparent: true,
+                opacity: 0.3,
+                side: THREE.DoubleSide
+            })
+        );
+        
+        // Add to player
+        player.model.add(shield);
+        player.shield = { mesh: shield, duration };
+    }
+
+    updateShields(delta) {
+        // Local and remote shields all count down here
+        this.engine.systems.player.players.forEach(player => {
+            if (!player.shield) return;
+            
+            player.shield.duration -= delta;
+            
+            // Pulse effect
+            player.shield.mesh.material.opacity = 0.3 + 0.2 * Math.sin(this.engine.elapsed * 5);
             
-            const distance = player.body.position.distanceTo(spell.position);
-            if (distance <= spell.radius + 1) { // 1 = player radius
-                this.handleSpellCollision(spellId, 'player', player);
-                return;
+            if (player.shield.duration <= 0) {
+                player.model.remove(player.shield.mesh);
+                player.shield.mesh.geometry.dispose();
+                player.shield.mesh.material.dispose();
+                player.shield = null;
             }
-        }
+        });
     }
 
-    handleSpellCollision(spellId, type, target) {
-        const spellData = this.spells.get(spellId);
-        if (!spellData) return;
+    // Hits
+
+    /**
+     * Leave a spell's terrainEdit mark where it landed. Only the caster's
+     * client asks; the edit comes back to everyone as terrain_edit.
+     */
+    requestTerrainEdit(spell, position) {
+        const network = this.engine.systems.network;
+        if (!spell.definition.terrainEdit || spell.casterId !== network.localPlayerId) return;
         
-        const { spell } = spellData;
+        network.requestTerrainEdit(spell.typeIndex, position);
+    }
+
+    isResolvedLocally(spell) {
+        const network = this.engine.systems.network;
+        return network.isSimulated && spell.casterId === network.localPlayerId;
+    }
+
+    /**
+     * Without a server the local player's hits are resolved by the network
+     * simulation, the same way the server would, and delivered through the
+     * normal spell_hit path
+     * @returns {boolean} True if a hit was reported
+     */
+    resolveLocalHit(spell, target, position, pushDirection) {
+        if (!this.isResolvedLocally(spell)) return false;
         
-        // Create collision effect
-        this.createCollisionEffect(spell, type, target);
+        const { definition } = spell;
+        const blocked = !!target.shield;
+        const knockback = this._tempVec3.copy(pushDirection).normalize()
+            .multiplyScalar(blocked ? 0 : definition.knockback);
         
-        // Handle damage if hit player
-        if (type === 'player' && target.health) {
-            target.health = Math.max(0, target.health - spell.damage);
-            
-            // Notify UI system
-            this.engine.systems.ui.onPlayerDamaged(target);
-            
-            // Apply knockback
-            const knockbackForce = spell.velocity.clone()
-                .normalize()
-                .multiplyScalar(spell.damage * 0.5);
-            target.body.velocity.add(knockbackForce);
+        this.engine.systems.network.simulateSpellHit({
+            spellId: spell.spellId,
+            spellType: spell.typeIndex,
+            casterId: spell.casterId,
+            targetId: target.id,
+            damage: blocked ? 0 : definition.damage,
+            blocked,
+            x: position.x,
+            y: position.y,
+            z: position.z,
+            knockbackX: knockback.x,
+            knockbackY: knockback.y,
+            knockbackZ: knockback.z
+        });
+        
+        return true;
+    }
+
+    /**
+     * Apply an authoritative hit: health, knockback and effects
+     * @param {Object} data - { spellId, spellType, casterId, targetId, damage, health, blocked, x, y, z, knockbackX, knockbackY, knockbackZ }
+     */
+    handleSpellHit(data) {
+        const definition = this.getDefinition(data.spellType);
+        
+        // A projectile may still be flying here if our view of the target differed.
+        // It is only flagged; update() removes it (this can run from inside update).
+        const projectile = this.effects.find(effect => effect.isProjectile && effect.spellId === data.spellId);
+        if (projectile) {
+            projectile.expired = true;
         }
         
-        // Remove the spell
-        this.removeSpell(spellId);
+        this._tempVec3.set(data.x, data.y, data.z);
+        this.createImpactEffect(this._tempVec3, data.blocked ? 0xffcc00 : definition?.color ?? 0xffffff);
+        
+        const playerSystem = this.engine.systems.player;
+        const target = playerSystem.players.get(data.targetId);
+        if (!target || data.blocked) return;
+        
+        // Health, damage events and invulnerability are handled by PlayerHealth
+        playerSystem.health.applyHit(target, data);
+        
+        if (target.isLocal) {
+            target.velocity.x += data.knockbackX || 0;
+            target.velocity.y += data.knockbackY || 0;
+            target.velocity.z += data.knockbackZ || 0;
+        }
+    }
+
+    // Effects
+
+    addEffect(effect) {
+        this.effects.push(effect);
+    }
+
+    createMuzzleFlash(position, color) {
+        this.createParticleBurst(position, color, 15, 0.5, 2.5, 2);
+    }
+
+    createImpactEffect(position, color) {
+        this.createParticleBurst(position, color, 20, 0, 7.5, 1.5);
     }
 
-    createCollisionEffect(spell, type, position) {
-        // Create particle effect based on spell type
-        const particleCount = 20;
+    /**
+     * Short-lived burst of particles flying outward from a point
+     * @param {THREE.Vector3} position - Burst center
+     * @param {number|string} color - Particle color
+     * @param {number} count - Number of particles
+     * @param {number} spread - Radius particles start within
+     * @param {number} speed - Average outward speed
+     * @param {number} fadeRate - Life lost per second (life starts at 1)
+     */
+    createParticleBurst(position, color, count, spread, speed, fadeRate) {
         const particles = new THREE.Group();
+        const material = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.8
+        });
         
-        for (let i = 0; i < particleCount; i++) {
-            const particle = new THREE.Mesh(
-                new THREE.SphereGeometry(0.1, 4, 4),
-                new THREE.MeshBasicMaterial({
-                    color: spell.color,
-                    transparent: true,
-                    opacity: 0.8
-                })
-            );
+        for (let i = 0; i < count; i++) {
+            const particle = new THREE.Mesh(this._particleGeometry, material);
             
-            // Random position within sphere
-            const radius = 0.5;
+            // Random direction on a sphere
             const theta = Math.random() * Math.PI * 2;
             const phi = Math.random() * Math.PI;
-            
-            particle.position.set(
-                position.x + radius * Math.sin(phi) * Math.cos(theta),
-                position.y + radius * Math.sin(phi) * Math.sin(theta),
-                position.z + radius * Math.cos(phi)
+            const direction = new THREE.Vector3(
+                Math.sin(phi) * Math.cos(theta),
+                Math.sin(phi) * Math.sin(theta),
+                Math.cos(phi)
             );
             
-            // Random velocity
-            const speed = 5 + Math.random() * 5;
-            particle.userData.velocity = new THREE.Vector3(
-                Math.random() - 0.5,
-                Math.random() * 0.5 + 0.5,
-                Math.random() - 0.5
-            ).normalize().multiplyScalar(speed);
-            
-            particle.userData.life = 1.0;
+            particle.position.copy(position).addScaledVector(direction, spread);
+            particle.userData.velocity = direction.multiplyScalar(speed * (0.5 + Math.random()));
             particles.add(particle);
         }
         
         this.scene.add(particles);
         
-        // Animate particles
-        const animateParticles = (delta) => {
-            let allDead = true;
-            
-            particles.children.forEach((particle) => {
-                particle.position.add(
-                    particle.userData.velocity.clone().multiplyScalar(delta)
-                );
-                
-                particle.userData.velocity.y -= 9.81 * delta; // Apply gravity
-                particle.userData.life -= delta * 2;
+        let life = 1;
+        
+        this.addEffect({
+            update: (delta) => {
+                life -= delta * fadeRate;
                 
-                const life = particle.userData.life;
-                particle.scale.setScalar(life);
-                particle.material.opacity = life;
+                particles.children.forEach(particle => {
+                    particle.position.addScaledVector(particle.userData.velocity, delta);
+                    particle.scale.setScalar(Math.max(life, 0.01));
+                });
+                material.opacity = Math.max(life, 0) * 0.8;
                 
-                if (life > 0) allDead = false;
-            });
-            
-            if (allDead) {
+                return life > 0;
+            },
+            dispose: () => {
                 this.scene.remove(particles);
-                particles.traverse(child => {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) child.material.dispose();
-                });
-                return;
+                material.dispose();
             }
-            
-            requestAnimationFrame(() => animateParticles(0.016));
-        };
-        
-        animateParticles(0.016);
+        });
     }
 
-    removeSpell(spellId) {
-        const spellData = this.spells.get(spellId);
-        if (!spellData) return;
-        
-        const { mesh, trail } = spellData;
-        
-        // Remove from scene
-        this.scene.remove(mesh);
-        this.scene.remove(trail);
-        
-        // Dispose geometries and materials
-        trail.geometry.dispose();
+    update(delta) {
+        this.updateShields(delta);
         
-        // Remove from spells map
-        this.spells.delete(spellId);
+        for (let i = this.effects.length - 1; i >= 0; i--) {
+            const effect = this.effects[i];
+            
+            if (effect.expired || !effect.update(delta)) {
+                effect.dispose();
+                this.effects.splice(i, 1);
+            }
+        }
     }
-}
\ No newline at end of file
+
+    handleSeedChange() {
+        // Effects belong to the old world
+        this.effects.forEach(effect => effect.dispose());
+        this.effects = [];
+    }
+}
@@ -1,3 +1,5 @@
+import { normalizeSeed } from "../../utils/SeededRandom.js";
+
 export class UISystem {
   constructor(engine) {
     this.engine = engine;
@@ -9,10 +11,24 @@ export class UISystem {
     this.createBaseUI();
     this.createManaDisplay();
     this.createHealthDisplay();
+    this.createWindIndicator();
     this.createSpellsUI();
     this.createMinimapUI();
     this.createSettingsUI(); // Add settings UI
     
+    // Dev panel for the network condition simulator (?netsim=)
+    if (this.engine.systems.network?.conditioner) {
+      this.createNetworkSimPanel(this.engine.systems.network.conditioner);
+    }
+    
+    // Health feedback
+    const playerSystem = this.engine.systems.player;
+    if (playerSystem) {
+      playerSystem.on('player_damaged', ({ player, damage }) => this.onPlayerDamaged(player, damage));
+      playerSystem.on('player_downed', ({ player, sourceId }) => this.onPlayerDowned(player, sourceId));
+      playerSystem.on('player_respawned', ({ player }) => this.onPlayerRespawned(player));
+    }
+    
     console.log("UI system initialized");
   }
   
@@ -74,11 +90,226 @@ export class UISystem {
     });
     
     settingsContainer.appendChild(qualityToggle);
+    settingsContainer.appendChild(this.createSeedControl());
+    if (this.engine.systems.clock) {
+      settingsContainer.appendChild(this.createClockControl(this.engine.systems.clock));
+    }
     this.container.appendChild(settingsContainer);
     
     this.elements.qualityToggle = qualityToggle;
   }
   
+  createSeedControl() {
+    // Show the current world seed and allow loading another one.
+    // The seed goes into the URL so the world can be shared as a link.
+    const seedRow = document.createElement('form');
+    seedRow.style.display = 'flex';
+    seedRow.style.alignItems = 'center';
+    seedRow.style.gap = '5px';
+    seedRow.style.fontSize = '12px';
+    
+    const seedLabel = document.createElement('label');
+    seedLabel.textContent = 'Seed:';
+    
+    const seedInput = document.createElement('input');
+    seedInput.type = 'text';
+    seedInput.value = this.engine.systems.world?.seed ?? '';
+    seedInput.style.width = '70px';
+    seedInput.style.background = 'rgba(30, 30, 60, 0.8)';
+    seedInput.style.color = 'white';
+    seedInput.style.border = '1px solid rgba(100, 200, 255, 0.5)';
+    seedInput.style.borderRadius = '3px';
+    seedInput.style.padding = '3px 5px';
+    
+    // Keep typing in the field from steering the carpet
+    seedInput.addEventListener('keydown', (event) => event.stopPropagation());
+    seedInput.addEventListener('keyup', (event) => event.stopPropagation());
+    
+    // Don't grab pointer lock while interacting with the field
+    seedRow.addEventListener('click', (event) => event.stopPropagation());
+    
+    const seedButton = document.createElement('button');
+    seedButton.type = 'submit';
+    seedButton.textContent = 'Load';
+    seedButton.style.background = 'rgba(30, 30, 60, 0.8)';
+    seedButton.style.color = 'white';
+    seedButton.style.border = '1px solid rgba(100, 200, 255, 0.5)';
+    seedButton.style.borderRadius = '3px';
+    seedButton.style.padding = '3px 8px';
+    seedButton.style.cursor = 'pointer';
+    
+    seedRow.addEventListener('submit', (event) => {
+      event.preventDefault();
+      
+      const seed = normalizeSeed(seedInput.value.trim());
+      if (seed === null) return;
+      
+      // Reload with the new seed so every system starts from a clean world
+      const url = new URL(window.location.href);
+      url.searchParams.set('seed', seed);
+      window.location.href = url.toString();
+    });
+    
+    seedRow.appendChild(seedLabel);
+    seedRow.appendChild(seedInput);
+    seedRow.appendChild(seedButton);
+    
+    this.elements.seedInput = seedInput;
+    
+    return seedRow;
+  }
+  
+  createClockControl(clock) {
+    // World time with pause and speed controls. In a multiplayer room
+    // these change the clock for everyone.
+    const clockRow = document.createElement('div');
+    clockRow.style.display = 'flex';
+    clockRow.style.alignItems = 'center';
+    clockRow.style.gap = '5px';
+    clockRow.style.fontSize = '12px';
+    
+    // Don't grab pointer lock when clicking the buttons
+    clockRow.addEventListener('click', (event) => event.stopPropagation());
+    
+    const timeLabel = document.createElement('span');
+    timeLabel.style.width = '85px';
+    
+    const createButton = () => {
+      const button = document.createElement('button');
+      button.style.background = 'rgba(30, 30, 60, 0.8)';
+      button.style.color = 'white';
+      button.style.border = '1px solid rgba(100, 200, 255, 0.5)';
+      button.style.borderRadius = '3px';
+      button.style.padding = '3px 8px';
+      button.style.cursor = 'pointer';
+      return button;
+    };
+    
+    const pauseButton = createButton();
+    pauseButton.addEventListener('click', () => {
+      if (clock.isPaused()) {
+        clock.resume();
+      } else {
+        clock.pause();
+      }
+    });
+    
+    // Cycles through these time scales
+    const speeds = [1, 10, 60];
+    const speedButton = createButton();
+    speedButton.addEventListener('click', () => {
+      const index = speeds.indexOf(clock.getTimeScale());
+      clock.setTimeScale(speeds[(index + 1) % speeds.length]);
+    });
+    
+    clockRow.appendChild(timeLabel);
+    clockRow.appendChild(pauseButton);
+    clockRow.appendChild(speedButton);
+    
+    this.elements.clockLabel = timeLabel;
+    this.elements.clockPause = pauseButton;
+    this.elements.clockSpeed = speedButton;
+    this.updateClockControl();
+    
+    return clockRow;
+  }
+  
+  updateClockControl() {
+    const clock = this.engine.systems.clock;
+    
+    this.elements.clockLabel.textContent = `Day ${clock.getDay() + 1}, ${clock.formatTime()}`;
+    this.elements.clockPause.textContent = clock.isPaused() ? 'Resume' : 'Pause';
+    this.elements.clockSpeed.textContent = `x${clock.getTimeScale()}`;
+  }
+  
+  createNetworkSimPanel(conditioner) {
+    // Sliders for the simulated latency, jitter, loss and reordering
+    const panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.bottom = '20px';
+    panel.style.left = '20px';
+    panel.style.padding = '10px';
+    panel.style.background = 'rgba(0, 0, 30, 0.7)';
+    panel.style.borderRadius = '5px';
+    panel.style.display = 'flex';
+    panel.style.flexDirection = 'column';
+    panel.style.gap = '4px';
+    panel.style.fontSize = '12px';
+    panel.style.pointerEvents = 'auto';
+    panel.style.boxShadow = '0 0 10px rgba(0, 255, 255, 0.5)';
+    
+    // Don't grab pointer lock while dragging sliders
+    panel.addEventListener('click', (event) => event.stopPropagation());
+    
+    const title = document.createElement('div');
+    title.textContent = 'Network simulator';
+    title.style.fontWeight = 'bold';
+    panel.appendChild(title);
+    
+    const sliders = [
+      { key: 'latency', label: 'Latency', max: 1000, step: 10, format: value => `${value} ms` },
+      { key: 'jitter', label: 'Jitter', max: 500, step: 10, format: value => `${value} ms` },
+      { key: 'loss', label: 'Loss', max: 0.5, step: 0.01, format: value => `${Math.round(value * 100)}%` },
+      { key: 'reorder', label: 'Reorder', max: 0.5, step: 0.01, format: value => `${Math.round(value * 100)}%` }
+    ];
+    
+    sliders.forEach(({ key, label, max, step, format }) => {
+      const row = document.createElement('label');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '5px';
+      
+      const name = document.createElement('span');
+      name.textContent = label;
+      name.style.width = '55px';
+      
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = '0';
+      input.max = String(max);
+      input.step = String(step);
+      input.value = String(conditioner.conditions[key]);
+      
+      const value = document.createElement('span');
+      value.textContent = format(conditioner.conditions[key]);
+      value.style.width = '50px';
+      
+      input.addEventListener('input', () => {
+        conditioner.setConditions({ [key]: Number(input.value) });
+        value.textContent = format(conditioner.conditions[key]);
+      });
+      
+      row.appendChild(name);
+      row.appendChild(input);
+      row.appendChild(value);
+      panel.appendChild(row);
+    });
+    
+    // Live readout of what the simulator and NetworkManager are doing
+    const stats = document.createElement('div');
+    stats.style.opacity = '0.8';
+    panel.appendChild(stats);
+    
+    this.container.appendChild(panel);
+    this.elements.networkSimStats = stats;
+  }
+  
+  updateNetworkSimPanel() {
+    const network = this.engine.systems.network;
+    const stats = network.conditioner.stats;
+    
+    this.elements.networkSimStats.textContent =
+      `Ping ${Math.round(network.ping)} ms, ${network.connectionQuality} ` +
+      `(${network.updateFrequency}/s) - dropped ${stats.dropped}, reordered ${stats.reordered}`;
+  }
+  
+  handleSeedChange(seed) {
+    // Keep the settings panel in sync when a server assigns the seed
+    if (this.elements.seedInput) {
+      this.elements.seedInput.value = seed;
+    }
+  }
+  
   createManaDisplay() {
     // Create mana display in top-right corner
     const manaContainer = document.createElement('div');
@@ -110,6 +341,8 @@ export class UISystem {
     manaContainer.appendChild(manaText);
     this.container.appendChild(manaContainer);
     
+    this.elements.manaContainer = manaContainer;
+    this.elements.manaIcon = manaIcon;
     this.elements.manaText = manaText;
   }
   
@@ -132,6 +365,7 @@ export class UISystem {
     healthBar.style.background = 'linear-gradient(90deg, #ff0066, #ff6699)';
     healthBar.style.borderRadius = '3px';
     healthBar.style.boxShadow = 'inset 0 0 5px rgba(0, 0, 0, 0.5)';
+    healthBar.style.transition = 'width 0.3s';
     
     healthContainer.appendChild(healthBar);
     this.container.appendChild(healthContainer);
@@ -139,6 +373,69 @@ export class UISystem {
     this.elements.healthBar = healthBar;
   }
   
+  createWindIndicator() {
+    // Wind at the carpet, top center: the arrow points where the wind blows,
+    // relative to the carpet's heading (up = tailwind)
+    const windContainer = document.createElement('div');
+    windContainer.style.position = 'absolute';
+    windContainer.style.top = '20px';
+    windContainer.style.left = '50%';
+    windContainer.style.transform = 'translateX(-50%)';
+    windContainer.style.padding = '5px 10px';
+    windContainer.style.background = 'rgba(0, 0, 30, 0.7)';
+    windContainer.style.borderRadius = '5px';
+    windContainer.style.display = 'flex';
+    windContainer.style.alignItems = 'center';
+    windContainer.style.gap = '8px';
+    windContainer.style.fontSize = '14px';
+    windContainer.style.boxShadow = '0 0 10px rgba(200, 255, 255, 0.4)';
+    windContainer.title = 'Wind';
+    
+    const windArrow = document.createElement('div');
+    windArrow.textContent = '↑';
+    windArrow.style.fontSize = '20px';
+    windArrow.style.fontWeight = 'bold';
+    
+    const windText = document.createElement('div');
+    windText.textContent = '0';
+    
+    windContainer.appendChild(windArrow);
+    windContainer.appendChild(windText);
+    this.container.appendChild(windContainer);
+    
+    this.elements.windArrow = windArrow;
+    this.elements.windText = windText;
+  }
+  
+  /**
+   * Show the wind felt by the local carpet
+   * @param {THREE.Vector3} wind - Air velocity at the carpet
+   * @param {number} heading - Carpet yaw in radians
+   */
+  updateWindIndicator(wind, heading) {
+    // Wind in the carpet's frame: forward is +Z turned by the heading, left is +X
+    const forward = wind.x * Math.sin(heading) + wind.z * Math.cos(heading);
+    const left = wind.x * Math.cos(heading) - wind.z * Math.sin(heading);
+    const angle = Math.round(Math.atan2(-left, forward) * 180 / Math.PI);
+    
+    let text = `${Math.round(Math.hypot(wind.x, wind.z))}`;
+    if (wind.y > 1) {
+      text += ` ▲ ${Math.round(wind.y)}`;
+    } else if (wind.y < -1) {
+      text += ` ▼ ${Math.round(-wind.y)}`;
+    }
+    
+    if (angle !== this.windAngle) {
+      this.windAngle = angle;
+      this.elements.windArrow.style.transform = `rotate(${angle}deg)`;
+    }
+    
+    if (text !== this.elements.windText.textContent) {
+      this.elements.windText.textContent = text;
+      this.elements.windText.style.color = wind.y > 1 ? '#99ffcc' : 'white';
+    }
+  }
+  
   createSpellsUI() {
     // Create spell selection UI at bottom right
     const spellsContainer = document.createElement('div');
@@ -149,12 +446,12 @@ export class UISystem {
     spellsContainer.style.gap = '10px';
     spellsContainer.style.pointerEvents = 'auto';
     
-    // Create spell slots
-    const spells = [
-      { name: 'Fireball', color: '#ff3300', key: '1' },
-      { name: 'Lightning', color: '#33ccff', key: '2' },
-      { name: 'Shield', color: '#ffcc00', key: '3' }
-    ];
+    // Create spell slots from the spell definitions
+    const spells = this.engine.systems.spells.definitions.map((definition, index) => ({
+      name: definition.name,
+      color: definition.color,
+      key: String(index + 1)
+    }));
     
     this.elements.spellSlots = [];
     
@@ -171,6 +468,7 @@ export class UISystem {
       spellSlot.style.cursor = 'pointer';
       spellSlot.style.transition = 'all 0.2s';
       spellSlot.style.boxShadow = `0 0 10px ${spell.color}80`;
+      spellSlot.title = `${spell.name} (${spell.manaCost} mana)`;
       
       const spellIndicator = document.createElement('div');
       spellIndicator.style.width = '30px';
@@ -213,7 +511,7 @@ export class UISystem {
     
     // Listen for key presses to select spells
     window.addEventListener('keydown', (event) => {
-      if (event.key >= '1' && event.key <= '3') {
+      if (event.key >= '1' && event.key <= String(spells.length)) {
         const index = parseInt(event.key) - 1;
         this.selectSpell(index);
       }
@@ -250,16 +548,94 @@ export class UISystem {
     }
   }
   
-  updateManaDisplay(mana) {
+  /**
+   * Show the player's mana
+   * @param {number} mana - Current mana
+   * @param {number} maxMana - Capacity, shown as "mana / max" when given
+   * @param {boolean} pulse - Animate the readout (mana pickups)
+   */
+  updateManaDisplay(mana, maxMana = null, pulse = true) {
     if (this.elements.manaText) {
-      this.elements.manaText.textContent = mana.toString();
+      this.elements.manaText.textContent = maxMana ? `${mana} / ${maxMana}` : mana.toString();
       
-      // Add pulse animation when mana changes
-      this.elements.manaText.style.transform = 'scale(1.2)';
+      if (pulse) {
+        this.elements.manaText.style.transform = 'scale(1.2)';
+        setTimeout(() => {
+          this.elements.manaText.style.transform = 'scale(1)';
+        }, 200);
+      }
+    }
+  }
+  
+  /**
+   * Brighten the mana icon while mana is regenerating near a magical circle
+   */
+  setManaRegenerating(isRegenerating) {
+    if (this.elements.manaIcon) {
+      this.elements.manaIcon.style.boxShadow = isRegenerating
+        ? '0 0 12px 4px rgba(0, 255, 255, 0.9)'
+        : '0 0 5px rgba(0, 255, 255, 0.8)';
+    }
+  }
+  
+  /**
+   * Tell the player a spell couldn't be cast for lack of mana
+   * @param {number} cost - Mana the spell needs
+   * @param {number} mana - Mana the player has
+   */
+  showInsufficientMana(cost, mana) {
+    this.showNotification(`Not enough mana (${mana} / ${cost})`, '#ff3366', 1200);
+    
+    // Flash the mana display red
+    const container = this.elements.manaContainer;
+    if (container) {
+      container.style.boxShadow = '0 0 15px rgba(255, 0, 60, 0.9)';
+      container.style.background = 'rgba(60, 0, 20, 0.8)';
       setTimeout(() => {
-        this.elements.manaText.style.transform = 'scale(1)';
-      }, 200);
+        container.style.boxShadow = '0 0 10px rgba(0, 255, 255, 0.5)';
+        container.style.background = 'rgba(0, 0, 30, 0.7)';
+      }, 300);
+    }
+  }
+  
+  /**
+   * Show a short message in the upper middle of the screen
+   * @param {string} message - Text to show
+   * @param {string} color - CSS color for the text glow
+   * @param {number} duration - How long to show the message in ms
+   */
+  showNotification(message, color = '#ffffff', duration = 2000) {
+    if (!this.elements.notifications) {
+      const notifications = document.createElement('div');
+      notifications.style.position = 'absolute';
+      notifications.style.top = '20%';
+      notifications.style.left = '50%';
+      notifications.style.transform = 'translateX(-50%)';
+      notifications.style.display = 'flex';
+      notifications.style.flexDirection = 'column';
+      notifications.style.alignItems = 'center';
+      notifications.style.gap = '5px';
+      this.container.appendChild(notifications);
+      this.elements.notifications = notifications;
     }
+    
+    const notification = document.createElement('div');
+    notification.textContent = message;
+    notification.style.padding = '6px 14px';
+    notification.style.background = 'rgba(0, 0, 30, 0.7)';
+    notification.style.borderRadius = '5px';
+    notification.style.fontSize = '16px';
+    notification.style.textShadow = `0 0 5px ${color}`;
+    notification.style.boxShadow = `0 0 10px ${color}`;
+    notification.style.transition = 'opacity 0.5s';
+    
+    this.elements.notifications.appendChild(notification);
+    
+    // Fade out, then remove
+    setTimeout(() => {
+      notification.style.opacity = '0';
+      setTimeout(() => notification.remove(), 500);
+    }, duration);
   }
   
   updateHealthDisplay(health, maxHealth) {
@@ -278,6 +654,58 @@ export class UISystem {
     }
   }
   
+  /**
+   * Flash the screen edges red when the local player takes damage
+   * @param {Object} player - Player that was damaged
+   * @param {number} damage - Damage taken
+   */
+  onPlayerDamaged(player, damage) {
+    if (!player.isLocal) return;
+    
+    if (!this.elements.damageFlash) {
+      const flash = document.createElement('div');
+      flash.style.position = 'absolute';
+      flash.style.top = '0';
+      flash.style.left = '0';
+      flash.style.width = '100%';
+      flash.style.height = '100%';
+      flash.style.background = 'radial-gradient(ellipse at center, rgba(255, 0, 0, 0) 50%, rgba(255, 0, 40, 0.6) 100%)';
+      flash.style.opacity = '0';
+      flash.style.transition = 'opacity 0.4s';
+      this.container.appendChild(flash);
+      this.elements.damageFlash = flash;
+    }
+    
+    // Stronger flash for bigger hits
+    const flash = this.elements.damageFlash;
+    flash.style.transition = 'none';
+    flash.style.opacity = Math.min(1, 0.4 + damage / player.maxHealth * 2).toString();
+    setTimeout(() => {
+      flash.style.transition = 'opacity 0.4s';
+      flash.style.opacity = '0';
+    }, 100);
+    
+    this.updateHealthDisplay(player.health, player.maxHealth);
+  }
+  
+  onPlayerDowned(player, sourceId) {
+    const playerSystem = this.engine.systems.player;
+    const source = playerSystem.players.get(sourceId);
+    
+    if (player.isLocal) {
+      const by = source && !source.isLocal ? ` by ${source.name}` : '';
+      this.showNotification(`You were downed${by}!`, '#ff3366', 3000);
+    } else if (source && source.isLocal) {
+      this.showNotification(`You downed ${player.name}!`, '#ffcc00');
+    }
+  }
+  
+  onPlayerRespawned(player) {
+    if (player.isLocal) {
+      this.showNotification('Back in the air', '#66ff99');
+    }
+  }
+  
   updateMinimap() {
     // Minimap functionality is now handled by MinimapSystem
     // This method is kept for backwards compatibility
@@ -291,8 +719,21 @@ export class UISystem {
     if (this.engine.systems.player && this.engine.systems.player.localPlayer) {
       const player = this.engine.systems.player.localPlayer;
       this.updateHealthDisplay(player.health, player.maxHealth);
+      
+      const body = this.engine.systems.player.physics.body;
+      if (body) {
+        this.updateWindIndicator(body.airVelocity, player.rotation.y);
+      }
     }
     
     // Minimap is now updated by MinimapSystem
+    
+    if (this.elements.networkSimStats) {
+      this.updateNetworkSimPanel();
+    }
+    
+    if (this.elements.clockLabel) {
+      this.updateClockControl();
+    }
   }
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 import * as THREE from "three";
+import { createSeededRandom, hashCoords } from "../../utils/SeededRandom.js";
 
 export class VegetationSystem {
   constructor(engine) {
@@ -11,13 +12,22 @@ export class VegetationSystem {
     this.treeInstances = [];
     this.currentChunks = new Set();
     
-    // Vegetation parameters
+    // Vegetation parameters. Each type grows in its biomes (WorldSystem.getBiome),
+    // scaled by the biome's treeDensity
     this.treeTypes = [
-      { name: "pine", minHeight: 20, maxHeight: 80, avoidWater: true, density: this.engine.isMobile ? 0.1 : 0.2 },
-      { name: "oak", minHeight: 10, maxHeight: 30, avoidWater: true, density: this.engine.isMobile ? 0.2 : 0.4 },
-      { name: "palm", minHeight: 5, maxHeight: 15, avoidWater: false, density: this.engine.isMobile ? 0.05 : 0.1 }
+      { name: "pine", biomes: ["taiga", "forest", "tundra", "mountains"], avoidWater: true, density: this.engine.isMobile ? 0.1 : 0.2 },
+      { name: "oak", biomes: ["forest", "plains", "rainforest", "savanna"], avoidWater: true, density: this.engine.isMobile ? 0.2 : 0.4 },
+      { name: "palm", biomes: ["beach", "desert", "savanna", "rainforest"], avoidWater: false, density: this.engine.isMobile ? 0.05 : 0.1 }
     ];
     
+    // Collision shapes matching the models in createTreeModels, before instance
+    // scaling: a trunk capsule from the ground and a canopy sphere
+    this.treeColliders = {
+      pine: { trunkRadius: 1.2, trunkHeight: 6, canopyY: 10.5, canopyRadius: 3.5 },
+      oak: { trunkRadius: 1, trunkHeight: 5, canopyY: 7, canopyRadius: 4 },
+      palm: { trunkRadius: 0.6, trunkHeight: 8, canopyY: 8, canopyRadius: 2.5 }
+    };
+    
     this.treeDistance = this.engine.isMobile ? 5 : 2; // Increased minimum distance between trees
     this.chunksWithTrees = new Set(); // Track which chunks have trees
     
@@ -126,12 +136,13 @@ export class VegetationSystem {
     this.treeModels = [pineTree, oakTree, palmTree];
   }
   
-  shouldPlaceTree(x, z, treeType) {
+  shouldPlaceTree(x, z, treeType, nearbyTrees = this.treeInstances, biome = null) {
     const height = this.worldSystem.getTerrainHeight(x, z);
     const waterLevel = this.worldSystem.waterLevel;
     
-    // Check height constraints
-    if (height < treeType.minHeight || height > treeType.maxHeight) {
+    // Check the biome
+    biome = biome ?? this.worldSystem.getBiome(x, z, height);
+    if (!treeType.biomes.includes(biome)) {
       return false;
     }
     
@@ -157,7 +168,7 @@ export class VegetationSystem {
     }
     
     // Check if too close to other trees
-    for (const instance of this.treeInstances) {
+    for (const instance of nearbyTrees) {
       const dx = instance.position.x - x;
       const dz = instance.position.z - z;
       const distanceSquared = dx * dx + dz * dz;
@@ -169,7 +180,7 @@ export class VegetationSystem {
     
     // Use noise for natural distribution
     const noiseValue = this.worldSystem.noise(x * 0.05, z * 0.05);
-    return noiseValue > (1 - treeType.density);
+    return noiseValue > (1 - treeType.density * this.worldSystem.biomes[biome].treeDensity);
   }
   
   generateTreesForChunk(chunkX, chunkZ) {
@@ -186,6 +197,11 @@ export class VegetationSystem {
     const maxX = minX + chunkSize;
     const maxZ = minZ + chunkSize;
     
+    // Seed placement per chunk so the same world seed always grows the same trees,
+    // regardless of the order in which chunks are visited
+    const random = createSeededRandom(hashCoords(this.worldSystem.seed, chunkX, chunkZ, 1));
+    const chunkTrees = [];
+    
     // Number of attempts to place trees - significantly reduced for mobile
     const attempts = this.engine.isMobile ? 30 : 60;
     
@@ -195,30 +211,40 @@ export class VegetationSystem {
     
     for (let i = 0; i < attempts && treesInChunk < maxTreesPerChunk; i++) {
       // Random position within chunk
-      const x = minX + Math.random() * chunkSize;
-      const z = minZ + Math.random() * chunkSize;
+      const x = minX + random() * chunkSize;
+      const z = minZ + random() * chunkSize;
+      
+      // Select a random tree type among those growing in this biome
+      const biome = this.worldSystem.getBiome(x, z);
+      const candidates = this.treeTypes.filter(type => type.biomes.includes(biome));
+      const pick = random();
+      const treeType = candidates[Math.floor(pick * candidates.length)];
       
-      // Select random tree type
-      const treeTypeIndex = Math.floor(Math.random() * this.treeTypes.length);
-      const treeType = this.treeTypes[treeTypeIndex];
+      // Always draw rotation and scale so the sequence stays stable across attempts
+      const rotation = random() * Math.PI * 2;
+      const scale = 0.8 + random() * 0.4;
       
-      if (this.shouldPlaceTree(x, z, treeType)) {
+      // Spacing is checked against this chunk's trees only, keeping the result
+      // independent of which neighbouring chunks happen to be loaded
+      if (treeType && this.shouldPlaceTree(x, z, treeType, chunkTrees, biome)) {
         const height = this.worldSystem.getTerrainHeight(x, z);
         
         // Create tree instance
-        const treeModel = this.treeModels[treeTypeIndex].clone();
+        const treeModel = this.treeModels[this.treeTypes.indexOf(treeType)].clone();
         
         // Position the tree
         treeModel.position.set(x, height, z);
         
         // Random rotation and slight scale variation
-        treeModel.rotation.y = Math.random() * Math.PI * 2;
-        const scale = 0.8 + Math.random() * 0.4;
+        treeModel.rotation.y = rotation;
         treeModel.scale.set(scale, scale, scale);
+        treeModel.userData.treeType = treeType;
         
         // Add to scene
         this.scene.add(treeModel);
+        this.addTreeColliders(treeModel, treeType, scale);
         this.treeInstances.push(treeModel);
+        chunkTrees.push(treeModel);
         treesInChunk++;
       }
     }
@@ -227,6 +253,77 @@ export class VegetationSystem {
     this.chunksWithTrees.add(chunkKey);
   }
   
+  /**
+   * Make a tree solid for PhysicsSystem
+   * @param {THREE.Object3D} tree - Placed tree instance
+   * @param {Object} treeType - Entry of treeTypes
+   * @param {number} scale - Instance scale
+   */
+  addTreeColliders(tree, treeType, scale) {
+    const physics = this.engine.systems.physics;
+    const shape = this.treeColliders[treeType.name];
+    if (!physics || !shape) return;
+    
+    const base = tree.position;
+    tree.userData.colliders = [
+      physics.addCollider({
+        type: "capsule",
+        start: base.clone(),
+        end: new THREE.Vector3(base.x, base.y + shape.trunkHeight * scale, base.z),
+        radius: shape.trunkRadius * scale,
+        owner: tree
+      }),
+      physics.addCollider({
+        type: "sphere",
+        center: new THREE.Vector3(base.x, base.y + shape.canopyY * scale, base.z),
+        radius: shape.canopyRadius * scale,
+        owner: tree
+      })
+    ];
+  }
+  
+  /**
+   * Take a tree out of the scene and out of collisions
+   */
+  removeTree(tree) {
+    this.scene.remove(tree);
+    
+    const physics = this.engine.systems.physics;
+    if (physics && tree.userData.colliders) {
+      tree.userData.colliders.forEach(collider => physics.removeCollider(collider));
+      tree.userData.colliders = null;
+    }
+  }
+  
+  /**
+   * Keep trees standing on ground a spell moved
+   * @param {Object} bounds - { minX, minZ, maxX, maxZ } that changed
+   */
+  handleTerrainEdit(bounds) {
+    const physics = this.engine.systems.physics;
+    
+    this.treeInstances.forEach(tree => {
+      const { x, z } = tree.position;
+      if (x < bounds.minX || x > bounds.maxX || z < bounds.minZ || z > bounds.maxZ) return;
+      
+      tree.position.y = this.worldSystem.getTerrainHeight(x, z);
+      
+      if (physics && tree.userData.colliders) {
+        tree.userData.colliders.forEach(collider => physics.removeCollider(collider));
+        this.addTreeColliders(tree, tree.userData.treeType, tree.scale.x);
+      }
+    });
+  }
+  
+  /**
+   * Remove all trees so they regrow from the new world seed
+   */
+  handleSeedChange() {
+    this.treeInstances.forEach(tree => this.removeTree(tree));
+    this.treeInstances = [];
+    this.chunksWithTrees.clear();
+  }
+  
   update() {
     const player = this.engine.systems.player?.localPlayer;
     if (!player) return;
@@ -270,10 +367,17 @@ export class VegetationSystem {
       const treeChunkKey = `${treeChunkX},${treeChunkZ}`;
       
       if (!chunksToKeep.has(treeChunkKey)) {
-        this.scene.remove(tree);
+        this.removeTree(tree);
         return false;
       }
       return true;
     });
+    
+    // Forget chunks that left the view so their trees regrow on return
+    for (const chunkKey of this.chunksWithTrees) {
+      if (!chunksToKeep.has(chunkKey)) {
+        this.chunksWithTrees.delete(chunkKey);
+      }
+    }
   }
 }
\ No newline at end of file
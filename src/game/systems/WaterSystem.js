@@ -1,4 +1,5 @@
 import * as THREE from "three";
+import { createSeededRandom, hashCoords } from "../../utils/SeededRandom.js";
 
 export class WaterSystem {
   constructor(engine) {
@@ -26,6 +27,10 @@ export class WaterSystem {
     
     // Water animation
     this.time = 0;
+    
+    // Night tint
+    this.nightColor = new THREE.Color(0x0a1a33);
+    this.night = null; // 0 by day to 1 at night, set in updateNightTint
   }
   
   async initialize() {
@@ -73,6 +78,11 @@ export class WaterSystem {
       metalness: 0.15,
       roughness: 0.2,
     });
+    
+    // Daytime colors, for darkening at night
+    Object.values(this.materials).forEach(material => {
+      material.userData.dayColor = material.color.clone();
+    });
   }
   
   createOcean() {
@@ -93,14 +103,19 @@ export class WaterSystem {
     this.riverPaths = [];
     
     // Get world parameters
+    // The extent is fixed rather than derived from the (device dependent) view
+    // distance so every client grows the same rivers from the same seed
     const chunkSize = this.worldSystem.chunkSize;
-    const worldExtent = chunkSize * this.worldSystem.viewDistance * 2;
+    const worldExtent = chunkSize * 16;
     
     // Generate multiple rivers
     for (let i = 0; i < this.riverCount; i++) {
+      // Each river gets its own seeded stream
+      const random = createSeededRandom(hashCoords(this.worldSystem.seed, i, 0, 3));
+      
       // Start river at a random mountain location
-      const startX = (Math.random() - 0.5) * worldExtent;
-      const startZ = (Math.random() - 0.5) * worldExtent;
+      const startX = (random() - 0.5) * worldExtent;
+      const startZ = (random() - 0.5) * worldExtent;
       
       // Find a suitable high point for river source
       let bestHeight = -Infinity;
@@ -109,8 +124,8 @@ export class WaterSystem {
       
       // Sample multiple points to find a high point
       for (let j = 0; j < 20; j++) {
-        const sampleX = startX + (Math.random() - 0.5) * 500;
-        const sampleZ = startZ + (Math.random() - 0.5) * 500;
+        const sampleX = startX + (random() - 0.5) * 500;
+        const sampleZ = startZ + (random() - 0.5) * 500;
         const height = this.worldSystem.getTerrainHeight(sampleX, sampleZ);
         
         if (height > bestHeight && height > this.waterLevel + 30) {
@@ -124,14 +139,14 @@ export class WaterSystem {
       if (bestHeight === -Infinity) continue;
       
       // Create river path
-      const riverPath = this.generateRiverFlow(bestX, bestZ);
+      const riverPath = this.generateRiverFlow(bestX, bestZ, random);
       if (riverPath.length > 0) {
         this.riverPaths.push(riverPath);
       }
     }
   }
   
-  generateRiverFlow(startX, startZ) {
+  generateRiverFlow(startX, startZ, random = Math.random) {
     // Generate a river path from a starting point, following terrain gradient
     const path = [];
     let currentX = startX;
@@ -170,8 +185,8 @@ export class WaterSystem {
       // If we can't find a lower point, break
       if (lowestHeight >= currentHeight) {
         // Add a random displacement to try to continue
-        lowestX = currentX + (Math.random() - 0.5) * 20;
-        lowestZ = currentZ + (Math.random() - 0.5) * 20;
+        lowestX = currentX + (random() - 0.5) * 20;
+        lowestZ = currentZ + (random() - 0.5) * 20;
         lowestHeight = this.worldSystem.getTerrainHeight(lowestX, lowestZ);
         
         // If still not lower, we're in a depression, so break
@@ -280,6 +295,19 @@ export class WaterSystem {
     }
   }
   
+  /**
+   * Rebuild river paths for a new world seed
+   */
+  handleSeedChange() {
+    for (const mesh of this.riverSegments.values()) {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+    }
+    this.riverSegments.clear();
+    
+    this.generateRiverPaths();
+  }
+  
   updateOcean() {
     // Update ocean position to follow player
     const player = this.engine.systems.player?.localPlayer;
@@ -304,6 +332,23 @@ export class WaterSystem {
     }
   }
   
+  /**
+   * Darken the water toward a deep night blue as the sun goes down
+   */
+  updateNightTint() {
+    const clock = this.engine.systems.clock;
+    if (!clock) return;
+    
+    // Dusk sets in while the sun is still up
+    const night = 1 - Math.min(1, clock.getDaylight() * 4);
+    if (night === this.night) return;
+    this.night = night;
+    
+    Object.values(this.materials).forEach(material => {
+      material.color.copy(material.userData.dayColor).lerp(this.nightColor, night * 0.7);
+    });
+  }
+  
   update(delta) {
     // Update ocean
     this.updateOcean();
@@ -313,5 +358,8 @@ export class WaterSystem {
     
     // Animate water
     this.animateWater(delta);
+    
+    // Follow the world clock's daylight
+    this.updateNightTint();
   }
 }
\ No newline at end of file
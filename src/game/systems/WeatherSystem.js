@@ -0,0 +1,590 @@
+import * as THREE from "three";
+import { EventEmitter } from "../../utils/EventEmitter";
+
+// Weather states. Values are targets the current weather eases toward:
+// cloudCover darkens the sky and clouds, precipitation is the share of the
+// drop budget in use, fog adds fog banks on top of the atmosphere's haze and
+// lightning is strikes per minute.
+export const WEATHER_STATES = {
+  clear: { cloudCover: 0, precipitation: 0, fog: 0, lightning: 0, duration: [120, 300] },
+  overcast: { cloudCover: 0.7, precipitation: 0, fog: 0.15, lightning: 0, duration: [90, 200] },
+  rain: { cloudCover: 0.9, precipitation: 0.7, fog: 0.3, lightning: 0, duration: [60, 150] },
+  snow: { cloudCover: 0.8, precipitation: 0.6, fog: 0.4, lightning: 0, duration: [60, 150] },
+  fog: { cloudCover: 0.4, precipitation: 0, fog: 1, lightning: 0, duration: [60, 120] },
+  thunderstorm: { cloudCover: 1, precipitation: 1, fog: 0.4, lightning: 8, duration: [45, 100] }
+};
+
+// Relative odds of the next state. Snow is only picked over snowy biomes,
+// and rain falls as snow there.
+const TRANSITIONS = {
+  clear: { clear: 1, overcast: 3, fog: 1 },
+  overcast: { clear: 2, rain: 3, thunderstorm: 1, fog: 1 },
+  rain: { overcast: 2, rain: 1, thunderstorm: 1, clear: 1 },
+  snow: { overcast: 2, snow: 1, clear: 1 },
+  fog: { clear: 2, overcast: 1 },
+  thunderstorm: { rain: 2, overcast: 1 }
+};
+
+// Precipitation budgets and effects per quality tier (see getQualityTier)
+const QUALITY_TIERS = {
+  low: { drops: 1200, flakes: 600, boxSize: 60, bolts: false },
+  medium: { drops: 4000, flakes: 2000, boxSize: 80, bolts: true },
+  high: { drops: 10000, flakes: 5000, boxSize: 100, bolts: true }
+};
+
+// Precipitation particles never move on the CPU: they sit in a box that is
+// wrapped around the camera in the vertex shader, and fall by a shared offset
+const PRECIPITATION_VERTEX_SHADER = `
+  uniform vec3 uCenter;
+  uniform vec3 uOffset;
+  uniform float uBoxSize;
+  uniform float uSize;
+  uniform float uScale;
+  uniform float uTime;
+  uniform float uSway;
+  attribute float aPhase;
+  varying float vAlpha;
+
+  void main() {
+    float halfBox = uBoxSize * 0.5;
+    vec3 p = position + uOffset;
+    p.x += sin(uTime * 1.3 + aPhase) * uSway;
+    p.z += cos(uTime * 1.1 + aPhase) * uSway;
+    vec3 local = mod(p - uCenter + halfBox, uBoxSize) - halfBox;
+
+    // Fade out toward the edge of the box, so wrapping particles don't pop
+    vAlpha = 1.0 - smoothstep(0.7, 1.0, length(local) / halfBox);
+
+    vec4 mvPosition = modelViewMatrix * vec4(uCenter + local, 1.0);
+    gl_PointSize = min(64.0, uSize * uScale / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const RAIN_FRAGMENT_SHADER = `
+  uniform vec3 uColor;
+  uniform float uOpacity;
+  varying float vAlpha;
+
+  void main() {
+    // A thin vertical streak inside the point sprite
+    vec2 c = gl_PointCoord - 0.5;
+    float alpha = (1.0 - smoothstep(0.02, 0.06, abs(c.x))) * (1.0 - abs(c.y) * 2.0) * vAlpha * uOpacity;
+    if (alpha < 0.01) discard;
+    gl_FragColor = vec4(uColor, alpha);
+  }
+`;
+
+const SNOW_FRAGMENT_SHADER = `
+  uniform vec3 uColor;
+  uniform float uOpacity;
+  varying float vAlpha;
+
+  void main() {
+    // Soft round flake
+    float alpha = (1.0 - smoothstep(0.2, 0.5, length(gl_PointCoord - 0.5))) * vAlpha * uOpacity;
+    if (alpha < 0.01) discard;
+    gl_FragColor = vec4(uColor, alpha);
+  }
+`;
+
+/**
+ * Weather: a state machine over WEATHER_STATES with smooth transitions.
+ * Drives rain and snow particles, fog density in scene.fog, and lightning
+ * flashes that light the scene (brighter against a dark night sky).
+ * AtmosphereSystem asks it to shade the sky, fog color and clouds.
+ *
+ * Events:
+ *   change    - { from, to } a transition to a new state started
+ *   lightning - { position, distance } a bolt struck
+ */
+export class WeatherSystem extends EventEmitter {
+  constructor(engine) {
+    super();
+    this.engine = engine;
+    this.scene = engine.scene;
+
+    // State machine
+    this.state = "clear";
+    this.stateTimer = 0; // Seconds until the next state is picked
+    this.transitionTime = 12; // Time constant of the eased transitions, seconds
+
+    // Current (eased) weather
+    this.current = { cloudCover: 0, precipitation: 0, fog: 0, lightning: 0 };
+    this.rain = 0; // Share of the drop budget falling as rain
+    this.snow = 0; // Share of the flake budget falling as snow
+
+    // Over a biome where precipitation falls as snow (WorldSystem.getBiome)
+    this.overSnow = false;
+    this.biomeCheckInterval = 1; // seconds
+    this.timeSinceBiomeCheck = Infinity;
+
+    // Fog banks drift through the world and hug the ground
+    this.baseFogDensity = 0.0002; // Replaced by the atmosphere's fog once it exists
+    this.maxFogDensity = 0.004;
+    this.fogBankScale = 0.0015;
+    this.fogBankDrift = 0.02;
+    this.fogBankHeight = 150; // Height above the water where banks have thinned out
+
+    // Precipitation
+    this.rainFallSpeed = 70;
+    this.snowFallSpeed = 6;
+    this.rainOffset = new THREE.Vector3();
+    this.snowOffset = new THREE.Vector3();
+    this.precipitationWind = new THREE.Vector3();
+    this.rainMesh = null;
+    this.snowMesh = null;
+
+    // Lightning
+    this.flash = 0; // 0-1, read by AtmosphereSystem
+    this.flashStrength = 0;
+    this.timeSinceStrike = Infinity;
+    this.nextStrikeIn = 0;
+    this.flashPulses = [
+      { offset: 0, strength: 1 },
+      { offset: 0.1, strength: 0.5 },
+      { offset: 0.22, strength: 0.8 }
+    ];
+    this.flashLight = null;
+    this.bolt = null;
+    this.boltSegments = 12;
+    this.strikeDistance = { min: 200, max: 1500 };
+
+    // Sky shading
+    this.overcastColor = new THREE.Color(0x8a8f96);
+    this.flashColor = new THREE.Color(0xdde4ff);
+    this.cloudShade = 1; // Cloud color multiplier, read by AtmosphereSystem
+
+    this.time = 0;
+    this.quality = null;
+    this._scratchColor = new THREE.Color();
+  }
+
+  async initialize() {
+    console.log("Initializing WeatherSystem...");
+
+    if (this.scene.fog && this.scene.fog.isFogExp2) {
+      this.baseFogDensity = this.scene.fog.density;
+    }
+
+    // Lightning lights the whole scene from above for an instant
+    this.flashLight = new THREE.HemisphereLight(0xdde4ff, 0x445566, 0);
+    this.scene.add(this.flashLight);
+
+    this.applyQuality();
+
+    // ?weather=rain starts in a given state
+    const requested = new URLSearchParams(window.location.search).get("weather");
+    this.setWeather(WEATHER_STATES[requested] ? requested : "clear", true);
+
+    console.log("WeatherSystem initialized");
+  }
+
+  /**
+   * Quality tier from the device and power settings
+   * @returns {string} "low", "medium" or "high"
+   */
+  getQualityTier() {
+    const qualityManager = this.engine.qualityManager;
+
+    if (qualityManager && qualityManager.batterySavingMode) return "low";
+    if (this.engine.isMobile) {
+      return qualityManager && qualityManager.highQualityMode ? "medium" : "low";
+    }
+    return "high";
+  }
+
+  /**
+   * Rebuild precipitation for the current quality tier. Engine calls this
+   * when battery saving or high quality mode is toggled.
+   */
+  applyQuality() {
+    const tier = this.getQualityTier();
+    if (tier === this.quality) return;
+    this.quality = tier;
+
+    const settings = QUALITY_TIERS[tier];
+
+    this.disposePrecipitation();
+    this.rainMesh = this.createPrecipitation(settings.drops, settings.boxSize, RAIN_FRAGMENT_SHADER, 3, 0);
+    this.snowMesh = this.createPrecipitation(settings.flakes, settings.boxSize, SNOW_FRAGMENT_SHADER, 0.6, 1.5);
+
+    if (settings.bolts && !this.bolt) {
+      this.createBolt();
+    } else if (!settings.bolts && this.bolt) {
+      this.scene.remove(this.bolt);
+      this.bolt.geometry.dispose();
+      this.bolt.material.dispose();
+      this.bolt = null;
+    }
+
+    console.log(`Weather quality: ${tier}`);
+  }
+
+  createPrecipitation(count, boxSize, fragmentShader, size, sway) {
+    const positions = new Float32Array(count * 3);
+    const phases = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+      positions[i * 3] = Math.random() * boxSize;
+      positions[i * 3 + 1] = Math.random() * boxSize;
+      positions[i * 3 + 2] = Math.random() * boxSize;
+      phases[i] = Math.random() * Math.PI * 2;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("aPhase", new THREE.BufferAttribute(phases, 1));
+    geometry.setDrawRange(0, 0);
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        uCenter: { value: new THREE.Vector3() },
+        uOffset: { value: new THREE.Vector3() },
+        uBoxSize: { value: boxSize },
+        uSize: { value: size },
+        uScale: { value: 500 },
+        uTime: { value: 0 },
+        uSway: { value: sway },
+        uColor: { value: new THREE.Color(0xffffff) },
+        uOpacity: { value: 0.6 }
+      },
+      vertexShader: PRECIPITATION_VERTEX_SHADER,
+      fragmentShader,
+      transparent: true,
+      depthWrite: false,
+      fog: false
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.userData.maxCount = count;
+    points.frustumCulled = false; // Positions are moved in the shader
+    points.visible = false;
+    this.scene.add(points);
+
+    return points;
+  }
+
+  disposePrecipitation() {
+    [this.rainMesh, this.snowMesh].forEach(mesh => {
+      if (!mesh) return;
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this.rainMesh = null;
+    this.snowMesh = null;
+  }
+
+  createBolt() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array((this.boltSegments + 1) * 3), 3));
+
+    const material = new THREE.LineBasicMaterial({
+      color: 0xeef2ff,
+      transparent: true,
+      opacity: 0,
+      fog: false
+    });
+
+    this.bolt = new THREE.Line(geometry, material);
+    this.bolt.frustumCulled = false;
+    this.bolt.visible = false;
+    this.scene.add(this.bolt);
+  }
+
+  /**
+   * Change the weather
+   * @param {string} name - A key of WEATHER_STATES
+   * @param {boolean} immediate - Jump to it instead of easing in
+   */
+  setWeather(name, immediate = false) {
+    const state = WEATHER_STATES[name];
+    if (!state) {
+      console.warn(`Unknown weather "${name}"`);
+      return;
+    }
+
+    const from = this.state;
+    this.state = name;
+    this.stateTimer = THREE.MathUtils.randFloat(state.duration[0], state.duration[1]);
+    this.nextStrikeIn = this.getStrikeInterval();
+
+    if (immediate) {
+      Object.keys(this.current).forEach(key => {
+        this.current[key] = state[key];
+      });
+      this.rain = this.getRainTarget();
+      this.snow = this.getSnowTarget();
+    }
+
+    this.emit("change", { from, to: name });
+  }
+
+  /**
+   * Pick the next state from the transition odds
+   */
+  pickNextState() {
+    const odds = TRANSITIONS[this.state];
+    const names = Object.keys(odds);
+    const total = names.reduce((sum, name) => sum + odds[name], 0);
+
+    let roll = Math.random() * total;
+    for (const name of names) {
+      roll -= odds[name];
+      if (roll <= 0) return this.localizeState(name);
+    }
+
+    return this.localizeState(names[names.length - 1]);
+  }
+
+  /**
+   * Rain becomes snow over snowy biomes, and snow rain away from it
+   */
+  localizeState(name) {
+    if (name === "rain" && this.overSnow) return "snow";
+    if (name === "snow" && !this.overSnow) return "rain";
+    return name;
+  }
+
+  getRainTarget() {
+    return this.overSnow || this.state === "snow" ? 0 : this.current.precipitation;
+  }
+
+  getSnowTarget() {
+    return this.overSnow || this.state === "snow" ? this.current.precipitation : 0;
+  }
+
+  getStrikeInterval() {
+    const rate = WEATHER_STATES[this.state].lightning;
+    if (rate <= 0) return Infinity;
+
+    // Exponentially distributed gaps between strikes
+    return -Math.log(1 - Math.random()) * 60 / rate;
+  }
+
+  /**
+   * How much of the sun gets through the clouds, for AtmosphereSystem
+   * @returns {number} 0-1 multiplier for the sun light
+   */
+  getSunlightFactor() {
+    return 1 - this.current.cloudCover * 0.6;
+  }
+
+  /**
+   * Shade the atmosphere's sky and fog colors for cloud cover and lightning
+   * (colors are modified in place)
+   */
+  applyToSky(topColor, bottomColor, fogColor) {
+    const cover = this.current.cloudCover * 0.7;
+
+    [topColor, bottomColor, fogColor].forEach(color => {
+      // Grey out toward an overcast color as bright as the sky already is
+      const luminance = color.r * 0.3 + color.g * 0.59 + color.b * 0.11;
+      this._scratchColor.copy(this.overcastColor).multiplyScalar(luminance * 1.6);
+      color.lerp(this._scratchColor, cover);
+      color.lerp(this.flashColor, this.flash * 0.8);
+    });
+  }
+
+  getDaylight() {
+    return this.engine.systems.clock?.getDaylight() ?? 1;
+  }
+
+  update(delta) {
+    const player = this.engine.systems.player?.localPlayer;
+    this.time += delta;
+
+    // Re-check the biome under the player now and then
+    this.timeSinceBiomeCheck += delta;
+    if (player && this.timeSinceBiomeCheck >= this.biomeCheckInterval) {
+      this.timeSinceBiomeCheck = 0;
+      this.updateBiome(player);
+    }
+
+    // Advance the state machine
+    this.stateTimer -= delta;
+    if (this.stateTimer <= 0) {
+      this.setWeather(this.pickNextState());
+    }
+
+    // Ease toward the state's values
+    const target = WEATHER_STATES[this.state];
+    const ease = 1 - Math.exp(-delta / this.transitionTime);
+    Object.keys(this.current).forEach(key => {
+      this.current[key] += (target[key] - this.current[key]) * ease;
+    });
+    this.rain += (this.getRainTarget() - this.rain) * ease;
+    this.snow += (this.getSnowTarget() - this.snow) * ease;
+
+    this.updateFog(player);
+    this.updatePrecipitation(delta);
+    this.updateLightning(delta, player);
+
+    // Clouds grey out under cover
+    this.cloudShade = 1 - this.current.cloudCover * 0.45;
+  }
+
+  updateBiome(player) {
+    const world = this.engine.systems.world;
+    if (!world) return;
+
+    const overSnow = world.biomes[world.getBiome(player.position.x, player.position.z)].snowfall;
+    if (overSnow === this.overSnow) return;
+    this.overSnow = overSnow;
+
+    // Precipitation changes form right away; the state follows
+    const localized = this.localizeState(this.state);
+    if (localized !== this.state) {
+      const remaining = this.stateTimer;
+      this.setWeather(localized);
+      this.stateTimer = remaining;
+    }
+  }
+
+  updateFog(player) {
+    const fog = this.scene.fog;
+    if (!fog || !fog.isFogExp2) return;
+
+    let bank = 1;
+    let lowness = 1;
+    const world = this.engine.systems.world;
+    if (player && world && world.noise) {
+      // Banks come and go as they drift past
+      bank = 0.5 + 0.5 * world.noise(
+        player.position.x * this.fogBankScale + this.time * this.fogBankDrift,
+        player.position.z * this.fogBankScale
+      );
+
+      // Thick near the ground, thinning out toward the top of the banks
+      const height = player.position.y - world.waterLevel;
+      lowness = THREE.MathUtils.clamp(1 - height / this.fogBankHeight, 0.2, 1);
+    }
+
+    const haze = this.baseFogDensity * (1 + this.current.cloudCover * 0.5 + (this.rain + this.snow) * 2);
+    fog.density = haze + this.current.fog * this.maxFogDensity * (0.3 + 0.7 * bank) * lowness;
+  }
+
+  updatePrecipitation(delta) {
+    const camera = this.engine.camera;
+    const physics = this.engine.systems.physics;
+
+    // Drops and flakes blow with the wind around the camera
+    if (physics && physics.wind) {
+      physics.wind.getWind(camera.position, this.precipitationWind, false);
+      this.precipitationWind.y = 0;
+    }
+
+    const daylight = this.getDaylight();
+    const scale = this.engine.renderer.domElement.height * 0.5;
+    // Sway is periodic, so time can wrap without a visible jump
+    const swayTime = this.time % (Math.PI * 2 * 100);
+
+    this.updatePrecipitationMesh(this.rainMesh, this.rain, this.rainOffset, this.rainFallSpeed, 1, delta, camera, scale, swayTime);
+    this.updatePrecipitationMesh(this.snowMesh, this.snow, this.snowOffset, this.snowFallSpeed, 0.6, delta, camera, scale, swayTime);
+
+    // Darker at night
+    if (this.rainMesh) {
+      this.rainMesh.material.uniforms.uColor.value.setRGB(0.25, 0.3, 0.38).lerp(this._scratchColor.setRGB(0.7, 0.75, 0.85), daylight);
+    }
+    if (this.snowMesh) {
+      this.snowMesh.material.uniforms.uColor.value.setRGB(0.45, 0.5, 0.6).lerp(this._scratchColor.setRGB(1, 1, 1), daylight);
+    }
+  }
+
+  updatePrecipitationMesh(mesh, amount, offset, fallSpeed, windFactor, delta, camera, scale, swayTime) {
+    if (!mesh) return;
+
+    const count = Math.floor(mesh.userData.maxCount * amount);
+    mesh.geometry.setDrawRange(0, count);
+    mesh.visible = count > 0;
+    if (!mesh.visible) return;
+
+    const uniforms = mesh.material.uniforms;
+    const boxSize = uniforms.uBoxSize.value;
+
+    // Shared fall offset, wrapped to the box so it stays precise
+    offset.addScaledVector(this.precipitationWind, windFactor * delta);
+    offset.y -= fallSpeed * delta;
+    offset.set(
+      THREE.MathUtils.euclideanModulo(offset.x, boxSize),
+      THREE.MathUtils.euclideanModulo(offset.y, boxSize),
+      THREE.MathUtils.euclideanModulo(offset.z, boxSize)
+    );
+
+    uniforms.uCenter.value.copy(camera.position);
+    uniforms.uOffset.value.copy(offset);
+    uniforms.uScale.value = scale;
+    uniforms.uTime.value = swayTime;
+  }
+
+  updateLightning(delta, player) {
+    this.timeSinceStrike += delta;
+
+    if (player && this.current.lightning > 0.5) {
+      this.nextStrikeIn -= delta;
+      if (this.nextStrikeIn <= 0) {
+        this.strike(player);
+        this.nextStrikeIn = this.getStrikeInterval();
+      }
+    }
+
+    // A strike flickers a few times and fades
+    let flash = 0;
+    if (this.timeSinceStrike < 1) {
+      this.flashPulses.forEach(pulse => {
+        const t = this.timeSinceStrike - pulse.offset;
+        if (t >= 0) {
+          flash = Math.max(flash, pulse.strength * Math.exp(-t * 15));
+        }
+      });
+    }
+    this.flash = flash * this.flashStrength;
+
+    // Flashes light the scene more against a dark night
+    if (this.flashLight) {
+      this.flashLight.intensity = this.flash * (1 + 2 * (1 - this.getDaylight()));
+    }
+
+    if (this.bolt) {
+      this.bolt.visible = this.flash > 0.02;
+      this.bolt.material.opacity = Math.min(1, flash * 1.5);
+    }
+  }
+
+  /**
+   * Strike somewhere around the player
+   */
+  strike(player) {
+    const angle = Math.random() * Math.PI * 2;
+    const distance = THREE.MathUtils.randFloat(this.strikeDistance.min, this.strikeDistance.max);
+    const x = player.position.x + Math.cos(angle) * distance;
+    const z = player.position.z + Math.sin(angle) * distance;
+
+    const world = this.engine.systems.world;
+    const ground = world ? Math.max(world.getTerrainHeight(x, z), world.waterLevel) : 0;
+    const top = (this.engine.systems.atmosphere?.cloudHeight ?? 300) + player.position.y * 0.5;
+
+    // Nearer strikes flash brighter
+    this.flashStrength = 1 - 0.6 * (distance - this.strikeDistance.min) / (this.strikeDistance.max - this.strikeDistance.min);
+    this.timeSinceStrike = 0;
+
+    if (this.bolt) {
+      // Jagged line from the clouds to the ground
+      const positions = this.bolt.geometry.attributes.position;
+      for (let i = 0; i <= this.boltSegments; i++) {
+        const t = i / this.boltSegments;
+        const jitter = i === 0 || i === this.boltSegments ? 0 : 25;
+        positions.setXYZ(
+          i,
+          x + (Math.random() - 0.5) * jitter,
+          THREE.MathUtils.lerp(top, ground, t),
+          z + (Math.random() - 0.5) * jitter
+        );
+      }
+      positions.needsUpdate = true;
+    }
+
+    this.emit("lightning", { position: new THREE.Vector3(x, ground, z), distance });
+  }
+}
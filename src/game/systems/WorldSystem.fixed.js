@@ -1,5 +1,9 @@
 import * as THREE from "three";
 import { createNoise2D } from "simplex-noise";
+import { createSeededRandom, resolveWorldSeed } from "../../utils/SeededRandom.js";
+import { MANA_CELL_SIZE, getManaNodesForCell } from "../../utils/ManaLayout.js";
+import { TerrainEditLayer, getEditBounds } from "../../utils/TerrainEdits.js";
+import { BIOMES, classifyBiome } from "./world/Biomes.js";
 
 export class WorldSystem {
   constructor(engine) {
@@ -32,6 +36,10 @@ export class WorldSystem {
     // Initialize maps and collections
     this.currentChunks = new Map();
     this.manaNodes = [];
+    this.manaNodesById = new Map(); // Stable node id -> mesh, for server-confirmed collection
+    this.collectedManaNodes = new Map(); // Node id -> local time (ms) it respawns
+    this.manaRefreshTimer = 0;
+    this.lastManaCell = null;
     
     // Memory management
     this.memorySettings = {
@@ -97,19 +105,15 @@ export class WorldSystem {
       detailHeight: 20          // Increased from 20
     };
 
-    // Initialize noise generator
-    this.seed = Math.random() * 10000;
-    this.noise = createNoise2D();
-    
-    // Define biomes
-    this.biomes = {
-      ocean: { threshold: -0.3, color: new THREE.Color(0x0066aa) },
-      beach: { threshold: 0.2, color: new THREE.Color(0xdddd77) },
-      plains: { threshold: 0.2, color: new THREE.Color(0x44aa44) },
-      forest: { threshold: -0.4, color: new THREE.Color(0x227722) },
-      mountains: { threshold: 0.6, color: new THREE.Color(0x888888) },
-      snow: { threshold: 0.8, color: new THREE.Color(0xffffff) }
-    };
+    // Initialize noise generator from the shared world seed
+    this.seed = resolveWorldSeed();
+    this.noise = createNoise2D(createSeededRandom(this.seed));
+    
+    // Ground reshaped by spells, summed on top of the noise
+    this.edits = new TerrainEditLayer();
+    
+    // Biome table shared with the vegetation and weather systems
+    this.biomes = BIOMES;
 
     // Materials collection
     this.materials = {};
@@ -262,6 +266,15 @@ export class WorldSystem {
   async initialize() {
     console.log("Initializing WorldSystem...");
     
+    const network = this.engine.systems.network;
+    if (network) {
+      // The room's terrain edits on joining, then each new one
+      network.on("game_state", (data) => {
+        if (data.selfId) this.loadTerrainEdits(data.terrainEdits);
+      });
+      network.on("terrain_edit", (edit) => this.applyTerrainEdit(edit));
+    }
+    
     // Create materials and setup environment
     await this.createMaterials();
     this.createLights();
@@ -511,7 +524,7 @@ export class WorldSystem {
     this.scene.fog = new THREE.FogExp2(0x88ccff, 0.00008); // Reduced from 0.0002 for longer view distance
   }
 
-  getTerrainHeight(x, z) {
+  getNoiseHeight(x, z) {
     try {
       // Generate continent shape using large-scale noise
       const continentShape = this.fractalNoise(
@@ -623,7 +636,7 @@ export class WorldSystem {
       
       return height;
     } catch (error) {
-      console.warn("Error in getTerrainHeight:", error);
+      console.warn("Error in getNoiseHeight:", error);
       return 0;
     }
   }
@@ -992,69 +1005,110 @@ export class WorldSystem {
     this.scene.add(this.water);
   }
 createManaNodes() {
-    // Clear existing mana nodes
-    this.manaNodes.forEach(node => {
-      this.scene.remove(node);
-    });
-    this.manaNodes = [];
-    
-    // Create new mana nodes around the player
+    // Mana nodes around the player come from the seeded per-cell layout the
+    // server checks claims against
     const player = this.engine.systems.player?.localPlayer;
     if (!player) return;
     
     // Distribution parameters
-    const nodeCount = 30;
     const spawnRadius = this.chunkSize * 5;
+    const cellRange = Math.ceil(spawnRadius / MANA_CELL_SIZE);
+    const playerCellX = Math.floor(player.position.x / MANA_CELL_SIZE);
+    const playerCellZ = Math.floor(player.position.z / MANA_CELL_SIZE);
+    const now = Date.now();
+    const wanted = new Set();
+    
+    for (let cx = playerCellX - cellRange; cx <= playerCellX + cellRange; cx++) {
+      for (let cz = playerCellZ - cellRange; cz <= playerCellZ + cellRange; cz++) {
+        for (const node of getManaNodesForCell(this.seed, cx, cz)) {
+          const dx = node.x - player.position.x;
+          const dz = node.z - player.position.z;
+          if (dx * dx + dz * dz > spawnRadius * spawnRadius) continue;
+          
+          wanted.add(node.id);
+          
+          // Respawn collected nodes once their timer runs out
+          const respawnAt = this.collectedManaNodes.get(node.id);
+          if (respawnAt !== undefined && respawnAt <= now) {
+            this.collectedManaNodes.delete(node.id);
+          }
+          
+          let nodeMesh = this.manaNodesById.get(node.id);
+          if (!nodeMesh) {
+            nodeMesh = this.createManaNodeMesh(node);
+            this.manaNodesById.set(node.id, nodeMesh);
+            this.scene.add(nodeMesh);
+          }
+          
+          const collected = this.collectedManaNodes.has(node.id);
+          nodeMesh.userData.collected = collected;
+          if (collected || nodeMesh.userData.pending) nodeMesh.visible = false;
+        }
+      }
+    }
     
-    for (let i = 0; i < nodeCount; i++) {
-      // Calculate random position
-      const angle = Math.random() * Math.PI * 2;
-      const distance = Math.random() * spawnRadius;
-      
-      const x = player.position.x + Math.cos(angle) * distance;
-      const z = player.position.z + Math.sin(angle) * distance;
-      
-      // Get height at position
-      const terrainHeight = this.getTerrainHeight(x, z);
-      
-      // Place node above terrain
-      const y = Math.max(terrainHeight + 10, this.waterLevel + 10);
-      
-      // Create mana node
-      const nodeMesh = new THREE.Mesh(
-        new THREE.SphereGeometry(2, 12, 12),
-        new THREE.MeshStandardMaterial({
+    // Remove nodes that are now out of range
+    for (const [id, nodeMesh] of this.manaNodesById) {
+      if (!wanted.has(id)) {
+        this.disposeManaNode(nodeMesh);
+        this.manaNodesById.delete(id);
+      }
+    }
+    
+    this.manaNodes = Array.from(this.manaNodesById.values());
+    this.lastManaCell = `${playerCellX},${playerCellZ}`;
+    this.manaRefreshTimer = 0;
+  }
+
+  createManaNodeMesh(node) {
+    // Get height at position
+    const terrainHeight = this.getTerrainHeight(node.x, node.z);
+    
+    // Place node above terrain
+    const y = Math.max(terrainHeight + 10, this.waterLevel + 10);
+    
+    // Create mana node
+    const nodeMesh = new THREE.Mesh(
+      new THREE.SphereGeometry(2, 12, 12),
+      new THREE.MeshStandardMaterial({
         color: 0x00ffff,
-          emissive: 0x00ffff,
-          emissiveIntensity: 0.7,
+        emissive: 0x00ffff,
+        emissiveIntensity: 0.7,
         transparent: true,
         opacity: 0.8
-        })
-      );
-      
-      // Add glow effect
-      const glowMesh = new THREE.Mesh(
-        new THREE.SphereGeometry(3, 12, 12),
-        new THREE.MeshBasicMaterial({
-          color: 0x00ffff,
-          transparent: true,
-          opacity: 0.3,
-          side: THREE.BackSide
-        })
-      );
-      nodeMesh.add(glowMesh);
-      
-      // Position node
-      nodeMesh.position.set(x, y, z);
-      nodeMesh.userData = {
-        type: 'mana',
-        value: 10 + Math.floor(Math.random() * 20),
-        collected: false
-      };
-      
-      this.manaNodes.push(nodeMesh);
-      this.scene.add(nodeMesh);
-    }
+      })
+    );
+    
+    // Add glow effect
+    const glowMesh = new THREE.Mesh(
+      new THREE.SphereGeometry(3, 12, 12),
+      new THREE.MeshBasicMaterial({
+        color: 0x00ffff,
+        transparent: true,
+        opacity: 0.3,
+        side: THREE.BackSide
+      })
+    );
+    nodeMesh.add(glowMesh);
+    
+    // Position node
+    nodeMesh.position.set(node.x, y, node.z);
+    nodeMesh.userData = {
+      type: 'mana',
+      id: node.id,
+      value: node.value,
+      collected: false
+    };
+    
+    return nodeMesh;
+  }
+
+  disposeManaNode(nodeMesh) {
+    this.scene.remove(nodeMesh);
+    nodeMesh.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
   }
 
   updateChunks() {
@@ -1204,13 +1258,14 @@ createManaNodes() {
    * Update the LOD level of an existing chunk
    * @param {string} key - Chunk key
    * @param {number} newLodLevel - New LOD level index
+   * @param {boolean} force - Re-mesh even at the same LOD, e.g. after a terrain edit
    */
-  updateChunkLOD(key, newLodLevel) {
+  updateChunkLOD(key, newLodLevel, force = false) {
     const mesh = this.currentChunks.get(key);
     if (!mesh) return;
     
     // Check if we actually need to change the LOD
-    if (mesh.userData.lodLevel === newLodLevel) return;
+    if (mesh.userData.lodLevel === newLodLevel && !force) return;
     
     // Extract world coordinates from the key (format: "x,z")
     const [startX, startZ] = key.split(',').map(Number);
@@ -1320,8 +1375,10 @@ createManaNodes() {
       this.water.position.y = this.waterLevel + Math.sin(elapsed * 0.5) * 0.05; // REDUCED water movement
     }
     
-    // Check if we need more mana nodes
-    if (this.manaNodes.filter(node => !node.userData.collected).length < 10) {
+    // Refresh mana nodes when entering a new mana cell, and periodically for respawns
+    this.manaRefreshTimer += delta;
+    const manaCell = `${Math.floor(player.position.x / MANA_CELL_SIZE)},${Math.floor(player.position.z / MANA_CELL_SIZE)}`;
+    if (manaCell !== this.lastManaCell || this.manaRefreshTimer > 5) {
       this.createManaNodes();
     }
 
@@ -1330,7 +1387,7 @@ createManaNodes() {
 
     // Animate mana nodes
     this.manaNodes.forEach((node, index) => {
-      if (!node.userData.collected) {
+      if (!node.userData.collected && !node.userData.pending) {
         // Apply frustum culling to mana nodes as well
         node.visible = this.isInView(node);
         
@@ -1345,17 +1402,23 @@ createManaNodes() {
     });
   }
 
+  /**
+   * Find mana nodes the player is touching and mark them as claimed
+   * The claim is resolved by NetworkManager; until then the node stays hidden
+   * @returns {Array} Claimed nodes { id, position, value }
+   */
   checkManaCollection(position, radius) {
-    const collectedNodes = [];
+    const claimedNodes = [];
     
     this.manaNodes.forEach((node) => {
-      if (!node.userData.collected) {
+      if (!node.userData.collected && !node.userData.pending) {
         const distance = position.distanceTo(node.position);
         if (distance < radius + 2) {
-          node.userData.collected = true;
+          node.userData.pending = true;
           node.visible = false;
           
-          collectedNodes.push({
+          claimedNodes.push({
+            id: node.userData.id,
             position: node.position.clone(),
             value: node.userData.value || 10,
           });
@@ -1363,6 +1426,155 @@ createManaNodes() {
       }
     });
     
-    return collectedNodes;
+    return claimedNodes;
+  }
+
+  // The interface the other systems expect of the world today. This variant
+  // predates seeded worlds, the biome table, server-side mana nodes and
+  // terrain edits; these let it run alongside them on the same shared
+  // mana layout and edit layer as the default world.
+  
+  /**
+   * Switch the world to a different seed and rebuild the terrain around the player
+   * @param {number} seed - New world seed
+   */
+  setSeed(seed) {
+    if (seed === this.seed) return;
+    
+    this.seed = seed;
+    this.noise = createNoise2D(createSeededRandom(seed));
+    
+    // updateChunks() creates the new terrain on the next frame
+    for (const mesh of this.currentChunks.values()) {
+      this.scene.remove(mesh);
+      this.returnGeometryToPool(mesh.geometry);
+    }
+    this.currentChunks.clear();
+    this.boundingSpheres.clear();
+    this.edits.clear();
+    
+    // The old world's nodes; the new layout is created on the next refresh
+    for (const nodeMesh of this.manaNodesById.values()) {
+      this.disposeManaNode(nodeMesh);
+    }
+    this.manaNodesById.clear();
+    this.collectedManaNodes.clear();
+    this.manaNodes = [];
+    this.lastManaCell = null;
+    
+    for (const systemName in this.engine.systems) {
+      const system = this.engine.systems[systemName];
+      if (system && system !== this && typeof system.handleSeedChange === "function") {
+        system.handleSeedChange(seed);
+      }
+    }
+  }
+  
+  /**
+   * Biome at a position, from the same climate as getBiomeColor
+   * @returns {string} Key of BIOMES
+   */
+  getBiome(x, z, height = this.getTerrainHeight(x, z)) {
+    const rawTemperature = this.fractalNoise(x, z, 0.0005, 2, 0.5, 2.0);
+    const rawMoisture = this.fractalNoise(x, z, 0.0004, 2, 0.5, 2.0);
+    const latitudeEffect = Math.cos((z / 10000) * Math.PI) * 0.2;
+    
+    return classifyBiome(
+      ((rawTemperature + 1) * 0.5) + latitudeEffect,
+      (rawMoisture + 1) * 0.5,
+      height - this.waterLevel
+    );
+  }
+  
+  /**
+   * Noise height plus the ground spells have moved
+   */
+  getTerrainHeight(x, z) {
+    return this.getNoiseHeight(x, z) + this.edits.getDelta(x, z);
+  }
+  
+  /**
+   * Dent or raise the ground with a brush stroke and re-mesh the chunks it reaches
+   * @param {Object} edit - { x, z, radius, height }, as sent by the server
+   * @returns {Object|null} The stroke as applied, or null if it was malformed
+   */
+  applyTerrainEdit(edit) {
+    const stored = this.edits.add(edit);
+    if (!stored) return null;
+    
+    this.refreshTerrain(getEditBounds([stored]));
+    return stored;
+  }
+  
+  /**
+   * Replace all terrain edits, e.g. with the ones a room already has
+   * @param {Array<Object>} edits - Strokes { x, z, radius, height }
+   */
+  loadTerrainEdits(edits) {
+    const previous = this.edits.toJSON();
+    this.edits.load(edits);
+    
+    const bounds = getEditBounds(previous.concat(this.edits.toJSON()));
+    if (bounds) this.refreshTerrain(bounds);
+  }
+  
+  /**
+   * Re-mesh the chunks in an area and let other systems catch up
+   * @param {Object} bounds - { minX, minZ, maxX, maxZ } that changed
+   */
+  refreshTerrain(bounds) {
+    for (const [key, mesh] of this.currentChunks) {
+      // Chunks sample the terrain around their key
+      const [x, z] = key.split(",").map(Number);
+      const reach = this.chunkSize / 2 + this.chunkSize / this.terrainLOD.distances[mesh.userData.lodLevel].resolution;
+      if (x + reach > bounds.minX && x - reach < bounds.maxX &&
+        z + reach > bounds.minZ && z - reach < bounds.maxZ) {
+        this.updateChunkLOD(key, mesh.userData.lodLevel, true);
+      }
+    }
+    
+    for (const systemName in this.engine.systems) {
+      const system = this.engine.systems[systemName];
+      if (system && system !== this && typeof system.handleTerrainEdit === "function") {
+        system.handleTerrainEdit(bounds);
+      }
+    }
+  }
+  
+  /**
+   * Mark a mana node as collected (by anyone) until it respawns
+   * @param {string} nodeId - Stable mana node id
+   * @param {number} respawnAt - Local time (ms, Date.now clock) the node comes back
+   */
+  markManaNodeCollected(nodeId, respawnAt) {
+    this.collectedManaNodes.set(nodeId, respawnAt);
+    
+    const node = this.manaNodesById.get(nodeId);
+    if (node) {
+      node.userData.collected = true;
+      node.userData.pending = false;
+      node.visible = false;
+    }
+  }
+  
+  /**
+   * Give a claimed node back when the claim was rejected
+   * @param {string} nodeId - Stable mana node id
+   */
+  releaseManaNode(nodeId) {
+    const node = this.manaNodesById.get(nodeId);
+    if (node && !node.userData.collected) {
+      node.userData.pending = false;
+      node.visible = true;
+    }
+  }
+  
+  /**
+   * Give back every node claimed but not yet answered for
+   */
+  releasePendingManaNodes() {
+    for (const [nodeId, node] of this.manaNodesById) {
+      if (node.userData.pending) this.releaseManaNode(nodeId);
+    }
   }
 }
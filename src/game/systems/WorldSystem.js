@@ -1,5 +1,13 @@
 import * as THREE from "three";
-import { createNoise2D } from "simplex-noise";
+import { resolveWorldSeed } from "../../utils/SeededRandom.js";
+import { MANA_CELL_SIZE, getManaNodesForCell } from "../../utils/ManaLayout.js";
+import { BIOMES } from "./world/Biomes.js";
+import { TerrainGenerator } from "./world/TerrainGenerator.js";
+import { TerrainWorkerPool } from "./world/TerrainWorkerPool.js";
+import { HorizonRing } from "./world/HorizonRing.js";
+import { createChunkGeometry, fillChunkGeometry } from "./world/ChunkGeometry.js";
+import { applyTerrainMorph } from "./world/TerrainMorph.js";
+import { getEditBounds } from "../../utils/TerrainEdits.js";
 
 export class WorldSystem {
   constructor(engine) {
@@ -36,6 +44,10 @@ export class WorldSystem {
     // Initialize maps and collections
     this.currentChunks = new Map();
     this.manaNodes = [];
+    this.manaNodesById = new Map(); // Stable node id -> mesh
+    this.collectedManaNodes = new Map(); // Node id -> local time (ms) it respawns
+    this.manaRefreshTimer = 0;
+    this.lastManaCell = null;
     
     // Memory management
     this.memorySettings = {
@@ -71,9 +83,14 @@ export class WorldSystem {
         { distance: 2000, resolution: 8 }     // Very far chunks: very low detail
       ],
       // Default LOD materials (will create in createMaterials)
-      materials: {}
+      materials: {},
+      // Share of each band over which chunks morph towards the next level
+      morphShare: 0.4
     };
     
+    // Player position for the terrain shaders' geomorphing
+    this.morphOrigin = { value: new THREE.Vector3() };
+    
     // Use lower detail for mobile devices
     if (engine.isMobile) {
       this.terrainLOD.distances = [
@@ -91,29 +108,25 @@ export class WorldSystem {
       this.memorySettings.maxBoundingSpheres = 150;
     }
     
-    // Terrain parameters
-    this.terrainParams = {
-      baseScale: 0.005,        // Reduced from 0.003 - larger features
-      detailScale: 0.019,        // Reduced from 0.015 - smoother details
-      mountainScale: 0.0004,     // Reduced from 0.008 - larger mountains
-      baseHeight: 40,          // Increased from 40
-      mountainHeight: 100,      // Increased from 80 
-      detailHeight: 20          // Increased from 20
-    };
-
-    // Initialize noise generator
-    this.seed = Math.random() * 10000;
-    this.noise = createNoise2D();
-    
-    // Define biomes
-    this.biomes = {
-      ocean: { threshold: -0.3, color: new THREE.Color(0x0066aa) },
-      beach: { threshold: -0.2, color: new THREE.Color(0xdddd77) },
-      plains: { threshold: 0.2, color: new THREE.Color(0x44aa44) },
-      forest: { threshold: -0.4, color: new THREE.Color(0x227722) },
-      mountains: { threshold: 0.6, color: new THREE.Color(0x888888) },
-      snow: { threshold: 0.8, color: new THREE.Color(0xffffff) }
-    };
+    // Terrain shape and colors come from a TerrainGenerator for the world seed
+    // (?seed= in the URL reproduces a world); chunks are generated by copies
+    // of it in worker threads
+    this.seed = resolveWorldSeed();
+    this.terrainGenerator = new TerrainGenerator(this.seed, this.waterLevel);
+    this.noise = this.terrainGenerator.noise;
+    this.biomes = BIOMES;
+    
+    const workerCount = engine.isMobile ? 1 : Math.min(3, Math.max(1, (navigator.hardwareConcurrency || 2) - 1));
+    this.terrainWorkers = new TerrainWorkerPool(workerCount, (request) => this.terrainGenerator.generate(request));
+    this.pendingChunks = new Map(); // Chunk key -> request { lodLevel } awaiting its worker result
+    
+    // Low-detail mountains out to the horizon, beyond the chunks
+    this.horizon = new HorizonRing(this);
+    
+    // Craters and raised ground live in the generator's edit layer; offline
+    // they are kept in the browser for the seeds played last
+    this.terrainEditStorageKey = "magical-carpet-terrain-edits";
+    this.maxStoredTerrainSeeds = 8;
 
     // Materials collection
     this.materials = {};
@@ -184,88 +197,22 @@ export class WorldSystem {
     ];
   }
 
-  /**
-   * Creates multi-octave noise for more natural terrain
-   * @param {number} x - X coordinate
-   * @param {number} z - Z coordinate
-   * @param {number} baseFrequency - Base frequency of the noise
-   * @param {number} octaves - Number of noise layers to combine
-   * @param {number} persistence - How much each octave contributes
-   * @param {number} lacunarity - How frequency increases with each octave
-   * @returns {number} Combined noise value in range [-1, 1]
-   */
-  fractalNoise(x, z, baseFrequency, octaves, persistence, lacunarity) {
-    let frequency = baseFrequency;
-    let amplitude = 1.0;
-    let total = 0;
-    let maxValue = 0;
-    
-    // Sum multiple layers of noise
-    for (let i = 0; i < octaves; i++) {
-      // Sample noise at current frequency
-      const noiseValue = this.noise(
-        x * frequency + this.seed * (i + 1),
-        z * frequency + this.seed * (i + 2)
-      );
-      
-      // Add weighted noise to total
-      total += noiseValue * amplitude;
-      maxValue += amplitude;
-      
-      // Each octave has higher frequency but lower amplitude
-      amplitude *= persistence;
-      frequency *= lacunarity;
-    }
+  async initialize() {
+    console.log(`Initializing WorldSystem with seed ${this.seed}...`);
     
-    // Normalize to range [-1, 1]
-    return total / maxValue;
-  }
-
-  /**
-   * Creates ridged noise for mountains with sharp peaks
-   * @param {number} x - X coordinate
-   * @param {number} z - Z coordinate
-   * @param {number} frequency - Noise frequency
-   * @param {number} octaves - Number of noise layers to combine
-   * @returns {number} Ridged noise value in range [0, 1]
-   */
-  ridgedNoise(x, z, frequency, octaves = 4) {
-    let result = 0;
-    let amplitude = 1.0;
-    let freq = frequency;
-    let weight = 1.0;
-    
-    for (let i = 0; i < octaves; i++) {
-      // Get absolute noise value and invert it
-      let noiseValue = Math.abs(this.noise(
-        x * freq + this.seed * (i * 2 + 1),
-        z * freq + this.seed * (i * 2 + 2)
-      ));
-      noiseValue = 1.0 - noiseValue;
-      
-      // Square the value for sharper ridges
-      noiseValue *= noiseValue;
-      
-      // Apply weighting to successive octaves
-      noiseValue *= weight;
-      
-      // Weight successive octaves by previous noise value
-      weight = noiseValue;
-      
-      // Add to result
-      result += noiseValue * amplitude;
+    const network = this.engine.systems.network;
+    if (network) {
+      // The room's terrain edits on joining, then each new one
+      network.on("game_state", (data) => {
+        if (data.selfId) this.loadTerrainEdits(data.terrainEdits);
+      });
+      network.on("terrain_edit", (edit) => this.applyTerrainEdit(edit));
       
-      // Next octave
-      freq *= 2.0;
-      amplitude *= 0.5;
+      network.on("connected", () => {
+        if (network.isSimulated) this.loadTerrainEdits(this.readStoredTerrainEdits());
+      });
     }
     
-    return result;
-  }
-  
-  async initialize() {
-    console.log("Initializing WorldSystem...");
-    
     // Create materials and setup environment
     await this.createMaterials();
     this.createLights();
@@ -277,9 +224,10 @@ export class WorldSystem {
     
     // Initialize geometry pool for different LOD levels
     this.initializeGeometryPool();
+    this.terrainWorkers.initialize();
     
     // Generate initial world
-    this.createInitialTerrain();
+    await this.createInitialTerrain();
     this.createWater();
     this.createManaNodes();
     
@@ -306,29 +254,19 @@ export class WorldSystem {
     // Try to get geometry from pool
     if (this.geometryPool[resolution] && this.geometryPool[resolution].length > 0) {
       this.poolHits++;
+      this.pooledGeometries--;
       return this.geometryPool[resolution].pop();
     }
     
-    // No pooled geometry available, create a new one
+    // No pooled geometry available, create a new one, flat in the X-Z plane
     this.poolMisses++;
-    return new THREE.PlaneGeometry(
-      this.chunkSize,
-      this.chunkSize,
-      resolution,
-      resolution
-    );
+    return createChunkGeometry(this.chunkSize, resolution);
   }
   
   returnGeometryToPool(geometry) {
     if (!geometry) return;
     
-    // Get resolution from geometry parameters
-    const resolution = geometry.parameters.widthSegments;
-    
-    // Clear any vertex colors to free up memory
-    if (geometry.attributes.color) {
-      geometry.deleteAttribute('color');
-    }
+    const resolution = geometry.userData.resolution;
     
     // Add back to pool if we have space
     if (this.geometryPool[resolution] && 
@@ -432,6 +370,15 @@ export class WorldSystem {
       flatShading: true
     });
     
+    // Each level morphs into the next over the end of its distance band, so
+    // swapping a chunk's LOD doesn't pop; the last level has nothing to morph into
+    const bands = this.terrainLOD.distances;
+    for (let i = 0; i < bands.length - 1; i++) {
+      const start = i > 0 ? bands[i - 1].distance : 0;
+      const end = bands[i].distance;
+      applyTerrainMorph(this.terrainLOD.materials[i], this.morphOrigin, end - (end - start) * this.terrainLOD.morphShare, end);
+    }
+    
     // Create water material
     this.materials.water = new THREE.MeshPhysicalMaterial({
       color: 0x0099ee,
@@ -503,8 +450,10 @@ export class WorldSystem {
     const hemisphereLight = new THREE.HemisphereLight(0x88aaff, 0x665544, 0.5);
     this.scene.add(hemisphereLight);
     
-    // Expose the primary sun light for time-of-day updates
+    // Expose the lights for time-of-day updates
     this.sunLight = sunLight;
+    this.ambientLight = ambientLight;
+    this.hemisphereLight = hemisphereLight;
   }
   
   createSky() {
@@ -516,120 +465,7 @@ export class WorldSystem {
   }
 
   getTerrainHeight(x, z) {
-    try {
-      // Generate continent shape using large-scale noise
-      const continentShape = this.fractalNoise(
-        x, z,
-        0.00005, // Even lower frequency for larger landmasses (was 0.0001)
-        3,      // Just a few octaves for smooth continent shape
-        0.5,    // Persistence
-        2.0     // Lacunarity
-      );
-      
-      // Apply continent mask to create oceans and landmasses
-      const continentMask = Math.max(0, (continentShape + 0.3) * 1.2);
-      
-      // If in ocean, set to ocean depth
-      if (continentMask <= 0.1) {
-        // Deep ocean depth proportional to distance from shore
-        return this.waterLevel - 20 - 80 * (0.1 - continentMask);
-      }
-      
-      // Add beach transition zone
-      if (continentMask > 0.1 && continentMask < 0.25) {
-        // Calculate how far into the beach zone we are (0.0 to 1.0)
-        const beachProgress = (continentMask - 0.1) / 0.15;
-        
-        // Create smooth beach slopes that rise gently from water
-        const beachHeight = this.waterLevel - 2 + (beachProgress * beachProgress * 20);
-        
-        // Add some small dunes and texture to beaches
-        const beachNoiseScale = 0.05;
-        const beachNoise = this.fractalNoise(x, z, beachNoiseScale, 2, 0.5, 2.0);
-        return beachHeight + beachNoise * 3 * beachProgress;
-      }
-      
-      // Generate base terrain with multiple noise octaves
-      const baseNoise = this.fractalNoise(
-        x, z,
-        this.terrainParams.baseScale,
-        4, // More octaves for varied terrain
-        0.5,
-        2.0
-      );
-      
-      // Start with base terrain height
-      let height = (baseNoise + 1) * 0.5 * this.terrainParams.baseHeight;
-      
-      // Add coastal cliffs in some areas but not others
-      if (continentMask > 0.25 && continentMask < 0.35) {
-        // Calculate coastal influence (0.0 to 1.0)
-        const coastProgress = (continentMask - 0.25) / 0.1;
-        
-        // Create cliff noise that varies along coastlines
-        const cliffNoiseScale = 0.02;
-        const cliffVariation = this.fractalNoise(x, z, cliffNoiseScale, 2, 0.5, 2.0);
-        
-        // Only create steep cliffs where noise is high, otherwise keep gentle slopes
-        if (cliffVariation > 0.3) {
-          // Steep cliff factor based on noise
-          const cliffFactor = Math.pow((cliffVariation - 0.3) / 0.7, 2) * coastProgress;
-          height += 40 * cliffFactor;
-        }
-      }
-      
-      // Add mountains using ridged noise
-      if (continentMask > 0.3) { // Only add mountains on land, away from shores
-        const mountainNoise = this.ridgedNoise(
-          x, z,
-          this.terrainParams.mountainScale,
-          4
-        );
-        
-        // Apply mountains with continent mask and more dramatic scaling
-        height += mountainNoise * this.terrainParams.mountainHeight * (continentMask - 0.2) * 1.5;
-      }
-      
-      // Get temperature and moisture for biome-specific height adjustments
-      const rawTemperature = this.fractalNoise(x, z, 0.0005, 2, 0.5, 2.0);
-      const rawMoisture = this.fractalNoise(x, z, 0.0004, 2, 0.5, 2.0);
-      
-      // Normalize to [0,1] range
-      const temperature = (rawTemperature + 1) * 0.5;
-      const moisture = (rawMoisture + 1) * 0.5;
-      
-      // Add biome-specific terrain adjustments
-      if (temperature > 0.7 && moisture < 0.3) {
-        // Deserts have dunes
-        const duneNoise = this.fractalNoise(x, z, 0.02, 2, 0.5, 2.0);
-        height += duneNoise * 5;
-      }
-      
-      // Add plateaus occasionally
-      const plateauNoise = this.noise(x * 0.0004 + this.seed * 9, z * 0.0004 + this.seed * 10);
-      if (plateauNoise > 0.7 && height > 60 && height < 250) {
-        // Flatten areas with plateau noise
-        const targetHeight = Math.round(height / 40) * 40; // Round to nearest 40 units
-        const plateauWeight = (plateauNoise - 0.7) * (1 / 0.3);
-        height = height * (1 - plateauWeight) + targetHeight * plateauWeight;
-      }
-      
-      // Add small terrain details
-      const detailNoise = this.fractalNoise(
-        x, z,
-        this.terrainParams.detailScale,
-        2, // Fewer octaves for details
-        0.5,
-        2.0
-      );
-      
-      height += detailNoise * this.terrainParams.detailHeight * 0.5;
-      
-      return height;
-    } catch (error) {
-      console.warn("Error in getTerrainHeight:", error);
-      return 0;
-    }
+    return this.terrainGenerator.getTerrainHeight(x, z);
   }
 
   /**
@@ -639,208 +475,34 @@ export class WorldSystem {
    * @returns {number} Slope value between 0 and 1
    */
   calculateSlope(x, z) {
-    const sampleDistance = 2;
-    
-    // Sample heights in 4 directions
-    const heightCenter = this.getTerrainHeight(x, z);
-    const heightNorth = this.getTerrainHeight(x, z - sampleDistance);
-    const heightSouth = this.getTerrainHeight(x, z + sampleDistance);
-    const heightEast = this.getTerrainHeight(x + sampleDistance, z);
-    const heightWest = this.getTerrainHeight(x - sampleDistance, z);
-    
-    // Calculate slope gradients
-    const gradientX = (heightEast - heightWest) / (2 * sampleDistance);
-    const gradientZ = (heightSouth - heightNorth) / (2 * sampleDistance);
-    
-    // Calculate slope magnitude
-    const slope = Math.sqrt(gradientX * gradientX + gradientZ * gradientZ);
-    
-    return slope;
+    return this.terrainGenerator.calculateSlope(x, z);
+  }
+
+  /**
+   * Temperature and moisture at a position
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @param {number} height - Terrain height; higher ground is colder
+   * @returns {Object} { temperature, moisture }, both roughly 0-1
+   */
+  getClimate(x, z, height) {
+    return this.terrainGenerator.getClimate(x, z, height);
+  }
+
+  /**
+   * Biome at a position, from its climate and height (see world/Biomes.js)
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @param {number} height - Terrain height, if already known
+   * @returns {string} Key of BIOMES: ocean, beach, desert, savanna, rainforest,
+   *   plains, forest, taiga, tundra, mountains or snow
+   */
+  getBiome(x, z, height) {
+    return this.terrainGenerator.getBiome(x, z, height);
   }
 
   getBiomeColor(height, x, z) {
-    // Get climate data for position
-    const rawTemperature = this.fractalNoise(x, z, 0.0005, 2, 0.5, 2.0);
-    const rawMoisture = this.fractalNoise(x, z, 0.0004, 2, 0.5, 2.0);
-    
-    // Add equator-pole gradient to temperature
-    const latitudeEffect = Math.cos((z / 10000) * Math.PI) * 0.2;
-    const normalizedTemp = ((rawTemperature + 1) * 0.5) + latitudeEffect;
-    const normalizedMoisture = (rawMoisture + 1) * 0.5;
-    
-    // Get slope information
-    const slope = this.calculateSlope(x, z);
-    const isSteep = slope > 0.5;
-    
-    // Add small-scale texture variation
-    const textureNoise = this.noise(x * 0.1 + this.seed * 11, z * 0.1 + this.seed * 12);
-    const textureVariation = textureNoise * 0.05; // Subtle color variation
-    
-    let color = new THREE.Color();
-    
-    // DEEP WATER
-    if (height < this.waterLevel - 10) {
-      // Deep water with subtle variation
-      const depth = Math.min(1, (this.waterLevel - height) / 50);
-      color.setRGB(
-        0.1 - depth * 0.05,
-        0.15 + depth * 0.05,
-        0.4 + depth * 0.1
-      );
-    }
-    // SHALLOW WATER
-    else if (height < this.waterLevel) {
-      // Transition from deep to shallow
-      const t = (height - (this.waterLevel - 10)) / 10;
-      color.setRGB(0.1, 0.2, 0.5).lerp(new THREE.Color(0.2, 0.4, 0.6), t);
-      
-      // Add underwater features
-      if (textureNoise > 0.7) {
-        // Coral or underwater features
-        color.r += 0.1;
-        color.g += 0.05;
-      }
-    }
-    // BEACHES AND SHORELINES
-    else if (height < this.waterLevel + 15) {  // Wider beach zone (increased from 3)
-      if (normalizedMoisture > 0.7) {
-        // Wet shoreline
-        color.setRGB(0.65, 0.65, 0.55);
-      } else {
-        // Sandy beach - lighter color
-        color.setRGB(0.82, 0.78, 0.65);  // Lighter, more yellow beach
-        
-        // Add subtle beach texture
-        color.r += textureVariation * 1.2;  // Increased variation
-        color.g += textureVariation * 1.0;
-        color.b += textureVariation * 0.5;
-      }
-      
-      // Add wet/dry gradient based on height from water
-      const wetnessFactor = 1.0 - Math.min(1.0, (height - this.waterLevel) / 5);
-      if (wetnessFactor > 0) {
-        // Darker when closer to water
-        color.multiplyScalar(1.0 - wetnessFactor * 0.15);
-      }
-    }
-    // LOWLANDS - Biome-specific coloring
-    else if (height < 30) {
-      if (normalizedTemp > 0.7 && normalizedMoisture < 0.3) {
-        // Desert
-        color.setRGB(0.8, 0.7, 0.4);
-      } else if (normalizedMoisture > 0.6) {
-        // Lush grassland or wetland
-        color.setRGB(0.2, 0.6, 0.2);
-      } else {
-        // Standard grassland
-        color.setRGB(0.4, 0.6, 0.3);
-      }
-      
-      // Add texture variation
-      color.r += textureVariation;
-      color.g += textureVariation;
-      color.b += textureVariation * 0.5;
-    }
-    // MID-ALTITUDE - Hills and forests
-    else if (height < 120) {  // Increased from 60
-      // Determine if this should be forest or rocky hills
-      const isForested = normalizedMoisture > 0.4 - (height - 30) / 150;
-      
-      if (isForested && !isSteep) {
-        // Forested areas
-        if (normalizedTemp > 0.7) {
-          // Warm forest
-          color.setRGB(0.2, 0.4, 0.1);
-        } else if (normalizedTemp > 0.4) {
-          // Temperate forest
-          color.setRGB(0.13, 0.4, 0.13);
-        } else {
-          // Cold forest (coniferous)
-          color.setRGB(0.1, 0.3, 0.15);
-        }
-      } else {
-        // Rocky hills
-        const rockColor = normalizedMoisture > 0.5 ?
-          new THREE.Color(0.3, 0.3, 0.25) :  // Wet rock
-          new THREE.Color(0.5, 0.45, 0.35);  // Dry rock
-          
-        color.copy(rockColor);
-      }
-      
-      // Add slope-based shading
-      if (isSteep) {
-        // Darken steep slopes
-        color.multiplyScalar(0.8);
-      }
-      
-      // Add texture variation
-      const variation = this.noise(x * 0.05 + this.seed * 13, z * 0.05 + this.seed * 14) * 0.08;
-      color.r += variation;
-      color.g += variation;
-      color.b += variation * 0.5;
-    }
-    // HIGH ALTITUDE - Mountains
-    else if (height < 250) {  // Increased from 90
-      // Base rock color varies with temperature and moisture
-      const baseRockColor = normalizedTemp > 0.5 ?
-        new THREE.Color(0.5, 0.4, 0.35) :   // Warmer rock (reddish)
-        new THREE.Color(0.4, 0.38, 0.35);   // Cooler rock (grayish)
-      
-      // Darker color for higher elevations
-      const rockVariation = (height - 120) / 130;  // Adjusted for new height range
-      const darkRock = new THREE.Color(0.3, 0.3, 0.3);
-      
-      color.copy(baseRockColor).lerp(darkRock, rockVariation * 0.6);
-      
-      // Add rock striations and texture
-      const striation = Math.abs(this.noise(x * 0.05 + this.seed * 15, z * 0.05 + this.seed * 16));
-      color.r += striation * 0.15 - 0.05;
-      color.g += striation * 0.15 - 0.05;
-      color.b += striation * 0.15 - 0.05;
-      
-      // Add snow patches near the snow line
-      if (height > 120 ) {  // Increased from 80
-        const snowNoise = this.noise(x * 0.08 + this.seed * 17, z * 0.08 + this.seed * 18);
-        const snowAmount = Math.max(0, (height - 200) / 30 + snowNoise * 0.3);
-        
-        if (snowAmount > 0) {
-          // Mix in snow based on snow amount
-          const snowColor = new THREE.Color(0.9, 0.9, 0.95);
-          color.lerp(snowColor, Math.min(snowAmount, 1));
-        }
-      }
-    }
-    // PEAKS - Snow-covered
-    else {
-      // Snow base color
-      const snowWhite = new THREE.Color(0.9, 0.9, 0.95);
-      
-      // Higher peaks get blue tinge
-      const snowBlue = new THREE.Color(0.8, 0.85, 1.0);
-      const snowHeight = (height - 250) / 150;  // Adjusted for new height range
-      
-      color.copy(snowWhite).lerp(snowBlue, Math.min(snowHeight, 1) * 0.4);
-      
-      // Add texture for snow
-      const snowTexture = this.noise(x * 0.08 + this.seed * 19, z * 0.08 + this.seed * 20);
-      const variation = snowTexture * 0.05;
-      color.r += variation;
-      color.g += variation;
-      color.b += variation;
-      
-      // Occasionally expose rock on very steep slopes
-      if (isSteep && this.noise(x * 0.1 + this.seed * 21, z * 0.1 + this.seed * 22) > 0.7) {
-        const rockColor = new THREE.Color(0.3, 0.3, 0.3);
-        color.lerp(rockColor, 0.5);
-      }
-    }
-    
-    // Ensure color values are valid
-    color.r = Math.max(0, Math.min(1, color.r));
-    color.g = Math.max(0, Math.min(1, color.g));
-    color.b = Math.max(0, Math.min(1, color.b));
-    
-    return color;
+    return this.terrainGenerator.getBiomeColor(height, x, z);
   }
 
   /**
@@ -883,53 +545,60 @@ export class WorldSystem {
   }
   
   /**
-   * Create geometry for a terrain chunk with appropriate level of detail
+   * Generate a terrain chunk in the worker pool and place it when it arrives:
+   * a new chunk is added to the scene, an existing one switches to the new LOD
+   * @param {string} key - Chunk key
    * @param {number} startX - X coordinate of chunk start
    * @param {number} startZ - Z coordinate of chunk start
-   * @returns {Object} Object containing geometry and material index
+   * @param {Object} lod - { resolution, materialIndex } from getChunkLOD
+   * @returns {Promise} Resolves once the chunk is placed or dropped
+   */
+  requestChunk(key, startX, startZ, lod) {
+    // A newer request for the same chunk replaces this one, and a chunk that
+    // leaves view distance or a seed change drops it
+    const request = { lodLevel: lod.materialIndex };
+    this.pendingChunks.set(key, request);
+    const isWanted = () => this.pendingChunks.get(key) === request;
+    
+    // Terrain edits reaching the chunk or the ring of samples around it
+    const reach = this.chunkSize / 2 + this.chunkSize / lod.resolution;
+    
+    return this.terrainWorkers.generate({
+      kind: "chunk",
+      seed: this.seed,
+      waterLevel: this.waterLevel,
+      centerX: startX,
+      centerZ: startZ,
+      chunkSize: this.chunkSize,
+      resolution: lod.resolution,
+      edits: this.terrainGenerator.edits.getEditsIn(startX - reach, startZ - reach, startX + reach, startZ + reach)
+    }, isWanted)
+      .then((data) => {
+        if (!data || !isWanted()) return;
+        
+        this.pendingChunks.delete(key);
+        const geometry = this.buildChunkGeometry(lod.resolution, data);
+        this.placeChunk(key, startX, startZ, geometry, lod.materialIndex);
+      })
+      .catch((error) => {
+        if (isWanted()) this.pendingChunks.delete(key);
+        console.error("Error creating chunk:", error);
+      });
+  }
+  
+  /**
+   * Fill a pooled geometry with generated chunk data
+   * @param {number} resolution - Segments along each side
+   * @param {Object} data - From TerrainGenerator.generateChunk
+   * @returns {THREE.BufferGeometry} Chunk geometry
    */
-  createChunkGeometry(startX, startZ) {
+  buildChunkGeometry(resolution, data) {
     // Measure chunk creation time for performance monitoring
     const startTime = performance.now();
     
-    // Calculate chunk center for LOD determination
-    const chunkCenterX = startX + this.chunkSize / 2;
-    const chunkCenterZ = startZ + this.chunkSize / 2;
-    
-    // Get appropriate LOD for this chunk
-    const lod = this.getChunkLOD(chunkCenterX, chunkCenterZ);
-    
     // Get a pooled geometry if available or create a new one
-    const geometry = this.getPooledGeometry(lod.resolution);
-
-    // Rotate the plane to be horizontal (X-Z plane)
-    geometry.rotateX(-Math.PI / 2);
-
-    const vertices = geometry.attributes.position.array;
-    const colors = [];
-
-    // Modify vertices to create terrain shape
-    for (let i = 0; i < vertices.length; i += 3) {
-      // Get world coordinates
-      const x = vertices[i] + startX;
-      const z = vertices[i + 2] + startZ;
-      
-      // Calculate terrain height
-      const height = this.getTerrainHeight(x, z);
-      
-      // Apply height to vertex Y coordinate
-      vertices[i + 1] = height;
-      
-      // Assign color based on biome/height
-      const color = this.getBiomeColor(height, x, z);
-      colors.push(color.r, color.g, color.b);
-    }
-
-    // Add colors to geometry
-    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-    
-    // Update normals
-    geometry.computeVertexNormals();
+    const geometry = this.getPooledGeometry(resolution);
+    fillChunkGeometry(geometry, data);
     
     // Update performance metrics
     const creationTime = performance.now() - startTime;
@@ -939,16 +608,47 @@ export class WorldSystem {
       (this.perfStats.chunkCreationSamples + 1);
     this.perfStats.chunkCreationSamples++;
     
-    return {
-      geometry: geometry,
-      materialIndex: lod.materialIndex
-    };
+    return geometry;
+  }
+  
+  /**
+   * Put a built chunk in the world, replacing the geometry of a chunk already
+   * there (LOD change)
+   */
+  placeChunk(key, startX, startZ, geometry, lodLevel) {
+    const material = this.terrainLOD.materials[lodLevel];
+    const existing = this.currentChunks.get(key);
+    
+    if (existing) {
+      // Return old geometry to pool instead of disposing
+      this.returnGeometryToPool(existing.geometry);
+      
+      existing.geometry = geometry;
+      existing.material = material;
+      existing.userData.lodLevel = lodLevel;
+      
+      // Clear cached bounding sphere since geometry changed
+      this.boundingSpheres.delete(existing.id);
+      return;
+    }
+    
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(startX, 0, startZ);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    
+    // Store LOD level with the mesh for later updates
+    mesh.userData.lodLevel = lodLevel;
+    
+    this.scene.add(mesh);
+    this.currentChunks.set(key, mesh);
   }
 
-  createInitialTerrain() {
+  async createInitialTerrain() {
     console.log("Creating initial terrain...");
     
-    // Create terrain chunks in a grid
+    // Create terrain chunks in a grid, generated in parallel by the workers
+    const requests = [];
     for (let x = -3; x <= 3; x++) {
       for (let z = -3; z <= 3; z++) {
         const startX = x * this.chunkSize;
@@ -956,29 +656,13 @@ export class WorldSystem {
         const key = `${startX},${startZ}`;
         
         if (!this.currentChunks.has(key)) {
-          try {
-            const chunkData = this.createChunkGeometry(startX, startZ);
-            
-            // Get the appropriate material for this LOD level
-            const material = this.terrainLOD.materials[chunkData.materialIndex];
-            
-            const mesh = new THREE.Mesh(chunkData.geometry, material);
-            
-            mesh.position.set(startX, 0, startZ);
-            mesh.castShadow = true;
-            mesh.receiveShadow = true;
-            
-            // Store LOD level with the mesh for later updates
-            mesh.userData.lodLevel = chunkData.materialIndex;
-            
-            this.scene.add(mesh);
-            this.currentChunks.set(key, mesh);
-          } catch (error) {
-            console.error("Error creating chunk:", error);
-          }
+          const lod = this.getChunkLOD(startX, startZ);
+          requests.push(this.requestChunk(key, startX, startZ, lod));
         }
       }
     }
+    
+    await Promise.all(requests);
   }
 
   createWater() {
@@ -995,70 +679,257 @@ export class WorldSystem {
     this.water.receiveShadow = true;
     this.scene.add(this.water);
   }
-createManaNodes() {
-    // Clear existing mana nodes
-    this.manaNodes.forEach(node => {
-      this.scene.remove(node);
-    });
+
+  /**
+   * Switch the world to a different seed and regenerate everything derived from it
+   * Used when joining a multiplayer room whose seed differs from the local one
+   * @param {number} seed - New world seed
+   */
+  setSeed(seed) {
+    if (seed === this.seed) return;
+    
+    console.log(`Switching world seed from ${this.seed} to ${seed}`);
+    
+    this.seed = seed;
+    this.terrainGenerator = new TerrainGenerator(seed, this.waterLevel);
+    this.noise = this.terrainGenerator.noise;
+    
+    // Drop all terrain chunks and requests; updateChunks() rebuilds them on the next frame
+    for (const mesh of this.currentChunks.values()) {
+      this.scene.remove(mesh);
+      this.returnGeometryToPool(mesh.geometry);
+    }
+    this.currentChunks.clear();
+    this.pendingChunks.clear();
+    this.boundingSpheres.clear();
+    this.horizon.reset();
+    
+    // Drop mana nodes; the new layout is created on the next refresh
+    for (const nodeMesh of this.manaNodesById.values()) {
+      this.disposeManaNode(nodeMesh);
+    }
+    this.manaNodesById.clear();
+    this.collectedManaNodes.clear();
     this.manaNodes = [];
+    this.lastManaCell = null;
     
-    // Create new mana nodes around the player
-    const player = this.engine.systems.player?.localPlayer;
-    if (!player) return;
+    // Let other systems regenerate their seeded content
+    for (const systemName in this.engine.systems) {
+      const system = this.engine.systems[systemName];
+      if (system && system !== this && typeof system.handleSeedChange === 'function') {
+        system.handleSeedChange(seed);
+      }
+    }
+  }
+
+  /**
+   * Dent or raise the ground with a brush stroke (spell craters, earth raise)
+   * and re-mesh the chunks it reaches
+   * @param {Object} edit - { x, z, radius, height }, as sent by the server
+   * @returns {Object|null} The stroke as applied, or null if it was malformed
+   */
+  applyTerrainEdit(edit) {
+    const stored = this.terrainGenerator.edits.add(edit);
+    if (!stored) return null;
     
-    // Distribution parameters
-    const nodeCount = 30;
-    const spawnRadius = this.chunkSize * 5;
+    this.refreshTerrain(getEditBounds([stored]));
     
-    for (let i = 0; i < nodeCount; i++) {
-      // Calculate random position
-      const angle = Math.random() * Math.PI * 2;
-      const distance = Math.random() * spawnRadius;
-      
-      const x = player.position.x + Math.cos(angle) * distance;
-      const z = player.position.z + Math.sin(angle) * distance;
-      
-      // Get height at position
-      const terrainHeight = this.getTerrainHeight(x, z);
-      
-      // Place node above terrain
-      const y = Math.max(terrainHeight + 10, this.waterLevel + 10);
+    if (this.engine.systems.network?.isSimulated) {
+      this.storeTerrainEdits();
+    }
+    
+    return stored;
+  }
+  
+  /**
+   * Replace all terrain edits, e.g. with the ones a room already has
+   * @param {Array<Object>} edits - Strokes { x, z, radius, height }
+   */
+  loadTerrainEdits(edits) {
+    const layer = this.terrainGenerator.edits;
+    const previous = layer.toJSON();
+    layer.load(edits);
+    
+    // Both the strokes that went and the ones that came change the ground
+    const bounds = getEditBounds(previous.concat(layer.toJSON()));
+    if (bounds) this.refreshTerrain(bounds);
+  }
+  
+  /**
+   * Regenerate the terrain in an area and let other systems catch up
+   * @param {Object} bounds - { minX, minZ, maxX, maxZ } that changed
+   */
+  refreshTerrain(bounds) {
+    const reaches = (key, lodLevel) => {
+      const [centerX, centerZ] = key.split(',').map(Number);
+      const reach = this.chunkSize / 2 + this.chunkSize / this.terrainLOD.distances[lodLevel].resolution;
+      return centerX + reach > bounds.minX && centerX - reach < bounds.maxX &&
+        centerZ + reach > bounds.minZ && centerZ - reach < bounds.maxZ;
+    };
+    
+    // Chunks on screen are re-meshed at the LOD they are at or heading to
+    for (const [key, mesh] of this.currentChunks) {
+      const lodLevel = this.pendingChunks.get(key)?.lodLevel ?? mesh.userData.lodLevel;
+      if (reaches(key, lodLevel)) {
+        this.updateChunkLOD(key, lodLevel, true);
+      }
+    }
+    
+    // New chunks already requested were sent without this stroke
+    for (const [key, request] of Array.from(this.pendingChunks)) {
+      if (this.currentChunks.has(key) || !reaches(key, request.lodLevel)) continue;
       
-      // Create mana node
-      const nodeMesh = new THREE.Mesh(
-        new THREE.SphereGeometry(2, 12, 12),
-        new THREE.MeshStandardMaterial({
+      const [startX, startZ] = key.split(',').map(Number);
+      this.requestChunk(key, startX, startZ, {
+        resolution: this.terrainLOD.distances[request.lodLevel].resolution,
+        materialIndex: request.lodLevel
+      });
+    }
+    
+    for (const systemName in this.engine.systems) {
+      const system = this.engine.systems[systemName];
+      if (system && system !== this && typeof system.handleTerrainEdit === 'function') {
+        system.handleTerrainEdit(bounds);
+      }
+    }
+  }
+  
+  /**
+   * Offline edits kept in the browser
+   * @returns {Array<Object>} { seed, edits } per seed, most recently saved last
+   */
+  readStoredTerrainWorlds() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.terrainEditStorageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  readStoredTerrainEdits() {
+    return this.readStoredTerrainWorlds().find(world => world.seed === this.seed)?.edits ?? [];
+  }
+  
+  storeTerrainEdits() {
+    // Every session without ?seed= plays a new world, so only the last few are kept
+    const worlds = this.readStoredTerrainWorlds()
+      .filter(world => world.seed !== this.seed)
+      .concat({ seed: this.seed, edits: this.terrainGenerator.edits.toJSON() })
+      .slice(-this.maxStoredTerrainSeeds);
+    
+    try {
+      localStorage.setItem(this.terrainEditStorageKey, JSON.stringify(worlds));
+    } catch (error) {
+      console.warn("Could not save terrain edits:", error);
+    }
+  }
+
+  createManaNodeMesh(node) {
+    // Get height at position
+    const terrainHeight = this.getTerrainHeight(node.x, node.z);
+    
+    // Place node above terrain
+    const y = Math.max(terrainHeight + 10, this.waterLevel + 10);
+    
+    // Create mana node
+    const nodeMesh = new THREE.Mesh(
+      new THREE.SphereGeometry(2, 12, 12),
+      new THREE.MeshStandardMaterial({
         color: 0x00ffff,
-          emissive: 0x00ffff,
-          emissiveIntensity: 0.7,
+        emissive: 0x00ffff,
+        emissiveIntensity: 0.7,
         transparent: true,
         opacity: 0.8
-        })
-      );
-      
-      // Add glow effect
-      const glowMesh = new THREE.Mesh(
-        new THREE.SphereGeometry(3, 12, 12),
-        new THREE.MeshBasicMaterial({
-          color: 0x00ffff,
-          transparent: true,
-          opacity: 0.3,
-          side: THREE.BackSide
-        })
-      );
-      nodeMesh.add(glowMesh);
-      
-      // Position node
-      nodeMesh.position.set(x, y, z);
-      nodeMesh.userData = {
-        type: 'mana',
-        value: 10 + Math.floor(Math.random() * 20),
-        collected: false
-      };
-      
-      this.manaNodes.push(nodeMesh);
-      this.scene.add(nodeMesh);
+      })
+    );
+    
+    // Add glow effect
+    const glowMesh = new THREE.Mesh(
+      new THREE.SphereGeometry(3, 12, 12),
+      new THREE.MeshBasicMaterial({
+        color: 0x00ffff,
+        transparent: true,
+        opacity: 0.3,
+        side: THREE.BackSide
+      })
+    );
+    nodeMesh.add(glowMesh);
+    
+    // Position node
+    nodeMesh.position.set(node.x, y, node.z);
+    nodeMesh.userData = {
+      type: 'mana',
+      id: node.id,
+      value: node.value,
+      collected: false
+    };
+    
+    return nodeMesh;
+  }
+
+  disposeManaNode(nodeMesh) {
+    this.scene.remove(nodeMesh);
+    nodeMesh.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+
+  createManaNodes() {
+    // Mana nodes around the player come from a seeded per-cell layout,
+    // so the same seed always places the same nodes in the same spots
+    const player = this.engine.systems.player?.localPlayer;
+    if (!player) return;
+    
+    // Distribution parameters
+    const spawnRadius = this.chunkSize * 5;
+    const cellRange = Math.ceil(spawnRadius / MANA_CELL_SIZE);
+    const playerCellX = Math.floor(player.position.x / MANA_CELL_SIZE);
+    const playerCellZ = Math.floor(player.position.z / MANA_CELL_SIZE);
+    const now = Date.now();
+    const wanted = new Set();
+    
+    for (let cx = playerCellX - cellRange; cx <= playerCellX + cellRange; cx++) {
+      for (let cz = playerCellZ - cellRange; cz <= playerCellZ + cellRange; cz++) {
+        for (const node of getManaNodesForCell(this.seed, cx, cz)) {
+          const dx = node.x - player.position.x;
+          const dz = node.z - player.position.z;
+          if (dx * dx + dz * dz > spawnRadius * spawnRadius) continue;
+          
+          wanted.add(node.id);
+          
+          // Respawn collected nodes once their timer runs out
+          const respawnAt = this.collectedManaNodes.get(node.id);
+          if (respawnAt !== undefined && respawnAt <= now) {
+            this.collectedManaNodes.delete(node.id);
+          }
+          
+          let nodeMesh = this.manaNodesById.get(node.id);
+          if (!nodeMesh) {
+            nodeMesh = this.createManaNodeMesh(node);
+            this.manaNodesById.set(node.id, nodeMesh);
+            this.scene.add(nodeMesh);
+          }
+          
+          const collected = this.collectedManaNodes.has(node.id);
+          nodeMesh.userData.collected = collected;
+          if (collected || nodeMesh.userData.pending) nodeMesh.visible = false;
+        }
+      }
     }
+    
+    // Remove nodes that are now out of range
+    for (const [id, nodeMesh] of this.manaNodesById) {
+      if (!wanted.has(id)) {
+        this.disposeManaNode(nodeMesh);
+        this.manaNodesById.delete(id);
+      }
+    }
+    
+    this.manaNodes = Array.from(this.manaNodesById.values());
+    this.lastManaCell = `${playerCellX},${playerCellZ}`;
+    this.manaRefreshTimer = 0;
   }
 
   updateChunks() {
@@ -1091,22 +962,29 @@ createManaNodes() {
 
             chunksToKeep.add(key);
 
+            // Chunk meshes are centered on their key, as the terrain shaders
+            // assume when morphing
+            const lod = this.getChunkLOD(worldX, worldZ);
+            
+            // Already on its way from the workers
+            if (this.pendingChunks.get(key)?.lodLevel === lod.materialIndex) {
+              continue;
+            }
+
             // Check if chunk exists
             if (this.currentChunks.has(key)) {
-              // Check if LOD needs updating
-              const mesh = this.currentChunks.get(key);
-              const chunkCenterX = worldX + this.chunkSize / 2;
-              const chunkCenterZ = worldZ + this.chunkSize / 2;
-              const lod = this.getChunkLOD(chunkCenterX, chunkCenterZ);
-              
               // If LOD level has changed, add to update list
+              const mesh = this.currentChunks.get(key);
               if (mesh.userData.lodLevel !== lod.materialIndex) {
                 chunksToUpdate.set(key, lod);
+              } else {
+                // Back at the LOD it has: drop any request for another one
+                this.pendingChunks.delete(key);
               }
             } else {
               // Add to creation list if we haven't hit the chunk limit
               if (this.currentChunks.size < this.memorySettings.maxActiveChunks) {
-                newChunksToAdd.push([worldX, worldZ]);
+                newChunksToAdd.push([worldX, worldZ, lod]);
               } else {
                 // Skip chunk creation if we've hit the limit
                 // Prioritize closer chunks
@@ -1134,9 +1012,10 @@ createManaNodes() {
                   // Return geometry to pool instead of disposing
                   this.returnGeometryToPool(meshToRemove.geometry);
                   this.currentChunks.delete(keyToRemove);
+                  this.pendingChunks.delete(keyToRemove);
                   
                   // Add new closer chunk
-                  newChunksToAdd.push([worldX, worldZ]);
+                  newChunksToAdd.push([worldX, worldZ, lod]);
                 }
               }
             }
@@ -1153,26 +1032,26 @@ createManaNodes() {
           this.currentChunks.delete(key);
         }
       }
+      
+      // Drop requests for chunks no longer needed
+      for (const key of this.pendingChunks.keys()) {
+        if (!chunksToKeep.has(key)) {
+          this.pendingChunks.delete(key);
+        }
+      }
 
       // Update LOD for chunks that need it
       for (const [key, lod] of chunksToUpdate.entries()) {
         this.updateChunkLOD(key, lod.materialIndex);
       }
 
-      // Create new chunks
-      for (const [worldX, worldZ] of newChunksToAdd) {
-        const key = `${worldX},${worldZ}`;
-        const chunkData = this.createChunkGeometry(worldX, worldZ);
-        const material = this.terrainLOD.materials[chunkData.materialIndex];
-        
-        const mesh = new THREE.Mesh(chunkData.geometry, material);
-        mesh.position.set(worldX, 0, worldZ);
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        mesh.userData.lodLevel = chunkData.materialIndex;
-        
-        this.scene.add(mesh);
-        this.currentChunks.set(key, mesh);
+      // Request new chunks from the workers, nearest first
+      const distanceToPlayer = ([worldX, worldZ]) =>
+        Math.hypot(worldX - player.position.x, worldZ - player.position.z);
+      newChunksToAdd.sort((a, b) => distanceToPlayer(a) - distanceToPlayer(b));
+      
+      for (const [worldX, worldZ, lod] of newChunksToAdd) {
+        this.requestChunk(`${worldX},${worldZ}`, worldX, worldZ, lod);
       }
       
       // Apply frustum culling to all visible chunks
@@ -1205,33 +1084,26 @@ createManaNodes() {
   }
 
   /**
-   * Update the LOD level of an existing chunk
+   * Update the LOD level of an existing chunk. The new geometry is generated
+   * by the workers; the chunk keeps its current one until then.
    * @param {string} key - Chunk key
    * @param {number} newLodLevel - New LOD level index
+   * @param {boolean} force - Regenerate even at the same LOD (the terrain changed)
    */
-  updateChunkLOD(key, newLodLevel) {
+  updateChunkLOD(key, newLodLevel, force = false) {
     const mesh = this.currentChunks.get(key);
     if (!mesh) return;
     
     // Check if we actually need to change the LOD
-    if (mesh.userData.lodLevel === newLodLevel) return;
+    if (mesh.userData.lodLevel === newLodLevel && !force) return;
     
     // Extract world coordinates from the key (format: "x,z")
     const [startX, startZ] = key.split(',').map(Number);
     
-    // Create new geometry with new LOD level
-    const chunkData = this.createChunkGeometry(startX, startZ);
-    
-    // Return old geometry to pool instead of disposing
-    this.returnGeometryToPool(mesh.geometry);
-    
-    // Update mesh with new geometry and material
-    mesh.geometry = chunkData.geometry;
-    mesh.material = this.terrainLOD.materials[newLodLevel];
-    mesh.userData.lodLevel = newLodLevel;
-    
-    // Clear cached bounding sphere since geometry changed
-    this.boundingSpheres.delete(mesh.id);
+    this.requestChunk(key, startX, startZ, {
+      resolution: this.terrainLOD.distances[newLodLevel].resolution,
+      materialIndex: newLodLevel
+    });
   }
   
   /**
@@ -1324,17 +1196,21 @@ createManaNodes() {
       this.water.position.y = this.waterLevel + Math.sin(elapsed * 0.5) * 0.05; // REDUCED water movement
     }
     
-    // Check if we need more mana nodes
-    if (this.manaNodes.filter(node => !node.userData.collected).length < 10) {
+    // Refresh mana nodes when entering a new mana cell, and periodically for respawns
+    this.manaRefreshTimer += delta;
+    const manaCell = `${Math.floor(player.position.x / MANA_CELL_SIZE)},${Math.floor(player.position.z / MANA_CELL_SIZE)}`;
+    if (manaCell !== this.lastManaCell || this.manaRefreshTimer > 5) {
       this.createManaNodes();
     }
 
-    // Update terrain chunks
+    // Update terrain chunks, and the horizon beyond them
+    this.morphOrigin.value.copy(player.position);
     this.updateChunks();
+    this.horizon.update(player.position);
 
     // Animate mana nodes
     this.manaNodes.forEach((node, index) => {
-      if (!node.userData.collected) {
+      if (!node.userData.collected && !node.userData.pending) {
         // Apply frustum culling to mana nodes as well
         node.visible = this.isInView(node);
         
@@ -1349,17 +1225,25 @@ createManaNodes() {
     });
   }
 
+  /**
+   * Find mana nodes the player is touching and mark them as claimed
+   * The claim is resolved by NetworkManager; until then the node stays hidden
+   * @param {THREE.Vector3} position - Player position
+   * @param {number} radius - Collection radius
+   * @returns {Array} Claimed nodes { id, position, value }
+   */
   checkManaCollection(position, radius) {
-    const collectedNodes = [];
+    const claimedNodes = [];
     
     this.manaNodes.forEach((node) => {
-      if (!node.userData.collected) {
+      if (!node.userData.collected && !node.userData.pending) {
         const distance = position.distanceTo(node.position);
         if (distance < radius + 2) {
-          node.userData.collected = true;
+          node.userData.pending = true;
           node.visible = false;
           
-          collectedNodes.push({
+          claimedNodes.push({
+            id: node.userData.id,
             position: node.position.clone(),
             value: node.userData.value || 10,
           });
@@ -1367,7 +1251,54 @@ createManaNodes() {
       }
     });
     
-    return collectedNodes;
+    return claimedNodes;
+  }
+
+  /**
+   * Mark a mana node as collected (by anyone) until it respawns
+   * @param {string} nodeId - Stable mana node id
+   * @param {number} respawnAt - Local time (ms, Date.now clock) the node comes back
+   */
+  markManaNodeCollected(nodeId, respawnAt) {
+    this.collectedManaNodes.set(nodeId, respawnAt);
+    
+    const node = this.manaNodesById.get(nodeId);
+    if (node) {
+      node.userData.collected = true;
+      node.userData.pending = false;
+      node.visible = false;
+    }
+  }
+
+  /**
+   * Give a claimed node back when the claim was rejected for reasons other than
+   * someone else collecting it (e.g. the server thought we were too far away)
+   * @param {string} nodeId - Stable mana node id
+   */
+  releaseManaNode(nodeId) {
+    const node = this.manaNodesById.get(nodeId);
+    if (node && !node.userData.collected) {
+      node.userData.pending = false;
+      node.visible = true;
+    }
+  }
+
+  /**
+   * Give back every node claimed but not yet answered for
+   */
+  releasePendingManaNodes() {
+    for (const [nodeId, node] of this.manaNodesById) {
+      if (node.userData.pending) this.releaseManaNode(nodeId);
+    }
+  }
+
+  /**
+   * Stop the memory check and the terrain workers, and take the horizon out of the scene
+   */
+  dispose() {
+    clearInterval(this.memoryCheckInterval);
+    this.terrainWorkers.dispose();
+    this.horizon.reset();
   }
 }
 
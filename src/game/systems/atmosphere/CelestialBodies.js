@@ -0,0 +1,297 @@
+import * as THREE from "three";
+
+// Distance of the sun, moon and stars from the camera: inside the sky dome
+// (radius 8000) so they draw over it
+const SKY_DISTANCE = 7000;
+
+const SUN_HORIZON_COLOR = new THREE.Color(0xff8a3d);
+const SUN_HIGH_COLOR = new THREE.Color(0xfff4d6);
+const FORWARD = new THREE.Vector3(0, 0, 1);
+
+const BILLBOARD_VERTEX_SHADER = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const SUN_FRAGMENT_SHADER = `
+  uniform vec3 uColor;
+  uniform float uOpacity;
+  varying vec2 vUv;
+
+  void main() {
+    float r = length(vUv * 2.0 - 1.0);
+    float core = 1.0 - smoothstep(0.16, 0.2, r);
+    float glow = pow(max(0.0, 1.0 - r), 3.0) * 0.6;
+    float alpha = (core + glow) * uOpacity;
+    if (alpha < 0.005) discard;
+    gl_FragColor = vec4(uColor * (1.0 + core), alpha);
+  }
+`;
+
+// The disc is shaded as a sphere lit from the sun's direction, which gives
+// the phase; the unlit part keeps a faint earthshine
+const MOON_FRAGMENT_SHADER = `
+  uniform vec3 uSunDirection; // In the billboard's local frame
+  uniform float uIllumination;
+  uniform float uOpacity;
+  varying vec2 vUv;
+
+  void main() {
+    vec2 p = (vUv * 2.0 - 1.0) * 2.0;
+    float r = length(p);
+    vec3 color = vec3(0.0);
+    float alpha;
+
+    if (r < 1.0) {
+      vec3 normal = vec3(p, sqrt(1.0 - r * r));
+      float lit = smoothstep(-0.05, 0.1, dot(normal, uSunDirection));
+
+      // Dark seas
+      float maria = 0.85 + 0.15 * sin(p.x * 7.0 + 1.3) * sin(p.y * 6.0 - 0.7);
+
+      color = mix(vec3(0.06, 0.07, 0.1), vec3(0.92, 0.93, 0.88) * maria, lit);
+      alpha = 1.0 - smoothstep(0.96, 1.0, r);
+    } else {
+      // Halo, brighter near full moon
+      color = vec3(0.7, 0.75, 0.9);
+      alpha = exp(-(r - 1.0) * 4.0) * 0.25 * uIllumination;
+    }
+
+    alpha *= uOpacity;
+    if (alpha < 0.005) discard;
+    gl_FragColor = vec4(color, alpha);
+  }
+`;
+
+const STAR_VERTEX_SHADER = `
+  uniform float uTime;
+  uniform float uOpacity;
+  uniform float uPixelRatio;
+  attribute float aSize;
+  attribute float aPhase;
+  attribute vec3 aColor;
+  varying float vAlpha;
+  varying vec3 vColor;
+
+  void main() {
+    // Stars set behind the horizon
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vec3 direction = normalize(worldPosition.xyz - cameraPosition);
+    float horizon = smoothstep(-0.02, 0.1, direction.y);
+
+    float twinkle = 0.75 + 0.25 * sin(uTime * (1.5 + aPhase) + aPhase * 10.0);
+    vAlpha = uOpacity * horizon * twinkle;
+    vColor = aColor;
+
+    gl_PointSize = aSize * uPixelRatio;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+  }
+`;
+
+const STAR_FRAGMENT_SHADER = `
+  varying float vAlpha;
+  varying vec3 vColor;
+
+  void main() {
+    float alpha = (1.0 - smoothstep(0.1, 0.5, length(gl_PointCoord - 0.5))) * vAlpha;
+    if (alpha < 0.01) discard;
+    gl_FragColor = vec4(vColor, alpha);
+  }
+`;
+
+/**
+ * Sun disc, moon and star dome for AtmosphereSystem
+ *
+ * Everything sits in a group that follows the camera. The sun circles once
+ * per day; the moon trails it by its phase, so it is full when opposite the
+ * sun, and a lunar cycle lasts lunarCycleDays in-game days. Stars turn with
+ * the sky and fade in at dusk.
+ */
+export class CelestialBodies {
+  constructor(atmosphere) {
+    this.atmosphere = atmosphere;
+    this.engine = atmosphere.engine;
+    this.scene = atmosphere.scene;
+
+    this.lunarCycleDays = 8;
+    this.starCount = this.engine.isMobile ? 800 : 2500;
+    this.pathTilt = 0.25; // Sun and moon pass south of straight overhead
+
+    // Current state, refreshed in update
+    this.sunDirection = new THREE.Vector3(0, 1, 0);
+    this.moonDirection = new THREE.Vector3(0, -1, 0);
+    this.moonPhase = 0; // 0 new, 0.5 full
+    this.moonIllumination = 0; // Lit share of the disc
+
+    this.group = null;
+    this.sun = null;
+    this.moon = null;
+    this.stars = null;
+
+    this._inverseQuaternion = new THREE.Quaternion();
+    this._facing = new THREE.Vector3();
+  }
+
+  initialize() {
+    this.group = new THREE.Group();
+
+    this.createSun();
+    this.createMoon();
+    this.createStars();
+
+    this.scene.add(this.group);
+  }
+
+  createBillboard(size, fragmentShader, uniforms, blending) {
+    const material = new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader: BILLBOARD_VERTEX_SHADER,
+      fragmentShader,
+      transparent: true,
+      depthWrite: false,
+      blending,
+      fog: false
+    });
+
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(size, size), material);
+    mesh.frustumCulled = false;
+    this.group.add(mesh);
+    return mesh;
+  }
+
+  createSun() {
+    this.sun = this.createBillboard(1200, SUN_FRAGMENT_SHADER, {
+      uColor: { value: SUN_HIGH_COLOR.clone() },
+      uOpacity: { value: 1 }
+    }, THREE.AdditiveBlending);
+  }
+
+  createMoon() {
+    this.moon = this.createBillboard(600, MOON_FRAGMENT_SHADER, {
+      uSunDirection: { value: new THREE.Vector3(0, 0, -1) },
+      uIllumination: { value: 0 },
+      uOpacity: { value: 1 }
+    }, THREE.NormalBlending);
+  }
+
+  createStars() {
+    const positions = new Float32Array(this.starCount * 3);
+    const sizes = new Float32Array(this.starCount);
+    const phases = new Float32Array(this.starCount);
+    const colors = new Float32Array(this.starCount * 3);
+    const color = new THREE.Color();
+    const point = new THREE.Vector3();
+
+    for (let i = 0; i < this.starCount; i++) {
+      // Uniform over the sphere
+      point.randomDirection().multiplyScalar(SKY_DISTANCE);
+      point.toArray(positions, i * 3);
+
+      // Mostly faint, a few bright ones
+      sizes[i] = 1 + Math.pow(Math.random(), 6) * 3;
+      phases[i] = Math.random();
+
+      // White with a hint of blue or orange
+      color.setHSL(Math.random() < 0.5 ? 0.6 : 0.08, Math.random() * 0.4, 0.85 + Math.random() * 0.15);
+      color.toArray(colors, i * 3);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("aSize", new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute("aPhase", new THREE.BufferAttribute(phases, 1));
+    geometry.setAttribute("aColor", new THREE.BufferAttribute(colors, 3));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        uTime: { value: 0 },
+        uOpacity: { value: 0 },
+        uPixelRatio: { value: this.engine.renderer.getPixelRatio() }
+      },
+      vertexShader: STAR_VERTEX_SHADER,
+      fragmentShader: STAR_FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false,
+      fog: false
+    });
+
+    this.stars = new THREE.Points(geometry, material);
+    this.stars.frustumCulled = false;
+    this.group.add(this.stars);
+  }
+
+  /**
+   * Direction of a body circling the sky
+   * @param {number} angle - 0 on the eastern horizon, PI/2 at its highest
+   */
+  getSkyDirection(angle, target) {
+    return target.set(Math.cos(angle), Math.sin(angle), -this.pathTilt).normalize();
+  }
+
+  /**
+   * Turn a billboard to face the camera at the center of the group
+   */
+  faceCamera(mesh, direction) {
+    this._facing.copy(direction).negate();
+    mesh.quaternion.setFromUnitVectors(FORWARD, this._facing);
+  }
+
+  /**
+   * How strongly the moon lights the world, 0-1: its lit share, faded as it
+   * sets
+   */
+  getMoonlight() {
+    return (0.3 + 0.7 * this.moonIllumination) * THREE.MathUtils.smoothstep(this.moonDirection.y, 0, 0.15);
+  }
+
+  /**
+   * @param {number} timeOfDay - 0 = midnight, 0.5 = noon
+   * @param {number} day - Whole days elapsed, for the moon phase
+   * @param {number} cloudCover - 0-1 from the weather, hides the sky bodies
+   */
+  update(timeOfDay, day, cloudCover = 0) {
+    const camera = this.engine.camera;
+    const sunAngle = (timeOfDay - 0.25) * Math.PI * 2;
+
+    this.moonPhase = ((day + timeOfDay) / this.lunarCycleDays) % 1;
+    this.moonIllumination = (1 - Math.cos(this.moonPhase * Math.PI * 2)) * 0.5;
+
+    this.getSkyDirection(sunAngle, this.sunDirection);
+    this.getSkyDirection(sunAngle - this.moonPhase * Math.PI * 2, this.moonDirection);
+
+    if (!this.group) return;
+
+    this.group.position.copy(camera.position);
+    const clearSky = 1 - cloudCover * 0.9;
+
+    // Sun: warmer and dimmer near the horizon
+    const sunHeight = this.sunDirection.y;
+    this.sun.position.copy(this.sunDirection).multiplyScalar(SKY_DISTANCE);
+    this.faceCamera(this.sun, this.sunDirection);
+    this.sun.visible = sunHeight > -0.1;
+    this.sun.material.uniforms.uColor.value.copy(SUN_HORIZON_COLOR).lerp(SUN_HIGH_COLOR, THREE.MathUtils.smoothstep(sunHeight, 0, 0.3));
+    this.sun.material.uniforms.uOpacity.value = THREE.MathUtils.smoothstep(sunHeight, -0.1, 0.02) * clearSky;
+
+    // Moon, lit from the sun's side
+    this.moon.position.copy(this.moonDirection).multiplyScalar(SKY_DISTANCE);
+    this.faceCamera(this.moon, this.moonDirection);
+    this.moon.visible = this.moonDirection.y > -0.1;
+    this._inverseQuaternion.copy(this.moon.quaternion).invert();
+    this.moon.material.uniforms.uSunDirection.value.copy(this.sunDirection).applyQuaternion(this._inverseQuaternion);
+    this.moon.material.uniforms.uIllumination.value = this.moonIllumination;
+    // Pale in daylight, clear at night
+    const moonOpacity = 1 - 0.7 * THREE.MathUtils.smoothstep(sunHeight, -0.1, 0.2);
+    this.moon.material.uniforms.uOpacity.value = moonOpacity * THREE.MathUtils.smoothstep(this.moonDirection.y, -0.1, 0.02) * clearSky;
+
+    // Stars turn with the sky and come out at dusk
+    this.stars.rotation.z = sunAngle;
+    this.stars.material.uniforms.uTime.value = this.engine.elapsed % 1000;
+    const starOpacity = 1 - THREE.MathUtils.smoothstep(sunHeight, -0.25, 0.05);
+    this.stars.material.uniforms.uOpacity.value = starOpacity * clearSky;
+    this.stars.visible = starOpacity * clearSky > 0.01;
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Network condition simulator
+ *
+ * Wraps a socket.io socket and delays, drops and reorders messages in both
+ * directions, so interpolation, batching and the connection quality switching
+ * in NetworkManager can be exercised against a local server.
+ *
+ * Enable with a URL parameter, either a preset or explicit values:
+ *   ?netsim=poor
+ *   ?netsim=latency:150,jitter:40,loss:0.05,reorder:0.02
+ *
+ * latency and jitter are one-way milliseconds (a ping sees about twice the
+ * latency); loss and reorder are probabilities from 0 to 1.
+ */
+
+// Named profiles for quick testing
+export const NETWORK_CONDITION_PRESETS = {
+  off: { latency: 0, jitter: 0, loss: 0, reorder: 0 },
+  good: { latency: 40, jitter: 10, loss: 0, reorder: 0 },
+  mobile: { latency: 80, jitter: 40, loss: 0.02, reorder: 0.01 },
+  poor: { latency: 150, jitter: 80, loss: 0.08, reorder: 0.05 },
+  terrible: { latency: 400, jitter: 200, loss: 0.2, reorder: 0.1 }
+};
+
+// Socket lifecycle events are never delayed or dropped
+const LIFECYCLE_EVENTS = ['connect', 'connect_error', 'disconnect'];
+
+// Only high-frequency state messages are dropped. Everything else (joins,
+// corrections, mana claims) stands for something the real transport would
+// retransmit, so it is only delayed.
+const LOSSY_EVENTS = ['player_update', 'player_state', 'batch_update', 'client_ping', 'pong'];
+
+/**
+ * Read network conditions from the ?netsim= URL parameter
+ * @returns {Object|null} Conditions { latency, jitter, loss, reorder }, or null if not requested
+ */
+export function resolveNetworkConditions() {
+  if (typeof window === 'undefined') return null;
+
+  const value = new URLSearchParams(window.location.search).get('netsim');
+  if (!value) return null;
+
+  if (NETWORK_CONDITION_PRESETS[value]) {
+    return { ...NETWORK_CONDITION_PRESETS[value] };
+  }
+
+  const conditions = { ...NETWORK_CONDITION_PRESETS.off };
+  value.split(',').forEach(pair => {
+    const [key, amount] = pair.split(':');
+    const number = Number(amount);
+    if (key in conditions && Number.isFinite(number)) {
+      conditions[key] = number;
+    }
+  });
+
+  return conditions;
+}
+
+export class NetworkConditioner {
+  constructor(socket, conditions = {}) {
+    this.socket = socket;
+    this.conditions = { ...NETWORK_CONDITION_PRESETS.off };
+    this.setConditions(conditions);
+
+    // Delivery times of the last message in each direction, used to keep
+    // messages in order unless they are deliberately reordered
+    this.lastDelivery = { outgoing: 0, incoming: 0 };
+
+    // Counters for the dev panel
+    this.stats = { sent: 0, received: 0, dropped: 0, reordered: 0 };
+
+    this.timers = new Set();
+  }
+
+  setConditions(conditions) {
+    Object.keys(this.conditions).forEach(key => {
+      const value = Number(conditions[key]);
+      if (Number.isFinite(value)) {
+        this.conditions[key] = key === 'loss' || key === 'reorder'
+          ? Math.min(Math.max(value, 0), 1)
+          : Math.max(value, 0);
+      }
+    });
+  }
+
+  // socket.io API used by NetworkManager
+
+  get connected() {
+    return this.socket.connected;
+  }
+
+  get id() {
+    return this.socket.id;
+  }
+
+  connect() {
+    this.socket.connect();
+    return this;
+  }
+
+  disconnect() {
+    // Anything still in flight belongs to the old connection
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.socket.disconnect();
+    return this;
+  }
+
+  on(event, handler) {
+    if (LIFECYCLE_EVENTS.includes(event)) {
+      this.socket.on(event, handler);
+    } else {
+      this.socket.on(event, (...args) => {
+        this.stats.received++;
+        this.schedule('incoming', event, () => handler(...args));
+      });
+    }
+    return this;
+  }
+
+  emit(event, ...args) {
+    this.stats.sent++;
+    this.schedule('outgoing', event, () => this.socket.emit(event, ...args));
+    return this;
+  }
+
+  /**
+   * Deliver a message after the simulated transit time, or drop it
+   * @param {string} direction - 'outgoing' or 'incoming'
+   * @param {string} event - Event name, decides whether the message may be dropped
+   * @param {Function} deliver - Performs the actual send or handler call
+   */
+  schedule(direction, event, deliver) {
+    const { latency, jitter, loss, reorder } = this.conditions;
+
+    if (LOSSY_EVENTS.includes(event) && Math.random() < loss) {
+      this.stats.dropped++;
+      return;
+    }
+
+    const now = performance.now();
+    let deliveryTime = now + latency + Math.random() * jitter;
+
+    if (Math.random() < reorder) {
+      // Let this one be overtaken by whatever is sent next
+      deliveryTime += latency + jitter + 50;
+      this.stats.reordered++;
+    } else {
+      // Jitter alone must not reorder an ordered transport
+      deliveryTime = Math.max(deliveryTime, this.lastDelivery[direction]);
+      this.lastDelivery[direction] = deliveryTime;
+    }
+
+    const delay = deliveryTime - now;
+    if (delay <= 0) {
+      deliver();
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      deliver();
+    }, delay);
+    this.timers.add(timer);
+  }
+}
@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+
+/**
+ * Timestamped state history for one remote player
+ *
+ * Snapshots are stored in server time. Remote players are drawn slightly in the
+ * past (render time = server now - interpolation delay) so there is usually a
+ * snapshot on both sides of the render time to interpolate between. Positions
+ * use cubic Hermite interpolation with the sent velocities as tangents; when
+ * packets stop arriving the last state is extrapolated for a bounded time.
+ */
+export class SnapshotBuffer {
+  constructor(options = {}) {
+    this.snapshots = []; // Sorted by time, oldest first
+    this.maxSnapshots = options.maxSnapshots || 32;
+    this.maxExtrapolation = options.maxExtrapolation || 250; // ms
+  }
+
+  /**
+   * Add a snapshot. Missing fields (delta compressed updates) are carried over
+   * from the newest snapshot.
+   * @param {number} time - Server time in ms
+   * @param {Object} data - Player update { x, y, z, rotationY, velocityX, velocityY, velocityZ }
+   */
+  push(time, data) {
+    const latest = this.snapshots[this.snapshots.length - 1];
+
+    // Late packets older than what we already have are useless
+    if (latest && time <= latest.time) {
+      return;
+    }
+
+    const position = latest ? latest.position.clone() : new THREE.Vector3();
+    if (data.x !== undefined) position.x = data.x;
+    if (data.y !== undefined) position.y = data.y;
+    if (data.z !== undefined) position.z = data.z;
+
+    // Without sent velocities, estimate them from the previous snapshot
+    let velocity;
+    if (data.velocityX !== undefined || data.velocityY !== undefined || data.velocityZ !== undefined) {
+      velocity = latest ? latest.velocity.clone() : new THREE.Vector3();
+      if (data.velocityX !== undefined) velocity.x = data.velocityX;
+      if (data.velocityY !== undefined) velocity.y = data.velocityY;
+      if (data.velocityZ !== undefined) velocity.z = data.velocityZ;
+    } else if (latest) {
+      const dt = (time - latest.time) / 1000;
+      velocity = position.clone().sub(latest.position).divideScalar(dt);
+    } else {
+      velocity = new THREE.Vector3();
+    }
+
+    this.snapshots.push({
+      time,
+      position,
+      velocity,
+      rotationY: data.rotationY !== undefined ? data.rotationY : (latest ? latest.rotationY : 0)
+    });
+
+    if (this.snapshots.length > this.maxSnapshots) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Sample the buffered motion at a point in (server) time
+   * @param {number} renderTime - Server time in ms to sample at
+   * @param {Object} out - Receives { position: Vector3, rotationY }
+   * @returns {boolean} False if the buffer is empty
+   */
+  sample(renderTime, out) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return false;
+
+    // Drop snapshots we will never interpolate from again (keep one before renderTime)
+    while (snapshots.length > 2 && snapshots[1].time <= renderTime) {
+      snapshots.shift();
+    }
+
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+
+    if (renderTime <= first.time) {
+      out.position.copy(first.position);
+      out.rotationY = first.rotationY;
+      return true;
+    }
+
+    if (renderTime >= last.time) {
+      // Packets are late - keep moving along the last velocity, but not forever
+      const ahead = Math.min(renderTime - last.time, this.maxExtrapolation) / 1000;
+      out.position.copy(last.position).addScaledVector(last.velocity, ahead);
+      out.rotationY = last.rotationY;
+      return true;
+    }
+
+    // Find the pair around the render time
+    let from = first;
+    let to = snapshots[1];
+    for (let i = 1; i < snapshots.length; i++) {
+      if (snapshots[i].time >= renderTime) {
+        from = snapshots[i - 1];
+        to = snapshots[i];
+        break;
+      }
+    }
+
+    const duration = (to.time - from.time) / 1000;
+    const t = (renderTime - from.time) / (to.time - from.time);
+
+    this.hermite(from.position, from.velocity, to.position, to.velocity, duration, t, out.position);
+    out.rotationY = this.lerpAngle(from.rotationY, to.rotationY, t);
+    return true;
+  }
+
+  // Cubic Hermite spline between two states; velocities are scaled by the
+  // interval so they become tangents in the 0..1 parameter space
+  hermite(p0, v0, p1, v1, duration, t, out) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const h00 = 2 * t3 - 3 * t2 + 1;
+    const h10 = t3 - 2 * t2 + t;
+    const h01 = -2 * t3 + 3 * t2;
+    const h11 = t3 - t2;
+
+    out.set(
+      h00 * p0.x + h10 * duration * v0.x + h01 * p1.x + h11 * duration * v1.x,
+      h00 * p0.y + h10 * duration * v0.y + h01 * p1.y + h11 * duration * v1.y,
+      h00 * p0.z + h10 * duration * v0.z + h01 * p1.z + h11 * duration * v1.z
+    );
+    return out;
+  }
+
+  // Interpolate angles along the shortest path
+  lerpAngle(a, b, t) {
+    let diff = (b - a) % (Math.PI * 2);
+    if (diff > Math.PI) diff -= Math.PI * 2;
+    if (diff < -Math.PI) diff += Math.PI * 2;
+    return a + diff * t;
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+}
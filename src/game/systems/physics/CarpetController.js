@@ -1,144 +1,160 @@
 import * as THREE from 'three';
 
+/**
+ * Flight controls for a carpet's RigidBody
+ *
+ * Controls are set once per input command (see PlayerInput.handleInput) and
+ * turned into forces every physics substep: PhysicsSystem calls applyForces
+ * on a body's controller before gravity and aerodynamics are integrated.
+ * The carpet faces +Z; local +X is its left side.
+ */
 export class CarpetController {
     constructor(rigidbody) {
         this.body = rigidbody;
+        this.body.controller = this;
         
-        // Control parameters
+        // Control parameters (overwritten by a flight preset, see FlightPresets.js)
         this.maxThrust = 20.0; // Maximum thrust force
-        this.turnRate = 2.0; // Rate of turning
+        this.turnRate = 2.0; // Yaw rate at full turn input, radians per second
         this.maxBankAngle = Math.PI / 4; // Maximum banking angle
         this.maxPitchAngle = Math.PI / 6; // Maximum pitch angle
-        this.bankingSensitivity = 1.5; // How quickly the carpet banks into turns
-        this.heightControl = 10.0; // Vertical thrust strength
+        this.bankingSensitivity = 1.5; // How strongly a banked carpet is pulled into the turn
+        this.heightControl = 10.0; // Vertical acceleration at full height input
+        this.hover = 1.0; // Share of gravity the carpet's magic cancels
+        this.sideGrip = 2.0; // How quickly sideways slip is removed, per second
+        this.verticalGrip = 0.5; // How quickly motion through the carpet's plane is removed, per second
         
         // Control state
         this.thrust = 0;
         this.turnInput = 0;
-        this.pitchInput = 0;
         this.heightInput = 0;
+        this.bankAngle = 0;
         
         // Smoothing
         this.turnSmoothing = new ExponentialSmoothing(0.15);
-        this.pitchSmoothing = new ExponentialSmoothing(0.15);
-        this.bankSmoothing = new ExponentialSmoothing(0.1);
         
         // Temporary vectors for calculations
         this._tempVec3 = new THREE.Vector3();
-        this._tempQuat = new THREE.Quaternion();
+        this._axis = new THREE.Vector3();
+        this._airRelative = new THREE.Vector3();
     }
 
-    update(input, delta) {
-        // Process input
-        this.processInput(input);
-        
-        // Apply control forces
-        this.applyThrust(delta);
-        this.applyTurn(delta);
-        this.applyBanking(delta);
-        this.applyHeightControl(delta);
+    /**
+     * Apply a flight preset's controller tunables
+     * @param {Object} settings - Values for any of the control parameters above
+     */
+    configure(settings) {
+        Object.keys(settings).forEach(key => {
+            if (typeof this[key] === 'number') {
+                this[key] = settings[key];
+            }
+        });
     }
 
-    processInput(input) {
-        // Get thrust input (-1 to 1)
-        this.thrust = 0;
-        if (input.isKeyDown('KeyW')) this.thrust += 1;
-        if (input.isKeyDown('KeyS')) this.thrust -= 1;
-        
-        // Get turn input (-1 to 1)
-        this.turnInput = 0;
-        if (input.isKeyDown('KeyA')) this.turnInput += 1;
-        if (input.isKeyDown('KeyD')) this.turnInput -= 1;
-        
-        // Get pitch input (-1 to 1)
-        this.pitchInput = 0;
-        if (input.isKeyDown('ArrowUp')) this.pitchInput -= 1;
-        if (input.isKeyDown('ArrowDown')) this.pitchInput += 1;
-        
-        // Get height input (-1 to 1)
-        this.heightInput = 0;
-        if (input.isKeyDown('Space')) this.heightInput += 1;
-        if (input.isKeyDown('ShiftLeft')) this.heightInput -= 1;
-        
-        // Handle touch input if available
-        if (input.touches && Object.keys(input.touches).length > 0) {
-            // Implement touch controls here
-            // Could use virtual joystick values or touch positions
+    /**
+     * Take the controls of an input command
+     * @param {Object|null} command - { thrust, turn, lift, bankAngle, rotationX }
+     *   from PlayerInput, or null to let go of the controls
+     */
+    setControls(command) {
+        this.thrust = command ? command.thrust : 0;
+        this.turnInput = command ? THREE.MathUtils.clamp(command.turn, -1, 1) : 0;
+        this.heightInput = command ? THREE.MathUtils.clamp(command.lift, -1, 1) : 0;
+        this.bankAngle = command ? command.bankAngle : 0;
+        
+        if (command) {
+            this.body.rotation.x = THREE.MathUtils.clamp(command.rotationX, -this.maxPitchAngle, this.maxPitchAngle);
         }
     }
 
+    /**
+     * Add this substep's control forces to the body
+     * @param {number} delta - Substep length in seconds
+     * @param {Object} physics - PhysicsSystem stepping the body
+     */
+    applyForces(delta, physics) {
+        this.applyThrust(delta);
+        this.applyTurn(delta);
+        this.applyBanking(delta);
+        this.applyHeightControl(delta, physics);
+        this.applyGrip(delta);
+    }
+
     applyThrust(delta) {
-        // Calculate thrust vector in carpet's local space
-        const thrustForce = this._tempVec3.set(0, 0, -this.thrust * this.maxThrust);
-        
-        // Transform to world space
-        thrustForce.applyQuaternion(this.body.quaternion);
-        
-        // Apply force
+        // Thrust along the carpet's nose, including pitch
+        const thrustForce = this.getForwardVector().multiplyScalar(this.thrust * this.maxThrust);
         this.body.forces.add(thrustForce);
     }
 
     applyTurn(delta) {
-        // Smooth turn input
+        // Smooth turn input and apply it as a yaw rate; RigidBody.integrate turns the body
         const smoothedTurn = this.turnSmoothing.update(this.turnInput, delta);
-        
-        // Apply turn as angular velocity
-        this.body.angularVelocity.y = -smoothedTurn * this.turnRate;
-        
-        // Calculate desired bank angle based on turn rate
-        const desiredBank = -smoothedTurn * this.maxBankAngle;
-        
-        // Smooth bank angle transition
-        const currentBank = this.body.rotation.z;
-        const smoothedBank = this.bankSmoothing.update(desiredBank, delta);
-        
-        // Apply banking
-        this.body.rotation.z = smoothedBank;
+        this.body.angularVelocity.set(0, smoothedTurn * this.turnRate, 0);
     }
 
     applyBanking(delta) {
-        // Calculate banking force based on turn rate and velocity
+        // A banked carpet is pulled sideways into the turn, harder the faster it flies
         const speed = this.body.velocity.length();
-        const turnRate = this.body.angularVelocity.y;
         
-        if (Math.abs(speed) > 0.1 && Math.abs(turnRate) > 0.1) {
-            // Calculate banking force magnitude
-            const bankForce = speed * turnRate * this.bankingSensitivity;
-            
-            // Apply force in local up direction
-            const forceDir = this._tempVec3.set(0, 1, 0)
-                .applyQuaternion(this.body.quaternion);
-            
-            this.body.forces.addScaledVector(forceDir, bankForce);
+        if (speed > 0.1 && Math.abs(this.bankAngle) > 0.01) {
+            const bankForce = Math.sin(this.bankAngle) * speed * this.bankingSensitivity * this.body.mass;
+            this.body.forces.addScaledVector(this.getLeftVector(), bankForce);
         }
     }
 
-    applyHeightControl(delta) {
-        // Smooth pitch input
-        const smoothedPitch = this.pitchSmoothing.update(this.pitchInput, delta);
-        
-        // Apply pitch rotation
-        this.body.rotation.x = smoothedPitch * this.maxPitchAngle;
-        
-        // Apply vertical thrust
-        const heightForce = this._tempVec3.set(
-            0,
-            this.heightInput * this.heightControl,
-            0
-        );
+    applyHeightControl(delta, physics) {
+        // Hover against gravity, plus climbing or diving on demand
+        const verticalAcceleration = this.heightInput * this.heightControl - physics.gravity * this.hover;
+        this.body.forces.y += verticalAcceleration * this.body.mass;
+    }
+
+    applyGrip(delta) {
+        // The carpet resists moving sideways and through its own plane relative to
+        // the air, so it follows its heading instead of drifting like a puck, and
+        // is carried along by crosswinds, ridge lift and thermals
+        const velocity = this.body.velocity;
+        const airRelative = this._airRelative.copy(velocity).sub(this.body.airVelocity);
+        
+        // Sideways grip doesn't brake along the direction of travel (that part of
+        // the force is dropped), so turning doesn't bleed speed
+        const left = this.getLeftVector();
+        const grip = this._axis.copy(left).multiplyScalar(-airRelative.dot(left) * this.sideGrip * this.body.mass);
+        const speedSq = velocity.lengthSq();
+        if (speedSq > 1) {
+            grip.addScaledVector(velocity, -grip.dot(velocity) / speedSq);
+        }
+        this.body.forces.add(grip);
         
-        this.body.forces.add(heightForce);
+        const up = this.getUpVector();
+        this.body.forces.addScaledVector(up, -airRelative.dot(up) * this.verticalGrip * this.body.mass);
+    }
+
+    /**
+     * Control state that isn't part of the body, for prediction replays
+     */
+    saveState() {
+        return { turn: this.turnSmoothing.current };
+    }
+
+    restoreState(state) {
+        this.turnSmoothing.reset(state ? state.turn : 0);
+    }
+
+    reset() {
+        this.setControls(null);
+        this.turnSmoothing.reset();
+        this.body.angularVelocity.set(0, 0, 0);
     }
 
     getForwardVector() {
-        return this._tempVec3.set(0, 0, -1).applyQuaternion(this.body.quaternion);
+        return this._tempVec3.set(0, 0, 1).applyQuaternion(this.body.quaternion);
     }
 
     getUpVector() {
         return this._tempVec3.set(0, 1, 0).applyQuaternion(this.body.quaternion);
     }
 
-    getRightVector() {
+    getLeftVector() {
         return this._tempVec3.set(1, 0, 0).applyQuaternion(this.body.quaternion);
     }
 }
@@ -0,0 +1,70 @@
+/**
+ * Flight model presets
+ *
+ * A preset tunes the carpet's RigidBody (mass and the aerodynamics used by
+ * PhysicsSystem.applyAerodynamics) and its CarpetController. Choose one with
+ * a URL parameter, e.g. ?flight=glider, or PlayerPhysics.setFlightPreset().
+ */
+
+export const DEFAULT_FLIGHT_PRESET = 'balanced';
+
+export const FLIGHT_PRESETS = {
+    // Holds altitude by itself, cruises around 240 units/s
+    balanced: {
+        body: { mass: 50, surfaceArea: 4, dragCoefficient: 0.008, liftCoefficient: 0.05 },
+        controller: {
+            maxThrust: 1200,
+            turnRate: 1.5,
+            maxBankAngle: Math.PI / 6,
+            maxPitchAngle: Math.PI / 4,
+            bankingSensitivity: 0.5,
+            heightControl: 25,
+            hover: 1,
+            sideGrip: 3,
+            verticalGrip: 0.5
+        }
+    },
+
+    // Quick to accelerate and turn, no lift: flies exactly where it points
+    arcade: {
+        body: { mass: 50, surfaceArea: 4, dragCoefficient: 0.012, liftCoefficient: 0 },
+        controller: {
+            maxThrust: 2000,
+            turnRate: 2.2,
+            maxBankAngle: Math.PI / 5,
+            maxPitchAngle: Math.PI / 4,
+            bankingSensitivity: 0.8,
+            heightControl: 40,
+            hover: 1,
+            sideGrip: 6,
+            verticalGrip: 1.5
+        }
+    },
+
+    // Weak hover magic: keeps its height through speed and lift, sinks when slow
+    glider: {
+        body: { mass: 60, surfaceArea: 8, dragCoefficient: 0.004, liftCoefficient: 0.12 },
+        controller: {
+            maxThrust: 700,
+            turnRate: 1,
+            maxBankAngle: Math.PI / 4,
+            maxPitchAngle: Math.PI / 4,
+            bankingSensitivity: 0.6,
+            heightControl: 15,
+            hover: 0.6,
+            sideGrip: 1,
+            verticalGrip: 0.3
+        }
+    }
+};
+
+/**
+ * Read the flight preset from the ?flight= URL parameter
+ * @returns {string} Preset name, the default if none (or an unknown one) was requested
+ */
+export function resolveFlightPreset() {
+    if (typeof window === 'undefined') return DEFAULT_FLIGHT_PRESET;
+
+    const value = new URLSearchParams(window.location.search).get('flight');
+    return FLIGHT_PRESETS[value] ? value : DEFAULT_FLIGHT_PRESET;
+}
@@ -1,14 +1,27 @@
 import * as THREE from 'three';
+import { SpatialHashGrid } from './SpatialHashGrid.js';
+import { WindField } from './WindField.js';
+
+// Scratch objects for RigidBody.integrate
+const _rotationAxis = new THREE.Vector3();
+const _deltaRotation = new THREE.Quaternion();
 
 class RigidBody {
-    constructor(mass = 1) {
+    /**
+     * @param {number} mass - Body mass
+     * @param {Object} options - Optional existing position, velocity, acceleration
+     *   and rotation objects to drive (e.g. a player's), so the body and its owner
+     *   share one state
+     */
+    constructor(mass = 1, options = {}) {
         this.mass = mass;
-        this.position = new THREE.Vector3();
-        this.velocity = new THREE.Vector3();
-        this.acceleration = new THREE.Vector3();
-        this.rotation = new THREE.Euler();
+        this.position = options.position || new THREE.Vector3();
+        this.velocity = options.velocity || new THREE.Vector3();
+        this.acceleration = options.acceleration || new THREE.Vector3();
+        this.rotation = options.rotation || new THREE.Euler();
         this.angularVelocity = new THREE.Vector3();
-        this.quaternion = new THREE.Quaternion();
+        this.airVelocity = new THREE.Vector3(); // Wind around the body, refreshed every step
+        this.quaternion = new THREE.Quaternion().setFromEuler(this.rotation);
         this.forces = new THREE.Vector3();
         this.torques = new THREE.Vector3();
         
@@ -16,6 +29,17 @@ class RigidBody {
         this.surfaceArea = 10; // m²
         this.dragCoefficient = 0.1;
         this.liftCoefficient = 0.3;
+        
+        // Optional controller whose applyForces(delta, physics) runs every substep
+        this.controller = null;
+        
+        // Stepped by PhysicsSystem.update; bodies whose owner steps them itself
+        // (see stepBody) turn this off
+        this.autoStep = options.autoStep ?? true;
+        
+        // Bounce off the terrain in PhysicsSystem; owners with their own ground
+        // handling turn this off
+        this.terrainCollision = options.terrainCollision ?? true;
     }
 
     integrate(delta) {
@@ -25,12 +49,15 @@ class RigidBody {
         // Update linear velocity with acceleration
         this.velocity.addScaledVector(this.acceleration, delta);
         
-        // Update rotation
+        // Update rotation (around a copy of the axis, so the angular velocity keeps its magnitude)
         this.quaternion.setFromEuler(this.rotation);
-        const deltaRotation = new THREE.Quaternion();
-        deltaRotation.setFromAxisAngle(this.angularVelocity.normalize(), this.angularVelocity.length() * delta);
-        this.quaternion.premultiply(deltaRotation);
-        this.rotation.setFromQuaternion(this.quaternion);
+        const angularSpeed = this.angularVelocity.length();
+        if (angularSpeed > 0) {
+            _rotationAxis.copy(this.angularVelocity).divideScalar(angularSpeed);
+            _deltaRotation.setFromAxisAngle(_rotationAxis, angularSpeed * delta);
+            this.quaternion.premultiply(_deltaRotation);
+            this.rotation.setFromQuaternion(this.quaternion);
+        }
         
         // Clear forces and torques for next frame
         this.forces.set(0, 0, 0);
@@ -53,6 +80,7 @@ export class PhysicsSystem {
         this._tempVec3_2 = new THREE.Vector3();
         this._tempVec3_3 = new THREE.Vector3(); // Additional reusable vector
         this._tempQuat = new THREE.Quaternion();
+        this._impact = { normal: new THREE.Vector3(), speed: 0, surface: 'land' };
         
         // Collection of physics bodies
         this.bodies = new Map();
@@ -62,6 +90,17 @@ export class PhysicsSystem {
         this.normalCache = new Map(); // Cache for terrain normals
         this.maxNormalCacheSize = 500;
         
+        // Moving air, felt through aerodynamics
+        this.wind = engine ? new WindField(engine) : null;
+        
+        // Static obstacles (trees, landmarks) registered by the systems that create them
+        this.colliders = new SpatialHashGrid(32);
+        this._colliderQuery = [];
+        this._contact = { normal: new THREE.Vector3(), depth: 0, collider: null };
+        this._closestPoint = new THREE.Vector3();
+        this._segment = new THREE.Vector3();
+        this._box = new THREE.Box3();
+        
         // Performance metrics
         this.lastPerformanceLog = 0;
         this.performanceLogInterval = 5000; // Log every 5 seconds
@@ -90,8 +129,195 @@ export class PhysicsSystem {
         return Promise.resolve();
     }
 
-    createRigidBody(id, mass = 1) {
-        const body = new RigidBody(mass);
+    /**
+     * Terrain changes completely with a new world seed, so cached samples are stale
+     */
+    handleSeedChange() {
+        this.heightCache.clear();
+        this.normalCache.clear();
+        
+        if (this.wind) {
+            this.wind.handleSeedChange();
+        }
+    }
+
+    /**
+     * A spell reshaped the ground (see WorldSystem.applyTerrainEdit), so cached
+     * samples there are stale
+     * @param {Object} bounds - { minX, minZ, maxX, maxZ } that changed
+     */
+    handleTerrainEdit(bounds) {
+        // Normals also sample one unit beyond their cell
+        const minX = bounds.minX - 1;
+        const minZ = bounds.minZ - 1;
+        const maxX = bounds.maxX + 1;
+        const maxZ = bounds.maxZ + 1;
+        
+        this.heightCache.invalidateArea(minX, minZ, maxX, maxZ);
+        
+        const normalCacheResolution = this.heightCache.resolution * 2;
+        for (const key of this.normalCache.keys()) {
+            const [nx, nz] = key.split(',').map(Number);
+            if (nx + normalCacheResolution > minX && nx < maxX &&
+                nz + normalCacheResolution > minZ && nz < maxZ) {
+                this.normalCache.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Register a static obstacle
+     * @param {Object} collider - { type: 'sphere', center, radius },
+     *   { type: 'capsule', start, end, radius } (a segment swept by a sphere) or
+     *   { type: 'box', min, max }, with an optional owner
+     * @returns {Object} The collider, to pass to removeCollider later
+     */
+    addCollider(collider) {
+        return this.colliders.insert(collider);
+    }
+
+    removeCollider(collider) {
+        this.colliders.remove(collider);
+    }
+
+    /**
+     * Register a box collider for every mesh of an object that stands up from
+     * the ground; flat meshes (floors, platforms) are left to fly over
+     * @param {THREE.Object3D} object - Object with up to date world matrices
+     * @param {Object} owner - Stored on each collider
+     * @param {number} minHeight - Meshes lower than this are skipped
+     * @returns {Array} The colliders added
+     */
+    addMeshColliders(object, owner = null, minHeight = 1) {
+        const colliders = [];
+        object.updateMatrixWorld(true);
+        
+        object.traverse(child => {
+            if (!child.isMesh) return;
+            
+            const box = this._box.setFromObject(child);
+            if (box.isEmpty() || box.max.y - box.min.y < minHeight) return;
+            
+            colliders.push(this.addCollider({
+                type: 'box',
+                min: box.min.clone(),
+                max: box.max.clone(),
+                owner
+            }));
+        });
+        
+        return colliders;
+    }
+
+    /**
+     * Find the deepest overlap between a sphere and the registered obstacles
+     * @param {THREE.Vector3} center - Sphere center
+     * @param {number} radius - Sphere radius
+     * @param {Object} contact - Optional object to fill in, to avoid allocations
+     * @returns {{normal: THREE.Vector3, depth: number, collider: Object}|null}
+     *   normal points out of the obstacle; moving the sphere by normal * depth
+     *   separates them
+     */
+    collideSphere(center, radius, contact = this._contact) {
+        const candidates = this.colliders.query(
+            center.x - radius, center.z - radius,
+            center.x + radius, center.z + radius,
+            this._colliderQuery
+        );
+        
+        let found = false;
+        contact.depth = 0;
+        contact.collider = null;
+        
+        for (const collider of candidates) {
+            // Cheap bounds rejection, the grid cells are coarse
+            const bounds = collider.bounds;
+            if (center.y + radius < bounds.min.y || center.y - radius > bounds.max.y) continue;
+            
+            const closest = this.closestPointOnCollider(collider, center, this._closestPoint);
+            const offset = this._segment.subVectors(center, closest);
+            const distance = offset.length();
+            const colliderRadius = collider.type === 'box' ? 0 : collider.radius;
+            
+            let depth;
+            if (distance > 0.0001) {
+                depth = radius + colliderRadius - distance;
+                if (depth <= contact.depth) continue;
+                offset.divideScalar(distance);
+            } else if (collider.type === 'box') {
+                // Center inside the box: leave through the nearest face
+                depth = this.boxExitNormal(collider, center, offset) + radius;
+                if (depth <= contact.depth) continue;
+            } else {
+                // Exactly on a sphere center or capsule axis: push sideways
+                depth = radius + colliderRadius;
+                if (depth <= contact.depth) continue;
+                offset.set(1, 0, 0);
+            }
+            
+            contact.normal.copy(offset);
+            contact.depth = depth;
+            contact.collider = collider;
+            found = true;
+        }
+        
+        return found ? contact : null;
+    }
+
+    /**
+     * Closest point to a position on a collider's core shape (a sphere's center,
+     * a capsule's segment, or anywhere in a box)
+     */
+    closestPointOnCollider(collider, point, target) {
+        switch (collider.type) {
+            case 'sphere':
+                return target.copy(collider.center);
+            case 'capsule': {
+                const segment = this._segment.subVectors(collider.end, collider.start);
+                const lengthSq = segment.lengthSq();
+                const t = lengthSq > 0
+                    ? THREE.MathUtils.clamp(target.subVectors(point, collider.start).dot(segment) / lengthSq, 0, 1)
+                    : 0;
+                return target.copy(collider.start).addScaledVector(segment, t);
+            }
+            case 'box':
+                return target.copy(point).clamp(collider.min, collider.max);
+            default:
+                return target.copy(point);
+        }
+    }
+
+    /**
+     * For a point inside a box, the direction and distance to the nearest face
+     * @returns {number} Distance to that face
+     */
+    boxExitNormal(box, point, normal) {
+        const exits = [
+            [point.x - box.min.x, -1, 0, 0],
+            [box.max.x - point.x, 1, 0, 0],
+            [point.y - box.min.y, 0, -1, 0],
+            [box.max.y - point.y, 0, 1, 0],
+            [point.z - box.min.z, 0, 0, -1],
+            [box.max.z - point.z, 0, 0, 1]
+        ];
+        
+        let nearest = exits[0];
+        for (const exit of exits) {
+            if (exit[0] < nearest[0]) nearest = exit;
+        }
+        
+        normal.set(nearest[1], nearest[2], nearest[3]);
+        return nearest[0];
+    }
+
+    /**
+     * @param {string} id - Body ID
+     * @param {number} mass - Body mass
+     * @param {Object} options - See RigidBody
+     */
+    createRigidBody(id, mass = 1, options = {}) {
+        const body = new RigidBody(mass, options);
+        body.id = id;
         this.bodies.set(id, body);
         return body;
     }
@@ -100,13 +326,17 @@ export class PhysicsSystem {
         this.bodies.delete(id);
     }
 
-    update(delta, world, elapsed) {
-        // Calculate number of physics steps
-        const numSteps = Math.min(Math.ceil(delta / this.timeStep), this.maxSubSteps);
-        const stepDelta = delta / numSteps;
-
-        for (let step = 0; step < numSteps; step++) {
-            this.updatePhysics(stepDelta, world);
+    update(delta, elapsed) {
+        const world = this.engine.systems.world;
+        
+        if (this.wind) {
+            this.wind.update(delta);
+        }
+        
+        for (const body of this.bodies.values()) {
+            if (body.autoStep) {
+                this.stepBody(body, delta, world);
+            }
         }
         
         // Log performance metrics periodically
@@ -125,24 +355,51 @@ export class PhysicsSystem {
         console.log('Normal Cache Size:', this.normalCache.size);
     }
 
-    updatePhysics(delta, world) {
-        for (const [id, body] of this.bodies) {
-            // Apply gravity
-            this.applyGravity(body);
-            
-            // Apply aerodynamic forces
-            this.applyAerodynamics(body);
-            
-            // Calculate acceleration from forces
-            body.acceleration.copy(body.forces).divideScalar(body.mass);
-            
-            // Integrate physics
-            body.integrate(delta);
-            
-            // Handle terrain collision
-            if (world) {
-                this.handleTerrainCollision(body, world);
-            }
+    /**
+     * Advance one body by a frame's time in fixed substeps
+     * @param {RigidBody} body - Body to step
+     * @param {number} delta - Frame time in seconds
+     * @param {Object} world - World system for terrain collision
+     */
+    stepBody(body, delta, world) {
+        // Wind barely changes within a frame, sample it once
+        if (this.wind && world) {
+            this.wind.getWind(body.position, body.airVelocity);
+        }
+        
+        // Calculate number of physics steps
+        const numSteps = Math.min(Math.ceil(delta / this.timeStep), this.maxSubSteps);
+        const stepDelta = delta / numSteps;
+
+        for (let step = 0; step < numSteps; step++) {
+            this.updateBody(body, stepDelta, world);
+        }
+    }
+
+    updateBody(body, delta, world) {
+        // The owner may have turned the body since the last step
+        body.quaternion.setFromEuler(body.rotation);
+        
+        // Apply gravity
+        this.applyGravity(body);
+        
+        // Apply control forces
+        if (body.controller) {
+            body.controller.applyForces(delta, this);
+        }
+        
+        // Apply aerodynamic forces
+        this.applyAerodynamics(body);
+        
+        // Calculate acceleration from forces
+        body.acceleration.copy(body.forces).divideScalar(body.mass);
+        
+        // Integrate physics
+        body.integrate(delta);
+        
+        // Handle terrain collision
+        if (world && body.terrainCollision) {
+            this.handleTerrainCollision(body, world);
         }
     }
 
@@ -152,17 +409,20 @@ export class PhysicsSystem {
     }
 
     applyAerodynamics(body) {
-        // Get forward direction in world space
+        // Get forward and up directions in world space
         const forward = this._tempVec3.set(0, 0, 1)
             .applyQuaternion(body.quaternion);
+        const up = this._tempVec3_3.set(0, 1, 0)
+            .applyQuaternion(body.quaternion);
             
-        // Calculate relative air velocity
-        const relativeVelocity = this._tempVec3_2.copy(body.velocity);
+        // Calculate velocity relative to the (moving) air
+        const relativeVelocity = this._tempVec3_2.copy(body.velocity).sub(body.airVelocity);
         const airSpeed = relativeVelocity.length();
         
         if (airSpeed > 0.0001) {
-            // Calculate angle of attack
-            const angleOfAttack = Math.acos(forward.dot(relativeVelocity.normalize()));
+            // Calculate angle of attack, positive when the air meets the underside,
+            // so pitching down gives negative lift
+            const angleOfAttack = Math.atan2(-relativeVelocity.dot(up), relativeVelocity.dot(forward));
             
             // Calculate lift and drag coefficients based on angle of attack
             const effectiveLiftCoeff = body.liftCoefficient * Math.sin(2 * angleOfAttack);
@@ -172,9 +432,7 @@ export class PhysicsSystem {
             const dynamicPressure = 0.5 * this.airDensity * airSpeed * airSpeed;
             
             // Calculate lift force
-            const liftForce = this._tempVec3.set(0, 1, 0)
-                .applyQuaternion(body.quaternion)
-                .multiplyScalar(effectiveLiftCoeff * dynamicPressure * body.surfaceArea);
+            const liftForce = up.multiplyScalar(effectiveLiftCoeff * dynamicPressure * body.surfaceArea);
             
             // Calculate drag force
             const dragForce = this._tempVec3_2.copy(relativeVelocity)
@@ -193,41 +451,64 @@ export class PhysicsSystem {
         const minHeight = terrainHeight + 2; // Minimum hover height
         
         if (body.position.y < minHeight) {
-            // Calculate penetration depth
-            const penetration = minHeight - body.position.y;
-            
             // Move body out of collision
             body.position.y = minHeight;
             
-            // Calculate terrain normal (approximate from nearby heights)
-            const normal = this.calculateTerrainNormal(
-                body.position.x, 
-                body.position.z, 
-                world
-            );
+            // How hard the body hit, measured along the surface normal
+            const impact = this.getTerrainImpact(body.position, body.velocity, world, this._impact);
+            const normal = impact.normal;
             
-            // Project velocity onto terrain plane
-            const velocityDotNormal = body.velocity.dot(normal);
-            if (velocityDotNormal < 0) {
+            // Bounce the velocity off the terrain plane
+            if (impact.speed > 0) {
                 body.velocity.addScaledVector(
                     normal, 
-                    -velocityDotNormal * (1 + 0.3) // 0.3 = restitution coefficient
+                    impact.speed * (1 + 0.3) // 0.3 = restitution coefficient
                 );
             }
             
             // Apply friction
             const friction = 0.3;
             const tangentialVelocity = this._tempVec3.copy(body.velocity)
-                .addScaledVector(normal, -velocityDotNormal);
+                .addScaledVector(normal, -body.velocity.dot(normal));
             
             if (tangentialVelocity.lengthSq() > 0.0001) {
                 const frictionForce = tangentialVelocity.normalize()
-                    .multiplyScalar(-friction * Math.abs(velocityDotNormal) * body.mass);
+                    .multiplyScalar(-friction * impact.speed * body.mass);
                 body.forces.add(frictionForce);
             }
         }
     }
 
+    /**
+     * Measure an impact with the ground (or water) under a position
+     * @param {THREE.Vector3} position - Where the impact happens
+     * @param {THREE.Vector3} velocity - Velocity of the moving object
+     * @param {Object} world - World system (terrain heights and water level)
+     * @param {Object} impact - Optional object to fill in, to avoid allocations
+     * @returns {{normal: THREE.Vector3, speed: number, surface: string}} speed is
+     *   the velocity component into the surface (0 if moving away from it);
+     *   surface is 'land' or 'water'
+     */
+    getTerrainImpact(position, velocity, world, impact = {}) {
+        const terrainHeight = this.getTerrainHeight(position.x, position.z, world);
+        const onWater = terrainHeight < (world.waterLevel ?? -Infinity);
+        
+        if (!impact.normal) {
+            impact.normal = new THREE.Vector3();
+        }
+        
+        // Water is flat; land tilts with the slope
+        if (onWater) {
+            impact.normal.set(0, 1, 0);
+        } else {
+            impact.normal.copy(this.calculateTerrainNormal(position.x, position.z, world));
+        }
+        
+        impact.speed = Math.max(0, -velocity.dot(impact.normal));
+        impact.surface = onWater ? 'water' : 'land';
+        return impact;
+    }
+
     getTerrainHeight(x, z, world) {
         // Check cache first
         const cached = this.heightCache.get(x, z);
@@ -373,6 +654,22 @@ class HeightCache {
         this.accessOrder.push(cacheKey);
     }
     
+    /**
+     * Forget the cells overlapping an area whose terrain changed
+     */
+    invalidateArea(minX, minZ, maxX, maxZ) {
+        for (const cacheKey of this.cache.keys()) {
+            // Cells in high-activity regions are half as wide, so this is conservative
+            const [qx, qz] = cacheKey.split(',').map(Number);
+            if (qx + this.resolution > minX && qx < maxX &&
+                qz + this.resolution > minZ && qz < maxZ) {
+                this.cache.delete(cacheKey);
+            }
+        }
+        
+        this.accessOrder = this.accessOrder.filter(cacheKey => this.cache.has(cacheKey));
+    }
+    
     cleanupActivityRegions() {
         // Sort regions by access count
         const sortedRegions = Array.from(this.highActivityRegions.entries())
@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+
+/**
+ * Broadphase index of static colliders on the XZ plane
+ *
+ * Each collider is stored in every grid cell its bounds overlap, so a query
+ * only looks at colliders near the queried area. Colliders are plain objects:
+ *   { type: 'sphere', center: Vector3, radius }
+ *   { type: 'capsule', start: Vector3, end: Vector3, radius }
+ *   { type: 'box', min: Vector3, max: Vector3 }
+ * plus an optional owner used to remove everything an object registered.
+ */
+export class SpatialHashGrid {
+    constructor(cellSize = 32) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Cell key -> Set of colliders
+        this.size = 0;
+        
+        // Query stamp, so a collider spanning several cells is returned once
+        this._queryId = 0;
+    }
+
+    cellKey(cellX, cellZ) {
+        return `${cellX},${cellZ}`;
+    }
+
+    /**
+     * Add a collider. Its bounds are computed once; colliders are static.
+     * @returns {Object} The collider
+     */
+    insert(collider) {
+        collider.bounds = computeColliderBounds(collider, collider.bounds || new THREE.Box3());
+        collider.cellKeys = [];
+        collider._queryId = 0;
+        
+        this.forEachCell(collider.bounds.min.x, collider.bounds.min.z, collider.bounds.max.x, collider.bounds.max.z, (key) => {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this.cells.set(key, cell);
+            }
+            cell.add(collider);
+            collider.cellKeys.push(key);
+        });
+        
+        this.size++;
+        return collider;
+    }
+
+    remove(collider) {
+        if (!collider.cellKeys) return;
+        
+        collider.cellKeys.forEach(key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            
+            cell.delete(collider);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        });
+        
+        collider.cellKeys = null;
+        this.size--;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.size = 0;
+    }
+
+    /**
+     * Collect the colliders whose cells overlap an XZ rectangle
+     * @param {Array} results - Array to fill (cleared first)
+     * @returns {Array} results
+     */
+    query(minX, minZ, maxX, maxZ, results = []) {
+        results.length = 0;
+        const queryId = ++this._queryId;
+        
+        this.forEachCell(minX, minZ, maxX, maxZ, (key) => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            
+            for (const collider of cell) {
+                if (collider._queryId !== queryId) {
+                    collider._queryId = queryId;
+                    results.push(collider);
+                }
+            }
+        });
+        
+        return results;
+    }
+
+    forEachCell(minX, minZ, maxX, maxZ, callback) {
+        const startX = Math.floor(minX / this.cellSize);
+        const startZ = Math.floor(minZ / this.cellSize);
+        const endX = Math.floor(maxX / this.cellSize);
+        const endZ = Math.floor(maxZ / this.cellSize);
+        
+        for (let x = startX; x <= endX; x++) {
+            for (let z = startZ; z <= endZ; z++) {
+                callback(this.cellKey(x, z));
+            }
+        }
+    }
+}
+
+/**
+ * World-space bounds of a collider
+ * @param {Object} collider - Sphere, capsule or box collider
+ * @param {THREE.Box3} target - Box to write to
+ * @returns {THREE.Box3} target
+ */
+export function computeColliderBounds(collider, target = new THREE.Box3()) {
+    switch (collider.type) {
+        case 'sphere':
+            target.min.copy(collider.center).subScalar(collider.radius);
+            target.max.copy(collider.center).addScalar(collider.radius);
+            break;
+        case 'capsule':
+            target.min.copy(collider.start).min(collider.end).subScalar(collider.radius);
+            target.max.copy(collider.start).max(collider.end).addScalar(collider.radius);
+            break;
+        case 'box':
+            target.min.copy(collider.min);
+            target.max.copy(collider.max);
+            break;
+        default:
+            throw new Error(`Unknown collider type "${collider.type}"`);
+    }
+
+    return target;
+}
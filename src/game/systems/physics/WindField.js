@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+import { createSeededRandom, hashCoords } from '../../../utils/SeededRandom.js';
+
+/**
+ * Procedural wind
+ *
+ * The air velocity at any point is made of:
+ * - a prevailing wind that slowly veers, is calmer at night and gets stronger
+ *   with height above the ground (wind shear)
+ * - gusts from seeded noise drifting through the world
+ * - ridge lift: air pushed up where the wind blows against a slope
+ * - thermals: columns of rising air over sunny plains, strongest at noon
+ *
+ * Owned by PhysicsSystem, which feeds it to rigid bodies; trail particles and
+ * clouds sample it too. Speeds are world units per second.
+ */
+export class WindField {
+    constructor(engine) {
+        this.engine = engine;
+        
+        // Prevailing wind
+        this.baseSpeed = 8; // At the reference height, in daylight
+        this.nightFactor = 0.5; // Share of the daytime speed at night
+        this.referenceHeight = 50; // Height above ground of baseSpeed
+        this.shearExponent = 0.3; // Growth of speed with height
+        this.maxShear = 2.5; // Cap on that growth
+        this.veerAmount = 0.8; // Radians the direction wanders either way
+        
+        // Gusts
+        this.gustStrength = 0.5; // Share of the prevailing speed
+        this.gustScale = 0.003; // Spatial frequency of the gust noise
+        this.gustTravel = 0.05; // How fast gust patterns move through the world
+        
+        // Ridge lift
+        this.ridgeLift = 1.2; // Vertical speed per unit of wind on a 1:1 slope
+        this.ridgeHeight = 120; // Height above ground where ridge lift has faded
+        this.ridgeSampleDistance = 20; // Upwind terrain sample for telling windward slopes
+        
+        // Thermals: at most one per grid cell, over low flat dry land
+        this.thermalCellSize = 400;
+        this.thermalChance = 0.6;
+        this.thermalRadius = { min: 40, max: 90 };
+        this.thermalStrength = { min: 6, max: 14 }; // Vertical speed at the core, at noon
+        this.thermalTop = 300; // Height above ground where thermals have faded
+        this.plainsMaxSlope = 0.3;
+        this.plainsMaxHeight = 60; // Above water level
+        
+        this.thermals = new Map(); // Cell key -> thermal { x, z, radius, strength } or null
+        this.maxCachedThermals = 200;
+        
+        // Per-frame state, refreshed in update
+        this.direction = new THREE.Vector2(1, 0);
+        this.daylight = 0; // 0 at night to 1 at noon
+        this.time = 0;
+        
+        this._upwind = new THREE.Vector2();
+    }
+
+    /**
+     * Terrain changes with a new world seed, and thermals with it
+     */
+    handleSeedChange() {
+        this.thermals.clear();
+    }
+
+    /**
+     * Advance the prevailing wind
+     * @param {number} delta - Time since last frame in seconds
+     */
+    update(delta) {
+        this.time += delta;
+        
+        // Sun elevation from the world clock
+        this.daylight = this.engine.systems.clock?.getDaylight() ?? 1;
+        
+        // Slowly veer around a seed-dependent heading
+        const seed = this.engine.systems.world?.seed ?? 0;
+        const heading = (seed % 360) * THREE.MathUtils.DEG2RAD
+            + Math.sin(this.time * 0.01) * this.veerAmount
+            + Math.sin(this.time * 0.023 + 1.7) * this.veerAmount * 0.4;
+        this.direction.set(Math.cos(heading), Math.sin(heading));
+    }
+
+    /**
+     * Air velocity at a position
+     * @param {THREE.Vector3} position - Where to sample
+     * @param {THREE.Vector3} target - Receives the wind
+     * @param {boolean} includeTerrain - Measure height from the ground and add ridge
+     *   lift and thermals; without it height is measured from the water level,
+     *   which is cheap enough for every particle
+     * @returns {THREE.Vector3} target
+     */
+    getWind(position, target = new THREE.Vector3(), includeTerrain = true) {
+        const world = this.engine.systems.world;
+        const physics = this.engine.systems.physics;
+        
+        const ground = includeTerrain && world && physics
+            ? physics.getTerrainHeight(position.x, position.z, world)
+            : (world?.waterLevel ?? 0);
+        const heightAboveGround = Math.max(1, position.y - ground);
+        
+        // Prevailing wind with shear and gusts
+        const shear = Math.min(this.maxShear, Math.pow(heightAboveGround / this.referenceHeight, this.shearExponent));
+        const dayFactor = this.nightFactor + (1 - this.nightFactor) * this.daylight;
+        const gust = world?.noise
+            ? world.noise(
+                position.x * this.gustScale - this.direction.x * this.time * this.gustTravel,
+                position.z * this.gustScale - this.direction.y * this.time * this.gustTravel
+            )
+            : 0;
+        const speed = this.baseSpeed * dayFactor * shear * Math.max(0, 1 + gust * this.gustStrength);
+        
+        target.set(this.direction.x * speed, 0, this.direction.y * speed);
+        
+        if (includeTerrain && world) {
+            target.y += this.getRidgeLift(position, ground, heightAboveGround, speed);
+            target.y += this.getThermalLift(position, heightAboveGround);
+        }
+        
+        return target;
+    }
+
+    /**
+     * Updraft where the wind meets a rising slope
+     */
+    getRidgeLift(position, ground, heightAboveGround, windSpeed) {
+        if (heightAboveGround >= this.ridgeHeight || windSpeed <= 0) return 0;
+        
+        const world = this.engine.systems.world;
+        const physics = this.engine.systems.physics;
+        
+        // Only windward slopes: the ground must rise in the direction the wind blows
+        const upwind = this._upwind.copy(this.direction).multiplyScalar(-this.ridgeSampleDistance);
+        const upwindGround = physics.getTerrainHeight(position.x + upwind.x, position.z + upwind.y, world);
+        if (upwindGround >= ground) return 0;
+        
+        const slope = Math.min(1, world.calculateSlope(position.x, position.z));
+        return windSpeed * slope * this.ridgeLift * (1 - heightAboveGround / this.ridgeHeight);
+    }
+
+    /**
+     * Rising air inside a thermal, scaled by how high the sun is
+     */
+    getThermalLift(position, heightAboveGround) {
+        if (this.daylight <= 0 || heightAboveGround >= this.thermalTop) return 0;
+        
+        const thermal = this.getThermal(
+            Math.floor(position.x / this.thermalCellSize),
+            Math.floor(position.z / this.thermalCellSize)
+        );
+        if (!thermal) return 0;
+        
+        const dx = position.x - thermal.x;
+        const dz = position.z - thermal.z;
+        const distanceSq = dx * dx + dz * dz;
+        if (distanceSq > thermal.radius * thermal.radius * 4) return 0;
+        
+        const core = Math.exp(-distanceSq / (thermal.radius * thermal.radius));
+        const fade = 1 - heightAboveGround / this.thermalTop;
+        return thermal.strength * this.daylight * this.daylight * core * fade;
+    }
+
+    /**
+     * The thermal of a grid cell, if it has one. Placement comes from the world
+     * seed, so every client finds the same thermals.
+     * @returns {Object|null} { x, z, radius, strength }
+     */
+    getThermal(cellX, cellZ) {
+        const key = `${cellX},${cellZ}`;
+        if (this.thermals.has(key)) {
+            return this.thermals.get(key);
+        }
+        
+        const world = this.engine.systems.world;
+        const random = createSeededRandom(hashCoords(world.seed, cellX, cellZ, 6));
+        
+        let thermal = null;
+        if (random() < this.thermalChance) {
+            const radius = THREE.MathUtils.lerp(this.thermalRadius.min, this.thermalRadius.max, random());
+            const strength = THREE.MathUtils.lerp(this.thermalStrength.min, this.thermalStrength.max, random());
+            
+            // Keep the whole column inside its cell, so lookups need only one cell
+            const margin = radius * 2;
+            const span = this.thermalCellSize - margin * 2;
+            const x = cellX * this.thermalCellSize + margin + random() * span;
+            const z = cellZ * this.thermalCellSize + margin + random() * span;
+            
+            // Plains only: low, flat and dry
+            const height = world.getTerrainHeight(x, z) - world.waterLevel;
+            if (height > 2 && height < this.plainsMaxHeight && world.calculateSlope(x, z) < this.plainsMaxSlope) {
+                thermal = { x, z, radius, strength };
+            }
+        }
+        
+        if (this.thermals.size >= this.maxCachedThermals) {
+            this.thermals.delete(this.thermals.keys().next().value);
+        }
+        this.thermals.set(key, thermal);
+        
+        return thermal;
+    }
+}
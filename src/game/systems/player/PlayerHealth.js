@@ -0,0 +1,176 @@
+import { INVULNERABILITY_TIME, getCrashDamage } from '../../../utils/HealthTracker.js';
+
+/**
+ * Health, downed state and respawning for every player
+ *
+ * Health is owned by the server (or the offline network simulation); this
+ * applies what it reports and raises events on PlayerSystem:
+ *   player_damaged   - { player, damage, sourceId }
+ *   player_downed    - { player, sourceId }
+ *   player_respawned - { player }
+ *   player_impact    - { player, speed, surface, position, damage } the local
+ *                      carpet hit the ground ('land') or water
+ *
+ * A downed local carpet loses control and falls. Once the respawn delay is
+ * over the screen fades out, a respawn is requested, and the carpet comes
+ * back at the spawn point while the screen fades in again.
+ */
+export class PlayerHealth {
+  constructor(playerSystem) {
+    this.playerSystem = playerSystem;
+    this.engine = playerSystem.engine;
+
+    this.respawnAt = 0; // Local time (ms) the local player may respawn
+    this.respawnRetryDelay = 5000; // ms before asking again if a request went unanswered
+
+    // Downed carpets drop and wobble
+    this.fallSpeed = 60;
+    this.wobbleSpeed = 4;
+    this.wobbleAngle = 0.6;
+
+    // Invulnerable carpets blink
+    this.blinkInterval = 100; // ms
+
+    // Crashes are reported at most this often (ms); the carpet can scrape
+    // along a slope for several frames after one impact
+    this.crashReportInterval = 500;
+    this.lastCrashReport = 0;
+    this.hasLanded = false; // A downed carpet only raises dust once
+  }
+
+  initialize() {
+    const network = this.engine.systems.network;
+
+    network.on('player_health', (data) => {
+      const player = this.playerSystem.players.get(data.playerId);
+      if (player) player.health = data.health;
+    });
+
+    network.on('player_downed', (data) => {
+      this.handleDowned(data);
+    });
+
+    network.on('player_respawn', (data) => {
+      this.handleRespawn(data);
+    });
+
+    network.on('player_crash', (data) => {
+      const player = this.playerSystem.players.get(data.playerId);
+      if (player) this.applyHit(player, { damage: data.damage, health: data.health, casterId: null });
+    });
+  }
+
+  /**
+   * The local carpet hit the ground: announce it for effects, and report crash
+   * damage to the server, which owns health
+   * @param {Object} player - Local player
+   * @param {Object} impact - { speed, surface } from PlayerPhysics
+   */
+  handleImpact(player, impact) {
+    if (player.isDowned) {
+      if (this.hasLanded) return;
+      this.hasLanded = true;
+    }
+
+    const damage = player.isDowned ? 0 : getCrashDamage(impact.speed, impact.surface);
+
+    this.playerSystem.emit('player_impact', {
+      player,
+      speed: impact.speed,
+      surface: impact.surface,
+      position: player.position.clone(),
+      damage
+    });
+
+    const now = Date.now();
+    if (damage > 0 && now - this.lastCrashReport >= this.crashReportInterval) {
+      this.lastCrashReport = now;
+      this.engine.systems.network.reportCrash(impact.speed, impact.surface);
+    }
+  }
+
+  /**
+   * Apply authoritative damage (a spell hit or a crash) to a player's health
+   * @param {Object} player - Player that was hit
+   * @param {Object} data - { casterId, damage, health }, casterId is null for crashes
+   */
+  applyHit(player, data) {
+    player.health = data.health;
+
+    if (data.damage > 0) {
+      player.invulnerableUntil = Date.now() + INVULNERABILITY_TIME;
+      this.playerSystem.emit('player_damaged', { player, damage: data.damage, sourceId: data.casterId });
+    }
+  }
+
+  handleDowned(data) {
+    const player = this.playerSystem.players.get(data.playerId);
+    if (!player) return;
+
+    player.health = 0;
+    player.isDowned = true;
+
+    if (player.isLocal) {
+      this.respawnAt = data.respawnAt;
+      this.hasLanded = false;
+      player.throttle = 0;
+    }
+
+    this.playerSystem.emit('player_downed', { player, sourceId: data.casterId });
+  }
+
+  handleRespawn(data) {
+    const player = this.playerSystem.players.get(data.playerId);
+    if (!player) return;
+
+    player.health = data.health;
+    player.isDowned = false;
+    player.invulnerableUntil = data.invulnerableUntil;
+
+    if (player.isLocal) {
+      player.position.set(data.x, data.y, data.z);
+      player.velocity.set(0, 0, 0);
+      player.bankAngle = 0;
+      player.rotation.x = 0;
+      this.playerSystem.physics.resetFlight();
+
+      // Recorded commands were simulated from where the carpet went down
+      this.playerSystem.prediction.reset();
+    }
+
+    this.playerSystem.emit('player_respawned', { player });
+  }
+
+  update(delta) {
+    const now = Date.now();
+    const local = this.playerSystem.localPlayer;
+
+    if (local && local.isDowned) {
+      this.updateDowned(local, delta, now);
+    }
+
+    // Blink while invulnerable
+    this.playerSystem.players.forEach(player => {
+      if (!player.model) return;
+
+      const invulnerable = player.invulnerableUntil > now;
+      player.model.visible = !invulnerable || Math.floor(now / this.blinkInterval) % 2 === 0;
+    });
+  }
+
+  updateDowned(player, delta, now) {
+    // No control: the carpet drops to the ground, wobbling and slowing down
+    player.velocity.y = Math.min(player.velocity.y, -this.fallSpeed);
+    player.bankAngle = Math.sin((now / 1000) * this.wobbleSpeed) * this.wobbleAngle;
+    player.velocity.multiplyScalar(Math.max(0, 1 - delta * 0.5));
+
+    if (now >= this.respawnAt && !this.playerSystem.isTransitioning) {
+      this.respawnAt = now + this.respawnRetryDelay;
+
+      // Ask while the screen is black; player_respawn moves the carpet
+      this.playerSystem.startTransition(() => {
+        this.engine.systems.network.requestRespawn();
+      });
+    }
+  }
+}
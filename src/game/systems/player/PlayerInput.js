@@ -66,12 +66,22 @@ export class PlayerInput {
     });
   }
   
+  /**
+   * Sample this frame's controls into an input command
+   * Orientation changes are applied to the player directly; flight controls
+   * (thrust, turn and lift, each about -1 to 1) are returned in the command and
+   * handed to the carpet's CarpetController by PlayerPhysics.applyCommand, so
+   * they can be replayed
+   * @param {number} delta - Time since last frame in seconds
+   * @returns {Object|null} Input command
+   */
   handleInput(delta) {
     const player = this.playerSystem.localPlayer;
-    if (!player) return;
+    if (!player) return null;
     
     const input = this.engine.input;
-    const physics = this.playerSystem.physics;
+    let thrust = 0;
+    let turn = 0;
     
     // Apply rotation damping
     player.bankAngle *= this.rotationDamping;
@@ -124,23 +134,15 @@ export class PlayerInput {
         mobileControlsUsed = true;
         // Forward/backward movement
         const forwardInput = -mobileControls.joystick.deltaY; // Negative because up is negative
-        const strafeInput = mobileControls.joystick.deltaX;
+        const turnInput = -mobileControls.joystick.deltaX; // Right is a negative (clockwise) turn
         
         if (forwardInput !== 0) {
-          // Calculate speed based on input intensity
+          // Thrust based on input intensity
           const intensity = mobileControls.joystick.intensity || 1.0;
-          const moveSpeed = player.maxSpeed * this.speedMultiplier * intensity * 1.5; // Increased speed multiplier
-          
-          // Apply forward movement in player's direction
-          const forwardDirection = new THREE.Vector3(0, 0, -1).applyEuler(player.rotation);
-          physics.applyForwardForce(player, moveSpeed * forwardInput * delta);
+          thrust += forwardInput * intensity * this.speedMultiplier;
         }
         
-        // Handle strafing (left/right movement)
-        if (strafeInput !== 0) {
-          // Apply side force for strafing
-          physics.applySideForce(player, player.accelerationValue * strafeInput * delta * 0.3);
-        }
+        turn += turnInput;
       }
     }
     
@@ -155,32 +157,25 @@ export class PlayerInput {
         this.currentThrottle = Math.max(0.0, this.currentThrottle - this.throttleSpeed * delta);
       }
       
-      // Calculate forward movement based on throttle with smoother acceleration
-      const forwardForce = this.currentThrottle * player.maxSpeed;
-      physics.applyForwardForce(player, forwardForce * delta);
-      
-      // Gentler strafing
-      let strafeForce = 0;
-      if (aPressed) strafeForce -= 0.3; // Reduced from 0.5
-      if (dPressed) strafeForce += 0.3; // Reduced from 0.5
+      // Thrust follows the throttle
+      thrust += this.currentThrottle;
       
-      if (strafeForce !== 0) {
-        physics.applySideForce(player, player.accelerationValue * strafeForce * delta * 0.3);
-      }
+      // A and D turn the carpet
+      if (aPressed) turn += 1;
+      if (dPressed) turn -= 1;
     }
     
-    // Always handle vertical movement (works for both input methods)
-    let verticalForce = 0;
-    if (spacePressed) verticalForce += 1;
-    if (shiftPressed) verticalForce -= 1;
-    
-    if (verticalForce !== 0) {
-      physics.applyAltitudeChange(player, 30 * verticalForce * delta);
-    } else {
-      // Apply natural falling when not using vertical controls
-      physics.applyAltitudeChange(player, -5 * delta); // Gentle falling
+    // Bank into keyboard and joystick turns, as mouse turns do
+    if (turn !== 0) {
+      const maxBankAngle = this.playerSystem.physics.controller?.maxBankAngle ?? Math.PI / 6;
+      player.bankAngle = THREE.MathUtils.lerp(player.bankAngle, turn * maxBankAngle, 0.1);
     }
     
+    // Always handle vertical movement (works for both input methods)
+    let lift = 0;
+    if (spacePressed) lift += 1;
+    if (shiftPressed) lift -= 1;
+    
     // Reduce effects in battery saving mode
     if (this.isBatterySaving) {
       // Reduce particle effects, camera shake, etc.
@@ -188,6 +183,16 @@ export class PlayerInput {
     } else {
       player.particleIntensity = 1.0;
     }
+    
+    return {
+      delta,
+      rotationX: player.rotation.x,
+      rotationY: player.rotation.y,
+      bankAngle: player.bankAngle,
+      thrust,
+      turn,
+      lift
+    };
   }
   
   // Forward to touch manager's boost functionality
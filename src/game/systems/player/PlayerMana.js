@@ -0,0 +1,122 @@
+/**
+ * Mana economy for the local player
+ *
+ * Mana is capped at the player's maxMana. It is gained from mana nodes,
+ * spent on spells (each definition's manaCost) and slowly regenerates while
+ * the carpet is close to a magical circle landmark.
+ */
+export class PlayerMana {
+  constructor(playerSystem) {
+    this.playerSystem = playerSystem;
+    this.engine = playerSystem.engine;
+
+    this.maxMana = 200;
+    this.startingMana = 100;
+
+    // Regeneration near magical circles: within the circle's size times this
+    // multiplier, at regenRate mana per second
+    this.regenRangeMultiplier = 3;
+    this.regenRate = 5;
+    this.isRegenerating = false;
+
+    // Insufficient mana feedback is throttled so repeated clicks don't stack messages
+    this.feedbackCooldown = 1000; // ms
+    this.lastFeedbackTime = -Infinity;
+
+    // Last whole value shown in the UI
+    this.displayedMana = null;
+  }
+
+  /**
+   * Give a newly created local player its starting mana and capacity
+   */
+  setupPlayer(player) {
+    player.maxMana = this.maxMana;
+    player.mana = this.startingMana;
+    this.updateDisplay(false);
+  }
+
+  /**
+   * Add mana, capped at the player's capacity
+   * @returns {number} Mana actually added
+   */
+  addMana(amount) {
+    const player = this.playerSystem.localPlayer;
+    if (!player) return 0;
+
+    const previous = player.mana;
+    player.mana = Math.min(player.maxMana, previous + amount);
+    this.updateDisplay(true);
+
+    return player.mana - previous;
+  }
+
+  /**
+   * Spend mana if the player has enough
+   * @returns {boolean} False (and nothing spent) if the player can't afford it
+   */
+  spendMana(cost) {
+    const player = this.playerSystem.localPlayer;
+    if (!player) return false;
+
+    if (player.mana < cost) {
+      this.showInsufficientMana(cost);
+      return false;
+    }
+
+    player.mana -= cost;
+    this.updateDisplay(false);
+    return true;
+  }
+
+  update(delta) {
+    const player = this.playerSystem.localPlayer;
+    if (!player) return;
+
+    const wasRegenerating = this.isRegenerating;
+    this.isRegenerating = player.mana < player.maxMana && this.isNearMagicalCircle(player.position);
+
+    if (this.isRegenerating) {
+      player.mana = Math.min(player.maxMana, player.mana + this.regenRate * delta);
+      this.updateDisplay(false);
+    }
+
+    if (wasRegenerating !== this.isRegenerating && this.engine.systems.ui) {
+      this.engine.systems.ui.setManaRegenerating(this.isRegenerating);
+    }
+  }
+
+  isNearMagicalCircle(position) {
+    const landmarks = this.engine.systems.landmarks;
+    if (!landmarks) return false;
+
+    const nearest = landmarks.findNearestLandmark(position, 'magical_circle');
+    return !!nearest && nearest.distance < nearest.landmark.size * this.regenRangeMultiplier;
+  }
+
+  showInsufficientMana(cost) {
+    const now = performance.now();
+    if (now - this.lastFeedbackTime < this.feedbackCooldown) return;
+    this.lastFeedbackTime = now;
+
+    if (this.engine.systems.ui) {
+      this.engine.systems.ui.showInsufficientMana(cost, Math.floor(this.playerSystem.localPlayer.mana));
+    }
+  }
+
+  /**
+   * Refresh the mana readout when the whole value changes
+   * @param {boolean} pulse - Animate the readout (for pickups)
+   */
+  updateDisplay(pulse) {
+    const player = this.playerSystem.localPlayer;
+    const ui = this.engine.systems.ui;
+    if (!player || !ui) return;
+
+    const mana = Math.floor(player.mana);
+    if (mana === this.displayedMana && !pulse) return;
+
+    this.displayedMana = mana;
+    ui.updateManaDisplay(mana, player.maxMana, pulse);
+  }
+}
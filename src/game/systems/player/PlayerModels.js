@@ -254,8 +254,11 @@ export class PlayerModels {
   
   updateModels() {
     this.playerSystem.players.forEach(player => {
-      // Update model position
+      // Update model position (plus any correction still being smoothed out)
       player.model.position.copy(player.position);
+      if (player.renderOffset) {
+        player.model.position.add(player.renderOffset);
+      }
       
       // Update model rotation including banking
       player.model.rotation.set(
@@ -263,6 +266,12 @@ export class PlayerModels {
         player.rotation.y,           // Yaw
         player.bankAngle || 0        // Roll/Bank
       );
+      
+      // Wobble after a crash
+      if (player.tumble) {
+        player.model.rotation.x += Math.cos(player.tumblePhase) * player.tumble * 0.5;
+        player.model.rotation.z += Math.sin(player.tumblePhase) * player.tumble;
+      }
     });
   }
   
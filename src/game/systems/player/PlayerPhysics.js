@@ -1,111 +1,178 @@
 import * as THREE from "three";
+import { CRASH_SPEED } from "../../../utils/HealthTracker.js";
+import { CarpetController } from "../physics/CarpetController.js";
+import { FLIGHT_PRESETS, resolveFlightPreset } from "../physics/FlightPresets.js";
 
+/**
+ * Flight of the local carpet
+ *
+ * The carpet is a RigidBody in PhysicsSystem that shares the player's
+ * position, velocity and rotation, steered by a CarpetController. Input
+ * commands set the controls; updatePhysics steps the body through
+ * PhysicsSystem (thrust, hover, gravity and aerodynamics) and then keeps it
+ * out of the ground, trees and landmarks. Flight tunables come from
+ * FlightPresets.js.
+ */
 export class PlayerPhysics {
   constructor(playerSystem) {
     this.playerSystem = playerSystem;
     this.engine = playerSystem.engine;
 
-    // Adjusted physics constants for better control
-    this.gravity = 5.8; // Reduced from 9.8 for gentler falling
     this.minAltitude = 5;
     this.maxAltitude = 200;
-    this.dragCoefficient = 0.15; // Reduced for smoother movement
-    this.altitudeDamping = 0.92; // Increased for more gradual altitude changes
-    this.bankingSensitivity = 0.08; // New constant for banking control
-    this.turnDamping = 0.97; //
+    this.minHeightAboveTerrain = 5;
+
+    // Flight model, see FlightPresets.js
+    this.presetName = resolveFlightPreset();
+    this.body = null;
+    this.controller = null;
+
+    // Terrain impacts, by speed into the surface: slower touches slide along
+    // the ground, faster ones are reported, crashes bounce and tumble the carpet
+    this.minImpactSpeed = 15;
+    this.crashSpeed = CRASH_SPEED;
+    this.crashRestitution = 0.4;
+    this.crashFriction = 0.3; // Share of the speed along the surface lost in a crash
+    this.maxTumble = 1; // Radians
+    this.tumbleDecay = 2.5;
+    this.tumbleFrequency = 15;
+
+    // Obstacles (trees, landmarks) and other carpets: the carpet is a sphere
+    // of this radius, and carpets push apart with this much of their closing speed
+    this.carpetRadius = 2.5;
+    this.bumpRestitution = 0.8;
+
+    this._impact = { normal: new THREE.Vector3(), speed: 0, surface: 'land' };
+    this._obstacleImpact = { normal: new THREE.Vector3(), speed: 0, surface: 'land' };
+    this._relativeVelocity = new THREE.Vector3();
+    this._bumpNormal = new THREE.Vector3();
   }
 
-  updatePhysics(delta) {
-    const player = this.playerSystem.localPlayer;
-    if (!player) return;
-    
-    // Apply forces before updating physics
-    this.applyForces(player, delta);
-    
-    // Apply momentum preservation during turns
-    this.preserveMomentum(player, delta);
-    
-    // Update velocity with smoother acceleration
-    player.velocity.add(player.acceleration.clone().multiplyScalar(delta));
-    
-    // Apply progressive drag based on speed
-    const currentSpeed = player.velocity.length();
-    const dragFactor = 1 - (this.dragCoefficient * (currentSpeed / player.maxSpeed)) * delta;
-    player.velocity.multiplyScalar(dragFactor);
-    
-    // Update position with delta smoothing
-    player.position.add(player.velocity.clone().multiplyScalar(delta));
-    
-    // Enhanced altitude control
-    this.updateAltitude(player, delta);
-    
-    // Reset acceleration
-    player.acceleration.set(0, 0, 0);
+  /**
+   * Give the local player a rigid body driven by a carpet controller. The body
+   * shares the player's vectors, so everything reading player.position and
+   * player.velocity sees the simulated state.
+   */
+  setupPlayer(player) {
+    const physics = this.engine.systems.physics;
+
+    if (this.body) {
+      physics.removeRigidBody(this.body.id);
+    }
+
+    this.body = physics.createRigidBody(player.id, 1, {
+      position: player.position,
+      velocity: player.velocity,
+      acceleration: player.acceleration,
+      rotation: player.rotation,
+      autoStep: false, // Stepped by updatePhysics, so commands can be replayed
+      terrainCollision: false // Ground contact is handled below, with crash damage
+    });
+
+    this.controller = new CarpetController(this.body);
+    this.setFlightPreset(this.presetName);
   }
 
-  preserveMomentum(player, delta) {
-    // Preserve forward momentum during turns
-    if (Math.abs(player.bankAngle) > 0.01) {
-      const currentSpeed = player.velocity.length();
-      const forwardDir = new THREE.Vector3(0, 0, 1).applyEuler(player.rotation);
-      player.velocity.lerp(forwardDir.multiplyScalar(currentSpeed), 0.1);
+  /**
+   * Switch the flight model
+   * @param {string} name - Key of FLIGHT_PRESETS
+   * @returns {boolean} False if there is no such preset
+   */
+  setFlightPreset(name) {
+    const preset = FLIGHT_PRESETS[name];
+    if (!preset) {
+      console.warn(`Unknown flight preset "${name}"`);
+      return false;
     }
+
+    this.presetName = name;
+
+    if (this.body) {
+      Object.assign(this.body, preset.body);
+      this.controller.configure(preset.controller);
+    }
+
+    return true;
   }
 
-  applyForces(player, delta) {
-    // Apply gravity
-    player.acceleration.y -= this.gravity * delta;
+  /**
+   * Apply one input command's orientation and controls
+   * Kept separate from input sampling so PlayerPrediction can replay commands
+   * @param {Object} player - Player to apply the command to
+   * @param {Object} command - Command built by PlayerInput.handleInput
+   */
+  applyCommand(player, command) {
+    player.rotation.x = command.rotationX;
+    player.rotation.y = command.rotationY;
+    player.bankAngle = command.bankAngle;
 
-    // Apply banking forces (if player is tilting/turning)
-    const bankForce = 0.1;
-    if (Math.abs(player.bankAngle) > 0.01) {
-      // Gradually reduce bank angle
-      player.bankAngle *= 0.95;
+    if (this.controller) {
+      this.controller.setControls(command);
+    }
+  }
 
-      // Apply sideways force proportional to bank angle
-      const sidewaysForce = player.bankAngle * bankForce;
+  /**
+   * Let go of the controls (no input this frame, e.g. while downed)
+   */
+  releaseControls() {
+    if (this.controller) {
+      this.controller.setControls(null);
+    }
+  }
 
-      // Get right vector
-      const rightVector = new THREE.Vector3(1, 0, 0).applyEuler(
-        player.rotation
-      );
+  /**
+   * Controller state that the player object doesn't hold, for PlayerPrediction
+   */
+  saveFlightState() {
+    return this.controller ? this.controller.saveState() : null;
+  }
 
-      // Apply force in the right direction
-      player.acceleration.addScaledVector(rightVector, sidewaysForce);
+  restoreFlightState(state) {
+    if (this.controller) {
+      this.controller.restoreState(state);
     }
+  }
 
-     // Enhanced banking forces
-     if (Math.abs(player.bankAngle) > 0.01) {
-      player.bankAngle *= this.turnDamping;
-      const sidewaysForce = player.bankAngle * this.bankingSensitivity * player.velocity.length();
-      const rightVector = new THREE.Vector3(1, 0, 0).applyEuler(player.rotation);
-      player.acceleration.addScaledVector(rightVector, sidewaysForce);
+  /**
+   * Stop all motion and control (e.g. on respawn)
+   */
+  resetFlight() {
+    if (this.controller) {
+      this.controller.reset();
     }
+  }
 
-    // Progressive terrain avoidance - using cached terrain height
-    const terrainHeight = this.engine.systems.physics.getTerrainHeight(
-      player.position.x,
-      player.position.z,
-      this.engine.systems.world
-    );
+  /**
+   * Advance the carpet by one step
+   * @returns {Object|null} Impact { speed, surface } if the carpet hit the
+   *   ground or an obstacle this step (shared object, copy what you keep)
+   */
+  updatePhysics(delta, player = this.playerSystem.localPlayer) {
+    if (!player || !this.body) return null;
     
-    const heightAboveTerrain = player.position.y - terrainHeight;
-    const minSafeHeight = 5;
+    // Controls, gravity and aerodynamics, in PhysicsSystem's fixed substeps
+    this.engine.systems.physics.stepBody(this.body, delta, this.engine.systems.world);
     
-    if (heightAboveTerrain < minSafeHeight) {
-      const avoidanceForce = (minSafeHeight - heightAboveTerrain) * 8 * (1 - heightAboveTerrain/minSafeHeight);
-      player.acceleration.y += avoidanceForce;
+    // Stay above the ground and below the ceiling
+    const terrainImpact = this.updateAltitude(player);
+    
+    // Trees and landmarks; report whichever hit was harder
+    const obstacleImpact = this.resolveObstacleCollisions(player);
+    const impact = obstacleImpact && (!terrainImpact || obstacleImpact.speed > terrainImpact.speed)
+      ? obstacleImpact
+      : terrainImpact;
+    
+    // Let a crash tumble settle
+    if (player.tumble) {
+      player.tumble *= Math.max(0, 1 - this.tumbleDecay * delta);
+      player.tumblePhase += this.tumbleFrequency * delta;
+      if (player.tumble < 0.01) player.tumble = 0;
     }
+    
+    return impact;
   }
 
-
-  updateAltitude(player, delta) {
-    // Apply altitude changes from user input
-    player.position.y += player.altitudeVelocity * delta;
-
-    // Apply damping to altitude velocity
-    player.altitudeVelocity *= this.altitudeDamping;
-
+  updateAltitude(player) {
     // Enforce minimum altitude (above terrain) - using cached terrain height
     const terrainHeight = this.engine.systems.physics.getTerrainHeight(
       player.position.x,
@@ -113,15 +180,12 @@ export class PlayerPhysics {
       this.engine.systems.world
     );
 
-    const minHeightAboveTerrain = Math.max(this.minAltitude, terrainHeight + 5);
+    const minHeight = Math.max(this.minAltitude, terrainHeight + this.minHeightAboveTerrain);
 
-    if (player.position.y < minHeightAboveTerrain) {
-      player.position.y = minHeightAboveTerrain;
-
-      // Stop downward velocity
-      if (player.velocity.y < 0) {
-        player.velocity.y = 0;
-      }
+    let impact = null;
+    if (player.position.y < minHeight) {
+      player.position.y = minHeight;
+      impact = this.resolveTerrainImpact(player);
     }
 
     // Enforce maximum altitude
@@ -133,40 +197,112 @@ export class PlayerPhysics {
         player.velocity.y = 0;
       }
     }
+
+    return impact;
   }
 
-  // Helper methods for adding forces
-  applyForwardForce(player, force) {
-    // Calculate forward direction based on player's rotation
-    const forwardVector = new THREE.Vector3(0, 0, 1).applyEuler(
-      player.rotation
+  /**
+   * Respond to the carpet being pushed out of the ground
+   * @returns {Object|null} The impact, if it was hard enough to report
+   */
+  resolveTerrainImpact(player) {
+    const impact = this.engine.systems.physics.getTerrainImpact(
+      player.position,
+      player.velocity,
+      this.engine.systems.world,
+      this._impact
     );
-    player.acceleration.addScaledVector(forwardVector, force);
+
+    return this.respondToImpact(player, impact);
   }
 
-  applySideForce(player, force) {
-    // Calculate right direction based on player's rotation
-    const rightVector = new THREE.Vector3(1, 0, 0).applyEuler(player.rotation);
-    player.acceleration.addScaledVector(rightVector, force);
-
-    // Apply banking effect for turns
-    const maxBankAngle = Math.PI / 6; // 30 degrees
-    player.bankAngle = THREE.MathUtils.clamp(
-      player.bankAngle + force * 0.01,
-      -maxBankAngle,
-      maxBankAngle
-    );
+  /**
+   * Push the carpet out of any tree or landmark it flew into
+   * @returns {Object|null} The impact, if it was hard enough to report
+   */
+  resolveObstacleCollisions(player) {
+    const physics = this.engine.systems.physics;
+    const contact = physics.collideSphere(player.position, this.carpetRadius);
+    if (!contact) return null;
+
+    player.position.addScaledVector(contact.normal, contact.depth);
+
+    // Obstacles are solid ground as far as damage and effects go
+    const impact = this._obstacleImpact;
+    impact.normal.copy(contact.normal);
+    impact.speed = Math.max(0, -player.velocity.dot(contact.normal));
+    impact.surface = 'land';
+
+    return this.respondToImpact(player, impact);
   }
 
-  applyAltitudeChange(player, force) {
-    player.altitudeVelocity += force;
+  /**
+   * Separate the carpet from other carpets it overlaps and bump it away. Every
+   * client does this for its own carpet, so both carpets in a collision react.
+   * Not part of updatePhysics: prediction replays would bump again against
+   * where the others are now rather than where they were.
+   * @returns {number} Closing speed of the hardest bump, 0 if none
+   */
+  resolveCarpetCollisions(player = this.playerSystem.localPlayer) {
+    if (!player || player.isDowned) return 0;
 
-    // Limit maximum altitude velocity
-    const maxAltitudeVelocity = 40;
-    player.altitudeVelocity = THREE.MathUtils.clamp(
-      player.altitudeVelocity,
-      -maxAltitudeVelocity,
-      maxAltitudeVelocity
-    );
+    const minDistance = this.carpetRadius * 2;
+    const normal = this._bumpNormal;
+    let hardest = 0;
+
+    this.playerSystem.players.forEach(other => {
+      if (other === player || other.isDowned) return;
+
+      normal.subVectors(player.position, other.position);
+      const distance = normal.length();
+      if (distance >= minDistance) return;
+
+      // Exactly on top of each other: separate sideways
+      if (distance > 0.0001) {
+        normal.divideScalar(distance);
+      } else {
+        normal.set(1, 0, 0);
+      }
+
+      player.position.addScaledVector(normal, minDistance - distance);
+
+      // Push off along the contact normal in proportion to the closing speed
+      const closingSpeed = -this._relativeVelocity
+        .subVectors(player.velocity, other.velocity)
+        .dot(normal);
+      if (closingSpeed > 0) {
+        player.velocity.addScaledVector(normal, closingSpeed * this.bumpRestitution);
+        hardest = Math.max(hardest, closingSpeed);
+      }
+    });
+
+    return hardest;
+  }
+
+  /**
+   * Respond to the carpet being pushed out of a surface. Gentle touches slide
+   * along it; crashes bounce off it and tumble the carpet.
+   * @param {Object} player - Player that hit the surface
+   * @param {Object} impact - { normal, speed, surface }
+   * @returns {Object|null} The impact, if it was hard enough to report
+   */
+  respondToImpact(player, impact) {
+    const { normal } = impact;
+    const intoSurface = Math.max(0, -player.velocity.dot(normal));
+
+    if (impact.speed < this.crashSpeed) {
+      // Slide: drop the velocity component into the surface
+      player.velocity.addScaledVector(normal, intoSurface);
+    } else {
+      // Bounce: reflect off the surface, losing some speed along it
+      player.velocity.addScaledVector(normal, intoSurface);
+      player.velocity.multiplyScalar(1 - this.crashFriction);
+      player.velocity.addScaledVector(normal, impact.speed * this.crashRestitution);
+
+      player.tumble = Math.min(this.maxTumble, impact.speed / 300);
+      player.tumblePhase = 0;
+    }
+
+    return impact.speed >= this.minImpactSpeed ? impact : null;
   }
 }
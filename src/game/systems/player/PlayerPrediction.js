@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+
+/**
+ * Client-side prediction for the local carpet
+ *
+ * Every frame's input is recorded as a sequence-numbered command together with
+ * the state it produced. The server acknowledges or corrects updates by
+ * sequence number; on a correction the local player is reset to the
+ * authoritative state and every command after it is replayed through
+ * PlayerPhysics, so flight stays responsive instead of snapping back.
+ */
+export class PlayerPrediction {
+  constructor(playerSystem) {
+    this.playerSystem = playerSystem;
+    this.engine = playerSystem.engine;
+
+    this.sequence = 0; // Last command sequence number issued
+    this.lastCorrectionSeq = 0; // Last server correction applied (sent back so the server knows)
+    this.history = []; // Pending commands { command, state } not yet acknowledged
+    this.maxHistory = 300; // ~5 seconds at 60fps
+
+    // Visual smoothing of corrections: the model is drawn at position + renderOffset
+    // and the offset decays to zero instead of teleporting the carpet
+    this.renderOffsetDecay = 10; // Per second
+    this.snapDistance = 50; // Errors larger than this are not smoothed
+
+    this._replayPosition = new THREE.Vector3();
+  }
+
+  /**
+   * Stamp a command with the next sequence number and remember the state it produced
+   * @param {Object} command - Input command from PlayerInput.handleInput
+   * @param {Object} player - Local player after the command was simulated
+   */
+  recordCommand(command, player) {
+    command.seq = ++this.sequence;
+
+    this.history.push({
+      command,
+      state: this.captureState(player)
+    });
+
+    // Without a server nothing is ever acknowledged, so cap the buffer
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+
+    return command.seq;
+  }
+
+  captureState(player) {
+    return {
+      position: player.position.clone(),
+      velocity: player.velocity.clone(),
+      bankAngle: player.bankAngle,
+      flight: this.playerSystem.physics.saveFlightState()
+    };
+  }
+
+  /**
+   * Server accepted our state up to seq - those commands are no longer needed
+   * @param {number} seq - Acknowledged sequence number
+   */
+  handleAck(seq) {
+    while (this.history.length > 0 && this.history[0].command.seq <= seq) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Apply an authoritative correction and replay newer commands on top of it
+   * @param {Object} correction - { seq, x, y, z, velocityX, velocityY, velocityZ }
+   */
+  reconcile(correction) {
+    const player = this.playerSystem.localPlayer;
+    if (!player) return;
+
+    this.lastCorrectionSeq = Math.max(this.lastCorrectionSeq, correction.seq);
+
+    // Find the state we predicted for the corrected command
+    const index = this.history.findIndex(entry => entry.command.seq === correction.seq);
+    const baseState = index >= 0 ? this.history[index].state : this.captureState(player);
+
+    // Everything up to and including the corrected command is settled
+    if (index >= 0) {
+      this.history.splice(0, index + 1);
+    }
+
+    // Remember where the carpet is drawn right now for smoothing
+    const previousPosition = this._replayPosition.copy(player.position);
+
+    // Keep the live orientation; replay uses each command's recorded orientation
+    const liveRotationX = player.rotation.x;
+    const liveRotationY = player.rotation.y;
+    const liveBankAngle = player.bankAngle;
+
+    // Reset to the authoritative state
+    player.position.set(correction.x, correction.y, correction.z);
+    player.velocity.set(
+      correction.velocityX ?? baseState.velocity.x,
+      correction.velocityY ?? baseState.velocity.y,
+      correction.velocityZ ?? baseState.velocity.z
+    );
+    player.bankAngle = baseState.bankAngle;
+    player.acceleration.set(0, 0, 0);
+
+    // Replay commands the server hasn't seen yet
+    const physics = this.playerSystem.physics;
+    physics.restoreFlightState(baseState.flight);
+    this.history.forEach(entry => {
+      physics.applyCommand(player, entry.command);
+      physics.updatePhysics(entry.command.delta, player);
+      entry.state = this.captureState(player);
+    });
+
+    player.rotation.x = liveRotationX;
+    player.rotation.y = liveRotationY;
+    player.bankAngle = liveBankAngle;
+
+    // Blend the visual error away unless it is too large to hide
+    const error = previousPosition.sub(player.position);
+    if (!player.renderOffset) {
+      player.renderOffset = new THREE.Vector3();
+    }
+
+    if (error.length() < this.snapDistance) {
+      player.renderOffset.add(error);
+    } else {
+      player.renderOffset.set(0, 0, 0);
+    }
+
+    if (this.engine.debug) {
+      console.log(`Reconciled seq ${correction.seq}: replayed ${this.history.length} commands, error ${error.length().toFixed(2)}`);
+    }
+  }
+
+  /**
+   * Shrink any remaining correction offset
+   * @param {number} delta - Time since last frame in seconds
+   */
+  update(delta) {
+    const player = this.playerSystem.localPlayer;
+    if (!player || !player.renderOffset) return;
+
+    player.renderOffset.multiplyScalar(Math.max(0, 1 - this.renderOffsetDecay * delta));
+    if (player.renderOffset.lengthSq() < 0.0001) {
+      player.renderOffset.set(0, 0, 0);
+    }
+  }
+
+  /**
+   * Forget all pending commands (e.g. after a teleport or reconnect)
+   */
+  reset() {
+    this.history = [];
+    if (this.playerSystem.localPlayer?.renderOffset) {
+      this.playerSystem.localPlayer.renderOffset.set(0, 0, 0);
+    }
+  }
+}
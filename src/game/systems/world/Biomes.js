@@ -0,0 +1,54 @@
+// Whittaker-style biomes: what grows in a place follows from how warm and
+// how wet it is. WorldSystem.getClimate supplies both (0-1, with altitude
+// already cooling the temperature); classifyBiome turns them into a biome.
+
+// Biome table
+// - ground: terrain vertex color (linear RGB) for the vegetated and dry
+//   biomes; ocean, beach, mountains and snow are shaded procedurally
+// - treeDensity: multiplier on VegetationSystem's tree type densities
+// - snowfall: precipitation falls as snow here
+export const BIOMES = {
+  ocean: { ground: [0.1, 0.2, 0.5], treeDensity: 0, snowfall: false },
+  beach: { ground: [0.82, 0.78, 0.65], treeDensity: 0.3, snowfall: false },
+  desert: { ground: [0.8, 0.7, 0.4], treeDensity: 0.05, snowfall: false },
+  savanna: { ground: [0.55, 0.55, 0.28], treeDensity: 0.4, snowfall: false },
+  rainforest: { ground: [0.12, 0.42, 0.1], treeDensity: 1.6, snowfall: false },
+  plains: { ground: [0.4, 0.6, 0.3], treeDensity: 0.5, snowfall: false },
+  forest: { ground: [0.13, 0.4, 0.13], treeDensity: 1.3, snowfall: false },
+  taiga: { ground: [0.1, 0.3, 0.15], treeDensity: 1.1, snowfall: true },
+  tundra: { ground: [0.42, 0.45, 0.36], treeDensity: 0.1, snowfall: true },
+  mountains: { ground: [0.4, 0.38, 0.35], treeDensity: 0.2, snowfall: false },
+  snow: { ground: [0.9, 0.9, 0.95], treeDensity: 0, snowfall: true }
+};
+
+// Heights above the water level
+const BEACH_HEIGHT = 15;
+const MOUNTAIN_HEIGHT = 120; // Bare rock above this, unless cold enough for snow
+
+// Temperature bands, coldest first
+const FROZEN = 0.12;
+const COLD = 0.28;
+const TEMPERATE = 0.6;
+
+/**
+ * Biome for a climate
+ * @param {number} temperature - 0-1, cooled by altitude
+ * @param {number} moisture - 0-1
+ * @param {number} altitude - Height above the water level
+ * @returns {string} Key of BIOMES
+ */
+export function classifyBiome(temperature, moisture, altitude) {
+  if (altitude < 0) return "ocean";
+  if (temperature < FROZEN) return "snow";
+  if (altitude < BEACH_HEIGHT) return "beach";
+  if (altitude > MOUNTAIN_HEIGHT) return "mountains";
+
+  if (temperature < COLD) {
+    return moisture < 0.45 ? "tundra" : "taiga";
+  }
+  if (temperature < TEMPERATE) {
+    return moisture < 0.35 ? "plains" : "forest";
+  }
+  if (moisture < 0.35) return "desert";
+  return moisture < 0.6 ? "savanna" : "rainforest";
+}
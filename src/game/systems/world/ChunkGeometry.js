@@ -0,0 +1,122 @@
+import * as THREE from "three";
+
+// Terrain chunk meshes: a grid laid out like TerrainGenerator.generateChunk
+// (vertex (ix, iz) at index iz * (resolution + 1) + ix, centered on the
+// mesh origin), plus a skirt hanging down from its edges. The skirts hide
+// the cracks between neighbouring chunks of different resolution, or
+// morphed by different amounts (see TerrainMorph.js).
+
+/**
+ * Empty chunk geometry for a resolution, flat in the X-Z plane
+ * @param {number} chunkSize - Width of the chunk
+ * @param {number} resolution - Segments along each side
+ * @returns {THREE.BufferGeometry} With position, normal, color and the
+ *   morph attributes, and { resolution, perimeter, skirtDepth } in userData
+ */
+export function createChunkGeometry(chunkSize, resolution) {
+  const side = resolution + 1;
+  const gridCount = side * side;
+  const step = chunkSize / resolution;
+  const half = chunkSize / 2;
+
+  // Edge vertices in order around the chunk; skirt vertex j hangs below perimeter[j]
+  const perimeter = [];
+  for (let ix = 0; ix < resolution; ix++) perimeter.push(ix);
+  for (let iz = 0; iz < resolution; iz++) perimeter.push(iz * side + resolution);
+  for (let ix = resolution; ix > 0; ix--) perimeter.push(resolution * side + ix);
+  for (let iz = resolution; iz > 0; iz--) perimeter.push(iz * side);
+
+  const count = gridCount + perimeter.length;
+  const positions = new Float32Array(count * 3);
+  for (let iz = 0; iz < side; iz++) {
+    for (let ix = 0; ix < side; ix++) {
+      const i = iz * side + ix;
+      positions[i * 3] = ix * step - half;
+      positions[i * 3 + 2] = iz * step - half;
+    }
+  }
+  perimeter.forEach((edge, j) => {
+    positions[(gridCount + j) * 3] = positions[edge * 3];
+    positions[(gridCount + j) * 3 + 2] = positions[edge * 3 + 2];
+  });
+
+  // Same triangulation as THREE.PlaneGeometry, which the morph targets rely on
+  const indices = [];
+  for (let iz = 0; iz < resolution; iz++) {
+    for (let ix = 0; ix < resolution; ix++) {
+      const a = iz * side + ix;
+      const b = (iz + 1) * side + ix;
+      const c = (iz + 1) * side + ix + 1;
+      const d = iz * side + ix + 1;
+      indices.push(a, b, d, b, c, d);
+    }
+  }
+  perimeter.forEach((edge, j) => {
+    const next = (j + 1) % perimeter.length;
+    const top = perimeter[next];
+    const skirt = gridCount + j;
+    const skirtNext = gridCount + next;
+    indices.push(edge, skirt, top, top, skirt, skirtNext);
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setIndex(indices);
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("normal", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+  geometry.setAttribute("color", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+  geometry.setAttribute("morphHeight", new THREE.BufferAttribute(new Float32Array(count), 1));
+  geometry.setAttribute("morphNormal", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+  geometry.setAttribute("morphColor", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+
+  geometry.userData = {
+    resolution,
+    perimeter,
+    skirtDepth: step * 4 // Deeper than any crack between neighbouring LODs
+  };
+
+  return geometry;
+}
+
+/**
+ * Fill a chunk geometry with generated terrain
+ * @param {THREE.BufferGeometry} geometry - From createChunkGeometry
+ * @param {Object} data - From TerrainGenerator.generateChunk at the same resolution
+ */
+export function fillChunkGeometry(geometry, data) {
+  const { perimeter, skirtDepth } = geometry.userData;
+  const gridCount = data.heights.length;
+  const attributes = geometry.attributes;
+
+  // Copy into the existing attributes, keeping the geometry's GPU buffers
+  const positions = attributes.position.array;
+  for (let i = 0; i < gridCount; i++) {
+    positions[i * 3 + 1] = data.heights[i];
+  }
+  attributes.morphHeight.array.set(data.morphHeights);
+  attributes.normal.array.set(data.normals);
+  attributes.morphNormal.array.set(data.morphNormals);
+  attributes.color.array.set(data.colors);
+  attributes.morphColor.array.set(data.morphColors);
+
+  // Skirts drop straight down from the edge and are shaded like it
+  const morphHeights = attributes.morphHeight.array;
+  perimeter.forEach((edge, j) => {
+    const skirt = gridCount + j;
+    positions[skirt * 3 + 1] = data.heights[edge] - skirtDepth;
+    morphHeights[skirt] = data.morphHeights[edge] - skirtDepth;
+
+    for (const name of ["normal", "morphNormal", "color", "morphColor"]) {
+      const array = attributes[name].array;
+      array[skirt * 3] = array[edge * 3];
+      array[skirt * 3 + 1] = array[edge * 3 + 1];
+      array[skirt * 3 + 2] = array[edge * 3 + 2];
+    }
+  });
+
+  for (const name of ["position", "normal", "color", "morphHeight", "morphNormal", "morphColor"]) {
+    attributes[name].needsUpdate = true;
+  }
+
+  geometry.computeBoundingSphere();
+  geometry.boundingBox = null;
+}
@@ -0,0 +1,137 @@
+import * as THREE from "three";
+
+/**
+ * Far-field terrain beyond the chunks' view distance
+ *
+ * A single ring mesh around the player, from a little inside the edge of the
+ * loaded chunks out to several kilometers, its circles spaced further apart
+ * the further out they are. Heights and colors come from the same
+ * TerrainGenerator as the chunks (in the worker pool), so the mountains on
+ * the horizon are the ones the player flies into. The ring is re-centered on
+ * a grid as the player moves, and sits a little below the real terrain so
+ * the chunks cover it where the two overlap.
+ */
+export class HorizonRing {
+  /**
+   * @param {WorldSystem} worldSystem - Owner, for its generator settings and worker pool
+   */
+  constructor(worldSystem) {
+    this.world = worldSystem;
+    this.scene = worldSystem.scene;
+    const isMobile = worldSystem.engine.isMobile;
+
+    // Re-center once the player is this far from the ring's center
+    this.step = worldSystem.chunkSize;
+
+    // Start inside the chunks however far the player is from the center
+    this.innerRadius = Math.max(1, worldSystem.viewDistance - 2) * worldSystem.chunkSize;
+    this.outerRadius = isMobile ? 6000 : 12000;
+    this.rings = isMobile ? 20 : 32;
+    this.segments = isMobile ? 64 : 128;
+    this.sink = 15; // How far below the terrain the ring sits
+
+    this.material = new THREE.MeshLambertMaterial({ vertexColors: true });
+    this.mesh = null;
+    this.center = null; // { x, z } of the ring shown or being generated
+    this.request = null; // Token of the ring being generated
+  }
+
+  /**
+   * Re-center the ring on the grid step the player is in
+   * @param {THREE.Vector3} position - Player position
+   */
+  update(position) {
+    const centerX = Math.round(position.x / this.step) * this.step;
+    const centerZ = Math.round(position.z / this.step) * this.step;
+    if (this.center && this.center.x === centerX && this.center.z === centerZ) return;
+
+    this.center = { x: centerX, z: centerZ };
+
+    // A newer center replaces a ring still waiting for a worker
+    const request = {};
+    this.request = request;
+    const isWanted = () => this.request === request;
+
+    this.world.terrainWorkers.generate({
+      kind: "horizon",
+      seed: this.world.seed,
+      waterLevel: this.world.waterLevel,
+      centerX,
+      centerZ,
+      innerRadius: this.innerRadius,
+      outerRadius: this.outerRadius,
+      rings: this.rings,
+      segments: this.segments
+    }, isWanted)
+      .then((data) => {
+        if (!data || !isWanted()) return;
+
+        this.request = null;
+        this.place(centerX, centerZ, data);
+      })
+      .catch((error) => {
+        console.error("Error creating horizon:", error);
+      });
+  }
+
+  /**
+   * Show a generated ring
+   * @param {Object} data - { positions, colors } from TerrainGenerator.generateHorizon
+   */
+  place(centerX, centerZ, data) {
+    if (!this.mesh) {
+      this.mesh = new THREE.Mesh(this.createGeometry(), this.material);
+      this.scene.add(this.mesh);
+    }
+
+    // Copy into the existing attributes, keeping the geometry's GPU buffers
+    const geometry = this.mesh.geometry;
+    geometry.attributes.position.array.set(data.positions);
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.color.array.set(data.colors);
+    geometry.attributes.color.needsUpdate = true;
+    geometry.computeVertexNormals();
+    geometry.computeBoundingSphere();
+
+    this.mesh.position.set(centerX, -this.sink, centerZ);
+  }
+
+  /**
+   * Ring geometry laid out like TerrainGenerator.generateHorizon, facing up
+   */
+  createGeometry() {
+    const count = (this.rings + 1) * this.segments;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute("color", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+
+    const indices = [];
+    for (let ring = 0; ring < this.rings; ring++) {
+      for (let segment = 0; segment < this.segments; segment++) {
+        const nextSegment = (segment + 1) % this.segments;
+        const a = ring * this.segments + segment;
+        const b = (ring + 1) * this.segments + segment;
+        const c = ring * this.segments + nextSegment;
+        const d = (ring + 1) * this.segments + nextSegment;
+        indices.push(a, c, b, c, d, b);
+      }
+    }
+    geometry.setIndex(indices);
+
+    return geometry;
+  }
+
+  /**
+   * Drop the ring, e.g. for a new world seed; the next update builds a new one
+   */
+  reset() {
+    this.center = null;
+    this.request = null;
+
+    if (this.mesh) {
+      this.scene.remove(this.mesh);
+      this.mesh.geometry.dispose();
+      this.mesh = null;
+    }
+  }
+}
@@ -0,0 +1,630 @@
+import * as THREE from "three";
+import { createNoise2D } from "simplex-noise";
+import { createSeededRandom } from "../../../utils/SeededRandom.js";
+import { BIOMES, classifyBiome } from "./Biomes.js";
+import { TerrainEditLayer } from "../../../utils/TerrainEdits.js";
+
+/**
+ * Terrain shape and coloring for one world seed
+ *
+ * Pure functions of the seed and position, so WorldSystem on the main thread
+ * and the terrain workers (TerrainWorker.js) produce the same world.
+ */
+export class TerrainGenerator {
+  constructor(seed, waterLevel = 0) {
+    this.seed = seed;
+    this.noise = createNoise2D(createSeededRandom(seed));
+    this.waterLevel = waterLevel;
+    
+    // Craters and raised ground left by players, on top of the noise
+    this.edits = new TerrainEditLayer();
+    
+    // Terrain parameters
+    this.terrainParams = {
+      baseScale: 0.005,        // Reduced from 0.003 - larger features
+      detailScale: 0.019,        // Reduced from 0.015 - smoother details
+      mountainScale: 0.0004,     // Reduced from 0.008 - larger mountains
+      baseHeight: 40,          // Increased from 40
+      mountainHeight: 100,      // Increased from 80 
+      detailHeight: 20          // Increased from 20
+    };
+    
+    // Biomes come from separate temperature and moisture fields (see getBiome)
+    this.climateParams = {
+      temperatureScale: 0.0005,
+      moistureScale: 0.0004,
+      temperatureOffset: 1000,  // Noise-space offsets keep the two fields unrelated
+      moistureOffset: 2000,
+      contrast: 0.75,           // Spreads the noise over the 0-1 range
+      latitudeScale: 10000,     // Distance between warm and cold bands along z
+      latitudeEffect: 0.2,
+      lapseRate: 0.0015         // Cooling per unit of height above the water
+    };
+  }
+
+  /**
+   * Creates multi-octave noise for more natural terrain
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @param {number} baseFrequency - Base frequency of the noise
+   * @param {number} octaves - Number of noise layers to combine
+   * @param {number} persistence - How much each octave contributes
+   * @param {number} lacunarity - How frequency increases with each octave
+   * @param {number} offset - Shift in noise space, for fields that must not line up
+   * @returns {number} Combined noise value in range [-1, 1]
+   */
+  fractalNoise(x, z, baseFrequency, octaves, persistence, lacunarity, offset = 0) {
+    let frequency = baseFrequency;
+    let amplitude = 1.0;
+    let total = 0;
+    let maxValue = 0;
+    
+    // Sum multiple layers of noise
+    for (let i = 0; i < octaves; i++) {
+      // Sample noise at current frequency
+      const noiseValue = this.noise(
+        x * frequency + this.seed * (i + 1) + offset,
+        z * frequency + this.seed * (i + 2) + offset
+      );
+      
+      // Add weighted noise to total
+      total += noiseValue * amplitude;
+      maxValue += amplitude;
+      
+      // Each octave has higher frequency but lower amplitude
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+    
+    // Normalize to range [-1, 1]
+    return total / maxValue;
+  }
+
+  /**
+   * Creates ridged noise for mountains with sharp peaks
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @param {number} frequency - Noise frequency
+   * @param {number} octaves - Number of noise layers to combine
+   * @returns {number} Ridged noise value in range [0, 1]
+   */
+  ridgedNoise(x, z, frequency, octaves = 4) {
+    let result = 0;
+    let amplitude = 1.0;
+    let freq = frequency;
+    let weight = 1.0;
+    
+    for (let i = 0; i < octaves; i++) {
+      // Get absolute noise value and invert it
+      let noiseValue = Math.abs(this.noise(
+        x * freq + this.seed * (i * 2 + 1),
+        z * freq + this.seed * (i * 2 + 2)
+      ));
+      noiseValue = 1.0 - noiseValue;
+      
+      // Square the value for sharper ridges
+      noiseValue *= noiseValue;
+      
+      // Apply weighting to successive octaves
+      noiseValue *= weight;
+      
+      // Weight successive octaves by previous noise value
+      weight = noiseValue;
+      
+      // Add to result
+      result += noiseValue * amplitude;
+      
+      // Next octave
+      freq *= 2.0;
+      amplitude *= 0.5;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Terrain height, including player edits
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @returns {number} Height
+   */
+  getTerrainHeight(x, z) {
+    return this.getNoiseHeight(x, z) + this.edits.getDelta(x, z);
+  }
+
+  /**
+   * Terrain height as generated from the seed, before player edits
+   */
+  getNoiseHeight(x, z) {
+    try {
+      // Generate continent shape using large-scale noise
+      const continentShape = this.fractalNoise(
+        x, z,
+        0.00005, // Even lower frequency for larger landmasses (was 0.0001)
+        3,      // Just a few octaves for smooth continent shape
+        0.5,    // Persistence
+        2.0     // Lacunarity
+      );
+      
+      // Apply continent mask to create oceans and landmasses
+      const continentMask = Math.max(0, (continentShape + 0.3) * 1.2);
+      
+      // If in ocean, set to ocean depth
+      if (continentMask <= 0.1) {
+        // Deep ocean depth proportional to distance from shore
+        return this.waterLevel - 20 - 80 * (0.1 - continentMask);
+      }
+      
+      // Add beach transition zone
+      if (continentMask > 0.1 && continentMask < 0.25) {
+        // Calculate how far into the beach zone we are (0.0 to 1.0)
+        const beachProgress = (continentMask - 0.1) / 0.15;
+        
+        // Create smooth beach slopes that rise gently from water
+        const beachHeight = this.waterLevel - 2 + (beachProgress * beachProgress * 20);
+        
+        // Add some small dunes and texture to beaches
+        const beachNoiseScale = 0.05;
+        const beachNoise = this.fractalNoise(x, z, beachNoiseScale, 2, 0.5, 2.0);
+        return beachHeight + beachNoise * 3 * beachProgress;
+      }
+      
+      // Generate base terrain with multiple noise octaves
+      const baseNoise = this.fractalNoise(
+        x, z,
+        this.terrainParams.baseScale,
+        4, // More octaves for varied terrain
+        0.5,
+        2.0
+      );
+      
+      // Start with base terrain height
+      let height = (baseNoise + 1) * 0.5 * this.terrainParams.baseHeight;
+      
+      // Add coastal cliffs in some areas but not others
+      if (continentMask > 0.25 && continentMask < 0.35) {
+        // Calculate coastal influence (0.0 to 1.0)
+        const coastProgress = (continentMask - 0.25) / 0.1;
+        
+        // Create cliff noise that varies along coastlines
+        const cliffNoiseScale = 0.02;
+        const cliffVariation = this.fractalNoise(x, z, cliffNoiseScale, 2, 0.5, 2.0);
+        
+        // Only create steep cliffs where noise is high, otherwise keep gentle slopes
+        if (cliffVariation > 0.3) {
+          // Steep cliff factor based on noise
+          const cliffFactor = Math.pow((cliffVariation - 0.3) / 0.7, 2) * coastProgress;
+          height += 40 * cliffFactor;
+        }
+      }
+      
+      // Add mountains using ridged noise
+      if (continentMask > 0.3) { // Only add mountains on land, away from shores
+        const mountainNoise = this.ridgedNoise(
+          x, z,
+          this.terrainParams.mountainScale,
+          4
+        );
+        
+        // Apply mountains with continent mask and more dramatic scaling
+        height += mountainNoise * this.terrainParams.mountainHeight * (continentMask - 0.2) * 1.5;
+      }
+      
+      // Add biome-specific terrain adjustments
+      const climate = this.getClimate(x, z, height);
+      if (classifyBiome(climate.temperature, climate.moisture, height - this.waterLevel) === "desert") {
+        // Deserts have dunes
+        const duneNoise = this.fractalNoise(x, z, 0.02, 2, 0.5, 2.0);
+        height += duneNoise * 5;
+      }
+      
+      // Add plateaus occasionally
+      const plateauNoise = this.noise(x * 0.0004 + this.seed * 9, z * 0.0004 + this.seed * 10);
+      if (plateauNoise > 0.7 && height > 60 && height < 250) {
+        // Flatten areas with plateau noise
+        const targetHeight = Math.round(height / 40) * 40; // Round to nearest 40 units
+        const plateauWeight = (plateauNoise - 0.7) * (1 / 0.3);
+        height = height * (1 - plateauWeight) + targetHeight * plateauWeight;
+      }
+      
+      // Add small terrain details
+      const detailNoise = this.fractalNoise(
+        x, z,
+        this.terrainParams.detailScale,
+        2, // Fewer octaves for details
+        0.5,
+        2.0
+      );
+      
+      height += detailNoise * this.terrainParams.detailHeight * 0.5;
+      
+      return height;
+    } catch (error) {
+      console.warn("Error in getNoiseHeight:", error);
+      return 0;
+    }
+  }
+
+  /**
+   * Calculate slope at a given position
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @returns {number} Slope value between 0 and 1
+   */
+  calculateSlope(x, z) {
+    const sampleDistance = 2;
+    
+    // Sample heights in 4 directions
+    const heightCenter = this.getTerrainHeight(x, z);
+    const heightNorth = this.getTerrainHeight(x, z - sampleDistance);
+    const heightSouth = this.getTerrainHeight(x, z + sampleDistance);
+    const heightEast = this.getTerrainHeight(x + sampleDistance, z);
+    const heightWest = this.getTerrainHeight(x - sampleDistance, z);
+    
+    // Calculate slope gradients
+    const gradientX = (heightEast - heightWest) / (2 * sampleDistance);
+    const gradientZ = (heightSouth - heightNorth) / (2 * sampleDistance);
+    
+    // Calculate slope magnitude
+    const slope = Math.sqrt(gradientX * gradientX + gradientZ * gradientZ);
+    
+    return slope;
+  }
+
+  /**
+   * Temperature and moisture at a position
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @param {number} height - Terrain height; higher ground is colder
+   * @returns {Object} { temperature, moisture }, both roughly 0-1
+   */
+  getClimate(x, z, height = this.waterLevel) {
+    const params = this.climateParams;
+    const rawTemperature = this.fractalNoise(x, z, params.temperatureScale, 2, 0.5, 2.0, params.temperatureOffset);
+    const rawMoisture = this.fractalNoise(x, z, params.moistureScale, 2, 0.5, 2.0, params.moistureOffset);
+    
+    // Add equator-pole gradient to temperature, and cool it with altitude
+    const latitudeEffect = Math.cos((z / params.latitudeScale) * Math.PI) * params.latitudeEffect;
+    const altitude = Math.max(0, height - this.waterLevel);
+    
+    return {
+      temperature: 0.5 + rawTemperature * params.contrast + latitudeEffect - altitude * params.lapseRate,
+      moisture: 0.5 + rawMoisture * params.contrast
+    };
+  }
+  
+  /**
+   * Biome at a position, from its climate and height (see Biomes.js)
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @param {number} height - Terrain height, if already known
+   * @returns {string} Key of BIOMES: ocean, beach, desert, savanna, rainforest,
+   *   plains, forest, taiga, tundra, mountains or snow
+   */
+  getBiome(x, z, height = this.getTerrainHeight(x, z)) {
+    const climate = this.getClimate(x, z, height);
+    return classifyBiome(climate.temperature, climate.moisture, height - this.waterLevel);
+  }
+
+  /**
+   * Terrain vertex color
+   * @param {number} height - Terrain height at the position
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @param {number} slope - Slope at the position, if already known
+   * @returns {THREE.Color} Linear RGB color
+   */
+  getBiomeColor(height, x, z, slope = this.calculateSlope(x, z)) {
+    // Get climate data and biome for position
+    const climate = this.getClimate(x, z, height);
+    const biome = classifyBiome(climate.temperature, climate.moisture, height - this.waterLevel);
+    
+    // Get slope information
+    const isSteep = slope > 0.5;
+    
+    // Add small-scale texture variation
+    const textureNoise = this.noise(x * 0.1 + this.seed * 11, z * 0.1 + this.seed * 12);
+    const textureVariation = textureNoise * 0.05; // Subtle color variation
+    
+    let color = new THREE.Color();
+    
+    // WATER
+    if (biome === "ocean") {
+      if (height < this.waterLevel - 10) {
+        // Deep water with subtle variation
+        const depth = Math.min(1, (this.waterLevel - height) / 50);
+        color.setRGB(
+          0.1 - depth * 0.05,
+          0.15 + depth * 0.05,
+          0.4 + depth * 0.1
+        );
+      } else {
+        // Transition from deep to shallow
+        const t = (height - (this.waterLevel - 10)) / 10;
+        color.setRGB(0.1, 0.2, 0.5).lerp(new THREE.Color(0.2, 0.4, 0.6), t);
+        
+        // Add underwater features
+        if (textureNoise > 0.7) {
+          // Coral or underwater features
+          color.r += 0.1;
+          color.g += 0.05;
+        }
+      }
+    }
+    // BEACHES AND SHORELINES
+    else if (biome === "beach") {
+      if (climate.moisture > 0.7) {
+        // Wet shoreline
+        color.setRGB(0.65, 0.65, 0.55);
+      } else {
+        // Sandy beach - lighter color
+        color.setRGB(...BIOMES.beach.ground);
+        
+        // Add subtle beach texture
+        color.r += textureVariation * 1.2;  // Increased variation
+        color.g += textureVariation * 1.0;
+        color.b += textureVariation * 0.5;
+      }
+      
+      // Add wet/dry gradient based on height from water
+      const wetnessFactor = 1.0 - Math.min(1.0, (height - this.waterLevel) / 5);
+      if (wetnessFactor > 0) {
+        // Darker when closer to water
+        color.multiplyScalar(1.0 - wetnessFactor * 0.15);
+      }
+    }
+    // MOUNTAINS - Bare rock
+    else if (biome === "mountains") {
+      // Base rock color varies with temperature
+      const baseRockColor = climate.temperature > 0.4 ?
+        new THREE.Color(0.5, 0.4, 0.35) :   // Warmer rock (reddish)
+        new THREE.Color(...BIOMES.mountains.ground);   // Cooler rock (grayish)
+      
+      // Darker color for higher elevations
+      const rockVariation = Math.min(1, (height - 120) / 130);
+      const darkRock = new THREE.Color(0.3, 0.3, 0.3);
+      
+      color.copy(baseRockColor).lerp(darkRock, rockVariation * 0.6);
+      
+      // Add rock striations and texture
+      const striation = Math.abs(this.noise(x * 0.05 + this.seed * 15, z * 0.05 + this.seed * 16));
+      color.r += striation * 0.15 - 0.05;
+      color.g += striation * 0.15 - 0.05;
+      color.b += striation * 0.15 - 0.05;
+      
+      // Add snow patches as the air gets close to freezing
+      const snowNoise = this.noise(x * 0.08 + this.seed * 17, z * 0.08 + this.seed * 18);
+      const snowAmount = (0.3 - climate.temperature) / 0.1 + snowNoise * 0.3;
+      
+      if (snowAmount > 0) {
+        // Mix in snow based on snow amount
+        const snowColor = new THREE.Color(...BIOMES.snow.ground);
+        color.lerp(snowColor, Math.min(snowAmount, 1));
+      }
+    }
+    // SNOW - Peaks and frozen lands
+    else if (biome === "snow") {
+      // Snow base color
+      const snowWhite = new THREE.Color(...BIOMES.snow.ground);
+      
+      // Higher peaks get blue tinge
+      const snowBlue = new THREE.Color(0.8, 0.85, 1.0);
+      const snowHeight = (height - 250) / 150;
+      
+      color.copy(snowWhite).lerp(snowBlue, THREE.MathUtils.clamp(snowHeight, 0, 1) * 0.4);
+      
+      // Add texture for snow
+      const snowTexture = this.noise(x * 0.08 + this.seed * 19, z * 0.08 + this.seed * 20);
+      const variation = snowTexture * 0.05;
+      color.r += variation;
+      color.g += variation;
+      color.b += variation;
+      
+      // Occasionally expose rock on very steep slopes
+      if (isSteep && this.noise(x * 0.1 + this.seed * 21, z * 0.1 + this.seed * 22) > 0.7) {
+        const rockColor = new THREE.Color(0.3, 0.3, 0.3);
+        color.lerp(rockColor, 0.5);
+      }
+    }
+    // LAND BIOMES - Ground color from the biome table
+    else {
+      color.setRGB(...BIOMES[biome].ground);
+      
+      // Steep slopes show rock through the cover
+      if (isSteep) {
+        const rockColor = climate.moisture > 0.5 ?
+          new THREE.Color(0.3, 0.3, 0.25) :  // Wet rock
+          new THREE.Color(0.5, 0.45, 0.35);  // Dry rock
+        
+        color.lerp(rockColor, 0.6).multiplyScalar(0.8);
+      }
+      
+      // Add texture variation
+      const variation = textureVariation + this.noise(x * 0.05 + this.seed * 13, z * 0.05 + this.seed * 14) * 0.04;
+      color.r += variation;
+      color.g += variation;
+      color.b += variation * 0.5;
+    }
+    
+    // Ensure color values are valid
+    color.r = Math.max(0, Math.min(1, color.r));
+    color.g = Math.max(0, Math.min(1, color.g));
+    color.b = Math.max(0, Math.min(1, color.b));
+    
+    return color;
+  }
+
+  /**
+   * Run a TerrainWorkerPool request
+   * @param {Object} request - { kind, ...arguments }: kind "chunk" takes the
+   *   arguments of generateChunk, "horizon" those of generateHorizon
+   * @returns {Object} Float32Arrays of the result
+   */
+  generate(request) {
+    if (request.kind === "horizon") {
+      return this.generateHorizon(
+        request.centerX, request.centerZ,
+        request.innerRadius, request.outerRadius,
+        request.rings, request.segments
+      );
+    }
+    return this.generateChunk(request.centerX, request.centerZ, request.chunkSize, request.resolution);
+  }
+
+  /**
+   * Heights, normals and colors of a terrain chunk, laid out like the vertices
+   * of a PlaneGeometry(chunkSize, chunkSize, resolution, resolution) rotated
+   * flat: vertex (ix, iz) at index iz * (resolution + 1) + ix, centered on
+   * (centerX, centerZ). Normals and slopes come from the heightfield itself,
+   * with a ring of samples beyond the edge so neighbouring chunks shade
+   * seamlessly. The morph arrays hold each vertex as the chunk would have it
+   * at half the resolution, for geomorphing (see TerrainMorph.js).
+   * @param {number} centerX - World X of the chunk center
+   * @param {number} centerZ - World Z of the chunk center
+   * @param {number} chunkSize - Width of the chunk
+   * @param {number} resolution - Segments along each side
+   * @returns {Object} { heights, normals, colors, morphHeights, morphNormals,
+   *   morphColors } as Float32Arrays
+   */
+  generateChunk(centerX, centerZ, chunkSize, resolution) {
+    const side = resolution + 1;
+    const step = chunkSize / resolution;
+    const startX = centerX - chunkSize / 2;
+    const startZ = centerZ - chunkSize / 2;
+    
+    // Heightfield with a one-sample border
+    const border = side + 2;
+    const field = new Float32Array(border * border);
+    for (let iz = 0; iz < border; iz++) {
+      for (let ix = 0; ix < border; ix++) {
+        field[iz * border + ix] = this.getTerrainHeight(startX + (ix - 1) * step, startZ + (iz - 1) * step);
+      }
+    }
+    
+    const heights = new Float32Array(side * side);
+    const normals = new Float32Array(side * side * 3);
+    const colors = new Float32Array(side * side * 3);
+    
+    for (let iz = 0; iz < side; iz++) {
+      for (let ix = 0; ix < side; ix++) {
+        const i = iz * side + ix;
+        const f = (iz + 1) * border + ix + 1;
+        const height = field[f];
+        
+        // Central differences
+        const gradientX = (field[f + 1] - field[f - 1]) / (2 * step);
+        const gradientZ = (field[f + border] - field[f - border]) / (2 * step);
+        const length = Math.sqrt(gradientX * gradientX + 1 + gradientZ * gradientZ);
+        
+        heights[i] = height;
+        normals[i * 3] = -gradientX / length;
+        normals[i * 3 + 1] = 1 / length;
+        normals[i * 3 + 2] = -gradientZ / length;
+        
+        const slope = Math.sqrt(gradientX * gradientX + gradientZ * gradientZ);
+        const color = this.getBiomeColor(height, startX + ix * step, startZ + iz * step, slope);
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
+      }
+    }
+    
+    // At half the resolution only even vertices remain; the odd ones lie on
+    // the coarse triangles (split like PlaneGeometry's, along the diagonal
+    // from (ix, iz + 1) to (ix + 1, iz)) halfway between two even ones
+    const morphHeights = new Float32Array(side * side);
+    const morphNormals = new Float32Array(side * side * 3);
+    const morphColors = new Float32Array(side * side * 3);
+    
+    for (let iz = 0; iz < side; iz++) {
+      for (let ix = 0; ix < side; ix++) {
+        const i = iz * side + ix;
+        let a = i;
+        let b = i;
+        if (ix % 2 && iz % 2) {
+          a = (iz + 1) * side + ix - 1;
+          b = (iz - 1) * side + ix + 1;
+        } else if (ix % 2) {
+          a = i - 1;
+          b = i + 1;
+        } else if (iz % 2) {
+          a = i - side;
+          b = i + side;
+        }
+        
+        morphHeights[i] = (heights[a] + heights[b]) / 2;
+        for (let k = 0; k < 3; k++) {
+          morphNormals[i * 3 + k] = (normals[a * 3 + k] + normals[b * 3 + k]) / 2;
+          morphColors[i * 3 + k] = (colors[a * 3 + k] + colors[b * 3 + k]) / 2;
+        }
+      }
+    }
+    
+    return { heights, normals, colors, morphHeights, morphNormals, morphColors };
+  }
+
+  /**
+   * Far-field terrain around a point (see HorizonRing): rings + 1 circles of
+   * `segments` vertices from innerRadius out to outerRadius, spaced
+   * geometrically so detail falls off with distance. Vertex (ring, segment)
+   * is at index ring * segments + segment. The sea is flattened just below
+   * the water level.
+   * @param {number} centerX - World X of the center
+   * @param {number} centerZ - World Z of the center
+   * @param {number} innerRadius - Radius of the first circle
+   * @param {number} outerRadius - Radius of the last circle
+   * @param {number} rings - Gaps between circles
+   * @param {number} segments - Vertices per circle
+   * @returns {Object} { positions, colors } as Float32Arrays, positions
+   *   relative to the center
+   */
+  generateHorizon(centerX, centerZ, innerRadius, outerRadius, rings, segments) {
+    const count = (rings + 1) * segments;
+    const heights = new Float32Array(count);
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    
+    const radii = [];
+    for (let ring = 0; ring <= rings; ring++) {
+      radii.push(innerRadius * Math.pow(outerRadius / innerRadius, ring / rings));
+    }
+    
+    for (let ring = 0; ring <= rings; ring++) {
+      for (let segment = 0; segment < segments; segment++) {
+        const i = ring * segments + segment;
+        const angle = (segment / segments) * Math.PI * 2;
+        positions[i * 3] = Math.cos(angle) * radii[ring];
+        positions[i * 3 + 2] = Math.sin(angle) * radii[ring];
+        heights[i] = this.getTerrainHeight(centerX + positions[i * 3], centerZ + positions[i * 3 + 2]);
+      }
+    }
+    
+    const angleStep = (Math.PI * 2) / segments;
+    for (let ring = 0; ring <= rings; ring++) {
+      // One-sided differences at the first and last circle
+      const inner = Math.max(0, ring - 1);
+      const outer = Math.min(rings, ring + 1);
+      
+      for (let segment = 0; segment < segments; segment++) {
+        const i = ring * segments + segment;
+        const height = heights[i];
+        
+        const radialGradient = (heights[outer * segments + segment] - heights[inner * segments + segment]) /
+          (radii[outer] - radii[inner]);
+        const next = ring * segments + (segment + 1) % segments;
+        const previous = ring * segments + (segment + segments - 1) % segments;
+        const angularGradient = (heights[next] - heights[previous]) / (2 * radii[ring] * angleStep);
+        const slope = Math.sqrt(radialGradient * radialGradient + angularGradient * angularGradient);
+        
+        positions[i * 3 + 1] = Math.max(height, this.waterLevel - 1);
+        
+        const color = this.getBiomeColor(height, centerX + positions[i * 3], centerZ + positions[i * 3 + 2], slope);
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
+      }
+    }
+    
+    return { positions, colors };
+  }
+}
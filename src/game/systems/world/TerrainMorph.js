@@ -0,0 +1,52 @@
+import * as THREE from "three";
+
+// Geomorphing between terrain LOD levels.
+// Every chunk vertex also carries where it would be at half the resolution
+// (TerrainGenerator.generateChunk). Over the last part of its LOD band a
+// chunk blends towards that coarser shape by how far its center is from the
+// player, so it already looks like the next LOD when WorldSystem swaps it.
+
+const MORPH_VERTEX_HEADER = `
+  uniform vec3 morphOrigin;
+  uniform vec2 morphRange;
+  attribute float morphHeight;
+  attribute vec3 morphNormal;
+  attribute vec3 morphColor;
+`;
+
+/**
+ * Make a terrain material morph its chunks
+ * @param {THREE.Material} material - Chunk material of one LOD level
+ * @param {Object} origin - Uniform { value: THREE.Vector3 } with the player
+ *   position, shared by all levels
+ * @param {number} start - Chunk center distance where morphing begins
+ * @param {number} end - Distance where the chunk is fully morphed, the end of its LOD band
+ */
+export function applyTerrainMorph(material, origin, start, end) {
+  const range = { value: new THREE.Vector2(start, end) };
+
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.morphOrigin = origin;
+    shader.uniforms.morphRange = range;
+
+    shader.vertexShader = MORPH_VERTEX_HEADER + shader.vertexShader
+      .replace("void main() {", `void main() {
+        // Chunk meshes are centered on their origin
+        float terrainMorph = clamp(
+          (distance(modelMatrix[3].xz, morphOrigin.xz) - morphRange.x) / (morphRange.y - morphRange.x),
+          0.0,
+          1.0
+        );`)
+      .replace("#include <color_vertex>", `#include <color_vertex>
+        #ifdef USE_COLOR
+          vColor.rgb = mix(vColor.rgb, morphColor, terrainMorph);
+        #endif`)
+      .replace("#include <beginnormal_vertex>", `#include <beginnormal_vertex>
+        objectNormal = normalize(mix(objectNormal, morphNormal, terrainMorph));`)
+      .replace("#include <begin_vertex>", `#include <begin_vertex>
+        transformed.y = mix(transformed.y, morphHeight, terrainMorph);`);
+  };
+
+  // Keep these programs apart from unpatched materials with the same settings
+  material.customProgramCacheKey = () => "terrain-morph";
+}
@@ -0,0 +1,26 @@
+import { TerrainGenerator } from "./TerrainGenerator.js";
+
+// Terrain generation off the main thread (see TerrainWorkerPool): chunks
+// and the far-field horizon ring. Replies with the result's typed arrays,
+// transferred rather than copied.
+
+let generator = null;
+
+self.onmessage = (event) => {
+  const { id, seed, waterLevel, edits } = event.data;
+
+  // One generator per seed; a new seed starts a new world
+  if (!generator || generator.seed !== seed || generator.waterLevel !== waterLevel) {
+    generator = new TerrainGenerator(seed, waterLevel);
+  }
+
+  // Only the terrain edits reaching a chunk are sent along with it
+  generator.edits.load(edits);
+
+  try {
+    const result = generator.generate(event.data);
+    self.postMessage({ id, ...result }, Object.values(result).map(array => array.buffer));
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,146 @@
+/**
+ * A few TerrainWorkers sharing a queue of terrain requests
+ *
+ * Each worker takes one request at a time; the rest wait here, where requests
+ * that are no longer wanted (the player flew on) can be dropped before any
+ * work is spent on them. Without worker support, or if the workers fail to
+ * start, chunks are generated on the main thread by the fallback.
+ */
+export class TerrainWorkerPool {
+  /**
+   * @param {number} size - Number of workers
+   * @param {Function} fallback - Generates a request on the main thread
+   */
+  constructor(size, fallback) {
+    this.size = size;
+    this.fallback = fallback;
+    this.slots = []; // { worker, job }
+    this.queue = []; // Jobs waiting for a worker
+    this.nextJobId = 1;
+  }
+
+  initialize() {
+    if (typeof Worker === "undefined") {
+      console.warn("Web Workers unavailable, generating terrain on the main thread");
+      return;
+    }
+
+    for (let i = 0; i < this.size; i++) {
+      try {
+        const worker = new Worker(new URL("./TerrainWorker.js", import.meta.url), { type: "module" });
+        const slot = { worker, job: null };
+        worker.onmessage = (event) => this.handleResult(slot, event.data);
+        worker.onerror = (event) => this.handleWorkerError(slot, event);
+        this.slots.push(slot);
+      } catch (error) {
+        console.warn("Could not start terrain worker:", error);
+        break;
+      }
+    }
+
+    console.log(`Terrain worker pool started with ${this.slots.length} workers`);
+  }
+
+  /**
+   * Queue a chunk or horizon ring
+   * @param {Object} request - { kind, seed, waterLevel, edits } plus the
+   *   arguments of the generator method for its kind (TerrainGenerator.generate)
+   * @param {Function} isWanted - Asked when a worker frees up; a request no
+   *   longer wanted resolves to null without being generated
+   * @returns {Promise<Object|null>} The generated Float32Arrays
+   */
+  generate(request, isWanted = () => true) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextJobId++, request, isWanted, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Next wanted job from the queue
+   */
+  takeJob() {
+    while (this.queue.length > 0) {
+      const job = this.queue.shift();
+      if (job.isWanted()) return job;
+      job.resolve(null);
+    }
+    return null;
+  }
+
+  dispatch() {
+    // No workers: generate here, as the chunks used to be
+    if (this.slots.length === 0) {
+      let job;
+      while ((job = this.takeJob())) {
+        try {
+          job.resolve(this.fallback(job.request));
+        } catch (error) {
+          job.reject(error);
+        }
+      }
+      return;
+    }
+
+    for (const slot of this.slots) {
+      if (slot.job) continue;
+
+      const job = this.takeJob();
+      if (!job) return;
+
+      slot.job = job;
+      slot.worker.postMessage({ id: job.id, ...job.request });
+    }
+  }
+
+  handleResult(slot, data) {
+    const job = slot.job;
+    slot.job = null;
+
+    if (job && job.id === data.id) {
+      if (data.error) {
+        job.reject(new Error(data.error));
+      } else {
+        job.resolve(data);
+      }
+    }
+
+    this.dispatch();
+  }
+
+  handleWorkerError(slot, event) {
+    console.warn("Terrain worker failed, retiring it:", event.message);
+    event.preventDefault?.();
+
+    slot.worker.terminate();
+    this.slots = this.slots.filter(other => other !== slot);
+
+    // Its request goes back to the front of the queue
+    if (slot.job) {
+      this.queue.unshift(slot.job);
+      slot.job = null;
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Jobs queued or being generated
+   */
+  getPendingCount() {
+    return this.queue.length + this.slots.filter(slot => slot.job).length;
+  }
+
+  dispose() {
+    // Settle everything outstanding as unwanted, so nothing waits on a worker
+    // that will never answer
+    this.slots.forEach(slot => {
+      slot.job?.resolve(null);
+      slot.job = null;
+      slot.worker.terminate();
+    });
+    this.slots = [];
+    this.queue.forEach(job => job.resolve(null));
+    this.queue = [];
+  }
+}
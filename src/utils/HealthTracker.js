@@ -0,0 +1,119 @@
+// Shared health rules.
+// The multiplayer server tracks every player's health with these; the offline
+// network simulation uses the same tracker, so damage, downing, respawning and
+// regeneration behave the same with or without a server.
+
+// Full health for every player
+export const MAX_HEALTH = 100;
+
+// Milliseconds after taking damage during which further hits do nothing
+export const INVULNERABILITY_TIME = 500;
+
+// Milliseconds a downed player waits before it may respawn
+export const RESPAWN_DELAY = 4000;
+
+// Milliseconds of invulnerability after respawning
+export const SPAWN_PROTECTION_TIME = 3000;
+
+// Out of combat regeneration: after REGEN_DELAY ms without damage, health
+// grows by REGEN_AMOUNT every REGEN_INTERVAL ms
+export const REGEN_DELAY = 5000;
+export const REGEN_INTERVAL = 1000;
+export const REGEN_AMOUNT = 5;
+
+// Where players come back after being downed
+export const SPAWN_POSITION = { x: 0, y: 150, z: 0 };
+
+// Terrain crashes: impacts slower than CRASH_SPEED (the velocity component
+// into the surface) are harmless; faster ones deal CRASH_DAMAGE_PER_SPEED for
+// every unit above it. Water takes the edge off.
+export const CRASH_SPEED = 60;
+export const CRASH_DAMAGE_PER_SPEED = 0.15;
+export const WATER_CRASH_FACTOR = 0.5;
+
+/**
+ * Damage for hitting the ground or water
+ * @param {number} speed - Impact speed along the surface normal
+ * @param {string} surface - 'land' or 'water'
+ * @returns {number} Whole points of damage
+ */
+export function getCrashDamage(speed, surface) {
+  if (!(speed > CRASH_SPEED)) return 0;
+
+  const damage = (speed - CRASH_SPEED) * CRASH_DAMAGE_PER_SPEED;
+  return Math.round(surface === 'water' ? damage * WATER_CRASH_FACTOR : damage);
+}
+
+/**
+ * Health of one player. All times are milliseconds on the owner's clock
+ * (Date.now() on the server).
+ */
+export class HealthTracker {
+  constructor(health = MAX_HEALTH, now = Date.now()) {
+    this.maxHealth = MAX_HEALTH;
+    this.health = Math.min(Math.max(health, 0), this.maxHealth);
+    this.downed = this.health <= 0;
+    this.respawnAt = this.downed ? now + RESPAWN_DELAY : 0;
+    this.invulnerableUntil = 0;
+    this.lastDamageTime = -Infinity;
+    this.lastRegenTime = now;
+  }
+
+  isInvulnerable(now) {
+    return now < this.invulnerableUntil;
+  }
+
+  /**
+   * Take damage unless downed or invulnerable
+   * @returns {number} Damage actually taken
+   */
+  takeDamage(amount, now) {
+    if (this.downed || this.isInvulnerable(now) || !(amount > 0)) return 0;
+
+    const damage = Math.min(amount, this.health);
+    this.health -= damage;
+    this.lastDamageTime = now;
+    this.invulnerableUntil = now + INVULNERABILITY_TIME;
+
+    if (this.health <= 0) {
+      this.downed = true;
+      this.respawnAt = now + RESPAWN_DELAY;
+    }
+
+    return damage;
+  }
+
+  canRespawn(now) {
+    return this.downed && now >= this.respawnAt;
+  }
+
+  /**
+   * Back to full health, with spawn protection
+   */
+  respawn(now) {
+    this.health = this.maxHealth;
+    this.downed = false;
+    this.respawnAt = 0;
+    this.invulnerableUntil = now + SPAWN_PROTECTION_TIME;
+    this.lastRegenTime = now;
+  }
+
+  /**
+   * Apply out of combat regeneration
+   * @returns {boolean} True if health changed
+   */
+  regenerate(now) {
+    if (this.downed || this.health >= this.maxHealth) {
+      this.lastRegenTime = now;
+      return false;
+    }
+
+    if (now - this.lastDamageTime < REGEN_DELAY || now - this.lastRegenTime < REGEN_INTERVAL) {
+      return false;
+    }
+
+    this.health = Math.min(this.maxHealth, this.health + REGEN_AMOUNT);
+    this.lastRegenTime = now;
+    return true;
+  }
+}
@@ -0,0 +1,56 @@
+// Shared mana node layout.
+// Used by WorldSystem to place nodes and by the multiplayer server to validate
+// claims, so both sides agree on every node's id, position and value.
+
+import { createSeededRandom, hashCoords } from './SeededRandom.js';
+
+// Mana nodes are generated per square cell of the world
+export const MANA_CELL_SIZE = 512;
+export const MANA_NODES_PER_CELL = 2;
+
+// Seconds before a collected node becomes available again
+export const MANA_RESPAWN_TIME = 60;
+
+// Salt that separates the mana stream from other seeded generators
+const MANA_SALT = 2;
+
+/**
+ * Get the deterministic mana node layout for one mana cell
+ * @param {number} seed - World seed
+ * @param {number} cellX - Cell X index
+ * @param {number} cellZ - Cell Z index
+ * @returns {Array} Node descriptors { id, x, z, value }
+ */
+export function getManaNodesForCell(seed, cellX, cellZ) {
+  const random = createSeededRandom(hashCoords(seed, cellX, cellZ, MANA_SALT));
+  const nodes = [];
+
+  for (let i = 0; i < MANA_NODES_PER_CELL; i++) {
+    nodes.push({
+      id: `mana_${cellX}_${cellZ}_${i}`,
+      x: (cellX + random()) * MANA_CELL_SIZE,
+      z: (cellZ + random()) * MANA_CELL_SIZE,
+      value: 10 + Math.floor(random() * 20)
+    });
+  }
+
+  return nodes;
+}
+
+/**
+ * Look up a single node by its id
+ * @param {number} seed - World seed
+ * @param {string} nodeId - Node id in the form mana_<cellX>_<cellZ>_<index>
+ * @returns {Object|null} Node descriptor, or null if the id is not part of the layout
+ */
+export function getManaNodeById(seed, nodeId) {
+  if (typeof nodeId !== 'string') return null;
+
+  const match = /^mana_(-?\d+)_(-?\d+)_(\d+)$/.exec(nodeId);
+  if (!match) return null;
+
+  const index = Number(match[3]);
+  if (index >= MANA_NODES_PER_CELL) return null;
+
+  return getManaNodesForCell(seed, Number(match[1]), Number(match[2]))[index];
+}
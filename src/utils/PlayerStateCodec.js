@@ -0,0 +1,196 @@
+// Binary wire format for player state updates.
+// Shared by NetworkManager and the multiplayer server so both ends encode the
+// hot-path player_state message the same way.
+//
+// Layout (little endian):
+//   uint8   schema version
+//   uint16  field mask - one bit per field present in this (delta) update
+//   ...     present fields, in FIELDS order, each in its quantized form
+//
+// Bump STATE_SCHEMA_VERSION whenever FIELDS or a field's encoding changes.
+// The server advertises its version in game_state and clients fall back to
+// JSON player_update messages when the versions differ.
+
+export const STATE_SCHEMA_VERSION = 1;
+
+const TWO_PI = Math.PI * 2;
+
+// Quantization steps
+const POSITION_SCALE = 32; // 1/32 unit
+const VELOCITY_SCALE = 16; // 1/16 unit per second
+const ROTATION_SCALE = 65536 / TWO_PI; // Full turn in 16 bits
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Field order defines the mask bits; append new fields at the end
+const FIELDS = [
+  {
+    name: 'x', size: 4,
+    write: (view, offset, value) => view.setInt32(offset, clamp(Math.round(value * POSITION_SCALE), -2147483648, 2147483647), true),
+    read: (view, offset) => view.getInt32(offset, true) / POSITION_SCALE
+  },
+  {
+    name: 'y', size: 4,
+    write: (view, offset, value) => view.setInt32(offset, clamp(Math.round(value * POSITION_SCALE), -2147483648, 2147483647), true),
+    read: (view, offset) => view.getInt32(offset, true) / POSITION_SCALE
+  },
+  {
+    name: 'z', size: 4,
+    write: (view, offset, value) => view.setInt32(offset, clamp(Math.round(value * POSITION_SCALE), -2147483648, 2147483647), true),
+    read: (view, offset) => view.getInt32(offset, true) / POSITION_SCALE
+  },
+  {
+    name: 'rotationY', size: 2,
+    write: (view, offset, value) => {
+      const wrapped = ((value % TWO_PI) + TWO_PI) % TWO_PI;
+      view.setUint16(offset, Math.round(wrapped * ROTATION_SCALE) & 0xffff, true);
+    },
+    // Decode to (-PI, PI] like the rotations the client produces
+    read: (view, offset) => {
+      const angle = view.getUint16(offset, true) / ROTATION_SCALE;
+      return angle > Math.PI ? angle - TWO_PI : angle;
+    }
+  },
+  {
+    name: 'velocityX', size: 2,
+    write: (view, offset, value) => view.setInt16(offset, clamp(Math.round(value * VELOCITY_SCALE), -32768, 32767), true),
+    read: (view, offset) => view.getInt16(offset, true) / VELOCITY_SCALE
+  },
+  {
+    name: 'velocityY', size: 2,
+    write: (view, offset, value) => view.setInt16(offset, clamp(Math.round(value * VELOCITY_SCALE), -32768, 32767), true),
+    read: (view, offset) => view.getInt16(offset, true) / VELOCITY_SCALE
+  },
+  {
+    name: 'velocityZ', size: 2,
+    write: (view, offset, value) => view.setInt16(offset, clamp(Math.round(value * VELOCITY_SCALE), -32768, 32767), true),
+    read: (view, offset) => view.getInt16(offset, true) / VELOCITY_SCALE
+  },
+  {
+    name: 'mana', size: 2,
+    write: (view, offset, value) => view.setUint16(offset, clamp(Math.round(value), 0, 65535), true),
+    read: (view, offset) => view.getUint16(offset, true)
+  },
+  {
+    name: 'health', size: 2,
+    write: (view, offset, value) => view.setUint16(offset, clamp(Math.round(value), 0, 65535), true),
+    read: (view, offset) => view.getUint16(offset, true)
+  },
+  {
+    name: 'seq', size: 4,
+    write: (view, offset, value) => view.setUint32(offset, value >>> 0, true),
+    read: (view, offset) => view.getUint32(offset, true)
+  },
+  {
+    name: 'correctionSeq', size: 4,
+    write: (view, offset, value) => view.setUint32(offset, value >>> 0, true),
+    read: (view, offset) => view.getUint32(offset, true)
+  },
+  {
+    name: 'serverTime', size: 8,
+    write: (view, offset, value) => view.setFloat64(offset, value, true),
+    read: (view, offset) => view.getFloat64(offset, true)
+  },
+  {
+    // Sender id, only set on messages relayed by the server
+    name: 'id',
+    size: (value) => 1 + Math.min(value.length, 255),
+    write: (view, offset, value) => {
+      const length = Math.min(value.length, 255);
+      view.setUint8(offset, length);
+      for (let i = 0; i < length; i++) {
+        // Socket ids are plain ASCII
+        view.setUint8(offset + 1 + i, value.charCodeAt(i) & 0x7f);
+      }
+    },
+    read: (view, offset) => {
+      const length = view.getUint8(offset);
+      let value = '';
+      for (let i = 0; i < length; i++) {
+        value += String.fromCharCode(view.getUint8(offset + 1 + i));
+      }
+      return value;
+    },
+    readSize: (view, offset) => 1 + view.getUint8(offset)
+  }
+];
+
+const HEADER_SIZE = 3;
+
+const isPresent = (field, value) => {
+  if (field.name === 'id') return typeof value === 'string';
+  return typeof value === 'number' && Number.isFinite(value);
+};
+
+/**
+ * Encode a (possibly delta compressed) player update
+ * @param {Object} data - Any subset of the FIELDS names
+ * @returns {ArrayBuffer} Encoded message
+ */
+export function encodePlayerState(data) {
+  let mask = 0;
+  let size = HEADER_SIZE;
+
+  FIELDS.forEach((field, bit) => {
+    const value = data[field.name];
+    if (!isPresent(field, value)) return;
+
+    mask |= 1 << bit;
+    size += typeof field.size === 'function' ? field.size(value) : field.size;
+  });
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  view.setUint8(0, STATE_SCHEMA_VERSION);
+  view.setUint16(1, mask, true);
+
+  let offset = HEADER_SIZE;
+  FIELDS.forEach((field, bit) => {
+    if (!(mask & (1 << bit))) return;
+
+    const value = data[field.name];
+    field.write(view, offset, value);
+    offset += typeof field.size === 'function' ? field.size(value) : field.size;
+  });
+
+  return buffer;
+}
+
+/**
+ * Decode a player_state message
+ * @param {ArrayBuffer|ArrayBufferView} buffer - Received message (Node delivers a Buffer)
+ * @returns {Object|null} Decoded fields, or null for malformed or unknown-version messages
+ */
+export function decodePlayerState(buffer) {
+  let view;
+  if (buffer instanceof ArrayBuffer) {
+    view = new DataView(buffer);
+  } else if (ArrayBuffer.isView(buffer)) {
+    view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  } else {
+    return null;
+  }
+
+  if (view.byteLength < HEADER_SIZE || view.getUint8(0) !== STATE_SCHEMA_VERSION) {
+    return null;
+  }
+
+  const mask = view.getUint16(1, true);
+  const data = {};
+  let offset = HEADER_SIZE;
+
+  for (let bit = 0; bit < FIELDS.length; bit++) {
+    if (!(mask & (1 << bit))) continue;
+
+    if (offset >= view.byteLength) return null;
+
+    const field = FIELDS[bit];
+    const size = field.readSize ? field.readSize(view, offset) : field.size;
+    if (offset + size > view.byteLength) return null;
+
+    data[field.name] = field.read(view, offset);
+    offset += size;
+  }
+
+  return data;
+}
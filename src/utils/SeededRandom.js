@@ -0,0 +1,109 @@
+// Deterministic random helpers for world generation.
+// Everything procedural (terrain, trees, rivers, landmarks, mana) derives
+// its randomness from the world seed through these functions so that the
+// same seed always reproduces the same world.
+
+// Seeds are kept in a range that stays precise when used as noise offsets
+export const MAX_SEED = 1000000;
+
+/**
+ * Hash a string into an unsigned 32-bit integer (FNV-1a)
+ * @param {string} str - Input string
+ * @returns {number} 32-bit hash
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Hash a seed together with integer grid coordinates
+ * Used to give every chunk/cell its own independent random stream
+ * @param {number} seed - World seed
+ * @param {number} x - Grid X coordinate
+ * @param {number} z - Grid Z coordinate
+ * @param {number} salt - Distinguishes independent streams for the same cell
+ * @returns {number} 32-bit hash
+ */
+export function hashCoords(seed, x, z, salt = 0) {
+  let h = Math.imul(seed | 0, 0x9e3779b1) ^ Math.imul(salt | 0, 0x85ebca77);
+  h = Math.imul(h ^ (x | 0), 0x27d4eb2f);
+  h = Math.imul(h ^ (h >>> 15) ^ (z | 0), 0x165667b1);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * Drop-in replacement for Math.random
+ * @param {number} seed - Seed value
+ * @returns {function(): number} Generator returning values in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normalize any user supplied seed (number or text) into an integer seed
+ * @param {number|string} value - Raw seed value
+ * @returns {number|null} Integer seed in [0, MAX_SEED) or null if empty
+ */
+export function normalizeSeed(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) {
+    return Math.abs(Math.floor(numeric)) % MAX_SEED;
+  }
+
+  // Text seeds ("dragon-valley") are hashed so they can be shared by name
+  return hashString(String(value)) % MAX_SEED;
+}
+
+/**
+ * Generate a fresh random seed
+ * @returns {number} Integer seed in [0, MAX_SEED)
+ */
+export function generateRandomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Seed of the world beyond an edge of the current one
+ * Flying off the same edge of the same world always leads to the same place
+ * @param {number} seed - Current world seed
+ * @param {number} dx - Edge crossed on X (-1, 0 or 1)
+ * @param {number} dz - Edge crossed on Z (-1, 0 or 1)
+ * @returns {number} Integer seed in [0, MAX_SEED)
+ */
+export function getNeighborSeed(seed, dx, dz) {
+  return hashCoords(seed, dx, dz, 0x6e657874) % MAX_SEED;
+}
+
+/**
+ * Resolve the world seed for this session
+ * Priority: ?seed= URL parameter, then a fresh random seed
+ * @returns {number} Integer seed
+ */
+export function resolveWorldSeed() {
+  if (typeof window !== 'undefined' && window.location) {
+    const params = new URLSearchParams(window.location.search);
+    const seed = normalizeSeed(params.get('seed'));
+    if (seed !== null) return seed;
+  }
+
+  return generateRandomSeed();
+}
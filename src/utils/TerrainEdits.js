@@ -0,0 +1,172 @@
+// Changes players have made to the terrain.
+// Spells dent or raise the ground with round brush strokes; the strokes are
+// stored as-is and summed on top of the noise heightfield wherever the
+// terrain is sampled. The multiplayer server keeps one layer per room and
+// sends it to joining clients; the offline game keeps its own per seed.
+
+// Largest brush stroke accepted
+export const MAX_EDIT_RADIUS = 60;
+export const MAX_EDIT_HEIGHT = 40;
+
+// Limit on how far the edits together may move the ground from the noise
+export const MAX_TOTAL_DELTA = 120;
+
+// Strokes kept per world; the oldest are forgotten first
+export const MAX_EDITS = 2000;
+
+// Side of the lookup cells strokes are bucketed into
+const CELL_SIZE = 64;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Rectangle covering a set of strokes
+ * @param {Array<Object>} edits - Strokes { x, z, radius, height }
+ * @returns {Object|null} { minX, minZ, maxX, maxZ }, or null for no strokes
+ */
+export function getEditBounds(edits) {
+  if (edits.length === 0) return null;
+
+  return edits.reduce((bounds, edit) => ({
+    minX: Math.min(bounds.minX, edit.x - edit.radius),
+    minZ: Math.min(bounds.minZ, edit.z - edit.radius),
+    maxX: Math.max(bounds.maxX, edit.x + edit.radius),
+    maxZ: Math.max(bounds.maxZ, edit.z + edit.radius)
+  }), { minX: Infinity, minZ: Infinity, maxX: -Infinity, maxZ: -Infinity });
+}
+
+/**
+ * The stroke a spell leaves where it lands
+ * @param {Object} definition - Spell definition with a terrainEdit { radius, height }
+ * @returns {Object|null} { x, z, radius, height }, or null if the spell
+ *   leaves no mark
+ */
+export function createSpellTerrainEdit(definition, x, z) {
+  const shape = definition?.terrainEdit;
+  if (!shape) return null;
+
+  return { x, z, radius: shape.radius, height: shape.height };
+}
+
+/**
+ * A sparse heightfield delta made of brush strokes { x, z, radius, height }.
+ * Each stroke moves the ground by `height` at its center, fading smoothly to
+ * nothing at `radius`.
+ */
+export class TerrainEditLayer {
+  constructor() {
+    this.edits = []; // Oldest first
+    this.cells = new Map(); // "cx,cz" -> strokes overlapping that cell
+  }
+
+  /**
+   * Add a stroke
+   * @param {Object} edit - { x, z, radius, height }
+   * @returns {Object|null} The stroke as stored, clamped to the limits, or
+   *   null if it was malformed
+   */
+  add(edit) {
+    if (!edit) return null;
+
+    const { x, z, radius, height } = edit;
+    if (![x, z, radius, height].every(Number.isFinite) || radius <= 0 || height === 0) {
+      return null;
+    }
+
+    const stored = {
+      x: round(x),
+      z: round(z),
+      radius: round(Math.min(radius, MAX_EDIT_RADIUS)),
+      height: round(Math.max(-MAX_EDIT_HEIGHT, Math.min(MAX_EDIT_HEIGHT, height)))
+    };
+
+    if (this.edits.length >= MAX_EDITS) {
+      this.unindex(this.edits.shift());
+    }
+
+    this.edits.push(stored);
+    this.forEachCell(stored, (key) => {
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push(stored);
+    });
+
+    return stored;
+  }
+
+  unindex(edit) {
+    this.forEachCell(edit, (key) => {
+      const strokes = this.cells.get(key);
+      if (!strokes) return;
+
+      const index = strokes.indexOf(edit);
+      if (index !== -1) strokes.splice(index, 1);
+      if (strokes.length === 0) this.cells.delete(key);
+    });
+  }
+
+  forEachCell(edit, callback) {
+    const minX = Math.floor((edit.x - edit.radius) / CELL_SIZE);
+    const maxX = Math.floor((edit.x + edit.radius) / CELL_SIZE);
+    const minZ = Math.floor((edit.z - edit.radius) / CELL_SIZE);
+    const maxZ = Math.floor((edit.z + edit.radius) / CELL_SIZE);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        callback(`${cx},${cz}`);
+      }
+    }
+  }
+
+  /**
+   * Height the edits add to the terrain at a position
+   */
+  getDelta(x, z) {
+    if (this.edits.length === 0) return 0;
+
+    const strokes = this.cells.get(`${Math.floor(x / CELL_SIZE)},${Math.floor(z / CELL_SIZE)}`);
+    if (!strokes) return 0;
+
+    let delta = 0;
+    for (const edit of strokes) {
+      const dx = x - edit.x;
+      const dz = z - edit.z;
+      const t = (dx * dx + dz * dz) / (edit.radius * edit.radius);
+      if (t < 1) {
+        // Smooth falloff, flat at the center and at the rim
+        delta += edit.height * (1 - t) * (1 - t);
+      }
+    }
+
+    return Math.max(-MAX_TOTAL_DELTA, Math.min(MAX_TOTAL_DELTA, delta));
+  }
+
+  /**
+   * Strokes that reach into a rectangle
+   * @returns {Array<Object>} Oldest first
+   */
+  getEditsIn(minX, minZ, maxX, maxZ) {
+    return this.edits.filter(edit =>
+      edit.x + edit.radius > minX && edit.x - edit.radius < maxX &&
+      edit.z + edit.radius > minZ && edit.z - edit.radius < maxZ
+    );
+  }
+
+  clear() {
+    this.edits = [];
+    this.cells.clear();
+  }
+
+  /**
+   * Replace the layer's strokes
+   * @param {Array<Object>} edits - As returned by toJSON
+   */
+  load(edits) {
+    this.clear();
+    if (!Array.isArray(edits)) return;
+    edits.forEach(edit => this.add(edit));
+  }
+
+  toJSON() {
+    return this.edits.map(({ x, z, radius, height }) => ({ x, z, radius, height }));
+  }
+}
@@ -0,0 +1,129 @@
+// Shared time of day.
+// The multiplayer server keeps one clock per room and sends its state to
+// clients, which run their own copy against the server time; the offline
+// network simulation runs the same clock locally.
+
+// Real seconds per in-game day at time scale 1
+export const DAY_DURATION = 600;
+
+// New clocks start in the morning (0 = midnight, 0.5 = noon)
+export const START_TIME_OF_DAY = 0.3;
+
+// Fastest allowed time scale
+export const MAX_TIME_SCALE = 100;
+
+/**
+ * In-game time as a continuous count of days, anchored to a real time so it
+ * never needs ticking: days = anchorDays + elapsed real time * rate. All
+ * times are milliseconds on the owner's clock (Date.now() on the server,
+ * the server time on clients).
+ */
+export class WorldClock {
+  constructor(now = Date.now()) {
+    this.dayDuration = DAY_DURATION;
+    this.timeScale = 1;
+    this.paused = false;
+    this.anchorDays = START_TIME_OF_DAY;
+    this.anchorTime = now;
+  }
+
+  /**
+   * Days elapsed since day 0 midnight, with the fraction of the current day
+   */
+  getDays(now) {
+    if (this.paused) return this.anchorDays;
+    return this.anchorDays + (now - this.anchorTime) / 1000 / this.dayDuration * this.timeScale;
+  }
+
+  /**
+   * @returns {number} 0 = midnight, 0.25 = sunrise, 0.5 = noon, 0.75 = sunset
+   */
+  getTimeOfDay(now) {
+    const days = this.getDays(now);
+    return days - Math.floor(days);
+  }
+
+  getDay(now) {
+    return Math.floor(this.getDays(now));
+  }
+
+  // Move the anchor to now, so the rate can change without a jump in time
+  reanchor(now) {
+    this.anchorDays = this.getDays(now);
+    this.anchorTime = now;
+  }
+
+  /**
+   * Jump to a time of day. Time only moves forward: an earlier time than
+   * now is reached on the next day.
+   */
+  setTimeOfDay(timeOfDay, now) {
+    this.reanchor(now);
+    const target = timeOfDay - Math.floor(timeOfDay);
+    const day = Math.floor(this.anchorDays);
+    this.anchorDays = day + target + (target < this.anchorDays - day ? 1 : 0);
+  }
+
+  setTimeScale(timeScale, now) {
+    this.reanchor(now);
+    this.timeScale = Math.min(Math.max(timeScale, 0), MAX_TIME_SCALE);
+  }
+
+  setPaused(paused, now) {
+    this.reanchor(now);
+    this.paused = paused;
+  }
+
+  /**
+   * Apply a control request
+   * @param {Object} changes - Any of { timeOfDay, timeScale, paused }
+   * @returns {boolean} Whether anything valid was applied
+   */
+  apply(changes, now) {
+    if (!changes || typeof changes !== 'object') return false;
+
+    let applied = false;
+    if (Number.isFinite(changes.timeOfDay)) {
+      this.setTimeOfDay(changes.timeOfDay, now);
+      applied = true;
+    }
+    if (Number.isFinite(changes.timeScale)) {
+      this.setTimeScale(changes.timeScale, now);
+      applied = true;
+    }
+    if (typeof changes.paused === 'boolean') {
+      this.setPaused(changes.paused, now);
+      applied = true;
+    }
+
+    return applied;
+  }
+
+  /**
+   * State for sending to clients
+   * @returns {Object} { days, time, timeScale, paused, dayDuration }
+   */
+  toJSON(now = Date.now()) {
+    return {
+      days: this.getDays(now),
+      time: now,
+      timeScale: this.timeScale,
+      paused: this.paused,
+      dayDuration: this.dayDuration
+    };
+  }
+
+  /**
+   * Take over a state from toJSON. Its time must be on this clock's time base.
+   */
+  setState(state) {
+    if (!state || !Number.isFinite(state.days) || !Number.isFinite(state.time)) return false;
+
+    this.anchorDays = state.days;
+    this.anchorTime = state.time;
+    if (Number.isFinite(state.timeScale)) this.timeScale = state.timeScale;
+    if (typeof state.paused === 'boolean') this.paused = state.paused;
+    if (state.dayDuration > 0) this.dayDuration = state.dayDuration;
+    return true;
+  }
+}